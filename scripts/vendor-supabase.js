@@ -0,0 +1,26 @@
+/**
+ * Copy the Supabase client bundle into vendor/
+ *
+ * The app loads vendor/supabase.js before falling back to public CDNs, so it
+ * works on networks that block them. Run after upgrading @supabase/supabase-js:
+ *
+ *   npm run vendor:supabase
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const packageDir = join(root, 'node_modules', '@supabase', 'supabase-js');
+
+const { version } = JSON.parse(await readFile(join(packageDir, 'package.json'), 'utf8'));
+const bundle = await readFile(join(packageDir, 'dist', 'umd', 'supabase.js'), 'utf8');
+
+await mkdir(join(root, 'vendor'), { recursive: true });
+await writeFile(
+    join(root, 'vendor', 'supabase.js'),
+    `/* @supabase/supabase-js ${version} (UMD) - generated by scripts/vendor-supabase.js, do not edit */\n${bundle}`
+);
+
+console.log(`Vendored @supabase/supabase-js ${version} to vendor/supabase.js`);
@@ -2,10 +2,11 @@
 console.log('src/client/app.js module is being evaluated');
 
 // Import modules first (these should always work)
-import { initTimer, handleStartTimerClick, handleCircleClick, setTimerDisplay, updateStreak, resetTimerDisplay } from './domains/sessions/index.js';
+import { initTimer, handleStartTimerClick, handleCircleClick, setTimerDisplay, updateStreak, applyMissedDayPenalty, resetTimerDisplay, restoreActiveSession, initSessionRecorder, recordCompletedSession, recordIntentionOutcome, initHistory, initStats, initIntention, askIntentionOutcome, initSummary, showSessionSummary, buildSessionSummary, getTodayProgress } from './domains/sessions/index.js';
 import { initNavigation, showPage, initModal, initMenuInteractions, initTriangle } from './domains/navigation/index.js';
-import { initQuestions } from './domains/reflection/index.js';
-import { initSettings, loadUserData, checkAndMigrateLocalStorage, applyFont } from './domains/users/index.js';
+import { initQuestions, initReflections, initJournalDraft, getJournalDraftText, clearJournalDraft } from './domains/reflection/index.js';
+import { initSettings, initEncryptionPrompt, initTimerDurationSync, checkAndMigrateLocalStorage, applyFont } from './domains/users/index.js';
+import { initSyncQueue } from './services/sync-queue.js';
 import { getDOMElements } from './utils/dom-elements.js';
 import { state, getState, setState } from './state/app-state.js';
 import { handleError, withAsyncErrorHandling, ERROR_SEVERITY } from '../shared/utils/error-handler.js';
@@ -51,22 +52,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize DOM elements cache
     const dom = getDOMElements();
 
-    // Load user data (timer duration, etc.)
+    // Penalize days missed since the last session (once per missed day)
     try {
-        loadUserData();
+        applyMissedDayPenalty();
     } catch (error) {
         handleError(error, {
-            context: { module: 'app.js', function: 'loadUserData' }
+            context: { module: 'app.js', function: 'applyMissedDayPenalty' }
         });
     }
 
     // Initialize all modules
     const moduleInitFunctions = [
+        { fn: initSyncQueue, name: 'initSyncQueue' },
         { fn: initTimer, name: 'initTimer' },
+        { fn: initSessionRecorder, name: 'initSessionRecorder' },
+        { fn: initTimerDurationSync, name: 'initTimerDurationSync' },
+        { fn: initHistory, name: 'initHistory' },
+        { fn: initStats, name: 'initStats' },
+        { fn: initIntention, name: 'initIntention' },
+        { fn: initSummary, name: 'initSummary' },
         { fn: initNavigation, name: 'initNavigation' },
         { fn: initModal, name: 'initModal' },
         { fn: initQuestions, name: 'initQuestions' },
+        { fn: initReflections, name: 'initReflections' },
+        { fn: initJournalDraft, name: 'initJournalDraft' },
         { fn: initSettings, name: 'initSettings' },
+        { fn: initEncryptionPrompt, name: 'initEncryptionPrompt' },
         { fn: initMenuInteractions, name: 'initMenuInteractions' },
         { fn: initTriangle, name: 'initTriangle' }
     ];
@@ -101,8 +112,55 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Handle session finish
     async function finishSession() {
-        updateStreak();
-        await showPage('menu');
+        const durationSeconds = getState('sessionElapsed');
+        const timeline = getState('sessionTimeline');
+        const journalEntry = getJournalDraftText();
+
+        // Read the session before the check-in, which may reset the timer page
+        const intentionText = getState('sessionIntention');
+        const intention = intentionText ? { text: intentionText, met: null } : null;
+
+        // Read before updateStreak, which may grow the duration
+        const timerBefore = getState('timerDuration');
+        const result = await recordCompletedSession(durationSeconds, journalEntry, timeline, intention, timerBefore);
+        if (result.success) {
+            clearJournalDraft();
+        } else {
+            handleError(`Failed to record session: ${result.error}`, {
+                severity: ERROR_SEVERITY.WARNING,
+                context: { module: 'app.js', function: 'finishSession' }
+            });
+        }
+
+        const streakBefore = getState('currentStreak');
+        updateStreak(durationSeconds);
+
+        // Asked once the session and streak are saved, so closing the page during the check-in loses only the answer
+        if (intention) {
+            intention.met = await askIntentionOutcome(intention.text);
+            if (intention.met !== null && result.success) {
+                const outcome = await recordIntentionOutcome(result.data.id, intention.met);
+                if (!outcome.success) {
+                    handleError(`Failed to record intention outcome: ${outcome.error}`, {
+                        severity: ERROR_SEVERITY.WARNING,
+                        context: { module: 'app.js', function: 'finishSession' }
+                    });
+                }
+            }
+        }
+
+        await showSessionSummary(buildSessionSummary({
+            durationSeconds,
+            streakBefore,
+            streakAfter: getState('currentStreak'),
+            timerBefore,
+            timerAfter: getState('timerDuration'),
+            intention,
+            journalEntry,
+            dailyGoal: getState('dailyGoalEnabled')
+                ? { seconds: getTodayProgress().seconds, goal: timerBefore }
+                : null
+        }));
     }
 
     // Register dependencies in module registry (replaces window.* pattern)
@@ -115,6 +173,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     moduleRegistry.register('handleCircleClick', handleCircleClick);
     moduleRegistry.register('checkAndMigrateLocalStorage', checkAndMigrateLocalStorage);
 
+    // Resume a session that was running or paused before a reload
+    try {
+        await restoreActiveSession();
+    } catch (error) {
+        handleError(error, {
+            context: { module: 'app.js', function: 'restoreActiveSession' }
+        });
+    }
+
     // Window fallbacks removed - button handlers now use moduleRegistry and direct imports
     // Only keep essential window properties for backward compatibility if needed
 
@@ -27,7 +27,7 @@ export function initMenuInteractions() {
 }
 
 /**
- * Initialize button positions - Questions at top, Settings/Feedback at bottom
+ * Initialize button positions - Questions at top, History/Stats in the middle, Settings/Feedback at bottom
  */
 function initButtonPositions() {
     const centerX = window.innerWidth / 2;
@@ -41,6 +41,14 @@ function initButtonPositions() {
             // Questions at top center
             x = centerX - BUTTON_HALF;
             y = window.innerHeight * 0.15;
+        } else if (btnId === 'btn-history') {
+            // History at middle left
+            x = Math.max(20, centerX - BUTTON_SIZE * 2 - 30);
+            y = window.innerHeight * 0.45;
+        } else if (btnId === 'btn-stats') {
+            // Stats at middle right
+            x = Math.min(window.innerWidth - BUTTON_SIZE - 20, centerX + BUTTON_SIZE + 30);
+            y = window.innerHeight * 0.45;
         } else if (btnId === 'btn-settings') {
             // Settings at bottom left
             x = centerX - BUTTON_SIZE - 30;
@@ -141,6 +141,30 @@ export async function showPage(pageName) {
         });
     }
 
+    // Handle history page rendering
+    if (pageName === PAGES.HISTORY) {
+        const renderHistoryPage = moduleRegistry.get('renderHistoryPage');
+        if (renderHistoryPage) {
+            await renderHistoryPage();
+        }
+    }
+
+    // Handle reflection archive rendering
+    if (pageName === PAGES.REFLECTIONS) {
+        const renderReflectionsPage = moduleRegistry.get('renderReflectionsPage');
+        if (renderReflectionsPage) {
+            await renderReflectionsPage();
+        }
+    }
+
+    // Handle stats page rendering
+    if (pageName === PAGES.STATS) {
+        const renderStatsPage = moduleRegistry.get('renderStatsPage');
+        if (renderStatsPage) {
+            await renderStatsPage();
+        }
+    }
+
     // Handle menu page animations
     if (pageName === PAGES.MENU) {
         console.log('showPage: Handling menu page animations');
@@ -0,0 +1,58 @@
+/**
+ * Answers kept on this device
+ *
+ * Reads and edits the repository's device history (see
+ * services/repository/history-store.js) with the pure helpers of
+ * utils/reflection-archive.js.
+ *
+ * @typedef {import('../../../shared/domains/reflection/types.js').HistoryEntry} HistoryEntry
+ * @typedef {import('../../../shared/domains/reflection/types.js').QuestionType} QuestionType
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ */
+
+import { getRepository } from '../../services/repository/index.js';
+import { addHistoryAnswer } from './utils/reflection-archive.js';
+
+/**
+ * Read the answers kept on this device
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @returns {Promise<APIResponse<HistoryEntry[]>>}
+ */
+export function loadDeviceHistory({ repository = getRepository() } = {}) {
+    return repository.history.list();
+}
+
+/**
+ * Read, change and save the answers kept on this device
+ * @param {(history: HistoryEntry[]) => HistoryEntry[]} change - Returns the updated copy
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @returns {Promise<APIResponse<null>>}
+ */
+export async function updateDeviceHistory(change, { repository = getRepository() } = {}) {
+    const history = await repository.history.list();
+    if (!history.success) return history;
+    return repository.history.save(change(history.data));
+}
+
+/**
+ * Keep a copy of an answer on this device
+ * @param {{question_type: QuestionType, response_text: string, created_at?: string}} response
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @returns {Promise<APIResponse<null>>}
+ */
+export async function keepAnswerOnDevice(response, { repository = getRepository() } = {}) {
+    let stored = true;
+    const result = await updateDeviceHistory(history => {
+        const updated = addHistoryAnswer(history, { ...response, created_at: response.created_at || new Date().toISOString() });
+        stored = updated !== null;
+        return updated || history;
+    }, { repository });
+    if (result.success && !stored) {
+        return { success: false, error: `Answers to ${response.question_type} can't be kept on this device` };
+    }
+    return result;
+}
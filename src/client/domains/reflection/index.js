@@ -3,4 +3,8 @@
  */
 
 export { initQuestions } from './questions-ui.js';
+export { initReflections, loadReflectionEntries } from './reflections-ui.js';
+export { getQuestionByType, SESSION_REFLECTION_TYPE } from './question-catalog.js';
+export { keepAnswerOnDevice } from './answer-history.js';
+export { initJournalDraft, getJournalDraftText, clearJournalDraft } from './journal-draft.js';
 
@@ -0,0 +1,130 @@
+/**
+ * Journal draft autosave for the timer page
+ *
+ * Keeps the #journal-entry text in localStorage while the user types so a
+ * reload doesn't lose it. The draft is cleared once the session that owns it
+ * has been recorded.
+ *
+ * @typedef {import('../../../shared/domains/reflection/types.js').JournalDraft} JournalDraft
+ */
+
+import { getDOMElements } from '../../utils/dom-elements.js';
+import { STORAGE_KEYS, JOURNAL } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+
+let dom = null;
+let saveTimeout = null;
+let isInitialized = false;
+
+/**
+ * Initialize journal draft module
+ * Restores any saved draft and starts autosaving
+ * @returns {void}
+ */
+export function initJournalDraft() {
+    dom = getDOMElements();
+    const journalEntry = dom.display.journalEntry;
+    if (!journalEntry || isInitialized) return;
+    isInitialized = true;
+
+    // Recover draft from a previous visit
+    const draft = loadJournalDraft();
+    if (draft && !journalEntry.value) {
+        journalEntry.value = draft.text;
+    }
+
+    journalEntry.addEventListener('input', scheduleDraftSave);
+    journalEntry.addEventListener('blur', saveDraftNow);
+    window.addEventListener('pagehide', saveDraftNow);
+}
+
+/**
+ * Read the saved draft from localStorage
+ * @returns {JournalDraft|null}
+ */
+function loadJournalDraft() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEYS.JOURNAL_DRAFT);
+        if (!stored) return null;
+        const draft = JSON.parse(stored);
+        return draft && typeof draft.text === 'string' ? draft : null;
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'journal-draft.js', function: 'loadJournalDraft' }
+        });
+        return null;
+    }
+}
+
+/**
+ * Debounce draft saves while the user is typing
+ * @returns {void}
+ */
+function scheduleDraftSave() {
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+    }
+    saveTimeout = setTimeout(saveDraftNow, JOURNAL.AUTOSAVE_DELAY);
+}
+
+/**
+ * Save the current textarea contents immediately
+ * @returns {void}
+ */
+function saveDraftNow() {
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+        saveTimeout = null;
+    }
+    if (!dom?.display.journalEntry) return;
+
+    const text = dom.display.journalEntry.value;
+    try {
+        if (text.trim()) {
+            /** @type {JournalDraft} */
+            const draft = { text, updatedAt: new Date().toISOString() };
+            localStorage.setItem(STORAGE_KEYS.JOURNAL_DRAFT, JSON.stringify(draft));
+        } else {
+            localStorage.removeItem(STORAGE_KEYS.JOURNAL_DRAFT);
+        }
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'journal-draft.js', function: 'saveDraftNow' }
+        });
+    }
+}
+
+/**
+ * Get the final journal text for the current session
+ * Saves the draft first so nothing typed since the last autosave is lost
+ * @returns {string|null} Trimmed journal text, or null if empty
+ */
+export function getJournalDraftText() {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    saveDraftNow();
+
+    const text = dom.display.journalEntry?.value ?? loadJournalDraft()?.text ?? '';
+    return text.trim() || null;
+}
+
+/**
+ * Clear the draft after it has been committed to a session
+ * @returns {void}
+ */
+export function clearJournalDraft() {
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+        saveTimeout = null;
+    }
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    if (dom.display.journalEntry) {
+        dom.display.journalEntry.value = '';
+    }
+    localStorage.removeItem(STORAGE_KEYS.JOURNAL_DRAFT);
+}
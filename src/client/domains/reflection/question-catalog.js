@@ -0,0 +1,127 @@
+/**
+ * Reflection question catalog
+ *
+ * Every item in the questions flow is defined here. The questions UI renders
+ * the flow from this list, so adding a daily prompt is a matter of adding an
+ * entry rather than markup and a click handler.
+ *
+ * Input types:
+ * - 'text'     - single-line answer, submitted on Enter or blur
+ * - 'textarea' - multi-line answer, submitted on Ctrl/Cmd+Enter or blur
+ * - 'sequence' - lines of explanation revealed one after another
+ * - 'list'     - short items revealed in quick succession
+ * - 'page'     - opens another page
+ *
+ * Animations:
+ * - 'slide-to-top' - other questions fade out and this one slides to the top
+ * - 'fade-out'     - all questions fade out before the flow appears
+ *
+ * @typedef {import('../../../shared/domains/reflection/types.js').QuestionDefinition} QuestionDefinition
+ * @typedef {import('../../../shared/domains/reflection/types.js').QuestionType} QuestionType
+ */
+
+import { PAGES } from '../../../shared/constants.js';
+
+/** @type {ReadonlyArray<QuestionDefinition>} */
+export const QUESTION_CATALOG = Object.freeze([
+    {
+        id: 'how-it-works',
+        prompt: 'How does this work?',
+        input: 'sequence',
+        animation: 'fade-out',
+        stagger: 1000,
+        lines: [
+            'Every day that you complete a focus session on Better Life, the timer will increase by 10 minutes.',
+            'If you miss a day, the number will drop by 10 minutes. The minimum is 10 minutes.',
+            'How high can you get the number?'
+        ]
+    },
+    {
+        id: 'better-today',
+        prompt: 'How did you make your life better today?',
+        label: 'Better today',
+        input: 'text',
+        animation: 'slide-to-top',
+        questionType: 'better_today',
+        storageKey: 'betterToday',
+        placeholder: 'Write here...'
+    },
+    {
+        id: 'better-life-meaning',
+        prompt: 'What does a better life mean to you?',
+        label: 'A better life',
+        input: 'text',
+        animation: 'slide-to-top',
+        questionType: 'life_meaning',
+        storageKey: 'meaning',
+        placeholder: 'Write here...'
+    },
+    {
+        id: 'advice',
+        prompt: 'Looking for advice?',
+        input: 'list',
+        animation: 'slide-to-top',
+        stagger: 300,
+        lines: ['Active not Passive', 'Journal', 'Exercise', 'Meditation', 'Planning', 'Writing', 'Drawing', 'Music']
+    },
+    {
+        id: 'reflections',
+        prompt: 'What have I written before?',
+        input: 'page',
+        animation: 'fade-out',
+        page: PAGES.REFLECTIONS
+    }
+]);
+
+/** Response type of reflections saved from the session summary page */
+export const SESSION_REFLECTION_TYPE = 'session_reflection';
+
+/**
+ * Reflections saved from the session summary page
+ * Not part of the questions flow, but archived and filtered like its answers
+ * @type {Readonly<QuestionDefinition>}
+ */
+export const SESSION_REFLECTION = Object.freeze({
+    id: 'session-reflection',
+    prompt: 'What did you reflect on after your sessions?',
+    label: 'Session reflections',
+    input: 'textarea',
+    animation: 'fade-out',
+    questionType: SESSION_REFLECTION_TYPE,
+    storageKey: 'sessionReflection'
+});
+
+/**
+ * Look up a catalog entry by id
+ * @param {string} id
+ * @returns {QuestionDefinition|null}
+ */
+export function getQuestionById(id) {
+    return QUESTION_CATALOG.find(question => question.id === id) || null;
+}
+
+/**
+ * Look up the entry that stores answers under a question type
+ * Includes session reflections
+ * @param {QuestionType} questionType
+ * @returns {QuestionDefinition|null}
+ */
+export function getQuestionByType(questionType) {
+    return getArchivedQuestions().find(question => question.questionType === questionType) || null;
+}
+
+/**
+ * Catalog entries that collect an answer
+ * @returns {QuestionDefinition[]}
+ */
+export function getAnswerableQuestions() {
+    return QUESTION_CATALOG.filter(question => Boolean(question.questionType));
+}
+
+/**
+ * Everything with saved answers: catalog questions, then session reflections
+ * @returns {QuestionDefinition[]}
+ */
+export function getArchivedQuestions() {
+    return [...getAnswerableQuestions(), SESSION_REFLECTION];
+}
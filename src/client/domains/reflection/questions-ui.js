@@ -1,17 +1,29 @@
 /**
  * Questions flow and interactions
- * 
- * @typedef {import('../../../shared/domains/reflection/types.js').QuestionType} QuestionType
- * @typedef {import('../../../shared/domains/reflection/types.js').HistoryEntry} HistoryEntry
+ *
+ * The flow is rendered from the question catalog: each entry gets a
+ * clickable item in #questions-flow and, unless it opens another page, its
+ * own flow container with an input or lines of text.
+ *
+ * @typedef {import('../../../shared/domains/reflection/types.js').QuestionDefinition} QuestionDefinition
  */
 
 import { getDOMElements } from '../../utils/dom-elements.js';
 import { showPage } from '../navigation/routing.js';
-import * as supabaseModule from '../../services/supabase-client.js';
+import { queueWrite } from '../../services/sync-queue.js';
 import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { QUESTION_CATALOG } from './question-catalog.js';
+import { keepAnswerOnDevice } from './answer-history.js';
 
 let dom = null;
 let questionsTimeouts = [];
+let isSubmitting = false;
+
+/**
+ * Rendered elements for each catalog entry
+ * @type {Map<string, {item: HTMLElement, flow: HTMLElement|null, input: HTMLInputElement|HTMLTextAreaElement|null, lines: HTMLElement[]}>}
+ */
+const questionElements = new Map();
 
 /**
  * Initialize questions module
@@ -19,16 +31,15 @@ let questionsTimeouts = [];
  */
 export function initQuestions() {
     dom = getDOMElements();
-    
+    if (!dom.questionsFlow || questionElements.size > 0) return;
+
+    renderQuestionCatalog();
+
     // Set up event listeners
     dom.buttons.questions.addEventListener('click', handleQuestionsClick);
-    dom.qHowItWorks.addEventListener('click', handleHowItWorksClick);
-    dom.qBetterToday.addEventListener('click', handleBetterTodayClick);
-    dom.qBetterLifeMeaning.addEventListener('click', handleBetterLifeMeaningClick);
-    dom.qAdvice.addEventListener('click', handleAdviceClick);
-    
+
     // Add background click listeners to all flows
-    [dom.questionsFlow, dom.howItWorksFlow, dom.betterTodayFlow, dom.betterLifeMeaningFlow, dom.adviceFlow].forEach(flow => {
+    [dom.questionsFlow, ...getFlowElements()].forEach(flow => {
         flow.addEventListener('click', (e) => {
             // Only trigger if clicking the background (the flow container itself)
             if (e.target === flow) {
@@ -36,41 +47,108 @@ export function initQuestions() {
             }
         });
     });
-    
-    // Handle input submissions
-    dom.betterTodayInput.addEventListener('blur', handleBetterTodaySubmit);
-    dom.betterTodayInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            handleBetterTodaySubmit();
+}
+
+/**
+ * Build question items and flows from the catalog
+ * @returns {void}
+ */
+function renderQuestionCatalog() {
+    const flowsFragment = document.createDocumentFragment();
+
+    QUESTION_CATALOG.forEach((question, index) => {
+        const item = document.createElement('div');
+        item.id = `q-${question.id}`;
+        item.className = `question-item q${index + 1} clickable`;
+        item.textContent = question.prompt;
+        item.addEventListener('click', () => handleQuestionClick(question));
+        dom.questionsFlow.appendChild(item);
+
+        const flow = createQuestionFlow(question);
+        if (flow) {
+            flowsFragment.appendChild(flow.element);
         }
+        questionElements.set(question.id, {
+            item,
+            flow: flow?.element || null,
+            input: flow?.input || null,
+            lines: flow?.lines || []
+        });
     });
-    
-    dom.betterLifeMeaningInput.addEventListener('blur', handleBetterLifeMeaningSubmit);
-    dom.betterLifeMeaningInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            handleBetterLifeMeaningSubmit();
+
+    // Flows sit next to #questions-flow so they overlay the menu page
+    dom.questionsFlow.after(flowsFragment);
+}
+
+/**
+ * Create the flow container for a catalog entry
+ * @param {QuestionDefinition} question
+ * @returns {{element: HTMLElement, input: HTMLInputElement|HTMLTextAreaElement|null, lines: HTMLElement[]}|null}
+ */
+function createQuestionFlow(question) {
+    if (question.input === 'page') return null;
+
+    const element = document.createElement('div');
+    element.id = `${question.id}-flow`;
+    element.className = `question-flow question-flow-${question.input} hidden`;
+
+    if (question.input === 'text' || question.input === 'textarea') {
+        const input = document.createElement(question.input === 'text' ? 'input' : 'textarea');
+        if (question.input === 'text') {
+            input.type = 'text';
         }
+        input.id = `${question.id}-input`;
+        input.className = 'borderless-input';
+        input.placeholder = question.placeholder || 'Write here...';
+
+        input.addEventListener('blur', () => handleAnswerSubmit(question));
+        input.addEventListener('keydown', (e) => {
+            const submitsOnEnter = question.input === 'text' || e.ctrlKey || e.metaKey;
+            if (e.key === 'Enter' && submitsOnEnter) {
+                e.preventDefault();
+                handleAnswerSubmit(question);
+            }
+        });
+
+        element.appendChild(input);
+        return { element, input, lines: [] };
+    }
+
+    const lineClass = question.input === 'sequence' ? 'explain-item' : 'advice-item';
+    const lines = (question.lines || []).map(text => {
+        const line = document.createElement('div');
+        line.className = lineClass;
+        line.textContent = text;
+        element.appendChild(line);
+        return line;
     });
+    return { element, input: null, lines };
 }
 
 /**
- * Reset to initial menu page view
+ * Get all rendered flow containers
+ * @returns {HTMLElement[]}
  */
-function resetToMenuPage() {
-    // Clear all pending timeouts
-    questionsTimeouts.forEach(id => clearTimeout(id));
-    questionsTimeouts = [];
-    // Hide all flows
-    dom.questionsFlow.classList.add('hidden');
-    dom.questionsFlow.classList.remove('fade-out');
-    dom.questionsFlow.classList.remove('fade-others');
-    dom.howItWorksFlow.classList.add('hidden');
-    dom.betterTodayFlow.classList.add('hidden');
-    dom.betterLifeMeaningFlow.classList.add('hidden');
-    dom.adviceFlow.classList.add('hidden');
+function getFlowElements() {
+    return [...questionElements.values()].map(({ flow }) => flow).filter(Boolean);
+}
+
+/**
+ * Schedule a step of the flow animation so it can be cancelled on reset
+ * @param {Function} callback
+ * @param {number} delay - Milliseconds
+ * @returns {void}
+ */
+function scheduleStep(callback, delay) {
+    questionsTimeouts.push(setTimeout(callback, delay));
+}
 
-    // Reset all question/explain items
-    dom.questionItems.forEach(item => {
+/**
+ * Reset question items to their initial state
+ * @returns {void}
+ */
+function resetQuestionItems() {
+    questionElements.forEach(({ item }) => {
         item.classList.remove('show');
         item.classList.remove('slide-to-top');
         item.classList.remove('keep-visible');
@@ -78,10 +156,13 @@ function resetToMenuPage() {
         // Reset all inline styles
         item.style.cssText = '';
     });
-    dom.explainItems.forEach(item => item.classList.remove('show'));
-    dom.adviceItems.forEach(item => item.classList.remove('show'));
-    dom.betterTodayInput.classList.remove('show');
-    dom.betterLifeMeaningInput.classList.remove('show');
+}
+
+/**
+ * Reset to initial menu page view
+ */
+function resetToMenuPage() {
+    resetQuestionFlows();
 
     // Remove fade-out from menu content
     dom.menuContent.classList.remove('fade-out');
@@ -90,6 +171,26 @@ function resetToMenuPage() {
     showPage('menu');
 }
 
+/**
+ * Hide all question flows and reset their items
+ */
+function resetQuestionFlows() {
+    // Clear all pending timeouts
+    questionsTimeouts.forEach(id => clearTimeout(id));
+    questionsTimeouts = [];
+    // Hide all flows
+    dom.questionsFlow.classList.add('hidden');
+    dom.questionsFlow.classList.remove('fade-out');
+    dom.questionsFlow.classList.remove('fade-others');
+
+    resetQuestionItems();
+    questionElements.forEach(({ flow, input, lines }) => {
+        flow?.classList.add('hidden');
+        input?.classList.remove('show');
+        lines.forEach(line => line.classList.remove('show'));
+    });
+}
+
 /**
  * Handle questions button click
  */
@@ -101,228 +202,148 @@ function handleQuestionsClick() {
     // Reset questions state before starting
     dom.questionsFlow.classList.remove('fade-out');
     dom.questionsFlow.classList.remove('fade-others');
-    dom.questionItems.forEach(item => {
-        item.classList.remove('show');
-        item.classList.remove('slide-to-top');
-        item.classList.remove('keep-visible');
-        item.classList.remove('at-top');
-        // Reset all inline styles
-        item.style.cssText = '';
-    });
+    resetQuestionItems();
 
     // Fade out menu content
     dom.menuContent.classList.add('fade-out');
 
     // After fade out, show questions flow
-    const mainTimeout = setTimeout(() => {
+    scheduleStep(() => {
         dom.questionsFlow.classList.remove('hidden');
 
         // Force reflow before adding show classes
         void dom.questionsFlow.offsetWidth;
 
+        const items = [...questionElements.values()].map(({ item }) => item);
+
         // Force reflow on each item too
-        dom.questionItems.forEach(item => {
+        items.forEach(item => {
             void item.offsetWidth;
         });
 
         // Fade in questions one at a time (start with 50ms delay for first)
-        dom.questionItems.forEach((item, index) => {
-            const itemTimeout = setTimeout(() => {
+        items.forEach((item, index) => {
+            scheduleStep(() => {
                 item.classList.add('show');
             }, 50 + index * 800); // 800ms delay between each question
-            questionsTimeouts.push(itemTimeout);
         });
     }, 1000); // Wait for fade out to complete
-    questionsTimeouts.push(mainTimeout);
 }
 
 /**
- * Handle "How does this work?" question click
+ * Handle a click on a catalog question
+ * @param {QuestionDefinition} question
+ * @returns {void}
  */
-function handleHowItWorksClick() {
+function handleQuestionClick(question) {
+    const { item } = questionElements.get(question.id);
+
+    if (question.animation === 'slide-to-top') {
+        // Keep this question visible while fading others
+        item.classList.add('keep-visible');
+        dom.questionsFlow.classList.add('fade-others');
+
+        // After other questions fade out, slide this one to top
+        scheduleStep(() => {
+            // Get current position before changing to fixed
+            const rect = item.getBoundingClientRect();
+
+            // Set to fixed at current position
+            item.style.top = rect.top + 'px';
+            item.classList.add('slide-to-top');
+
+            // Force reflow, then animate to top
+            void item.offsetWidth;
+            item.classList.add('at-top');
+
+            // After slide animation, show the question's flow
+            scheduleStep(() => openQuestionFlow(question), 1000); // Wait for slide to complete
+        }, 1000); // Wait for fade out to complete
+        return;
+    }
+
     // Fade out questions
     dom.questionsFlow.classList.add('fade-out');
 
-    // After fade out, show how it works flow
-    setTimeout(() => {
+    // After fade out, show the question's flow
+    scheduleStep(() => {
         dom.questionsFlow.classList.add('hidden');
-        dom.howItWorksFlow.classList.remove('hidden');
-
-        // Fade in explanation lines one at a time
-        dom.explainItems.forEach((item, index) => {
-            setTimeout(() => {
-                item.classList.add('show');
-            }, index * 1000); // 1s delay between each line
-        });
+        openQuestionFlow(question);
     }, 1000); // Wait for fade out to complete
 }
 
 /**
- * Handle "How did you make your life better today?" question click
+ * Show the flow for a question once the questions have moved out of the way
+ * @param {QuestionDefinition} question
+ * @returns {void}
  */
-function handleBetterTodayClick() {
-    // Keep this question visible while fading others
-    dom.qBetterToday.classList.add('keep-visible');
-    dom.questionsFlow.classList.add('fade-others');
-
-    // After other questions fade out, slide this one to top
-    setTimeout(() => {
-        // Get current position before changing to fixed
-        const rect = dom.qBetterToday.getBoundingClientRect();
-
-        // Set to fixed at current position
-        dom.qBetterToday.style.top = rect.top + 'px';
-        dom.qBetterToday.classList.add('slide-to-top');
-
-        // Force reflow, then animate to top
-        void dom.qBetterToday.offsetWidth;
-        dom.qBetterToday.classList.add('at-top');
-
-        // After slide animation, show input
-        setTimeout(() => {
-            dom.betterTodayFlow.classList.remove('hidden');
-
-            // Fade in the input
-            setTimeout(() => {
-                dom.betterTodayInput.classList.add('show');
-                dom.betterTodayInput.focus();
-            }, 100);
-        }, 1000); // Wait for slide to complete
-    }, 1000); // Wait for fade out to complete
-}
+function openQuestionFlow(question) {
+    if (question.input === 'page') {
+        resetQuestionFlows();
+        showPage(question.page);
+        return;
+    }
 
-/**
- * Handle "What does a better life mean to you?" question click
- */
-function handleBetterLifeMeaningClick() {
-    // Keep this question visible while fading others
-    dom.qBetterLifeMeaning.classList.add('keep-visible');
-    dom.questionsFlow.classList.add('fade-others');
-
-    // After other questions fade out, slide this one to top
-    setTimeout(() => {
-        // Get current position before changing to fixed
-        const rect = dom.qBetterLifeMeaning.getBoundingClientRect();
-
-        // Set to fixed at current position
-        dom.qBetterLifeMeaning.style.top = rect.top + 'px';
-        dom.qBetterLifeMeaning.classList.add('slide-to-top');
-
-        // Force reflow, then animate to top
-        void dom.qBetterLifeMeaning.offsetWidth;
-        dom.qBetterLifeMeaning.classList.add('at-top');
-
-        // After slide animation, show input
-        setTimeout(() => {
-            dom.betterLifeMeaningFlow.classList.remove('hidden');
-
-            // Fade in the input
-            setTimeout(() => {
-                dom.betterLifeMeaningInput.classList.add('show');
-                dom.betterLifeMeaningInput.focus();
-            }, 100);
-        }, 1000); // Wait for slide to complete
-    }, 1000); // Wait for fade out to complete
-}
+    const { flow, input, lines } = questionElements.get(question.id);
+    flow.classList.remove('hidden');
 
-/**
- * Handle "Looking for advice?" question click
- */
-function handleAdviceClick() {
-    // Keep this question visible while fading others
-    dom.qAdvice.classList.add('keep-visible');
-    dom.questionsFlow.classList.add('fade-others');
-
-    // After other questions fade out, slide this one to top
-    setTimeout(() => {
-        // Get current position before changing to fixed
-        const rect = dom.qAdvice.getBoundingClientRect();
-
-        // Set to fixed at current position
-        dom.qAdvice.style.top = rect.top + 'px';
-        dom.qAdvice.classList.add('slide-to-top');
-
-        // Force reflow, then animate to top
-        void dom.qAdvice.offsetWidth;
-        dom.qAdvice.classList.add('at-top');
-
-        // After slide animation, show advice items
-        setTimeout(() => {
-            dom.adviceFlow.classList.remove('hidden');
-
-            // Fade in the advice items one at a time
-            dom.adviceItems.forEach((item, index) => {
-                setTimeout(() => {
-                    item.classList.add('show');
-                }, index * 300); // 300ms delay between each item
-            });
-        }, 1000); // Wait for slide to complete
-    }, 1000); // Wait for fade out to complete
+    if (input) {
+        // Fade in the input
+        scheduleStep(() => {
+            input.classList.add('show');
+            input.focus();
+        }, 100);
+        return;
+    }
+
+    // Fade in the lines one at a time
+    lines.forEach((line, index) => {
+        scheduleStep(() => {
+            line.classList.add('show');
+        }, index * (question.stagger ?? 300));
+    });
 }
 
 /**
- * Handle better today input submission
+ * Handle an answer submission
+ * @param {QuestionDefinition} question
  * @returns {Promise<void>}
  */
-async function handleBetterTodaySubmit() {
-    const value = dom.betterTodayInput.value.trim();
-    if (value) {
-        const result = await supabaseModule.saveResponse('better_today', value);
-        
+async function handleAnswerSubmit(question) {
+    const { input } = questionElements.get(question.id);
+    const value = input.value.trim();
+    // Enter is followed by blur once the flow closes; only submit once
+    if (!value || isSubmitting) return;
+
+    isSubmitting = true;
+    try {
+        // Queued so a flaky connection can't lose the answer
+        // Both copies share one timestamp so later edits can find the device copy
+        const createdAt = new Date().toISOString();
+        const result = await queueWrite('saveResponse', {
+            question_type: question.questionType,
+            response_text: value,
+            created_at: createdAt
+        });
+
         if (result.success) {
-            // Save to localStorage as backup
-            /** @type {HistoryEntry[]} */
-            const history = JSON.parse(localStorage.getItem('bl_history') || '[]');
-            /** @type {HistoryEntry} */
-            const entry = {
-                date: new Date().toISOString(),
-                betterToday: value
-            };
-            history.push(entry);
-            localStorage.setItem('bl_history', JSON.stringify(history));
-            
-            // Clear input and reset
-            dom.betterTodayInput.value = '';
-            resetToMenuPage();
-        } else {
-            handleError(`Error saving response: ${result.error}`, {
-                severity: ERROR_SEVERITY.ERROR,
-                context: { module: 'questions-ui.js', function: 'handleBetterTodaySubmit' }
+            // Keep a copy on this device as backup
+            await keepAnswerOnDevice({
+                question_type: question.questionType,
+                response_text: value,
+                created_at: createdAt
             });
-        }
-    }
-}
 
-/**
- * Handle better life meaning input submission
- * @returns {Promise<void>}
- */
-async function handleBetterLifeMeaningSubmit() {
-    const value = dom.betterLifeMeaningInput.value.trim();
-    if (value) {
-        const result = await supabaseModule.saveResponse('life_meaning', value);
-        
-        if (result.success) {
-            // Save to localStorage as backup
-            /** @type {HistoryEntry[]} */
-            const history = JSON.parse(localStorage.getItem('bl_history') || '[]');
-            /** @type {HistoryEntry} */
-            const entry = {
-                date: new Date().toISOString(),
-                meaning: value
-            };
-            history.push(entry);
-            localStorage.setItem('bl_history', JSON.stringify(history));
-            
             // Clear input and reset
-            dom.betterLifeMeaningInput.value = '';
+            input.value = '';
             resetToMenuPage();
         } else {
             handleError(`Error saving response: ${result.error}`, {
                 severity: ERROR_SEVERITY.ERROR,
-                context: { module: 'questions-ui.js', function: 'handleBetterTodaySubmit' }
+                context: { module: 'questions-ui.js', function: 'handleAnswerSubmit', data: { questionType: question.questionType } }
             });
         }
+    } finally {
+        isSubmitting = false;
     }
 }
-
@@ -0,0 +1,366 @@
+/**
+ * Reflection archive page
+ *
+ * Shows past answers to the reflection questions, one question at a time,
+ * with search and inline edit/delete. Signed-in users work against the
+ * repository's responses; anonymous users see the answers saved on this device.
+ *
+ * @typedef {import('../../../shared/domains/reflection/types.js').QuestionType} QuestionType
+ * @typedef {import('../../../shared/domains/reflection/types.js').ReflectionEntry} ReflectionEntry
+ * @typedef {import('../../../shared/domains/reflection/types.js').HistoryEntry} HistoryEntry
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ */
+
+import { getDOMElements } from '../../utils/dom-elements.js';
+import { moduleRegistry } from '../../utils/module-registry.js';
+import { getRepository } from '../../services/repository/index.js';
+import { PAGES, CSS_CLASSES } from '../../../shared/constants.js';
+import { addClass, removeClass } from '../../utils/dom-helpers.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import {
+    historyToReflections,
+    filterReflections,
+    isLocalEntryId,
+    updateHistoryAnswer,
+    removeHistoryAnswer,
+    findDeviceCopyId
+} from './utils/reflection-archive.js';
+import { loadDeviceHistory, updateDeviceHistory } from './answer-history.js';
+import { getArchivedQuestions, getQuestionByType, SESSION_REFLECTION_TYPE } from './question-catalog.js';
+
+let dom = null;
+let isInitialized = false;
+
+/** @type {ReflectionEntry[]} */
+let entries = [];
+/** @type {QuestionType} */
+let activeQuestionType = getArchivedQuestions()[0]?.questionType ?? null;
+let searchQuery = '';
+/** @type {string|null} */
+let editingId = null;
+
+/**
+ * Initialize reflection archive page
+ * @returns {void}
+ */
+export function initReflections() {
+    dom = getDOMElements();
+    if (isInitialized) return;
+    isInitialized = true;
+
+    renderQuestionFilters();
+
+    dom.reflectionsSearch?.addEventListener('input', () => {
+        searchQuery = dom.reflectionsSearch.value;
+        renderReflectionList();
+    });
+
+    // Entry buttons are re-rendered, so delegate from the list
+    dom.display.reflectionsList?.addEventListener('click', handleListClick);
+
+    dom.buttons.reflectionsBack?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const showPage = moduleRegistry.get('showPage');
+        if (showPage) {
+            await showPage(PAGES.MENU);
+        }
+    });
+
+    // Called by routing when the reflections page is shown
+    moduleRegistry.register('renderReflectionsPage', renderReflectionsPage);
+}
+
+/**
+ * Load answers and render the archive
+ * @returns {Promise<void>}
+ */
+export async function renderReflectionsPage() {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    entries = [];
+    editingId = null;
+    searchQuery = '';
+    if (dom.reflectionsSearch) {
+        dom.reflectionsSearch.value = '';
+    }
+    dom.display.reflectionsList?.replaceChildren();
+    setActiveQuestionType(activeQuestionType);
+    setReflectionsStatus('Loading...');
+
+    try {
+        const result = await loadReflectionEntries();
+        if (!result.success) {
+            setReflectionsStatus('Could not load your answers. Please try again.');
+            return;
+        }
+        entries = result.data;
+        renderReflectionList();
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'reflections-ui.js', function: 'renderReflectionsPage' }
+        });
+        setReflectionsStatus('Could not load your answers. Please try again.');
+    }
+}
+
+/**
+ * Load every saved answer
+ * From the repository when signed in, otherwise from this device
+ * @returns {Promise<APIResponse<ReflectionEntry[]>>}
+ */
+export async function loadReflectionEntries() {
+    const repository = getRepository();
+    if (repository.isReady()) {
+        return repository.responses.list();
+    }
+    const history = await loadDeviceHistory({ repository });
+    if (!history.success) return history;
+    return { success: true, data: historyToReflections(history.data) };
+}
+
+/**
+ * Render one filter button per answerable catalog question, plus session reflections
+ * @returns {void}
+ */
+function renderQuestionFilters() {
+    const container = dom.reflectionsFilters;
+    if (!container) return;
+
+    const buttons = getArchivedQuestions().map(question => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'reflections-filter';
+        button.dataset.questionType = question.questionType;
+        button.textContent = question.label || question.prompt;
+        button.addEventListener('click', () => {
+            setActiveQuestionType(question.questionType);
+        });
+        return button;
+    });
+    container.replaceChildren(...buttons);
+}
+
+/**
+ * Switch the question being shown
+ * @param {QuestionType} questionType
+ * @returns {void}
+ */
+function setActiveQuestionType(questionType) {
+    if (!questionType) return;
+    activeQuestionType = questionType;
+    editingId = null;
+    if (dom.display.reflectionsQuestion) {
+        dom.display.reflectionsQuestion.textContent = getQuestionByType(questionType)?.prompt || '';
+    }
+    dom.reflectionsFilters?.querySelectorAll('.reflections-filter').forEach(button => {
+        if (button.dataset.questionType === questionType) {
+            addClass(button, 'active');
+        } else {
+            removeClass(button, 'active');
+        }
+    });
+    renderReflectionList();
+}
+
+/**
+ * Render the entries matching the current question and search
+ * @returns {void}
+ */
+function renderReflectionList() {
+    const list = dom.display.reflectionsList;
+    if (!list) return;
+
+    const visible = filterReflections(entries, { questionType: activeQuestionType, query: searchQuery });
+    const fragment = document.createDocumentFragment();
+    visible.forEach(entry => {
+        fragment.appendChild(createReflectionEntry(entry));
+    });
+    list.replaceChildren(fragment);
+
+    if (visible.length > 0) {
+        setReflectionsStatus('');
+    } else if (searchQuery.trim()) {
+        setReflectionsStatus('No answers match your search.');
+    } else if (activeQuestionType === SESSION_REFLECTION_TYPE) {
+        setReflectionsStatus('No reflections yet. Save one on the summary after a session.');
+    } else {
+        setReflectionsStatus('No answers yet. Answer this question from the Questions menu.');
+    }
+}
+
+/**
+ * Create the element for a single answer
+ * @param {ReflectionEntry} entry
+ * @returns {HTMLElement}
+ */
+function createReflectionEntry(entry) {
+    const item = document.createElement('article');
+    item.className = 'reflection-entry';
+    item.dataset.id = entry.id;
+
+    const meta = document.createElement('div');
+    meta.className = 'reflection-entry-meta';
+    meta.textContent = new Date(entry.created_at).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    item.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'reflection-entry-actions';
+
+    if (entry.id === editingId) {
+        const editor = document.createElement('textarea');
+        editor.className = 'reflection-entry-editor';
+        editor.value = entry.response_text;
+        item.appendChild(editor);
+        actions.append(createActionButton('save', 'Save'), createActionButton('cancel', 'Cancel'));
+    } else {
+        const text = document.createElement('p');
+        text.className = 'reflection-entry-text';
+        text.textContent = entry.response_text;
+        item.appendChild(text);
+        actions.append(createActionButton('edit', 'Edit'), createActionButton('delete', 'Delete'));
+    }
+
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Create an entry action button
+ * @param {string} action - Value for data-action
+ * @param {string} label
+ * @returns {HTMLButtonElement}
+ */
+function createActionButton(action, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'reflection-action';
+    button.dataset.action = action;
+    button.textContent = label;
+    return button;
+}
+
+/**
+ * Handle edit/delete/save/cancel clicks inside the list
+ * @param {MouseEvent} e
+ * @returns {Promise<void>}
+ */
+async function handleListClick(e) {
+    const button = /** @type {HTMLElement} */ (e.target).closest('[data-action]');
+    const item = button?.closest('.reflection-entry');
+    if (!button || !item) return;
+
+    const id = item.dataset.id;
+    switch (button.dataset.action) {
+        case 'edit':
+            editingId = id;
+            renderReflectionList();
+            dom.display.reflectionsList.querySelector('.reflection-entry-editor')?.focus();
+            break;
+        case 'cancel':
+            editingId = null;
+            renderReflectionList();
+            break;
+        case 'save': {
+            const text = item.querySelector('.reflection-entry-editor')?.value.trim();
+            if (text) {
+                await saveEntryText(id, text);
+            }
+            break;
+        }
+        case 'delete':
+            if (window.confirm('Delete this answer? This cannot be undone.')) {
+                await deleteEntry(id);
+            }
+            break;
+    }
+}
+
+/**
+ * Save edited answer text
+ * @param {string} id - Entry id
+ * @param {string} text - New answer text
+ * @returns {Promise<void>}
+ */
+async function saveEntryText(id, text) {
+    const result = isLocalEntryId(id)
+        ? await updateDeviceHistory(history => updateHistoryAnswer(history, id, text))
+        : await getRepository().responses.update(id, text);
+    if (!result.success) {
+        setReflectionsStatus('Could not save your changes. Please try again.');
+        return;
+    }
+    if (!isLocalEntryId(id)) {
+        await changeDeviceCopy(id, (history, copyId) => updateHistoryAnswer(history, copyId, text));
+    }
+
+    entries = entries.map(entry => entry.id === id ? { ...entry, response_text: text } : entry);
+    editingId = null;
+    renderReflectionList();
+}
+
+/**
+ * Delete an answer
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+async function deleteEntry(id) {
+    const result = isLocalEntryId(id)
+        ? await updateDeviceHistory(history => removeHistoryAnswer(history, id))
+        : await getRepository().responses.remove(id);
+    if (!result.success) {
+        setReflectionsStatus('Could not delete this answer. Please try again.');
+        return;
+    }
+    if (!isLocalEntryId(id)) {
+        await changeDeviceCopy(id, removeHistoryAnswer);
+    }
+
+    entries = entries.filter(entry => entry.id !== id);
+    if (editingId === id) {
+        editingId = null;
+    }
+    renderReflectionList();
+}
+
+/**
+ * Apply an edit or delete of an account answer to its copy on this device
+ * Keeps the device history (used as backup and after signing out) in step
+ * with the account; answers saved on another device have no copy here
+ * @param {string} id - Account response id, looked up in the loaded entries
+ * @param {(history: HistoryEntry[], copyId: string) => HistoryEntry[]} change
+ * @returns {Promise<void>}
+ */
+async function changeDeviceCopy(id, change) {
+    const entry = entries.find(item => item.id === id);
+    if (!entry) return;
+
+    const result = await updateDeviceHistory(history => {
+        const copyId = findDeviceCopyId(history, entry);
+        return copyId ? change(history, copyId) : history;
+    });
+    if (!result.success) {
+        setReflectionsStatus('Your account is updated, but the copy on this device could not be changed.');
+    }
+}
+
+/**
+ * Show a status line under the list (empty string hides it)
+ * @param {string} message
+ * @returns {void}
+ */
+function setReflectionsStatus(message) {
+    const status = dom.display.reflectionsStatus;
+    if (!status) return;
+    status.textContent = message;
+    if (message) {
+        removeClass(status, CSS_CLASSES.HIDDEN);
+    } else {
+        addClass(status, CSS_CLASSES.HIDDEN);
+    }
+}
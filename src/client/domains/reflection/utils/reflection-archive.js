@@ -0,0 +1,187 @@
+/**
+ * Reflection archive helpers
+ *
+ * Pure functions for turning saved answers into archive entries and for
+ * editing the localStorage history (bl_responseHistory) without touching storage.
+ *
+ * @typedef {import('../../../../shared/domains/reflection/types.js').HistoryEntry} HistoryEntry
+ * @typedef {import('../../../../shared/domains/reflection/types.js').ReflectionEntry} ReflectionEntry
+ * @typedef {import('../../../../shared/domains/reflection/types.js').QuestionType} QuestionType
+ */
+
+import { getArchivedQuestions } from '../question-catalog.js';
+
+const LOCAL_ID_PREFIX = 'local:';
+
+/** How far apart the account and device timestamps of one answer can be */
+const DEVICE_COPY_WINDOW_MS = 60 * 1000;
+
+/**
+ * History entry field that holds the answer for each question type
+ * Includes reflections saved from the session summary page
+ * @type {Record<QuestionType, string>}
+ */
+const HISTORY_FIELDS = Object.fromEntries(
+    getArchivedQuestions().map(question => [question.questionType, question.storageKey])
+);
+
+/**
+ * Check whether an archive entry is stored on this device
+ * @param {string} id - Entry id
+ * @returns {boolean}
+ */
+export function isLocalEntryId(id) {
+    return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Convert localStorage history entries into archive entries
+ * @param {HistoryEntry[]} history
+ * @returns {ReflectionEntry[]} Newest first
+ */
+export function historyToReflections(history) {
+    /** @type {ReflectionEntry[]} */
+    const entries = [];
+    (Array.isArray(history) ? history : []).forEach(item => {
+        if (!item || !item.date) return;
+        Object.entries(HISTORY_FIELDS).forEach(([questionType, field]) => {
+            if (typeof item[field] === 'string' && item[field]) {
+                entries.push({
+                    id: `${LOCAL_ID_PREFIX}${questionType}:${item.date}`,
+                    question_type: /** @type {QuestionType} */ (questionType),
+                    response_text: item[field],
+                    created_at: item.date
+                });
+            }
+        });
+    });
+    return sortNewestFirst(entries);
+}
+
+/**
+ * Filter archive entries by question type and search text
+ * @param {ReflectionEntry[]} entries
+ * @param {Object} filters
+ * @param {QuestionType|null} [filters.questionType] - Only keep answers to this question
+ * @param {string} [filters.query] - Case-insensitive text to search for
+ * @returns {ReflectionEntry[]}
+ */
+export function filterReflections(entries, { questionType = null, query = '' } = {}) {
+    const needle = query.trim().toLowerCase();
+    return entries.filter(entry => {
+        if (questionType && entry.question_type !== questionType) return false;
+        return !needle || entry.response_text.toLowerCase().includes(needle);
+    });
+}
+
+/**
+ * Sort archive entries newest first
+ * @param {ReflectionEntry[]} entries
+ * @returns {ReflectionEntry[]} New array
+ */
+export function sortNewestFirst(entries) {
+    return entries.slice().sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Find the history entry and field behind a local archive id
+ * @param {HistoryEntry[]} history
+ * @param {string} id
+ * @returns {{index: number, field: string}|null}
+ */
+function findHistoryField(history, id) {
+    if (!isLocalEntryId(id)) return null;
+    const rest = id.slice(LOCAL_ID_PREFIX.length);
+    const separator = rest.indexOf(':');
+    const field = HISTORY_FIELDS[rest.slice(0, separator)];
+    const date = rest.slice(separator + 1);
+    if (!field) return null;
+
+    const index = history.findIndex(item => item && item.date === date && typeof item[field] === 'string');
+    return index === -1 ? null : { index, field };
+}
+
+/**
+ * Find the device copy of an answer saved to the account
+ * The copy has the same question and text and was saved at (about) the same time;
+ * the closest one wins when the same text was saved more than once
+ * @param {HistoryEntry[]} history
+ * @param {ReflectionEntry} entry - Account answer
+ * @returns {string|null} Local archive id of the copy, or null if there is none
+ */
+export function findDeviceCopyId(history, entry) {
+    const savedAt = new Date(entry.created_at).getTime();
+    let closest = null;
+    let closestGap = Infinity;
+    historyToReflections(history).forEach(copy => {
+        if (copy.question_type !== entry.question_type || copy.response_text !== entry.response_text) return;
+        const gap = Math.abs(new Date(copy.created_at).getTime() - savedAt);
+        if (gap <= DEVICE_COPY_WINDOW_MS && gap < closestGap) {
+            closest = copy.id;
+            closestGap = gap;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Replace the text of a local answer
+ * @param {HistoryEntry[]} history
+ * @param {string} id - Local archive id
+ * @param {string} text - New answer text
+ * @returns {HistoryEntry[]} Updated copy (unchanged if the entry isn't found)
+ */
+export function updateHistoryAnswer(history, id, text) {
+    const match = findHistoryField(history, id);
+    if (!match) return history;
+
+    const updated = history.slice();
+    updated[match.index] = { ...updated[match.index], [match.field]: text };
+    return updated;
+}
+
+/**
+ * Remove a local answer
+ * Drops the whole history entry once it has no answers left
+ * @param {HistoryEntry[]} history
+ * @param {string} id - Local archive id
+ * @returns {HistoryEntry[]} Updated copy (unchanged if the entry isn't found)
+ */
+export function removeHistoryAnswer(history, id) {
+    const match = findHistoryField(history, id);
+    if (!match) return history;
+
+    const remaining = { ...history[match.index] };
+    delete remaining[match.field];
+    const hasAnswers = Object.values(HISTORY_FIELDS).some(field => remaining[field]);
+
+    const updated = history.slice();
+    if (hasAnswers) {
+        updated[match.index] = remaining;
+    } else {
+        updated.splice(match.index, 1);
+    }
+    return updated;
+}
+
+/**
+ * Add an answer as it would have been saved on this device
+ * Fills the matching history entry if that answer is still empty there,
+ * otherwise appends a new entry
+ * @param {HistoryEntry[]} history
+ * @param {{question_type: QuestionType, response_text: string, created_at: string}} response
+ * @returns {HistoryEntry[]|null} Updated copy, or null if the question can't be stored locally
+ */
+export function addHistoryAnswer(history, response) {
+    const field = HISTORY_FIELDS[response.question_type];
+    if (!field) return null;
+
+    const updated = history.slice();
+    const index = updated.findIndex(item => item && item.date === response.created_at && !item[field]);
+    if (index === -1) {
+        updated.push({ date: response.created_at, [field]: response.response_text });
+    } else {
+        updated[index] = { ...updated[index], [field]: response.response_text };
+    }
+    return updated;
+}
@@ -0,0 +1,230 @@
+/**
+ * Completion alerts
+ *
+ * Lets the user know a session (or an interval phase) is over, even when the
+ * tab is in the background: a chime synthesized with Web Audio (no audio
+ * files), an opt-in system notification and a vibration pattern. Each
+ * channel can be switched on or off in settings; unsupported ones are skipped.
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').AlertSettings} AlertSettings
+ * @typedef {import('../../../shared/domains/sessions/types.js').ChimeNote} ChimeNote
+ */
+
+import { ALERTS, STORAGE_KEYS } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+
+/** @type {AlertSettings} */
+export const DEFAULT_ALERT_SETTINGS = Object.freeze({
+    sound: true,
+    notification: false,
+    vibration: true
+});
+
+/** Rising C major arpeggio */
+const CHIME_NOTES = Object.freeze([
+    { frequency: 523.25, start: 0, duration: 0.9 },
+    { frequency: 659.25, start: 0.18, duration: 0.9 },
+    { frequency: 783.99, start: 0.36, duration: 1.2 }
+]);
+
+/** @type {AudioContext|null} */
+let audioContext = null;
+
+/**
+ * Fill in defaults for stored alert settings
+ * @param {Partial<AlertSettings>|null|undefined} settings
+ * @returns {AlertSettings}
+ */
+export function normalizeAlertSettings(settings) {
+    const input = settings && typeof settings === 'object' ? settings : {};
+    return Object.fromEntries(Object.entries(DEFAULT_ALERT_SETTINGS).map(([channel, enabled]) =>
+        [channel, typeof input[channel] === 'boolean' ? input[channel] : enabled]));
+}
+
+/**
+ * Load alert settings from localStorage
+ * @returns {AlertSettings}
+ */
+export function loadAlertSettings() {
+    try {
+        return normalizeAlertSettings(JSON.parse(localStorage.getItem(STORAGE_KEYS.ALERT_SETTINGS) || 'null'));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'completion-alerts.js', function: 'loadAlertSettings' }
+        });
+        return normalizeAlertSettings(null);
+    }
+}
+
+/**
+ * Save alert settings to localStorage
+ * @param {Partial<AlertSettings>} settings - Merged into the stored settings
+ * @returns {AlertSettings} The settings as saved
+ */
+export function saveAlertSettings(settings) {
+    const next = normalizeAlertSettings({ ...loadAlertSettings(), ...settings });
+    try {
+        localStorage.setItem(STORAGE_KEYS.ALERT_SETTINGS, JSON.stringify(next));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'completion-alerts.js', function: 'saveAlertSettings' }
+        });
+    }
+    return next;
+}
+
+/**
+ * Notes of the completion chime
+ * @returns {ReadonlyArray<ChimeNote>}
+ */
+export function getChimeNotes() {
+    return CHIME_NOTES;
+}
+
+/**
+ * Create (or resume) the audio context while handling a user gesture
+ * Browsers only allow audio from contexts started by the user, so this is
+ * called when a session starts; the chime at the end can then play.
+ * @returns {void}
+ */
+export function primeAlerts() {
+    const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+        if (!audioContext) {
+            audioContext = new AudioContextClass();
+        }
+        if (audioContext.state === 'suspended') {
+            audioContext.resume().catch(() => {});
+        }
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'completion-alerts.js', function: 'primeAlerts' }
+        });
+    }
+}
+
+/**
+ * Play the chime
+ * @returns {boolean} True if the chime was scheduled
+ */
+export function playChime() {
+    primeAlerts();
+    if (!audioContext || audioContext.state === 'closed') return false;
+
+    const startAt = audioContext.currentTime + 0.05;
+    CHIME_NOTES.forEach(({ frequency, start, duration }) => {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+
+        // Quick attack, then a bell-like exponential decay
+        gain.gain.setValueAtTime(0.0001, startAt + start);
+        gain.gain.exponentialRampToValueAtTime(ALERTS.CHIME_VOLUME, startAt + start + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, startAt + start + duration);
+
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start(startAt + start);
+        oscillator.stop(startAt + start + duration + 0.05);
+    });
+    return true;
+}
+
+/**
+ * Vibrate on devices that support it
+ * @returns {boolean} True if the device accepted the pattern
+ */
+export function vibrate() {
+    if (typeof globalThis.navigator?.vibrate !== 'function') return false;
+    return globalThis.navigator.vibrate(ALERTS.VIBRATION_PATTERN);
+}
+
+/**
+ * Current notification permission
+ * @returns {'granted' | 'denied' | 'default' | 'unsupported'}
+ */
+export function getNotificationPermission() {
+    return globalThis.Notification ? globalThis.Notification.permission : 'unsupported';
+}
+
+/**
+ * Ask for permission to show notifications (call from a click handler)
+ * @returns {Promise<'granted' | 'denied' | 'default' | 'unsupported'>}
+ */
+export async function requestNotificationPermission() {
+    if (!globalThis.Notification) return 'unsupported';
+    if (globalThis.Notification.permission !== 'default') {
+        return globalThis.Notification.permission;
+    }
+    try {
+        return await globalThis.Notification.requestPermission();
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'completion-alerts.js', function: 'requestNotificationPermission' }
+        });
+        return getNotificationPermission();
+    }
+}
+
+/**
+ * Show a system notification while the page is in the background
+ * @param {string} title
+ * @param {string} body
+ * @returns {boolean} True if a notification was shown
+ */
+export function showNotification(title, body) {
+    if (getNotificationPermission() !== 'granted') return false;
+    // The page itself shows the result when it's visible
+    if (globalThis.document?.visibilityState === 'visible') return false;
+
+    try {
+        const notification = new globalThis.Notification(title, { body, tag: ALERTS.NOTIFICATION_TAG });
+        notification.onclick = () => {
+            globalThis.focus?.();
+            notification.close();
+        };
+        return true;
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'completion-alerts.js', function: 'showNotification' }
+        });
+        return false;
+    }
+}
+
+/**
+ * Alert the user through every enabled channel
+ * @param {Object} message
+ * @param {string} message.title - Notification title
+ * @param {string} message.body - Notification text
+ * @param {AlertSettings} [settings] - Defaults to the saved settings
+ * @returns {{sound: boolean, notification: boolean, vibration: boolean}} Channels that fired
+ */
+export function triggerAlert({ title, body }, settings = loadAlertSettings()) {
+    const fired = { sound: false, notification: false, vibration: false };
+    try {
+        if (settings.sound) {
+            fired.sound = playChime();
+        }
+        if (settings.notification) {
+            fired.notification = showNotification(title, body);
+        }
+        if (settings.vibration) {
+            fired.vibration = vibrate();
+        }
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'completion-alerts.js', function: 'triggerAlert' }
+        });
+    }
+    return fired;
+}
@@ -0,0 +1,77 @@
+/**
+ * Daily goal progress
+ *
+ * Keeps today's total of completed session time in localStorage, so the
+ * timer can count down what is left of the daily goal and the streak is only
+ * credited once the goal is reached.
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').DailyProgress} DailyProgress
+ */
+
+import { getState } from '../../state/app-state.js';
+import { STORAGE_KEYS } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { toDayKey } from './utils/dates.js';
+import { getDayProgress, addDailyProgress, getRemainingGoalSeconds } from './utils/daily-goal-model.js';
+
+/**
+ * Load stored progress from localStorage
+ * @returns {DailyProgress|null}
+ */
+function loadDailyProgress() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.DAILY_PROGRESS) || 'null');
+        if (!stored || typeof stored.day !== 'string' || typeof stored.seconds !== 'number') {
+            return null;
+        }
+        return { day: stored.day, seconds: stored.seconds, credited: stored.credited === true };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'daily-goal.js', function: 'loadDailyProgress' }
+        });
+        return null;
+    }
+}
+
+/**
+ * Today's progress towards the daily goal
+ * @param {Date} [now]
+ * @returns {DailyProgress}
+ */
+export function getTodayProgress(now = new Date()) {
+    return getDayProgress(loadDailyProgress(), toDayKey(now));
+}
+
+/**
+ * Add a completed session to today's progress
+ * @param {number} seconds - Seconds counted in the session
+ * @param {Date} [now]
+ * @returns {{progress: DailyProgress, isNewlyReached: boolean}}
+ */
+export function recordDailyProgress(seconds, now = new Date()) {
+    const result = addDailyProgress(loadDailyProgress(), toDayKey(now), seconds, getState('timerDuration'));
+    try {
+        localStorage.setItem(STORAGE_KEYS.DAILY_PROGRESS, JSON.stringify(result.progress));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'daily-goal.js', function: 'recordDailyProgress' }
+        });
+    }
+    return result;
+}
+
+/**
+ * Length of the next session
+ * With the daily goal on, this is what's left of today's goal (a full
+ * session once the goal is met); otherwise the timer duration.
+ * @param {Date} [now]
+ * @returns {number} Seconds
+ */
+export function getNextSessionSeconds(now = new Date()) {
+    const duration = getState('timerDuration');
+    if (!getState('dailyGoalEnabled')) return duration;
+    const remaining = getRemainingGoalSeconds(loadDailyProgress(), toDayKey(now), duration);
+    return remaining > 0 ? remaining : duration;
+}
@@ -0,0 +1,230 @@
+/**
+ * Session history page
+ *
+ * Lists past sessions grouped by day, newest first. Signed-in users page
+ * through the repository's sessions; anonymous users see the sessions queued
+ * on this device.
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionHistoryItem} SessionHistoryItem
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionDayGroup} SessionDayGroup
+ */
+
+import { getDOMElements } from '../../utils/dom-elements.js';
+import { moduleRegistry } from '../../utils/module-registry.js';
+import { getRepository } from '../../services/repository/index.js';
+import { HISTORY, PAGES, CSS_CLASSES } from '../../../shared/constants.js';
+import { addClass, removeClass } from '../../utils/dom-helpers.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { getPendingSessions, getQueuedSessions } from './session-recorder.js';
+import { groupSessionsByDay, pageSessions, mergeQueuedSessions, formatDayLabel, formatSessionDuration, formatInterruptions, formatIntention } from './utils/session-history.js';
+import { summarizeTimeline } from './session-clock.js';
+
+let dom = null;
+let isInitialized = false;
+
+/** @type {SessionHistoryItem[]} */
+let loadedSessions = [];
+let hasMoreSessions = false;
+let isLoading = false;
+
+/**
+ * Initialize history page
+ * @returns {void}
+ */
+export function initHistory() {
+    dom = getDOMElements();
+    if (isInitialized) return;
+    isInitialized = true;
+
+    dom.buttons.historyMore?.addEventListener('click', (e) => {
+        e.preventDefault();
+        loadMoreHistory();
+    });
+
+    dom.buttons.historyBack?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const showPage = moduleRegistry.get('showPage');
+        if (showPage) {
+            await showPage(PAGES.MENU);
+        }
+    });
+
+    // Called by routing when the history page is shown
+    moduleRegistry.register('renderHistoryPage', renderHistoryPage);
+}
+
+/**
+ * Reset and render the first page of history
+ * @returns {Promise<void>}
+ */
+export async function renderHistoryPage() {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    loadedSessions = [];
+    hasMoreSessions = false;
+    if (dom.display.historyList) {
+        dom.display.historyList.replaceChildren();
+    }
+    await loadMoreHistory();
+}
+
+/**
+ * Load the next page of sessions and re-render the list
+ * @returns {Promise<void>}
+ */
+async function loadMoreHistory() {
+    if (isLoading) return;
+    isLoading = true;
+    setHistoryStatus('Loading...');
+
+    try {
+        // Sessions still in the sync queue don't count towards the repository offset
+        const savedCount = loadedSessions.filter(session => !session.pending).length;
+        const result = await fetchSessionPage(savedCount, HISTORY.PAGE_SIZE);
+        if (!result.success) {
+            setHistoryStatus('Could not load your history. Please try again.');
+            return;
+        }
+
+        loadedSessions = [...loadedSessions, ...result.data.sessions];
+        hasMoreSessions = result.data.hasMore;
+        renderSessionGroups(groupSessionsByDay(loadedSessions));
+        setHistoryStatus(loadedSessions.length === 0 ? 'No sessions yet. Complete a timer to see it here.' : '');
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'history-ui.js', function: 'loadMoreHistory' }
+        });
+        setHistoryStatus('Could not load your history. Please try again.');
+    } finally {
+        isLoading = false;
+    }
+}
+
+/**
+ * Fetch a page of sessions from the repository, or the pending ones on this device
+ * Signed in, sessions still in the sync queue are added where they belong
+ * @param {number} offset - Saved sessions already loaded
+ * @param {number} limit - Page size
+ * @returns {Promise<{success: boolean, data?: {sessions: SessionHistoryItem[], hasMore: boolean}, error?: string}>}
+ */
+async function fetchSessionPage(offset, limit) {
+    const repository = getRepository();
+    if (repository.isReady()) {
+        // Ask for one extra row to know whether another page exists
+        const result = await repository.sessions.list({ limit: limit + 1, offset });
+        if (!result.success) {
+            return result;
+        }
+        const page = pageSessions(result.data, 0, limit);
+        const shownIds = new Set(loadedSessions.map(session => session.id));
+        const queued = getQueuedSessions().filter(session => !shownIds.has(session.id));
+        return { success: true, data: { ...page, sessions: mergeQueuedSessions(page.sessions, queued, page.hasMore) } };
+    }
+
+    const localSessions = getPendingSessions()
+        .slice()
+        .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at));
+    return { success: true, data: pageSessions(localSessions, offset, limit) };
+}
+
+/**
+ * Render day groups into the history list
+ * @param {SessionDayGroup[]} groups
+ * @returns {void}
+ */
+function renderSessionGroups(groups) {
+    const list = dom.display.historyList;
+    if (!list) return;
+
+    const fragment = document.createDocumentFragment();
+    groups.forEach(group => {
+        const dayEl = document.createElement('section');
+        dayEl.className = 'history-day';
+
+        const header = document.createElement('div');
+        header.className = 'history-day-header';
+        const label = document.createElement('h3');
+        label.textContent = formatDayLabel(group.dayKey);
+        const total = document.createElement('span');
+        total.className = 'history-day-total';
+        total.textContent = formatSessionDuration(group.totalSeconds);
+        header.append(label, total);
+        dayEl.appendChild(header);
+
+        group.sessions.forEach(session => {
+            dayEl.appendChild(createSessionEntry(session));
+        });
+
+        fragment.appendChild(dayEl);
+    });
+
+    list.replaceChildren(fragment);
+
+    if (hasMoreSessions) {
+        removeClass(dom.buttons.historyMore, CSS_CLASSES.HIDDEN);
+    } else {
+        addClass(dom.buttons.historyMore, CSS_CLASSES.HIDDEN);
+    }
+}
+
+/**
+ * Create the element for a single session
+ * @param {SessionHistoryItem} session
+ * @returns {HTMLElement}
+ */
+function createSessionEntry(session) {
+    const entry = document.createElement('article');
+    entry.className = 'history-entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'history-entry-meta';
+    const time = new Date(session.completed_at).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    const interruptions = summarizeTimeline(session.timeline);
+    meta.textContent = [time, formatSessionDuration(session.duration_seconds), formatInterruptions(interruptions), session.pending ? 'Not synced yet' : '']
+        .filter(Boolean)
+        .join(' · ');
+    entry.appendChild(meta);
+
+    const intention = formatIntention(session);
+    if (intention) {
+        const intentionEl = document.createElement('p');
+        intentionEl.className = 'history-entry-intention';
+        intentionEl.textContent = intention;
+        entry.appendChild(intentionEl);
+    }
+
+    const { reasons } = interruptions;
+    if (reasons.length > 0) {
+        const reasonsEl = document.createElement('p');
+        reasonsEl.className = 'history-entry-interruptions';
+        reasonsEl.textContent = `Interrupted by: ${reasons.join(', ')}`;
+        entry.appendChild(reasonsEl);
+    }
+
+    if (session.journal_entry) {
+        const journal = document.createElement('p');
+        journal.className = 'history-entry-journal';
+        journal.textContent = session.journal_entry;
+        entry.appendChild(journal);
+    }
+
+    return entry;
+}
+
+/**
+ * Show a status line under the list (empty string hides it)
+ * @param {string} message
+ * @returns {void}
+ */
+function setHistoryStatus(message) {
+    const status = dom.display.historyStatus;
+    if (!status) return;
+    status.textContent = message;
+    if (message) {
+        removeClass(status, CSS_CLASSES.HIDDEN);
+    } else {
+        addClass(status, CSS_CLASSES.HIDDEN);
+    }
+}
@@ -7,10 +7,35 @@ export {
     handleStartTimerClick,
     handleCircleClick,
     setTimerDisplay,
-    resetTimerDisplay
+    resetTimerDisplay,
+    restoreActiveSession
 } from './timer.js';
 
-export { updateStreak } from './streak.js';
+export { updateStreak, applyMissedDayPenalty } from './streak.js';
+
+export { getTodayProgress, getNextSessionSeconds } from './daily-goal.js';
+
+export { initSessionRecorder, recordCompletedSession, recordIntentionOutcome } from './session-recorder.js';
+
+export { initHistory } from './history-ui.js';
+
+export { initStats } from './stats-ui.js';
+
+export { initIntention, askIntentionOutcome } from './intention-ui.js';
+
+export { initSummary, showSessionSummary } from './summary-ui.js';
+
+export { buildSessionSummary } from './utils/session-summary.js';
+
+export { loadIntervalSettings, saveIntervalSettings } from './interval-settings.js';
+
+export {
+    loadAlertSettings,
+    saveAlertSettings,
+    triggerAlert,
+    requestNotificationPermission,
+    getNotificationPermission
+} from './completion-alerts.js';
 
 export {
     startTimerCountdown,
@@ -18,6 +43,7 @@ export {
     updateTimerDisplay,
     showCircleTimer,
     getTimerElements,
-    getTimerDuration
+    getTimerDuration,
+    skipPhase
 } from './timer-service.js';
 
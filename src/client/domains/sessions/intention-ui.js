@@ -0,0 +1,158 @@
+/**
+ * Session intention prompt and check-in
+ *
+ * Before the countdown starts the user can write down what they will do with
+ * the session (or skip it). When the session ends the intention is shown
+ * again so they can mark whether they did it; the answer is saved with the
+ * session.
+ */
+
+import { getDOMElements } from '../../utils/dom-elements.js';
+import { moduleRegistry } from '../../utils/module-registry.js';
+import { CSS_CLASSES, PAGES } from '../../../shared/constants.js';
+import { addClass, removeClass } from '../../utils/dom-helpers.js';
+
+let dom = null;
+let isInitialized = false;
+
+/** @type {((intention: string|null) => void)|null} */
+let pendingBegin = null;
+
+/** @type {((met: boolean|null) => void)|null} */
+let pendingAnswer = null;
+
+/**
+ * Initialize intention prompt
+ * @returns {void}
+ */
+export function initIntention() {
+    dom = getDOMElements();
+    if (isInitialized) return;
+    isInitialized = true;
+
+    dom.display.intentionInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            beginWithIntention(dom.display.intentionInput.value);
+        }
+    });
+    dom.buttons.intentionBegin?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        beginWithIntention(dom.display.intentionInput?.value);
+    });
+    dom.buttons.intentionSkip?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        beginWithIntention(null);
+    });
+
+    dom.buttons.intentionMet?.addEventListener('click', (e) => {
+        e.preventDefault();
+        answerIntention(true);
+    });
+    dom.buttons.intentionMissed?.addEventListener('click', (e) => {
+        e.preventDefault();
+        answerIntention(false);
+    });
+
+    // Leaving the page mid check-in still records the session, just without an answer
+    window.addEventListener('pagehide', () => answerIntention(null));
+}
+
+/**
+ * Ask for an intention in place of the start button
+ * @param {(intention: string|null) => void} onBegin - Called with the trimmed intention, or null when skipped
+ * @returns {boolean} False if the prompt isn't on the page (start right away instead)
+ */
+export function promptIntention(onBegin) {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    const step = dom.display.intentionStep;
+    const input = dom.display.intentionInput;
+    if (!step || !input) return false;
+
+    pendingBegin = onBegin;
+    input.value = '';
+    addClass(dom.display.timerControls, CSS_CLASSES.HIDDEN);
+    removeClass(step, CSS_CLASSES.HIDDEN);
+
+    // Force reflow so the input fades in
+    void input.offsetWidth;
+    addClass(input, CSS_CLASSES.SHOW);
+    input.focus();
+    return true;
+}
+
+/**
+ * Start the session with the given intention
+ * @param {string|null|undefined} value - Raw input value
+ * @returns {void}
+ */
+function beginWithIntention(value) {
+    if (!pendingBegin) return;
+    const onBegin = pendingBegin;
+    pendingBegin = null;
+    onBegin(value?.trim() || null);
+}
+
+/**
+ * Put the start button back and hide the prompt and check-in
+ * @returns {void}
+ */
+export function resetIntentionPrompt() {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    pendingBegin = null;
+    if (dom.display.intentionInput) {
+        dom.display.intentionInput.value = '';
+        removeClass(dom.display.intentionInput, CSS_CLASSES.SHOW);
+    }
+    addClass(dom.display.intentionStep, CSS_CLASSES.HIDDEN);
+    removeClass(dom.display.timerControls, CSS_CLASSES.HIDDEN);
+    addClass(dom.display.intentionCheck, CSS_CLASSES.HIDDEN);
+}
+
+/**
+ * Show the intention again and wait for the user to mark whether they did it
+ * @param {string} intention
+ * @returns {Promise<boolean|null>} null if the check-in couldn't be shown or the page was left
+ */
+export async function askIntentionOutcome(intention) {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    if (!dom.display.intentionCheck || !dom.display.intentionCheckText) return null;
+
+    // Sessions that ended while the page was closed finish from another page
+    if (!dom.pages.timer?.classList.contains(CSS_CLASSES.ACTIVE_PAGE)) {
+        const showPage = moduleRegistry.get('showPage');
+        if (!showPage) return null;
+        await showPage(PAGES.TIMER);
+    }
+
+    addClass(dom.display.timerIntro, CSS_CLASSES.FADE_OUT);
+    addClass(dom.display.circleTimer, CSS_CLASSES.HIDDEN);
+    removeClass(dom.display.circleTimer, CSS_CLASSES.SHOW);
+    dom.display.intentionCheckText.textContent = intention;
+    removeClass(dom.display.intentionCheck, CSS_CLASSES.HIDDEN);
+
+    return new Promise(resolve => {
+        pendingAnswer = resolve;
+    });
+}
+
+/**
+ * Answer the open check-in
+ * @param {boolean|null} met
+ * @returns {void}
+ */
+function answerIntention(met) {
+    if (!pendingAnswer) return;
+    const resolve = pendingAnswer;
+    pendingAnswer = null;
+    addClass(dom.display.intentionCheck, CSS_CLASSES.HIDDEN);
+    resolve(met);
+}
@@ -0,0 +1,43 @@
+/**
+ * Interval (Pomodoro) settings storage
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').IntervalSettings} IntervalSettings
+ */
+
+import { STORAGE_KEYS } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { normalizeIntervalSettings } from './utils/interval-plan.js';
+
+/**
+ * Load interval settings from localStorage
+ * @returns {IntervalSettings} Defaults when nothing (or something invalid) is stored
+ */
+export function loadIntervalSettings() {
+    try {
+        return normalizeIntervalSettings(JSON.parse(localStorage.getItem(STORAGE_KEYS.INTERVAL_SETTINGS) || 'null'));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'interval-settings.js', function: 'loadIntervalSettings' }
+        });
+        return normalizeIntervalSettings(null);
+    }
+}
+
+/**
+ * Save interval settings to localStorage
+ * @param {Partial<IntervalSettings>} settings - Merged into the stored settings
+ * @returns {IntervalSettings} The settings as saved (normalized)
+ */
+export function saveIntervalSettings(settings) {
+    const next = normalizeIntervalSettings({ ...loadIntervalSettings(), ...settings });
+    try {
+        localStorage.setItem(STORAGE_KEYS.INTERVAL_SETTINGS, JSON.stringify(next));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'interval-settings.js', function: 'saveIntervalSettings' }
+        });
+    }
+    return next;
+}
@@ -0,0 +1,347 @@
+/**
+ * Wall-clock session timing
+ *
+ * A session clock stores when the session started and when it is due to end,
+ * so the remaining time is always derived from Date.now() rather than from
+ * counting interval ticks. Throttled background tabs and a sleeping laptop
+ * can delay ticks, but not the clock.
+ *
+ * Each clock also keeps a timeline of start, pause and resume events, which is
+ * saved with the completed session to show how often it was interrupted.
+ *
+ * Interval sessions run one phase of their plan at a time: `duration` and
+ * `endsAt` describe the current phase, and `interval` tracks the position in
+ * the plan and the work seconds banked so far.
+ *
+ * Overtime clocks keep counting past `endsAt` (of the last phase) until the
+ * session is stopped, up to TIMER.MAX_OVERTIME.
+ *
+ * The clock helpers are pure (they take `now` as an argument); the storage
+ * helpers persist the active clock so a reload can restore the session.
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionClock} SessionClock
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionEvent} SessionEvent
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionEventType} SessionEventType
+ * @typedef {import('../../../shared/domains/sessions/types.js').TimelineSummary} TimelineSummary
+ * @typedef {import('../../../shared/domains/sessions/types.js').IntervalPhase} IntervalPhase
+ */
+
+import { STORAGE_KEYS, TIMER } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+
+/**
+ * Create a running clock for a new session
+ * @param {number} durationSeconds - Length of the session in seconds
+ * @param {number} [now] - Current time in ms
+ * @returns {SessionClock}
+ */
+export function createSessionClock(durationSeconds, now = Date.now()) {
+    return {
+        startedAt: now,
+        duration: durationSeconds,
+        endsAt: now + durationSeconds * 1000,
+        pausedRemaining: null,
+        timeline: [createSessionEvent('start', now)]
+    };
+}
+
+/**
+ * Create a running clock for an interval session, starting with its first phase
+ * @param {IntervalPhase[]} plan - Phases from createIntervalPlan()
+ * @param {number} [now] - Current time in ms
+ * @returns {SessionClock}
+ */
+export function createIntervalClock(plan, now = Date.now()) {
+    return {
+        ...createSessionClock(plan[0].seconds, now),
+        interval: { plan, phaseIndex: 0, workElapsed: 0 }
+    };
+}
+
+/**
+ * Current phase of an interval clock
+ * @param {SessionClock} clock
+ * @returns {IntervalPhase|null} null for a regular session
+ */
+export function getCurrentPhase(clock) {
+    if (!clock.interval) return null;
+    return clock.interval.plan[clock.interval.phaseIndex] ?? null;
+}
+
+/**
+ * Create a timeline event
+ * @param {SessionEventType} type
+ * @param {number} now - Time of the event in ms
+ * @param {string|null} [reason] - Interruption reason (pause events only)
+ * @returns {SessionEvent}
+ */
+function createSessionEvent(type, now, reason = null) {
+    /** @type {SessionEvent} */
+    const event = { type, at: new Date(now).toISOString() };
+    if (type === 'pause') {
+        event.reason = reason;
+    }
+    return event;
+}
+
+/**
+ * Timeline of a clock (clocks saved before timelines existed have none)
+ * @param {SessionClock} clock
+ * @returns {SessionEvent[]}
+ */
+export function getTimeline(clock) {
+    return Array.isArray(clock.timeline) ? clock.timeline : [];
+}
+
+/**
+ * Check whether a clock is counting down
+ * @param {SessionClock} clock
+ * @returns {boolean}
+ */
+export function isClockRunning(clock) {
+    return clock.endsAt !== null;
+}
+
+/**
+ * Seconds left on the clock
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Whole seconds remaining (never negative)
+ */
+export function getRemainingSeconds(clock, now = Date.now()) {
+    if (!isClockRunning(clock)) {
+        return Math.max(0, clock.pausedRemaining ?? 0);
+    }
+    return Math.max(0, Math.ceil((clock.endsAt - now) / 1000));
+}
+
+/**
+ * Seconds of the session that have been counted down
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {number}
+ */
+export function getElapsedSeconds(clock, now = Date.now()) {
+    return Math.max(0, clock.duration - getRemainingSeconds(clock, now));
+}
+
+/**
+ * Seconds that count towards the stored session duration
+ * Only work phases count for interval sessions.
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {number}
+ */
+export function getCountedSeconds(clock, now = Date.now()) {
+    const overtime = getOvertimeSeconds(clock, now);
+    if (!clock.interval) return getElapsedSeconds(clock, now) + overtime;
+    const phase = getCurrentPhase(clock);
+    return clock.interval.workElapsed + (phase?.type === 'work' ? getElapsedSeconds(clock, now) : 0) + overtime;
+}
+
+/**
+ * Seconds an overtime clock has counted past zero
+ * Only the last phase of an interval session runs into overtime.
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Whole seconds, at most TIMER.MAX_OVERTIME
+ */
+export function getOvertimeSeconds(clock, now = Date.now()) {
+    if (!clock.overtime || !isClockRunning(clock) || now <= clock.endsAt) return 0;
+    if (clock.interval && clock.interval.phaseIndex < clock.interval.plan.length - 1) return 0;
+    return Math.min(TIMER.MAX_OVERTIME, Math.floor((now - clock.endsAt) / 1000));
+}
+
+/**
+ * Check whether a clock is counting up past zero
+ * False once the overtime limit is reached, so the session can finish.
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export function isInOvertime(clock, now = Date.now()) {
+    if (!clock.overtime || !isClockRunning(clock) || now < clock.endsAt) return false;
+    if (clock.interval && clock.interval.phaseIndex < clock.interval.plan.length - 1) return false;
+    return getOvertimeSeconds(clock, now) < TIMER.MAX_OVERTIME;
+}
+
+/**
+ * Move an interval clock on to its next phase
+ * Work done in the current phase is banked; a paused clock stays paused.
+ * @param {SessionClock} clock
+ * @param {number} [now] - Time the next phase starts, in ms
+ * @returns {SessionClock|null} null when the current phase is the last one
+ */
+export function advancePhase(clock, now = Date.now()) {
+    if (!clock.interval) return null;
+    const { plan, phaseIndex } = clock.interval;
+    const next = plan[phaseIndex + 1];
+    if (!next) return null;
+
+    const running = isClockRunning(clock);
+    return {
+        ...clock,
+        duration: next.seconds,
+        endsAt: running ? now + next.seconds * 1000 : null,
+        pausedRemaining: running ? null : next.seconds,
+        interval: { plan, phaseIndex: phaseIndex + 1, workElapsed: getCountedSeconds(clock, now) }
+    };
+}
+
+/**
+ * Catch a running interval clock up with the wall clock
+ * Phases that ended (e.g. while the laptop slept) are skipped through, each
+ * one starting when the previous one ended. Regular clocks are returned as is.
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {SessionClock} Has no time remaining only if the whole session has ended
+ */
+export function settleClock(clock, now = Date.now()) {
+    let settled = clock;
+    while (isClockRunning(settled) && settled.endsAt <= now) {
+        const next = advancePhase(settled, settled.endsAt);
+        if (!next) break;
+        settled = next;
+    }
+    return settled;
+}
+
+/**
+ * Pause a running clock, freezing the remaining time
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @param {string|null} [reason] - Why the session was interrupted
+ * @returns {SessionClock}
+ */
+export function pauseClock(clock, now = Date.now(), reason = null) {
+    if (!isClockRunning(clock)) return clock;
+    return {
+        ...clock,
+        endsAt: null,
+        pausedRemaining: getRemainingSeconds(clock, now),
+        timeline: [...getTimeline(clock), createSessionEvent('pause', now, reason)]
+    };
+}
+
+/**
+ * Set the interruption reason of the latest pause
+ * @param {SessionClock} clock
+ * @param {string|null} reason - Empty strings are stored as null
+ * @returns {SessionClock}
+ */
+export function setPauseReason(clock, reason) {
+    const timeline = getTimeline(clock);
+    const index = timeline.map(event => event.type).lastIndexOf('pause');
+    if (index === -1) return clock;
+
+    const trimmed = typeof reason === 'string' ? reason.trim() : '';
+    return {
+        ...clock,
+        timeline: timeline.map((event, i) => i === index ? { ...event, reason: trimmed || null } : event)
+    };
+}
+
+/**
+ * Resume a paused clock
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @param {number} [remainingSeconds] - Override for the remaining time (defaults to the paused value)
+ * @returns {SessionClock}
+ */
+export function resumeClock(clock, now = Date.now(), remainingSeconds = getRemainingSeconds(clock, now)) {
+    return {
+        ...clock,
+        endsAt: now + remainingSeconds * 1000,
+        pausedRemaining: null,
+        timeline: isClockRunning(clock) ? getTimeline(clock) : [...getTimeline(clock), createSessionEvent('resume', now)]
+    };
+}
+
+/**
+ * Timeline of a session that has ended, closed with a finish event
+ * A running clock finishes when its countdown reached zero (or, in overtime,
+ * when it was stopped or hit the limit), not when this is called.
+ * @param {SessionClock} clock
+ * @param {number} [now] - Current time in ms
+ * @returns {SessionEvent[]}
+ */
+export function completeTimeline(clock, now = Date.now()) {
+    const endsAt = isClockRunning(clock) && clock.overtime ? clock.endsAt + TIMER.MAX_OVERTIME * 1000 : clock.endsAt;
+    const finishedAt = isClockRunning(clock) ? Math.min(endsAt, now) : now;
+    return [...getTimeline(clock), createSessionEvent('finish', finishedAt)];
+}
+
+/**
+ * Summarize how fragmented a session was
+ * @param {SessionEvent[]|null|undefined} timeline
+ * @returns {TimelineSummary}
+ */
+export function summarizeTimeline(timeline) {
+    const events = Array.isArray(timeline) ? timeline : [];
+    let pauseCount = 0;
+    let pausedSeconds = 0;
+    let pausedAt = null;
+    const reasons = [];
+
+    events.forEach(event => {
+        const at = Date.parse(event.at);
+        if (event.type === 'pause') {
+            pauseCount++;
+            pausedAt = at;
+            if (event.reason) {
+                reasons.push(event.reason);
+            }
+        } else if (pausedAt !== null && (event.type === 'resume' || event.type === 'finish')) {
+            pausedSeconds += Math.max(0, Math.round((at - pausedAt) / 1000));
+            pausedAt = null;
+        }
+    });
+
+    return { pauseCount, pausedSeconds, reasons };
+}
+
+/**
+ * Load the active session clock from localStorage
+ * @returns {SessionClock|null}
+ */
+export function loadActiveSession() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEYS.ACTIVE_SESSION);
+        if (!stored) return null;
+        const clock = JSON.parse(stored);
+        if (!clock || typeof clock.startedAt !== 'number' || typeof clock.duration !== 'number') {
+            return null;
+        }
+        return clock;
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'session-clock.js', function: 'loadActiveSession' }
+        });
+        return null;
+    }
+}
+
+/**
+ * Persist the active session clock
+ * @param {SessionClock} clock
+ * @returns {void}
+ */
+export function saveActiveSession(clock) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.ACTIVE_SESSION, JSON.stringify(clock));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'session-clock.js', function: 'saveActiveSession' }
+        });
+    }
+}
+
+/**
+ * Remove the active session clock
+ * @returns {void}
+ */
+export function clearActiveSession() {
+    localStorage.removeItem(STORAGE_KEYS.ACTIVE_SESSION);
+}
@@ -0,0 +1,196 @@
+/**
+ * Completed session persistence
+ *
+ * Records finished countdowns through the offline sync queue. Sessions
+ * completed while signed out are kept in a local pending list and handed to
+ * the sync queue once the user signs in.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/domains/sessions/types.js').PendingSession} PendingSession
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionHistoryItem} SessionHistoryItem
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionEvent} SessionEvent
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionIntention} SessionIntention
+ */
+
+import { getRepository } from '../../services/repository/index.js';
+import { queueWrite, getQueuedWrites } from '../../services/sync-queue.js';
+import { STORAGE_KEYS } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { createId } from '../../../shared/utils/index.js';
+
+let isInitialized = false;
+let isFlushing = false;
+
+/**
+ * Initialize session recorder
+ * Flushes queued sessions now (if signed in) and whenever the user signs in
+ * @returns {void}
+ */
+export function initSessionRecorder() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    window.addEventListener('auth-state-changed', (event) => {
+        if (event.detail?.authenticated) {
+            flushPendingSessions();
+        }
+    });
+
+    if (getRepository().isReady()) {
+        flushPendingSessions();
+    }
+}
+
+/**
+ * Read queued sessions from localStorage
+ * @returns {PendingSession[]}
+ */
+export function getPendingSessions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.PENDING_SESSIONS) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'session-recorder.js', function: 'getPendingSessions' }
+        });
+        return [];
+    }
+}
+
+/**
+ * Sessions of the signed-in user still waiting in the sync queue
+ * They are not in `repository.sessions.list()` yet, so views add them themselves
+ * @returns {SessionHistoryItem[]} Each marked `pending`
+ */
+export function getQueuedSessions() {
+    const userId = getRepository().getUserId();
+    return getQueuedWrites()
+        .filter(write => write.type === 'saveSession' && write.userId === userId)
+        .map(write => ({ ...write.payload, id: write.id, pending: true }));
+}
+
+/**
+ * Write queued sessions to localStorage
+ * @param {PendingSession[]} sessions
+ * @returns {void}
+ */
+function setPendingSessions(sessions) {
+    if (sessions.length === 0) {
+        localStorage.removeItem(STORAGE_KEYS.PENDING_SESSIONS);
+    } else {
+        localStorage.setItem(STORAGE_KEYS.PENDING_SESSIONS, JSON.stringify(sessions));
+    }
+}
+
+/**
+ * Record a completed session
+ * Hands it to the sync queue when signed in, otherwise keeps it on this device
+ * @param {number} durationSeconds - Seconds actually counted down
+ * @param {string|null} [journalEntry] - Journal text written during the session
+ * @param {SessionEvent[]|null} [timeline] - Start, pause, resume and finish events
+ * @param {SessionIntention|null} [intention] - What the user set out to do, and whether they did it
+ * @param {number|null} [timerDuration] - Timer duration in seconds when the session was started
+ * @returns {Promise<APIResponse<Object>>} `data.id` is the session id, for recordIntentionOutcome
+ */
+export async function recordCompletedSession(durationSeconds, journalEntry = null, timeline = null, intention = null, timerDuration = null) {
+    if (typeof durationSeconds !== 'number' || durationSeconds <= 0) {
+        return { success: false, error: 'Session has no duration' };
+    }
+
+    /** @type {PendingSession} */
+    const session = {
+        id: createId(),
+        duration_seconds: durationSeconds,
+        journal_entry: journalEntry || null,
+        completed_at: new Date().toISOString(),
+        timeline: timeline?.length ? timeline : null,
+        intention: intention?.text || null,
+        intention_met: intention?.text ? intention.met ?? null : null,
+        timer_duration: timerDuration
+    };
+
+    if (getRepository().isReady()) {
+        const result = await queueWrite('saveSession', session, { id: session.id });
+        if (result.success) {
+            return result;
+        }
+    }
+
+    try {
+        setPendingSessions([...getPendingSessions(), session]);
+        return { success: true, data: session, message: 'Session saved on this device' };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'session-recorder.js', function: 'recordCompletedSession' }
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record whether the user did what they set out to do in a recorded session
+ * Asked after the session is recorded, so leaving during the check-in loses
+ * only the answer
+ * @param {string} sessionId - `data.id` returned by recordCompletedSession
+ * @param {boolean|null} met
+ * @returns {Promise<APIResponse<Object>>}
+ */
+export async function recordIntentionOutcome(sessionId, met) {
+    try {
+        const pending = getPendingSessions();
+        if (pending.some(session => session.id === sessionId)) {
+            setPendingSessions(pending.map(session => session.id === sessionId ? { ...session, intention_met: met } : session));
+            return { success: true, data: null, message: 'Session saved on this device' };
+        }
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'session-recorder.js', function: 'recordIntentionOutcome' }
+        });
+        return { success: false, error: error.message };
+    }
+
+    return queueWrite('updateSession', { id: sessionId, updates: { intention_met: met } });
+}
+
+/**
+ * Move sessions completed while signed out into the sync queue
+ * Sessions the sync queue can't accept stay pending for the next attempt
+ * @returns {Promise<APIResponse<{saved: number, remaining: number}>>}
+ */
+export async function flushPendingSessions() {
+    if (!getRepository().isReady()) {
+        return { success: false, error: 'Not authenticated' };
+    }
+    if (isFlushing) {
+        return { success: false, error: 'Flush already in progress' };
+    }
+
+    isFlushing = true;
+    try {
+        const pending = getPendingSessions();
+        const remaining = [];
+
+        for (const session of pending) {
+            const result = await queueWrite('saveSession', session, { id: session.id });
+            if (!result.success) {
+                remaining.push(session);
+            }
+        }
+
+        // Keep anything queued while this flush was running
+        const queuedDuringFlush = getPendingSessions().slice(pending.length);
+        setPendingSessions([...remaining, ...queuedDuringFlush]);
+        return { success: true, data: { saved: pending.length - remaining.length, remaining: remaining.length } };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'session-recorder.js', function: 'flushPendingSessions' }
+        });
+        return { success: false, error: error.message };
+    } finally {
+        isFlushing = false;
+    }
+}
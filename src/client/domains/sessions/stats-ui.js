@@ -0,0 +1,537 @@
+/**
+ * Stats page
+ *
+ * Total focused time, sessions per day, average session length and how the
+ * timer duration grew, over the last week or month, plus a calendar heatmap
+ * of the past year. Clicking a heatmap day lists its sessions and
+ * reflections. Charts are drawn as plain SVG. Signed-in users see the
+ * repository's sessions; anonymous users see the sessions kept on this device.
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionHistoryItem} SessionHistoryItem
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionStats} SessionStats
+ * @typedef {import('../../../shared/domains/sessions/types.js').Heatmap} Heatmap
+ * @typedef {import('../../../shared/domains/reflection/types.js').ReflectionEntry} ReflectionEntry
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ */
+
+import { getDOMElements } from '../../utils/dom-elements.js';
+import { moduleRegistry } from '../../utils/module-registry.js';
+import { getRepository } from '../../services/repository/index.js';
+import { getState } from '../../state/app-state.js';
+import { STATS, PAGES, CSS_CLASSES } from '../../../shared/constants.js';
+import { addClass, removeClass } from '../../utils/dom-helpers.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { getPendingSessions, getQueuedSessions } from './session-recorder.js';
+import { formatSessionDuration, formatDayLabel, formatIntention, mergeQueuedSessions } from './utils/session-history.js';
+import { buildSessionStats, layoutBars, layoutLine, formatChartDay } from './utils/session-stats.js';
+import { buildHeatmap, getHeatmapStart } from './utils/calendar-heatmap.js';
+import { toDayKey } from './utils/dates.js';
+import { loadReflectionEntries, getQuestionByType } from '../reflection/index.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Chart drawing area, in SVG user units (the SVG scales to the page width) */
+const CHART_BOX = { width: 300, height: 100 };
+/** Space under the drawing area for day labels */
+const LABEL_HEIGHT = 16;
+/** Space above the drawing area for the scale label */
+const TOP_PADDING = 14;
+/** Heatmap cell size and gap, in SVG user units */
+const HEAT_CELL = 10;
+const HEAT_GAP = 2;
+/** Space above the heatmap for month labels */
+const MONTH_LABEL_HEIGHT = 12;
+
+let dom = null;
+let isInitialized = false;
+let isLoading = false;
+
+/** @type {keyof typeof STATS.RANGES} */
+let activeRange = 'week';
+
+/**
+ * Sessions of the past year, loaded when the page is shown
+ * @type {SessionHistoryItem[]}
+ */
+let loadedSessions = [];
+
+/**
+ * Saved answers, loaded the first time a heatmap day is opened
+ * @type {ReflectionEntry[]|null}
+ */
+let reflectionEntries = null;
+
+/**
+ * Initialize stats page
+ * @returns {void}
+ */
+export function initStats() {
+    dom = getDOMElements();
+    if (isInitialized) return;
+    isInitialized = true;
+
+    dom.statsRanges?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-stats-range]');
+        if (!button || !(button.dataset.statsRange in STATS.RANGES)) return;
+        e.preventDefault();
+        activeRange = button.dataset.statsRange;
+        renderRange();
+    });
+
+    // Cells are re-rendered, so delegate from the heatmap
+    dom.display.statsHeatmap?.addEventListener('click', (e) => {
+        const cell = e.target.closest('[data-day-key]');
+        if (cell) {
+            showDay(cell.dataset.dayKey);
+        }
+    });
+    dom.display.statsHeatmap?.addEventListener('keydown', (e) => {
+        const cell = e.target.closest('[data-day-key]');
+        if (cell && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            showDay(cell.dataset.dayKey);
+        }
+    });
+
+    dom.buttons.statsBack?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const showPage = moduleRegistry.get('showPage');
+        if (showPage) {
+            await showPage(PAGES.MENU);
+        }
+    });
+
+    // Called by routing when the stats page is shown
+    moduleRegistry.register('renderStatsPage', renderStatsPage);
+}
+
+/**
+ * Load the past year of sessions and render the stats and heatmap
+ * @returns {Promise<void>}
+ */
+export async function renderStatsPage() {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    if (isLoading) return;
+    isLoading = true;
+
+    loadedSessions = [];
+    reflectionEntries = null;
+    updateRangeButtons();
+    dom.display.statsTotals?.replaceChildren();
+    dom.display.statsCharts?.replaceChildren();
+    dom.display.statsHeatmap?.replaceChildren();
+    addClass(dom.display.statsDay, CSS_CLASSES.HIDDEN);
+    setStatsStatus('Loading...');
+
+    try {
+        // The heatmap covers the longest span, so one fetch serves every range
+        const [year, month, day] = getHeatmapStart(STATS.HEATMAP_WEEKS).split('-').map(Number);
+        const result = await fetchSessionsSince(new Date(year, month - 1, day));
+        if (!result.success) {
+            setStatsStatus('Could not load your stats. Please try again.');
+            return;
+        }
+
+        loadedSessions = result.data;
+        renderRange();
+        renderHeatmap(buildHeatmap(loadedSessions, { weeks: STATS.HEATMAP_WEEKS, levels: STATS.HEAT_LEVELS }));
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'stats-ui.js', function: 'renderStatsPage' }
+        });
+        setStatsStatus('Could not load your stats. Please try again.');
+    } finally {
+        isLoading = false;
+    }
+}
+
+/**
+ * Render the totals and charts of the active range from the loaded sessions
+ * @returns {void}
+ */
+function renderRange() {
+    updateRangeButtons();
+    const stats = buildSessionStats(loadedSessions, {
+        days: STATS.RANGES[activeRange],
+        currentDuration: getState('timerDuration')
+    });
+    renderTotals(stats);
+    renderCharts(stats);
+    setStatsStatus(stats.sessionCount === 0 ? 'No sessions in this range yet. Complete a timer to see it here.' : '');
+}
+
+/**
+ * Fetch every session completed since the given time
+ * Pages through the repository (newest first) until it reaches older sessions,
+ * then adds the ones still waiting in the sync queue
+ * @param {Date} since
+ * @returns {Promise<APIResponse<SessionHistoryItem[]>>}
+ */
+async function fetchSessionsSince(since) {
+    const isInRange = (session) => new Date(session.completed_at) >= since;
+
+    const repository = getRepository();
+    if (!repository.isReady()) {
+        return { success: true, data: getPendingSessions().filter(isInRange) };
+    }
+
+    /** @type {SessionHistoryItem[]} */
+    const sessions = [];
+    for (let offset = 0; ; offset += STATS.PAGE_SIZE) {
+        const result = await repository.sessions.list({ limit: STATS.PAGE_SIZE, offset });
+        if (!result.success) {
+            return result;
+        }
+
+        const page = result.data;
+        sessions.push(...page.filter(isInRange));
+        if (page.length < STATS.PAGE_SIZE || !isInRange(page[page.length - 1])) {
+            return { success: true, data: mergeQueuedSessions(sessions, getQueuedSessions().filter(isInRange), false) };
+        }
+    }
+}
+
+/**
+ * Mark the active range button
+ * @returns {void}
+ */
+function updateRangeButtons() {
+    dom.statsRanges?.querySelectorAll('[data-stats-range]').forEach(button => {
+        if (button.dataset.statsRange === activeRange) {
+            addClass(button, 'active');
+        } else {
+            removeClass(button, 'active');
+        }
+    });
+}
+
+/**
+ * Render total time, session count and average length
+ * @param {SessionStats} stats
+ * @returns {void}
+ */
+function renderTotals(stats) {
+    const totals = dom.display.statsTotals;
+    if (!totals) return;
+
+    const items = [
+        ['Focused', formatSessionDuration(stats.totalSeconds)],
+        ['Sessions', String(stats.sessionCount)],
+        ['Average', stats.sessionCount > 0 ? formatSessionDuration(stats.averageSeconds) : '-']
+    ];
+    totals.replaceChildren(...items.map(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'stats-total';
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        item.append(term, detail);
+        return item;
+    }));
+}
+
+/**
+ * Render the per-day charts
+ * @param {SessionStats} stats
+ * @returns {void}
+ */
+function renderCharts(stats) {
+    const charts = dom.display.statsCharts;
+    if (!charts) return;
+
+    const dayKeys = stats.days.map(day => day.dayKey);
+    const minutes = stats.days.map(day => Math.round(day.seconds / 60));
+    const counts = stats.days.map(day => day.count);
+    const durations = stats.days.map(day => day.timerDuration === null ? null : Math.round(day.timerDuration / 60));
+
+    charts.replaceChildren(
+        createChart('Minutes per day', dayKeys, createBarChart(dayKeys, minutes, value => `${value} min`)),
+        createChart('Sessions per day', dayKeys, createBarChart(dayKeys, counts, value => value === 1 ? '1 session' : `${value} sessions`)),
+        createChart('Timer duration', dayKeys, createLineChart(dayKeys, durations, value => `${value} min`))
+    );
+}
+
+/**
+ * Wrap chart shapes in a captioned SVG with day labels
+ * @param {string} title
+ * @param {string[]} dayKeys
+ * @param {{shapes: SVGElement[], scaleLabel: string}} chart
+ * @returns {HTMLElement}
+ */
+function createChart(title, dayKeys, { shapes, scaleLabel }) {
+    const figure = document.createElement('figure');
+    figure.className = 'stats-chart';
+    const caption = document.createElement('figcaption');
+    caption.textContent = title;
+
+    const svg = createSvgElement('svg', {
+        viewBox: `0 ${-TOP_PADDING} ${CHART_BOX.width} ${CHART_BOX.height + TOP_PADDING + LABEL_HEIGHT}`,
+        role: 'img',
+        'aria-label': title
+    });
+    svg.appendChild(createSvgElement('line', {
+        class: 'stats-axis', x1: 0, y1: CHART_BOX.height, x2: CHART_BOX.width, y2: CHART_BOX.height
+    }));
+    if (scaleLabel) {
+        svg.appendChild(createSvgText(scaleLabel, { x: 0, y: -4, class: 'stats-scale' }));
+    }
+    svg.append(...shapes);
+
+    // Label every day of a week; for a month, every seventh day ending today
+    const slot = CHART_BOX.width / dayKeys.length;
+    dayKeys.forEach((dayKey, i) => {
+        if (dayKeys.length > 7 && (dayKeys.length - 1 - i) % 7 !== 0) return;
+        svg.appendChild(createSvgText(formatChartDay(dayKey, dayKeys.length), {
+            x: i * slot + slot / 2,
+            y: CHART_BOX.height + LABEL_HEIGHT - 3,
+            'text-anchor': 'middle',
+            class: 'stats-day-label'
+        }));
+    });
+
+    figure.append(caption, svg);
+    return figure;
+}
+
+/**
+ * Create one bar per day
+ * @param {string[]} dayKeys
+ * @param {number[]} values
+ * @param {(value: number) => string} describe - Tooltip text for a value
+ * @returns {{shapes: SVGElement[], scaleLabel: string}}
+ */
+function createBarChart(dayKeys, values, describe) {
+    const shapes = layoutBars(values, CHART_BOX).map((bar, i) => {
+        const rect = createSvgElement('rect', { ...bar, class: 'stats-bar' });
+        rect.appendChild(createSvgTitle(`${formatChartDay(dayKeys[i], 30)}: ${describe(values[i])}`));
+        return rect;
+    });
+    const max = Math.max(0, ...values);
+    return { shapes, scaleLabel: max > 0 ? describe(max) : '' };
+}
+
+/**
+ * Create a line through the days with a known value
+ * @param {string[]} dayKeys
+ * @param {(number|null)[]} values
+ * @param {(value: number) => string} describe - Tooltip text for a value
+ * @returns {{shapes: SVGElement[], scaleLabel: string}}
+ */
+function createLineChart(dayKeys, values, describe) {
+    const points = layoutLine(values, CHART_BOX);
+    if (points.length === 0) {
+        return { shapes: [], scaleLabel: '' };
+    }
+
+    const line = createSvgElement('polyline', {
+        points: points.map(({ x, y }) => `${x},${y}`).join(' '),
+        class: 'stats-line'
+    });
+    const known = values
+        .map((value, i) => ({ value, dayKey: dayKeys[i] }))
+        .filter(({ value }) => value !== null);
+    const dots = points.map((point, i) => {
+        const dot = createSvgElement('circle', { cx: point.x, cy: point.y, r: 2.5, class: 'stats-dot' });
+        dot.appendChild(createSvgTitle(`${formatChartDay(known[i].dayKey, 30)}: ${describe(known[i].value)}`));
+        return dot;
+    });
+    return { shapes: [line, ...dots], scaleLabel: describe(Math.max(...known.map(({ value }) => value))) };
+}
+
+/**
+ * Render the calendar heatmap
+ * @param {Heatmap} heatmap
+ * @returns {void}
+ */
+function renderHeatmap(heatmap) {
+    const container = dom.display.statsHeatmap;
+    if (!container) return;
+
+    const step = HEAT_CELL + HEAT_GAP;
+    const svg = createSvgElement('svg', {
+        viewBox: `0 ${-MONTH_LABEL_HEIGHT} ${heatmap.weeks.length * step} ${7 * step + MONTH_LABEL_HEIGHT}`,
+        role: 'group',
+        'aria-label': 'Practice over the past year'
+    });
+
+    heatmap.months.forEach(({ week, label }) => {
+        svg.appendChild(createSvgText(label, { x: week * step, y: -3, class: 'stats-day-label' }));
+    });
+
+    heatmap.weeks.forEach((column, week) => {
+        column.forEach((day, weekday) => {
+            if (!day) return;
+            const cell = createSvgElement('rect', {
+                x: week * step,
+                y: weekday * step,
+                width: HEAT_CELL,
+                height: HEAT_CELL,
+                rx: 2,
+                class: `heat-cell heat-level-${day.level}`,
+                tabindex: 0,
+                role: 'button',
+                'data-day-key': day.dayKey
+            });
+            const summary = day.count === 0 ? 'no sessions'
+                : `${formatSessionDuration(day.seconds)} in ${day.count === 1 ? '1 session' : `${day.count} sessions`}`;
+            cell.appendChild(createSvgTitle(`${formatDayLabel(day.dayKey)}: ${summary}`));
+            svg.appendChild(cell);
+        });
+    });
+
+    container.replaceChildren(svg);
+}
+
+/**
+ * Show the sessions and reflections of a heatmap day
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {Promise<void>}
+ */
+async function showDay(dayKey) {
+    const panel = dom.display.statsDay;
+    if (!panel) return;
+
+    dom.display.statsHeatmap?.querySelectorAll('.heat-cell').forEach(cell => {
+        cell.classList.toggle('selected', cell.dataset.dayKey === dayKey);
+    });
+
+    const heading = document.createElement('h3');
+    heading.textContent = formatDayLabel(dayKey);
+    panel.replaceChildren(heading);
+    removeClass(panel, CSS_CLASSES.HIDDEN);
+
+    const sessions = loadedSessions
+        .filter(session => toDayKey(session.completed_at) === dayKey)
+        .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+    sessions.forEach(session => {
+        panel.appendChild(createDaySession(session));
+    });
+
+    if (reflectionEntries === null) {
+        try {
+            const result = await loadReflectionEntries();
+            reflectionEntries = result.success ? result.data : [];
+        } catch (error) {
+            handleError(error, {
+                severity: ERROR_SEVERITY.WARNING,
+                context: { module: 'stats-ui.js', function: 'showDay' }
+            });
+            reflectionEntries = [];
+        }
+    }
+    // Another day may have been opened while loading
+    if (heading.parentNode !== panel) return;
+
+    const reflections = reflectionEntries
+        .filter(entry => toDayKey(entry.created_at) === dayKey)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    reflections.forEach(entry => {
+        const item = document.createElement('article');
+        item.className = 'stats-day-entry';
+        const label = document.createElement('div');
+        label.className = 'history-entry-meta';
+        label.textContent = getQuestionByType(entry.question_type)?.label || 'Reflection';
+        const text = document.createElement('p');
+        text.className = 'history-entry-journal';
+        text.textContent = entry.response_text;
+        item.append(label, text);
+        panel.appendChild(item);
+    });
+
+    if (sessions.length === 0 && reflections.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-status';
+        empty.textContent = 'Nothing recorded on this day.';
+        panel.appendChild(empty);
+    }
+}
+
+/**
+ * Create the element for a session in the day panel
+ * @param {SessionHistoryItem} session
+ * @returns {HTMLElement}
+ */
+function createDaySession(session) {
+    const entry = document.createElement('article');
+    entry.className = 'stats-day-entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'history-entry-meta';
+    const time = new Date(session.completed_at).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    meta.textContent = [time, formatSessionDuration(session.duration_seconds), session.pending ? 'Not synced yet' : '']
+        .filter(Boolean)
+        .join(' · ');
+    entry.appendChild(meta);
+
+    const intention = formatIntention(session);
+    if (intention) {
+        const intentionEl = document.createElement('p');
+        intentionEl.className = 'history-entry-intention';
+        intentionEl.textContent = intention;
+        entry.appendChild(intentionEl);
+    }
+    if (session.journal_entry) {
+        const journal = document.createElement('p');
+        journal.className = 'history-entry-journal';
+        journal.textContent = session.journal_entry;
+        entry.appendChild(journal);
+    }
+    return entry;
+}
+
+/**
+ * Create an SVG element
+ * @param {string} tag
+ * @param {Record<string, string|number>} attributes
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        element.setAttribute(name, String(value));
+    });
+    return element;
+}
+
+/**
+ * Create an SVG text element
+ * @param {string} text
+ * @param {Record<string, string|number>} attributes
+ * @returns {SVGElement}
+ */
+function createSvgText(text, attributes) {
+    const element = createSvgElement('text', attributes);
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Create an SVG tooltip
+ * @param {string} text
+ * @returns {SVGElement}
+ */
+function createSvgTitle(text) {
+    const title = createSvgElement('title', {});
+    title.textContent = text;
+    return title;
+}
+
+/**
+ * Show a status line under the charts (empty string hides it)
+ * @param {string} message
+ * @returns {void}
+ */
+function setStatsStatus(message) {
+    const status = dom.display.statsStatus;
+    if (!status) return;
+    status.textContent = message;
+    if (message) {
+        removeClass(status, CSS_CLASSES.HIDDEN);
+    } else {
+        addClass(status, CSS_CLASSES.HIDDEN);
+    }
+}
@@ -1,31 +1,82 @@
 /**
  * Streak calculation and timer duration updates
- * 
+ *
  * @typedef {import('../../../shared/types/state.js').AppState} AppState
+ * @typedef {import('../../../shared/domains/sessions/types.js').MissedDayPenaltyConfig} MissedDayPenaltyConfig
  */
 
 import { getState, setTimerDuration, setState } from '../../state/app-state.js';
-import { TIMER } from '../../../shared/constants.js';
-import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { TIMER, TIMER_MODES, STREAK } from '../../../shared/constants.js';
+import { toDayKey, normalizeDayKey } from './utils/dates.js';
+import { applyCompletedSession, evaluateMissedDays } from './utils/streak-model.js';
+import { recordDailyProgress } from './daily-goal.js';
+
+/** @type {MissedDayPenaltyConfig} */
+const PENALTY_CONFIG = {
+    mode: STREAK.PENALTY_MODE,
+    penaltySeconds: STREAK.PENALTY_SECONDS,
+    decayFactor: STREAK.DECAY_FACTOR,
+    floorSeconds: STREAK.PENALTY_FLOOR
+};
 
 /**
  * Update streak when session is completed
+ * With the daily goal on, the day is only credited once today's sessions add
+ * up to the timer duration.
+ * @param {number} [sessionSeconds=0] - Seconds counted in the session
  * @returns {void}
  */
-export function updateStreak() {
-    const today = new Date().toDateString();
-    const lastDate = getState('lastSessionDate');
+export function updateStreak(sessionSeconds = 0) {
+    const now = new Date();
+    const today = toDayKey(now);
+    const { isNewlyReached } = recordDailyProgress(sessionSeconds, now);
+    if (getState('dailyGoalEnabled') && !isNewlyReached) return;
+
+    const result = applyCompletedSession({
+        currentStreak: getState('currentStreak'),
+        longestStreak: getState('longestStreak'),
+        lastSessionDate: normalizeDayKey(getState('lastSessionDate'))
+    }, today);
+
+    if (!result.isNewDay) return;
 
-    if (lastDate !== today) {
-        // It's a new day, reward the user
+    // It's a new day, reward the user (unless they chose a fixed duration)
+    if (getState('timerMode') === TIMER_MODES.GROWTH) {
         const currentDuration = getState('timerDuration');
         const newDuration = currentDuration + TIMER.INCREMENT;
-        
+
         // Update timer duration (automatically persists and syncs currentTimer)
         setTimerDuration(newDuration);
-        
-        // Update last session date (automatically persists)
-        setState('lastSessionDate', today);
     }
+
+    // Update streak counters and last session date (automatically persist)
+    setState('currentStreak', result.currentStreak);
+    setState('longestStreak', result.longestStreak);
+    setState('lastSessionDate', result.lastSessionDate);
 }
 
+/**
+ * Apply the missed-day penalty on startup
+ *
+ * Each missed day is only penalized once: the last penalized day is persisted,
+ * so reloading (or opening the app again the same day) doesn't apply it again.
+ * A fixed timer duration is left alone; only the streak resets.
+ * @returns {number} Number of newly penalized missed days
+ */
+export function applyMissedDayPenalty() {
+    const today = toDayKey(new Date());
+    const outcome = evaluateMissedDays({
+        lastSessionDate: normalizeDayKey(getState('lastSessionDate')),
+        penalizedThrough: normalizeDayKey(getState('penalizedThroughDate')),
+        timerDuration: getState('timerDuration')
+    }, today, PENALTY_CONFIG);
+
+    if (outcome.missedDays === 0) return 0;
+
+    if (getState('timerMode') === TIMER_MODES.GROWTH && outcome.timerDuration !== getState('timerDuration')) {
+        setTimerDuration(outcome.timerDuration);
+    }
+    setState('currentStreak', 0);
+    setState('penalizedThroughDate', outcome.penalizedThrough);
+    return outcome.missedDays;
+}
@@ -0,0 +1,208 @@
+/**
+ * Session summary page
+ *
+ * Shown when a session finishes, instead of going straight to the menu:
+ * minutes completed, the streak change, the timer duration earned, and the
+ * intention and journal text. The user can save a quick reflection before
+ * continuing.
+ *
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionSummary} SessionSummary
+ */
+
+import { getDOMElements } from '../../utils/dom-elements.js';
+import { moduleRegistry } from '../../utils/module-registry.js';
+import { getRepository } from '../../services/repository/index.js';
+import { queueWrite } from '../../services/sync-queue.js';
+import { PAGES, CSS_CLASSES } from '../../../shared/constants.js';
+import { addClass, removeClass } from '../../utils/dom-helpers.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { keepAnswerOnDevice, SESSION_REFLECTION_TYPE } from '../reflection/index.js';
+import { formatSummaryHeadline, formatStreakChange, formatTimerChange, formatDailyGoal } from './utils/session-summary.js';
+
+let dom = null;
+let isInitialized = false;
+let isSaving = false;
+
+/**
+ * Initialize summary page
+ * @returns {void}
+ */
+export function initSummary() {
+    dom = getDOMElements();
+    if (isInitialized) return;
+    isInitialized = true;
+
+    dom.buttons.summarySave?.addEventListener('click', (e) => {
+        e.preventDefault();
+        saveReflectionAndContinue();
+    });
+
+    dom.buttons.summaryContinue?.addEventListener('click', (e) => {
+        e.preventDefault();
+        continueToMenu();
+    });
+}
+
+/**
+ * Render a finished session's summary and show the summary page
+ * @param {SessionSummary} summary
+ * @returns {Promise<void>}
+ */
+export async function showSessionSummary(summary) {
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    const showPage = moduleRegistry.get('showPage');
+    if (!dom.pages.summary || !showPage) {
+        // No summary page to show, fall back to the menu
+        if (showPage) {
+            await showPage(PAGES.MENU);
+        }
+        return;
+    }
+
+    renderSummary(summary);
+    await showPage(PAGES.SUMMARY);
+}
+
+/**
+ * Fill the summary page
+ * @param {SessionSummary} summary
+ * @returns {void}
+ */
+function renderSummary(summary) {
+    const details = dom.display.summaryDetails;
+    if (!details) return;
+
+    const headline = document.createElement('p');
+    headline.className = 'summary-headline';
+    headline.textContent = formatSummaryHeadline(summary);
+
+    const stats = document.createElement('ul');
+    stats.className = 'summary-stats';
+    const lines = [formatStreakChange(summary), formatTimerChange(summary)];
+    if (summary.dailyGoal) {
+        lines.unshift(formatDailyGoal(summary.dailyGoal.seconds, summary.dailyGoal.goal));
+    }
+    lines.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        stats.appendChild(item);
+    });
+
+    details.replaceChildren(headline, stats);
+
+    if (summary.intention) {
+        const outcome = summary.intention.met === true ? 'You did it.'
+            : summary.intention.met === false ? 'Not this time.'
+                : '';
+        details.appendChild(createSummaryBlock('You set out to', summary.intention.text, outcome));
+    }
+    if (summary.journalEntry) {
+        details.appendChild(createSummaryBlock('You wrote', summary.journalEntry));
+    }
+
+    if (dom.display.summaryReflection) {
+        dom.display.summaryReflection.value = '';
+    }
+    setSummaryStatus('');
+}
+
+/**
+ * Create a labelled block of text
+ * @param {string} label
+ * @param {string} text
+ * @param {string} [note] - Shown after the text
+ * @returns {HTMLElement}
+ */
+function createSummaryBlock(label, text, note = '') {
+    const block = document.createElement('section');
+    block.className = 'summary-block';
+
+    const heading = document.createElement('h3');
+    heading.textContent = label;
+    const body = document.createElement('p');
+    body.className = 'summary-block-text';
+    body.textContent = text;
+    block.append(heading, body);
+
+    if (note) {
+        const noteEl = document.createElement('p');
+        noteEl.className = 'summary-block-note';
+        noteEl.textContent = note;
+        block.appendChild(noteEl);
+    }
+    return block;
+}
+
+/**
+ * Save the quick reflection (if any), then go to the menu
+ * @returns {Promise<void>}
+ */
+async function saveReflectionAndContinue() {
+    const text = dom.display.summaryReflection?.value.trim();
+    if (!text) {
+        await continueToMenu();
+        return;
+    }
+    if (isSaving) return;
+
+    isSaving = true;
+    setSummaryStatus('Saving...');
+    try {
+        // Queued so a flaky connection can't lose the reflection
+        // Both copies share one timestamp so later edits can find the device copy
+        const createdAt = new Date().toISOString();
+        if (getRepository().isReady()) {
+            const result = await queueWrite('saveResponse', {
+                question_type: SESSION_REFLECTION_TYPE,
+                response_text: text,
+                created_at: createdAt
+            });
+            if (!result.success) {
+                setSummaryStatus('Could not save your reflection. Please try again.');
+                return;
+            }
+        }
+
+        // Keep a copy on this device, like question answers
+        await keepAnswerOnDevice({ question_type: SESSION_REFLECTION_TYPE, response_text: text, created_at: createdAt });
+
+        await continueToMenu();
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'summary-ui.js', function: 'saveReflectionAndContinue' }
+        });
+        setSummaryStatus('Could not save your reflection. Please try again.');
+    } finally {
+        isSaving = false;
+    }
+}
+
+/**
+ * Leave the summary for the menu
+ * @returns {Promise<void>}
+ */
+async function continueToMenu() {
+    const showPage = moduleRegistry.get('showPage');
+    if (showPage) {
+        await showPage(PAGES.MENU);
+    }
+}
+
+/**
+ * Show a status line under the reflection (empty string hides it)
+ * @param {string} message
+ * @returns {void}
+ */
+function setSummaryStatus(message) {
+    const status = dom.display.summaryStatus;
+    if (!status) return;
+    status.textContent = message;
+    if (message) {
+        removeClass(status, CSS_CLASSES.HIDDEN);
+    } else {
+        addClass(status, CSS_CLASSES.HIDDEN);
+    }
+}
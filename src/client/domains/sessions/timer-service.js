@@ -5,6 +5,8 @@
  * Works with or without DOM cache for maximum flexibility
  * 
  * @typedef {import('../../../shared/types/dom.js').DOMElements} DOMElements
+ * @typedef {import('../../../shared/domains/sessions/types.js').SessionClock} SessionClock
+ * @typedef {import('../../../shared/domains/sessions/types.js').IntervalPhase} IntervalPhase
  */
 
 import { formatTime, calculateProgressRingOffset } from '../../../shared/utils/index.js';
@@ -13,6 +15,46 @@ import { addClass, removeClass, showElement } from '../../utils/dom-helpers.js';
 import { moduleRegistry } from '../../utils/module-registry.js';
 import { state, getState, setState } from '../../state/app-state.js';
 import { getDOMElements } from '../../utils/dom-elements.js';
+import {
+    createSessionClock,
+    createIntervalClock,
+    getCurrentPhase,
+    getCountedSeconds,
+    getOvertimeSeconds,
+    isInOvertime,
+    advancePhase,
+    settleClock,
+    isClockRunning,
+    getRemainingSeconds,
+    pauseClock,
+    resumeClock,
+    getTimeline,
+    completeTimeline,
+    loadActiveSession,
+    saveActiveSession,
+    clearActiveSession
+} from './session-clock.js';
+import { formatPhaseLabel } from './utils/interval-plan.js';
+import { triggerAlert } from './completion-alerts.js';
+
+/** @type {(() => void)|null} */
+let visibilityHandler = null;
+
+/**
+ * Callbacks of the countdown last started, reused when a phase is skipped
+ * @type {{onTick?: Function, onFinish?: Function, elements?: Object}|null}
+ */
+let lastCountdown = null;
+
+/** Circle timer class while counting up past zero */
+const OVERTIME_CLASS = 'overtime';
+
+/** Progress ring classes for each interval phase */
+const PHASE_CLASSES = {
+    'work': 'phase-work',
+    'break': 'phase-break',
+    'long-break': 'phase-long-break'
+};
 
 /**
  * Update timer display elements with formatted time
@@ -45,6 +87,55 @@ function updateProgressRing(currentTimer, totalDuration, progressRing) {
     progressRing.style.strokeDashoffset = offset;
 }
 
+/**
+ * Show the clock: time left, or time past zero for a session in overtime
+ * @param {SessionClock} clock
+ * @param {number} now - Current time in ms
+ * @param {Object} elements - Timer display elements
+ * @param {number} totalDuration - Timer duration setting
+ * @returns {void}
+ */
+function renderClock(clock, now, elements, totalDuration) {
+    const ringDuration = getRingDuration(clock, totalDuration);
+    const overtime = isInOvertime(clock, now);
+    updateOvertimeDisplay(overtime);
+    
+    if (overtime) {
+        const formatted = `+${formatTime(getOvertimeSeconds(clock, now))}`;
+        if (elements.timerDisplay) {
+            elements.timerDisplay.textContent = formatted;
+        }
+        if (elements.circleTime) {
+            elements.circleTime.textContent = formatted;
+        }
+        // Full ring while counting up
+        updateProgressRing(ringDuration, ringDuration, elements.progressRing);
+        return;
+    }
+    
+    const remaining = getRemainingSeconds(clock, now);
+    updateTimerDisplays(remaining, elements);
+    updateProgressRing(remaining, ringDuration, elements.progressRing);
+}
+
+/**
+ * Style the circle timer for overtime and say how to stop it
+ * @param {boolean} isOvertime
+ * @returns {void}
+ */
+function updateOvertimeDisplay(isOvertime) {
+    const dom = getDOMElements();
+    const circleTimer = dom.display.circleTimer;
+    if (!circleTimer || circleTimer.classList.contains(OVERTIME_CLASS) === isOvertime) return;
+    
+    circleTimer.classList.toggle(OVERTIME_CLASS, isOvertime);
+    if (isOvertime && dom.display.phaseLabel) {
+        dom.display.phaseLabel.textContent = 'Overtime · tap the timer to finish';
+        dom.display.phaseLabel.classList.remove('hidden');
+        dom.buttons.skipPhase?.classList.add('hidden');
+    }
+}
+
 /**
  * Get timer duration from localStorage or use default
  * @returns {number} Timer duration in seconds
@@ -89,120 +180,328 @@ export function showCircleTimer(elements) {
 
 /**
  * Start timer countdown
+ * 
+ * Remaining time is derived from the persisted session clock, so the countdown
+ * stays correct when ticks are throttled (background tabs, sleep). If a paused
+ * session exists it is resumed with `initialTimer` seconds left; otherwise a
+ * new session clock is started (an interval session when `plan` is given).
+ * 
+ * Interval sessions move from phase to phase on their own and only finish
+ * after the last phase; only work phases count towards `sessionElapsed`.
+ * 
  * @param {Object} options - Timer options
  * @param {number} options.initialTimer - Initial timer value in seconds
  * @param {Function} [options.onTick] - Callback called on each tick (receives currentTimer)
  * @param {Function} [options.onFinish] - Callback called when timer reaches 0
  * @param {Object} [options.elements] - Timer display elements (auto-detected if not provided)
+ * @param {IntervalPhase[]|null} [options.plan] - Phases for a new interval session
+ * @param {string|null} [options.intention] - What the user set out to do in a new session
+ * @param {boolean} [options.overtime=false] - Let a new session count up past zero until it is stopped
  * @returns {Function} Function to stop the timer
  */
-export function startTimerCountdown({ initialTimer, onTick, onFinish, elements }) {
+export function startTimerCountdown({ initialTimer, onTick, onFinish, elements, plan = null, intention = null, overtime = false }) {
     const timerElements = elements || getTimerElements();
     const totalDuration = getTimerDuration();
     
-    // Sync initial timer to state (state is source of truth)
-    setState('currentTimer', initialTimer, { persist: false, notify: false });
-    
-    // Initialize displays from state
-    let currentTimer = getState('currentTimer');
-    updateTimerDisplays(currentTimer, timerElements);
-    updateProgressRing(currentTimer, totalDuration, timerElements.progressRing);
-    
     // Clear any existing interval and reset state
-    const existingInterval = getState('timerInterval');
-    if (existingInterval) {
-        clearInterval(existingInterval);
-        setState('timerInterval', null, { persist: false, notify: false });
+    stopTicking();
+    lastCountdown = { onTick, onFinish, elements };
+    
+    // Resume the active session clock, or start a new one
+    const now = Date.now();
+    const existingClock = loadActiveSession();
+    let clock;
+    if (!existingClock) {
+        clock = plan?.length ? createIntervalClock(plan, now) : createSessionClock(initialTimer, now);
+        if (intention) {
+            clock = { ...clock, intention };
+        }
+        if (overtime) {
+            clock = { ...clock, overtime: true };
+        }
+    } else if (isClockRunning(existingClock)) {
+        clock = existingClock;
+    } else {
+        clock = resumeClock(existingClock, now, initialTimer);
     }
+    saveActiveSession(clock);
+    updatePhaseDisplay(clock);
     
-    // Create and store interval in state
-    // Read from state each tick to ensure we're always using the current value
-    const intervalId = setInterval(() => {
-        // Read current timer from state (source of truth)
-        currentTimer = getState('currentTimer');
+    // Sync initial timer to state (state is source of truth)
+    let currentTimer = getRemainingSeconds(clock, now);
+    setState('currentTimer', currentTimer, { persist: false, notify: false });
+    setState('sessionElapsed', getCountedSeconds(clock, now), { persist: false, notify: false });
+    setState('sessionTimeline', getTimeline(clock), { persist: false, notify: false });
+    setState('sessionIntention', clock.intention ?? null, { persist: false, notify: false });
+    renderClock(clock, now, timerElements, totalDuration);
+    
+    // Only alert when overtime starts while ticking, not when restoring a session already in it
+    let wasInOvertime = isInOvertime(clock, now);
+    
+    const tick = () => {
+        // Derive remaining time from the clock, not from the number of ticks
+        const tickTime = Date.now();
         
-        // Decrement timer
-        currentTimer = Math.max(0, currentTimer - 1);
+        // Move interval sessions on to the phase the wall clock is in
+        const settled = settleClock(clock, tickTime);
+        if (settled !== clock) {
+            clock = settled;
+            saveActiveSession(clock);
+            updatePhaseDisplay(clock);
+            alertPhaseChange(clock);
+        }
+        currentTimer = getRemainingSeconds(clock, tickTime);
         
         // Update state first (this is the source of truth)
         setState('currentTimer', currentTimer, { persist: false, notify: false });
+        setState('sessionElapsed', getCountedSeconds(clock, tickTime), { persist: false, notify: false });
         
         // Update displays from state value
-        updateTimerDisplays(currentTimer, timerElements);
-        updateProgressRing(currentTimer, totalDuration, timerElements.progressRing);
+        renderClock(clock, tickTime, timerElements, totalDuration);
         
         // Call tick callback if provided (pass state value)
         if (onTick) {
             onTick(currentTimer);
         }
         
+        // Overtime sessions keep counting until stopped (or the overtime limit)
+        if (isInOvertime(clock, tickTime)) {
+            if (!wasInOvertime) {
+                wasInOvertime = true;
+                triggerAlert({
+                    title: 'Time is up',
+                    body: 'Keep going as long as you like. Tap the timer when you are done.'
+                });
+            }
+            return;
+        }
+        
         // Check if finished
         if (currentTimer <= 0) {
-            clearInterval(intervalId);
-            setState('timerInterval', null, { persist: false, notify: false });
-            
-            // Call finish callback
-            if (onFinish) {
-                onFinish();
-            } else {
-                // Default: navigate to menu
-                const finishSession = moduleRegistry.get('finishSession') || window.finishSession;
-                const showPageFn = moduleRegistry.get('showPage') || window.showPage;
-                
-                if (finishSession) {
-                    finishSession();
-                } else if (showPageFn) {
-                    showPageFn(PAGES.MENU);
-                } else {
-                    // Fallback navigation
-                    const dom = getDOMElements();
-                    const timerPage = dom.pages.timer;
-                    const menuPage = dom.pages.menu;
-                    if (timerPage && menuPage) {
-                        removeClass(timerPage, 'active-page');
-                        addClass(timerPage, 'hidden');
-                        removeClass(menuPage, 'hidden');
-                        addClass(menuPage, 'active-page');
-                    }
-                }
-            }
+            finishCountdown(clock, tickTime, onFinish, { alert: true });
         }
-    }, TIMER.UPDATE_INTERVAL);
+    };
     
-    // Store interval in state (after creation)
+    // Create and store interval in state
+    const intervalId = setInterval(tick, TIMER.UPDATE_INTERVAL);
     setState('timerInterval', intervalId, { persist: false, notify: false });
     
-    // Return stop function
-    return () => {
-        const currentInterval = getState('timerInterval');
-        if (currentInterval) {
-            clearInterval(currentInterval);
-            setState('timerInterval', null, { persist: false, notify: false });
+    // Catch up immediately when a throttled tab becomes visible again
+    visibilityHandler = () => {
+        if (document.visibilityState === 'visible') {
+            tick();
         }
     };
+    document.addEventListener('visibilitychange', visibilityHandler);
+    
+    // Return stop function
+    return stopTimerCountdown;
 }
 
 /**
- * Stop the current timer countdown
+ * End the session: close its timeline, clear the clock and hand over to the finish callback
+ * @param {SessionClock} clock
+ * @param {number} now - Current time in ms
+ * @param {Function} [onFinish] - Finish callback of the countdown
+ * @param {Object} [options]
+ * @param {boolean} [options.alert=false] - Chime/notify/vibrate (when the countdown ran out, not when skipped)
  * @returns {void}
  */
-export function stopTimerCountdown() {
+function finishCountdown(clock, now, onFinish, { alert = false } = {}) {
+    stopTicking();
+    lastCountdown = null;
+    const countedSeconds = getCountedSeconds(clock, now);
+    if (alert) {
+        const minutes = Math.max(1, Math.round(countedSeconds / 60));
+        triggerAlert({
+            title: 'Session complete',
+            body: `You spent ${minutes} minute${minutes === 1 ? '' : 's'} making your life better.`
+        });
+    }
+    setState('sessionElapsed', countedSeconds, { persist: false, notify: false });
+    setState('sessionTimeline', completeTimeline(clock, now), { persist: false, notify: false });
+    clearActiveSession();
+    updatePhaseDisplay(null);
+    
+    // Call finish callback
+    if (onFinish) {
+        onFinish();
+        return;
+    }
+    
+    // Default: navigate to menu
+    const finishSession = moduleRegistry.get('finishSession') || window.finishSession;
+    const showPageFn = moduleRegistry.get('showPage') || window.showPage;
+    
+    if (finishSession) {
+        finishSession();
+    } else if (showPageFn) {
+        showPageFn(PAGES.MENU);
+    } else {
+        // Fallback navigation
+        const dom = getDOMElements();
+        const timerPage = dom.pages.timer;
+        const menuPage = dom.pages.menu;
+        if (timerPage && menuPage) {
+            removeClass(timerPage, 'active-page');
+            addClass(timerPage, 'hidden');
+            removeClass(menuPage, 'hidden');
+            addClass(menuPage, 'active-page');
+        }
+    }
+}
+
+/**
+ * Alert the user that an interval session moved on to a new phase
+ * @param {SessionClock} clock - Clock in its new phase
+ * @returns {void}
+ */
+function alertPhaseChange(clock) {
+    const phase = getCurrentPhase(clock);
+    if (!phase) return;
+    const rounds = clock.interval.plan.filter(p => p.type === 'work').length;
+    triggerAlert({
+        title: phase.type === 'work' ? 'Back to work' : 'Time for a break',
+        body: `${formatPhaseLabel(phase, rounds)} · ${formatTime(phase.seconds)}`
+    });
+}
+
+/**
+ * Length the progress ring counts down from
+ * @param {SessionClock} clock
+ * @param {number} totalDuration - Timer duration setting
+ * @returns {number} The current phase for interval sessions, otherwise the timer duration
+ */
+function getRingDuration(clock, totalDuration) {
+    return clock?.interval ? clock.duration : totalDuration;
+}
+
+/**
+ * Show the phase label, skip button and ring style of an interval session
+ * @param {SessionClock|null} clock - Active clock (null or a regular session hides them)
+ * @returns {void}
+ */
+export function updatePhaseDisplay(clock) {
+    const dom = getDOMElements();
+    const phase = clock ? getCurrentPhase(clock) : null;
+    
+    Object.entries(PHASE_CLASSES).forEach(([type, className]) => {
+        dom.display.circleTimer?.classList.toggle(className, phase?.type === type);
+    });
+    // Set again by the next render if the session is in overtime
+    dom.display.circleTimer?.classList.remove(OVERTIME_CLASS);
+    
+    if (dom.display.phaseLabel) {
+        dom.display.phaseLabel.textContent = phase ? formatPhaseLabel(phase, clock.interval.plan.filter(p => p.type === 'work').length) : '';
+        dom.display.phaseLabel.classList.toggle('hidden', !phase);
+    }
+    dom.buttons.skipPhase?.classList.toggle('hidden', !phase);
+}
+
+/**
+ * Skip the rest of the current interval phase
+ * Work done so far still counts; skipping the last phase finishes the session.
+ * @returns {boolean} True if the active session is an interval session
+ */
+export function skipPhase() {
+    const clock = loadActiveSession();
+    if (!clock?.interval) return false;
+    
+    const now = Date.now();
+    const wasTicking = getState('timerInterval') !== null;
+    const next = advancePhase(clock, now);
+    if (!next) {
+        finishCountdown(clock, now, lastCountdown?.onFinish);
+        return true;
+    }
+    
+    saveActiveSession(next);
+    updatePhaseDisplay(next);
+    setState('sessionElapsed', getCountedSeconds(next, now), { persist: false, notify: false });
+    
+    if (wasTicking && isClockRunning(next)) {
+        // Restart ticking from the new phase's clock
+        startTimerCountdown({ ...lastCountdown, initialTimer: next.duration });
+    } else {
+        const remaining = getRemainingSeconds(next, now);
+        const timerElements = lastCountdown?.elements || getTimerElements();
+        setState('currentTimer', remaining, { persist: false, notify: false });
+        updateTimerDisplays(remaining, timerElements);
+        updateProgressRing(remaining, next.duration, timerElements.progressRing);
+    }
+    return true;
+}
+
+/**
+ * Stop a session that is counting up past zero and record it
+ * @returns {boolean} True if the active session was in overtime
+ */
+export function finishOvertime() {
+    const clock = loadActiveSession();
+    const now = Date.now();
+    if (!clock || !isInOvertime(clock, now)) return false;
+    
+    finishCountdown(clock, now, lastCountdown?.onFinish);
+    return true;
+}
+
+/**
+ * End the active session now, keeping the time counted so far
+ * Used with the daily goal, where several shorter sessions add up over the day.
+ * @returns {boolean} True if there was an active session
+ */
+export function finishEarly() {
+    const storedClock = loadActiveSession();
+    if (!storedClock) return false;
+    
+    const now = Date.now();
+    finishCountdown(settleClock(storedClock, now), now, lastCountdown?.onFinish);
+    return true;
+}
+
+/**
+ * Clear the tick interval and visibility listener without touching the clock
+ * @returns {void}
+ */
+function stopTicking() {
     const currentInterval = getState('timerInterval');
     if (currentInterval) {
         clearInterval(currentInterval);
         setState('timerInterval', null, { persist: false, notify: false });
     }
+    if (visibilityHandler) {
+        document.removeEventListener('visibilitychange', visibilityHandler);
+        visibilityHandler = null;
+    }
+}
+
+/**
+ * Stop the current timer countdown
+ * The session clock is paused so it can be resumed (also after a reload),
+ * and the pause is added to the session timeline
+ * @param {string|null} [reason] - Why the session was interrupted
+ * @returns {void}
+ */
+export function stopTimerCountdown(reason = null) {
+    stopTicking();
+    
+    const clock = loadActiveSession();
+    if (clock && isClockRunning(clock)) {
+        const paused = pauseClock(clock, Date.now(), reason);
+        saveActiveSession(paused);
+        setState('sessionTimeline', getTimeline(paused), { persist: false, notify: false });
+    }
 }
 
 /**
  * Update timer display without starting countdown
  * @param {number} seconds - Time in seconds to display
  * @param {Object} [elements] - Timer display elements (auto-detected if not provided)
+ * @param {number} [totalDuration] - Length the progress ring counts down from (defaults to the timer duration)
  * @returns {void}
  */
-export function updateTimerDisplay(seconds, elements) {
+export function updateTimerDisplay(seconds, elements, totalDuration = getTimerDuration()) {
     const timerElements = elements || getTimerElements();
-    const totalDuration = getTimerDuration();
     
     updateTimerDisplays(seconds, timerElements);
     updateProgressRing(seconds, totalDuration, timerElements.progressRing);
@@ -9,10 +9,17 @@ import { formatTime } from '../../../shared/utils/index.js';
 import { getProgressRingCircumference } from './utils/progress-ring.js';
 import { getDOMElements } from '../../utils/dom-elements.js';
 import { state, getState, setState, setCurrentTimer, resetTimerState } from '../../state/app-state.js';
-import { CSS_CLASSES } from '../../../shared/constants.js';
+import { CSS_CLASSES, PAGES } from '../../../shared/constants.js';
 import { addClass, removeClass } from '../../utils/dom-helpers.js';
-import { startTimerCountdown, stopTimerCountdown, updateTimerDisplay as updateTimerDisplayService, showCircleTimer, getTimerElements, getTimerDuration } from './timer-service.js';
+import { startTimerCountdown, stopTimerCountdown, updateTimerDisplay as updateTimerDisplayService, showCircleTimer, getTimerElements, getTimerDuration, updatePhaseDisplay, skipPhase, finishOvertime, finishEarly } from './timer-service.js';
 import { moduleRegistry } from '../../utils/module-registry.js';
+import { loadActiveSession, saveActiveSession, clearActiveSession, isClockRunning, getRemainingSeconds, getCountedSeconds, getTimeline, setPauseReason, completeTimeline, settleClock, isInOvertime } from './session-clock.js';
+import { loadIntervalSettings } from './interval-settings.js';
+import { primeAlerts } from './completion-alerts.js';
+import { getNextSessionSeconds, getTodayProgress } from './daily-goal.js';
+import { formatDailyGoal } from './utils/session-summary.js';
+import { promptIntention, resetIntentionPrompt } from './intention-ui.js';
+import { createIntervalPlan } from './utils/interval-plan.js';
 import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
 
 let circumference = null;
@@ -30,6 +37,22 @@ export function initTimer() {
     if (dom.display.progressRing) {
         dom.display.progressRing.style.strokeDasharray = circumference;
     }
+
+    // Keep the interruption reason with the pause as soon as it's entered
+    dom.display.pauseReason?.addEventListener('change', savePauseReason);
+
+    dom.buttons.skipPhase?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        skipPhase();
+    });
+
+    dom.buttons.finishEarly?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setState('isTimerRunning', false, { persist: false });
+        finishEarly();
+    });
 }
 
 /**
@@ -51,6 +74,15 @@ export function resetTimerDisplay() {
     }
     
     resetTimerState();
+    clearActiveSession();
+    hidePauseReason();
+    resetIntentionPrompt();
+    updatePhaseDisplay(null);
+    updateFinishEarlyButton(false);
+    
+    // With the daily goal on, the next session is what's left of today's goal
+    setCurrentTimer(getNextSessionSeconds());
+    updateDailyGoalProgress();
     const currentTimer = getState('currentTimer');
     if (dom.display.timer) {
         dom.display.timer.textContent = formatTime(currentTimer);
@@ -64,9 +96,38 @@ export function resetTimerDisplay() {
     addClass(dom.display.circleTimer, CSS_CLASSES.HIDDEN);
     removeClass(dom.display.circleTimer, CSS_CLASSES.SHOW);
 
-    // Reset progress ring
-    if (dom.display.progressRing) {
-        dom.display.progressRing.style.strokeDashoffset = 0;
+    // Reset progress ring (partly filled by today's sessions with the daily goal on)
+    updateProgressRing();
+}
+
+/**
+ * Show today's progress under the intro when the daily goal is on
+ * @returns {void}
+ */
+function updateDailyGoalProgress() {
+    const progressEl = dom?.display.dailyGoalProgress;
+    if (!progressEl) return;
+    
+    if (!getState('dailyGoalEnabled')) {
+        addClass(progressEl, CSS_CLASSES.HIDDEN);
+        return;
+    }
+    progressEl.textContent = formatDailyGoal(getTodayProgress().seconds, getState('timerDuration'));
+    removeClass(progressEl, CSS_CLASSES.HIDDEN);
+}
+
+/**
+ * Show the "Done for now" button while a session runs with the daily goal on
+ * @param {boolean} isSessionActive
+ * @returns {void}
+ */
+function updateFinishEarlyButton(isSessionActive) {
+    const button = dom?.buttons.finishEarly;
+    if (!button) return;
+    if (isSessionActive && getState('dailyGoalEnabled')) {
+        removeClass(button, CSS_CLASSES.HIDDEN);
+    } else {
+        addClass(button, CSS_CLASSES.HIDDEN);
     }
 }
 
@@ -103,10 +164,19 @@ export function startTimer() {
     
     setState('isTimerRunning', true, { persist: false });
     
+    // Started from a click, so audio is allowed to play when the session ends
+    primeAlerts();
+    updateFinishEarlyButton(true);
+    
     // Use shared timer service
     const currentTimer = getState('currentTimer');
+    const intervalSettings = loadIntervalSettings();
     startTimerCountdown({
         initialTimer: currentTimer,
+        // Only used when this starts a new session
+        plan: intervalSettings.enabled ? createIntervalPlan(intervalSettings) : null,
+        intention: getState('sessionIntention'),
+        overtime: getState('overtimeEnabled'),
         elements: {
             timerDisplay: dom.display.timer,
             circleTime: dom.display.circleTime,
@@ -150,9 +220,21 @@ export function finishSession() {
 
 /**
  * Handle start timer button click
+ * Asks what the session is for first; the countdown starts once it's given or skipped
  * @returns {void}
  */
 export function handleStartTimerClick() {
+    if (!promptIntention(beginSession)) {
+        beginSession(null);
+    }
+}
+
+/**
+ * Start a new session from the intro screen
+ * @param {string|null} intention - What the user set out to do
+ * @returns {void}
+ */
+function beginSession(intention) {
     // Ensure dom is initialized
     if (!dom) {
         dom = getDOMElements();
@@ -161,7 +243,7 @@ export function handleStartTimerClick() {
     if (!dom || !dom.display) {
         handleError('Cannot start timer: DOM elements not available', {
             severity: ERROR_SEVERITY.ERROR,
-            context: { module: 'timer.js', function: 'startTimer' }
+            context: { module: 'timer.js', function: 'beginSession' }
         });
         return;
     }
@@ -170,7 +252,7 @@ export function handleStartTimerClick() {
     if (!dom.display.timerIntro || !dom.display.circleTimer) {
         handleError('Cannot start timer: Required DOM elements not found', {
             severity: ERROR_SEVERITY.ERROR,
-            context: { module: 'timer.js', function: 'handleStartTimerClick' }
+            context: { module: 'timer.js', function: 'beginSession' }
         });
         return;
     }
@@ -195,12 +277,14 @@ export function handleStartTimerClick() {
         progressRing: dom.display.progressRing
     });
 
-    // Start the timer
+    // Start the timer (always a new session from the intro screen)
+    clearActiveSession();
+    setState('sessionIntention', intention, { persist: false, notify: false });
     startTimer();
 }
 
 /**
- * Handle circle wrapper click (pause/resume)
+ * Handle circle wrapper click (pause/resume, or finish a session in overtime)
  * @returns {void}
  */
 export function handleCircleClick() {
@@ -210,13 +294,124 @@ export function handleCircleClick() {
     }
     
     const isTimerRunning = getState('isTimerRunning');
+    if (isTimerRunning && finishOvertime()) {
+        return;
+    }
     if (isTimerRunning) {
         pauseTimer();
+        showPauseReason();
     } else {
+        savePauseReason();
+        hidePauseReason();
         startTimer();
     }
 }
 
+/**
+ * Show the interruption reason input for the current pause
+ * @param {string|null} [reason] - Reason already given (e.g. before a reload)
+ * @returns {void}
+ */
+function showPauseReason(reason = null) {
+    const input = dom?.display.pauseReason;
+    if (!input) return;
+    input.value = reason || '';
+    removeClass(input, CSS_CLASSES.HIDDEN);
+}
+
+/**
+ * Hide and clear the interruption reason input
+ * @returns {void}
+ */
+function hidePauseReason() {
+    const input = dom?.display.pauseReason;
+    if (!input) return;
+    input.value = '';
+    addClass(input, CSS_CLASSES.HIDDEN);
+}
+
+/**
+ * Record the entered interruption reason on the latest pause of the active session
+ * @returns {void}
+ */
+function savePauseReason() {
+    const input = dom?.display.pauseReason;
+    const clock = loadActiveSession();
+    if (!input || !clock || isClockRunning(clock)) return;
+
+    const updated = setPauseReason(clock, input.value);
+    saveActiveSession(updated);
+    setState('sessionTimeline', getTimeline(updated), { persist: false, notify: false });
+}
+
+/**
+ * Restore a session that was running or paused before the page was reloaded
+ * 
+ * If the countdown ran out while the page was closed, the session is finished
+ * immediately; otherwise the timer page is shown with the remaining time.
+ * @returns {Promise<boolean>} True if a session was restored
+ */
+export async function restoreActiveSession() {
+    const storedClock = loadActiveSession();
+    if (!storedClock) return false;
+    
+    // Interval sessions may have moved on several phases while the page was closed
+    const now = Date.now();
+    const clock = settleClock(storedClock, now);
+    const remaining = getRemainingSeconds(clock, now);
+    const wasRunning = isClockRunning(clock);
+    const finishSessionFn = moduleRegistry.get('finishSession') || window.finishSession;
+    const showPageFn = moduleRegistry.get('showPage') || window.showPage;
+    
+    if (wasRunning && remaining <= 0 && !isInOvertime(clock, now)) {
+        // Session ended while the page was closed (or ran out of overtime)
+        clearActiveSession();
+        setState('sessionElapsed', getCountedSeconds(clock, now), { persist: false, notify: false });
+        setState('sessionTimeline', completeTimeline(clock, now), { persist: false, notify: false });
+        setState('sessionIntention', clock.intention ?? null, { persist: false, notify: false });
+        if (finishSessionFn) {
+            await finishSessionFn();
+        }
+        return true;
+    }
+    
+    if (!showPageFn) {
+        return false;
+    }
+    
+    // Showing the timer page resets the timer, so put the clock back afterwards
+    await showPageFn(PAGES.TIMER);
+    saveActiveSession(clock);
+    updatePhaseDisplay(clock);
+    
+    if (!dom) {
+        dom = getDOMElements();
+    }
+    updateFinishEarlyButton(true);
+    setCurrentTimer(remaining);
+    setState('sessionElapsed', getCountedSeconds(clock, now), { persist: false, notify: false });
+    setState('sessionTimeline', getTimeline(clock), { persist: false, notify: false });
+    setState('sessionIntention', clock.intention ?? null, { persist: false, notify: false });
+    
+    showCircleTimer({
+        timerIntro: dom.display.timerIntro,
+        circleTimer: dom.display.circleTimer
+    });
+    updateTimerDisplayService(remaining, {
+        timerDisplay: dom.display.timer,
+        circleTime: dom.display.circleTime,
+        progressRing: dom.display.progressRing
+    }, clock.interval ? clock.duration : getTimerDuration());
+    
+    if (wasRunning) {
+        startTimer();
+    } else {
+        const lastPause = getTimeline(clock).filter(event => event.type === 'pause').pop();
+        showPauseReason(lastPause?.reason);
+    }
+    return true;
+}
+
 /**
  * Get current timer value
  * @returns {number} Current timer value in seconds
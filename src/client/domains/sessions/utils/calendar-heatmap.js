@@ -0,0 +1,102 @@
+/**
+ * Calendar heatmap layout
+ *
+ * Arranges a year of practice into week columns (Sunday to Saturday) with a
+ * colour level per day, like a contributions calendar. Days after today are
+ * left empty.
+ *
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionHistoryItem} SessionHistoryItem
+ * @typedef {import('../../../../shared/domains/sessions/types.js').Heatmap} Heatmap
+ * @typedef {import('../../../../shared/domains/sessions/types.js').HeatmapDay} HeatmapDay
+ */
+
+import { toDayKey, addDays } from './dates.js';
+
+/**
+ * First day shown by a heatmap of the given number of weeks
+ * @param {number} weeks
+ * @param {Date} [now] - Reference date
+ * @returns {string} Day key of the first column's Sunday
+ */
+export function getHeatmapStart(weeks, now = new Date()) {
+    const thisSunday = addDays(toDayKey(now), -now.getDay());
+    return addDays(thisSunday, -(weeks - 1) * 7);
+}
+
+/**
+ * Colour level of a day, relative to the busiest day
+ * @param {number} seconds - Focused seconds that day
+ * @param {number} maxSeconds - Busiest day in the heatmap
+ * @param {number} levels - Number of levels above zero
+ * @returns {number} 0 for no practice, otherwise 1..levels
+ */
+export function getHeatLevel(seconds, maxSeconds, levels) {
+    if (seconds <= 0 || maxSeconds <= 0) return 0;
+    return Math.min(levels, Math.max(1, Math.ceil((seconds / maxSeconds) * levels)));
+}
+
+/**
+ * Lay out sessions as a heatmap
+ * @param {SessionHistoryItem[]} sessions - In any order; sessions outside the heatmap are ignored
+ * @param {Object} options
+ * @param {number} options.weeks - Number of week columns (the last one holds today)
+ * @param {number} options.levels - Colour levels above zero
+ * @param {Date} [options.now] - Reference date
+ * @returns {Heatmap}
+ */
+export function buildHeatmap(sessions, { weeks, levels, now = new Date() }) {
+    const today = toDayKey(now);
+    const start = getHeatmapStart(weeks, now);
+
+    /** @type {Map<string, {seconds: number, count: number}>} */
+    const totals = new Map();
+    sessions.forEach(session => {
+        const dayKey = toDayKey(session.completed_at);
+        if (dayKey < start || dayKey > today) return;
+        const total = totals.get(dayKey) || { seconds: 0, count: 0 };
+        total.seconds += Math.max(0, session.duration_seconds || 0);
+        total.count++;
+        totals.set(dayKey, total);
+    });
+
+    const maxSeconds = Math.max(0, ...Array.from(totals.values(), total => total.seconds));
+
+    /** @type {(HeatmapDay|null)[][]} */
+    const columns = [];
+    /** @type {{week: number, label: string}[]} */
+    const months = [];
+    let previousMonth = null;
+
+    for (let week = 0; week < weeks; week++) {
+        const sunday = addDays(start, week * 7);
+        const column = [];
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const dayKey = addDays(sunday, weekday);
+            if (dayKey > today) {
+                column.push(null);
+                continue;
+            }
+            const { seconds, count } = totals.get(dayKey) || { seconds: 0, count: 0 };
+            column.push({ dayKey, seconds, count, level: getHeatLevel(seconds, maxSeconds, levels) });
+        }
+        columns.push(column);
+
+        // Label the first column of each month
+        const month = sunday.slice(0, 7);
+        if (month !== previousMonth) {
+            const [year, monthNumber] = month.split('-').map(Number);
+            months.push({
+                week,
+                label: new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'short' })
+            });
+            previousMonth = month;
+        }
+    }
+
+    // A partial first month would crowd the next label
+    if (months.length > 1 && months[1].week - months[0].week < 3) {
+        months.shift();
+    }
+
+    return { weeks: columns, months, maxSeconds };
+}
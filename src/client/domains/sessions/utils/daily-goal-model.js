@@ -0,0 +1,55 @@
+/**
+ * Daily goal rules
+ *
+ * With the daily goal on, the timer duration is a target for the whole day
+ * that several shorter sessions add up to. Pure functions over day keys
+ * (see ./dates.js), so they can be tested without a browser.
+ *
+ * @typedef {import('../../../../shared/domains/sessions/types.js').DailyProgress} DailyProgress
+ */
+
+/**
+ * Progress for a day (empty if the stored progress is from another day)
+ * @param {DailyProgress|null} progress - Stored progress
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {DailyProgress}
+ */
+export function getDayProgress(progress, dayKey) {
+    if (progress && progress.day === dayKey) {
+        return progress;
+    }
+    return { day: dayKey, seconds: 0, credited: false };
+}
+
+/**
+ * Add a session to the day's progress
+ * The day is credited once the total reaches the goal, and stays credited
+ * even if the goal changes later that day.
+ * @param {DailyProgress|null} progress - Stored progress
+ * @param {string} dayKey - Day the session was completed
+ * @param {number} seconds - Seconds counted in the session
+ * @param {number} goalSeconds - Daily goal
+ * @returns {{progress: DailyProgress, isNewlyReached: boolean}}
+ */
+export function addDailyProgress(progress, dayKey, seconds, goalSeconds) {
+    const current = getDayProgress(progress, dayKey);
+    const total = current.seconds + Math.max(0, seconds || 0);
+    const reached = total >= goalSeconds;
+    return {
+        progress: { day: dayKey, seconds: total, credited: current.credited || reached },
+        isNewlyReached: reached && !current.credited
+    };
+}
+
+/**
+ * Seconds still needed to reach the day's goal
+ * @param {DailyProgress|null} progress - Stored progress
+ * @param {string} dayKey
+ * @param {number} goalSeconds
+ * @returns {number} 0 once the day is credited
+ */
+export function getRemainingGoalSeconds(progress, dayKey, goalSeconds) {
+    const today = getDayProgress(progress, dayKey);
+    if (today.credited) return 0;
+    return Math.max(0, goalSeconds - today.seconds);
+}
@@ -0,0 +1,79 @@
+/**
+ * Calendar date utilities
+ *
+ * Days are identified by local YYYY-MM-DD keys so day boundaries follow the
+ * user's timezone (midnight local time), not UTC.
+ */
+
+/**
+ * Get the local calendar day of a date as YYYY-MM-DD
+ * @param {Date|string|number} date - Date, ISO string or timestamp
+ * @returns {string} Day key in the user's local timezone
+ */
+export function toDayKey(date) {
+    const d = date instanceof Date ? date : new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD day key into its numeric parts
+ * @param {string} dayKey
+ * @returns {{year: number, month: number, day: number}|null} Month is 1-based
+ */
+function parseDayKeyParts(dayKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayKey || '');
+    if (!match) return null;
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+/**
+ * Normalize a stored date into a day key
+ * Accepts day keys and the legacy Date.toDateString() format ("Mon Oct 19 2026")
+ * @param {string|null|undefined} value
+ * @returns {string|null} Day key, or null if the value can't be read
+ */
+export function normalizeDayKey(value) {
+    if (!value) return null;
+    if (parseDayKeyParts(value)) return value;
+
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : toDayKey(parsed);
+}
+
+/**
+ * Number of calendar days from one day key to another
+ * Uses UTC arithmetic on the calendar parts, so DST shifts never produce
+ * 23- or 25-hour "days"
+ * @param {string} fromKey - Earlier day (YYYY-MM-DD)
+ * @param {string} toKey - Later day (YYYY-MM-DD)
+ * @returns {number} Whole days (negative if toKey is earlier)
+ */
+export function daysBetween(fromKey, toKey) {
+    const from = parseDayKeyParts(fromKey);
+    const to = parseDayKeyParts(toKey);
+    if (!from || !to) return NaN;
+
+    const fromUTC = Date.UTC(from.year, from.month - 1, from.day);
+    const toUTC = Date.UTC(to.year, to.month - 1, to.day);
+    return Math.round((toUTC - fromUTC) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Add calendar days to a day key
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting day key
+ */
+export function addDays(dayKey, days) {
+    const parts = parseDayKeyParts(dayKey);
+    if (!parts) return dayKey;
+
+    const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+    const year = shifted.getUTCFullYear();
+    const month = String(shifted.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(shifted.getUTCDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
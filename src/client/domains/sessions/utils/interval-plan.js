@@ -0,0 +1,107 @@
+/**
+ * Interval (Pomodoro) plans
+ *
+ * Turns interval settings into the ordered list of work and break phases a
+ * cycle session runs through. Pure functions, so plans can be tested without
+ * a browser.
+ *
+ * @typedef {import('../../../../shared/domains/sessions/types.js').IntervalSettings} IntervalSettings
+ * @typedef {import('../../../../shared/domains/sessions/types.js').IntervalPhase} IntervalPhase
+ */
+
+import { TIMER, INTERVAL } from '../../../../shared/constants.js';
+
+/** @type {IntervalSettings} */
+export const DEFAULT_INTERVAL_SETTINGS = Object.freeze({
+    enabled: false,
+    workSeconds: INTERVAL.WORK_SECONDS,
+    breakSeconds: INTERVAL.BREAK_SECONDS,
+    longBreakSeconds: INTERVAL.LONG_BREAK_SECONDS,
+    rounds: INTERVAL.ROUNDS,
+    longBreakEvery: INTERVAL.LONG_BREAK_EVERY
+});
+
+/**
+ * Clamp a whole number into a range, falling back when it isn't a number
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clampInteger(value, min, max, fallback) {
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Fill in defaults and keep every value within its bounds
+ * @param {Partial<IntervalSettings>|null|undefined} settings
+ * @returns {IntervalSettings}
+ */
+export function normalizeIntervalSettings(settings) {
+    const input = settings && typeof settings === 'object' ? settings : {};
+    const defaults = DEFAULT_INTERVAL_SETTINGS;
+    return {
+        enabled: input.enabled === true,
+        workSeconds: clampInteger(input.workSeconds, TIMER.MIN_DURATION, TIMER.MAX_DURATION, defaults.workSeconds),
+        breakSeconds: clampInteger(input.breakSeconds, INTERVAL.MIN_BREAK_SECONDS, TIMER.MAX_DURATION, defaults.breakSeconds),
+        longBreakSeconds: clampInteger(input.longBreakSeconds, INTERVAL.MIN_BREAK_SECONDS, TIMER.MAX_DURATION, defaults.longBreakSeconds),
+        rounds: clampInteger(input.rounds, 1, INTERVAL.MAX_ROUNDS, defaults.rounds),
+        // 0 turns long breaks off
+        longBreakEvery: clampInteger(input.longBreakEvery, 0, INTERVAL.MAX_ROUNDS, defaults.longBreakEvery)
+    };
+}
+
+/**
+ * Build the phases of a cycle session
+ * Each round is a work phase followed by a break; the last round has no break,
+ * and every `longBreakEvery`-th break is a long one.
+ * @param {Partial<IntervalSettings>} settings
+ * @returns {IntervalPhase[]}
+ */
+export function createIntervalPlan(settings) {
+    const { workSeconds, breakSeconds, longBreakSeconds, rounds, longBreakEvery } = normalizeIntervalSettings(settings);
+    /** @type {IntervalPhase[]} */
+    const plan = [];
+
+    for (let round = 1; round <= rounds; round++) {
+        plan.push({ type: 'work', seconds: workSeconds, round });
+        if (round === rounds) break;
+
+        const isLongBreak = longBreakEvery > 0 && round % longBreakEvery === 0;
+        plan.push(isLongBreak
+            ? { type: 'long-break', seconds: longBreakSeconds, round }
+            : { type: 'break', seconds: breakSeconds, round });
+    }
+
+    return plan;
+}
+
+/**
+ * Total seconds of a plan
+ * @param {IntervalPhase[]} plan
+ * @returns {{workSeconds: number, breakSeconds: number}}
+ */
+export function getPlanTotals(plan) {
+    return plan.reduce((totals, phase) => {
+        if (phase.type === 'work') {
+            totals.workSeconds += phase.seconds;
+        } else {
+            totals.breakSeconds += phase.seconds;
+        }
+        return totals;
+    }, { workSeconds: 0, breakSeconds: 0 });
+}
+
+/**
+ * Describe a phase for the timer page
+ * @param {IntervalPhase} phase
+ * @param {number} rounds - Rounds in the plan
+ * @returns {string} e.g. "Work · 2 of 4" or "Long break"
+ */
+export function formatPhaseLabel(phase, rounds) {
+    if (phase.type === 'work') return `Work · ${phase.round} of ${rounds}`;
+    return phase.type === 'long-break' ? 'Long break' : 'Break';
+}
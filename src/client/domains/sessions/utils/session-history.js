@@ -0,0 +1,121 @@
+/**
+ * Session history grouping, paging and formatting
+ * 
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionHistoryItem} SessionHistoryItem
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionDayGroup} SessionDayGroup
+ * @typedef {import('../../../../shared/domains/sessions/types.js').TimelineSummary} TimelineSummary
+ */
+
+import { toDayKey } from './dates.js';
+
+/**
+ * Group sessions by the local day they were completed on
+ * Groups keep the order of the input (newest first when sessions are sorted that way)
+ * @param {SessionHistoryItem[]} sessions
+ * @returns {SessionDayGroup[]}
+ */
+export function groupSessionsByDay(sessions) {
+    /** @type {Map<string, SessionDayGroup>} */
+    const groups = new Map();
+
+    sessions.forEach(session => {
+        const dayKey = toDayKey(session.completed_at);
+        if (!groups.has(dayKey)) {
+            groups.set(dayKey, { dayKey, sessions: [], totalSeconds: 0 });
+        }
+        const group = groups.get(dayKey);
+        group.sessions.push(session);
+        group.totalSeconds += session.duration_seconds || 0;
+    });
+
+    return Array.from(groups.values());
+}
+
+/**
+ * Take one page of sessions
+ * Pass one row more than the page size to know whether another page exists
+ * @param {SessionHistoryItem[]} sessions - Sorted newest first
+ * @param {number} offset - Sessions already shown
+ * @param {number} limit - Page size
+ * @returns {{sessions: SessionHistoryItem[], hasMore: boolean}}
+ */
+export function pageSessions(sessions, offset, limit) {
+    return {
+        sessions: sessions.slice(offset, offset + limit),
+        hasMore: sessions.length > offset + limit
+    };
+}
+
+/**
+ * Add sessions still waiting in the sync queue to a page of saved sessions
+ * A queued session joins the page that covers its completion time; one older
+ * than the page waits for a later page, or joins the last one
+ * @param {SessionHistoryItem[]} page - Saved sessions, newest first
+ * @param {SessionHistoryItem[]} queued - Sessions not saved yet (already shown ones left out)
+ * @param {boolean} hasMore - Whether older saved sessions follow this page
+ * @returns {SessionHistoryItem[]} Newest first
+ */
+export function mergeQueuedSessions(page, queued, hasMore) {
+    const savedIds = new Set(page.map(session => session.id));
+    const oldest = page.length > 0 ? new Date(page[page.length - 1].completed_at) : null;
+    const belongsHere = (session) => !hasMore || (oldest !== null && new Date(session.completed_at) >= oldest);
+
+    return [...page, ...queued.filter(session => !savedIds.has(session.id) && belongsHere(session))]
+        .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at));
+}
+
+/**
+ * Format a day key as a heading ("Today", "Yesterday" or a full date)
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Date} [now] - Reference date
+ * @returns {string}
+ */
+export function formatDayLabel(dayKey, now = new Date()) {
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    if (dayKey === toDayKey(now)) return 'Today';
+    if (dayKey === toDayKey(yesterday)) return 'Yesterday';
+
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: year === now.getFullYear() ? undefined : 'numeric'
+    });
+}
+
+/**
+ * Format a session length for display
+ * @param {number} seconds
+ * @returns {string} e.g. "25 min" or "45 sec"
+ */
+export function formatSessionDuration(seconds) {
+    if (seconds < 60) {
+        return `${seconds} sec`;
+    }
+    return `${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * Describe how often a session was interrupted
+ * @param {TimelineSummary} summary
+ * @returns {string} e.g. "2 pauses (5 min paused)", or an empty string for an uninterrupted session
+ */
+export function formatInterruptions(summary) {
+    if (summary.pauseCount === 0) return '';
+    const pauses = summary.pauseCount === 1 ? '1 pause' : `${summary.pauseCount} pauses`;
+    return `${pauses} (${formatSessionDuration(summary.pausedSeconds)} paused)`;
+}
+
+/**
+ * Describe a session's intention and whether it was met
+ * @param {SessionHistoryItem} session
+ * @returns {string} e.g. "Intended: Tidy the desk · Done", or an empty string without an intention
+ */
+export function formatIntention(session) {
+    if (!session.intention) return '';
+    const outcome = session.intention_met === true ? 'Done'
+        : session.intention_met === false ? 'Not this time'
+            : '';
+    return [`Intended: ${session.intention}`, outcome].filter(Boolean).join(' · ');
+}
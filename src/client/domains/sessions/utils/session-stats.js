@@ -0,0 +1,141 @@
+/**
+ * Session statistics and chart geometry
+ *
+ * Turns a list of sessions into per-day totals for the stats page, and lays
+ * out the bar and line charts as plain coordinates so the page can draw them
+ * as SVG without a charting library.
+ *
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionHistoryItem} SessionHistoryItem
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionStats} SessionStats
+ * @typedef {import('../../../../shared/domains/sessions/types.js').ChartBox} ChartBox
+ */
+
+import { toDayKey, addDays } from './dates.js';
+
+/**
+ * Summarize the sessions completed in the last `days` days (today included)
+ * @param {SessionHistoryItem[]} sessions - In any order; sessions outside the range are ignored
+ * @param {Object} options
+ * @param {number} options.days - Length of the range
+ * @param {Date} [options.now] - Reference date
+ * @param {number|null} [options.currentDuration] - Today's timer duration, so the trend ends at the current value
+ * @returns {SessionStats}
+ */
+export function buildSessionStats(sessions, { days, now = new Date(), currentDuration = null }) {
+    const today = toDayKey(now);
+    const firstDay = addDays(today, -(days - 1));
+
+    const dayStats = Array.from({ length: days }, (_, i) => ({
+        dayKey: addDays(firstDay, i),
+        seconds: 0,
+        count: 0,
+        timerDuration: null
+    }));
+    const byDay = new Map(dayStats.map(day => [day.dayKey, day]));
+    /** @type {Map<string, number>} */
+    const latestAt = new Map();
+
+    let totalSeconds = 0;
+    let sessionCount = 0;
+
+    sessions.forEach(session => {
+        const day = byDay.get(toDayKey(session.completed_at));
+        if (!day) return;
+
+        const seconds = Math.max(0, session.duration_seconds || 0);
+        day.seconds += seconds;
+        day.count++;
+        totalSeconds += seconds;
+        sessionCount++;
+
+        // The day's timer duration is the one of its last session
+        const completedAt = new Date(session.completed_at).getTime();
+        if (typeof session.timer_duration === 'number' && completedAt >= (latestAt.get(day.dayKey) ?? -Infinity)) {
+            day.timerDuration = session.timer_duration;
+            latestAt.set(day.dayKey, completedAt);
+        }
+    });
+
+    if (typeof currentDuration === 'number') {
+        byDay.get(today).timerDuration = currentDuration;
+    }
+
+    return {
+        days: dayStats,
+        totalSeconds,
+        sessionCount,
+        averageSeconds: sessionCount > 0 ? Math.round(totalSeconds / sessionCount) : 0
+    };
+}
+
+/**
+ * Lay out one bar per value, scaled to the largest value
+ * @param {number[]} values
+ * @param {ChartBox} box - Drawing area
+ * @returns {{x: number, y: number, width: number, height: number}[]}
+ */
+export function layoutBars(values, { width, height }) {
+    if (values.length === 0) return [];
+
+    const max = Math.max(...values);
+    const slot = width / values.length;
+    // Leave a gap between bars, except when they get too thin to see
+    const barWidth = slot > 6 ? slot * 0.7 : slot;
+
+    return values.map((value, i) => {
+        const barHeight = max > 0 ? (value / max) * height : 0;
+        return {
+            x: round(i * slot + (slot - barWidth) / 2),
+            y: round(height - barHeight),
+            width: round(barWidth),
+            height: round(barHeight)
+        };
+    });
+}
+
+/**
+ * Lay out a line through the known values
+ * Missing values (null) are skipped; the line connects the points around them.
+ * The vertical scale runs from zero to the largest value.
+ * @param {(number|null)[]} values
+ * @param {ChartBox} box - Drawing area
+ * @returns {{x: number, y: number}[]}
+ */
+export function layoutLine(values, { width, height }) {
+    const known = values.filter(value => typeof value === 'number');
+    if (known.length === 0) return [];
+
+    const max = Math.max(...known);
+    const slot = width / values.length;
+
+    return values.flatMap((value, i) => {
+        if (typeof value !== 'number') return [];
+        return [{
+            x: round(i * slot + slot / 2),
+            y: round(max > 0 ? height - (value / max) * height : height)
+        }];
+    });
+}
+
+/**
+ * Short axis label for a day
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} days - Length of the range being shown
+ * @returns {string} Weekday for a week ("Mon"), day and month otherwise ("Oct 19")
+ */
+export function formatChartDay(dayKey, days) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return days <= 7
+        ? date.toLocaleDateString(undefined, { weekday: 'short' })
+        : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Round a coordinate to two decimals to keep the SVG markup short
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
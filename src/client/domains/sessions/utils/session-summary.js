@@ -0,0 +1,91 @@
+/**
+ * Session completion summary
+ *
+ * Pure helpers that describe what a finished session changed, so the
+ * summary page and tests share the same wording.
+ *
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionSummary} SessionSummary
+ * @typedef {import('../../../../shared/domains/sessions/types.js').SessionIntention} SessionIntention
+ */
+
+import { formatSessionDuration } from './session-history.js';
+
+/**
+ * Build the summary of a finished session
+ * @param {Object} input
+ * @param {number} input.durationSeconds - Seconds counted in the session
+ * @param {number} input.streakBefore - Streak before the session was credited
+ * @param {number} input.streakAfter
+ * @param {number} input.timerBefore - Timer duration before the session, in seconds
+ * @param {number} input.timerAfter
+ * @param {SessionIntention|null} [input.intention]
+ * @param {string|null} [input.journalEntry]
+ * @param {{seconds: number, goal: number}|null} [input.dailyGoal] - Today's total and goal, when the daily goal is on
+ * @returns {SessionSummary}
+ */
+export function buildSessionSummary({ durationSeconds, streakBefore, streakAfter, timerBefore, timerAfter, intention = null, journalEntry = null, dailyGoal = null }) {
+    return {
+        durationSeconds: Math.max(0, durationSeconds || 0),
+        streak: { before: streakBefore, after: streakAfter },
+        timer: { before: timerBefore, after: timerAfter },
+        intention: intention?.text ? intention : null,
+        journalEntry: journalEntry?.trim() || null,
+        dailyGoal
+    };
+}
+
+/**
+ * Headline for the time spent
+ * @param {SessionSummary} summary
+ * @returns {string} e.g. "12 min making your life better"
+ */
+export function formatSummaryHeadline(summary) {
+    return `${formatSessionDuration(summary.durationSeconds)} making your life better`;
+}
+
+/**
+ * Describe how the streak changed
+ * With the daily goal on, the streak only moves once today's goal is reached
+ * @param {SessionSummary} summary
+ * @returns {string}
+ */
+export function formatStreakChange({ streak, dailyGoal }) {
+    const days = (count) => `${count} day${count === 1 ? '' : 's'}`;
+    if (streak.after === streak.before) {
+        if (dailyGoal && dailyGoal.seconds < dailyGoal.goal) {
+            return `Streak: ${days(streak.after)} (counts once today's goal is reached)`;
+        }
+        return `Streak: ${days(streak.after)} (today was already counted)`;
+    }
+    if (streak.after === 1) {
+        return 'Streak: a new one starts today';
+    }
+    return `Streak: ${streak.before} → ${days(streak.after)}`;
+}
+
+/**
+ * Describe today's progress towards the daily goal
+ * @param {number} seconds - Session time completed today
+ * @param {number} goal - Daily goal in seconds
+ * @returns {string}
+ */
+export function formatDailyGoal(seconds, goal) {
+    if (seconds >= goal) {
+        return `Daily goal reached: ${formatSessionDuration(seconds)} today`;
+    }
+    if (seconds <= 0) {
+        return `Daily goal: ${formatSessionDuration(goal)}`;
+    }
+    return `Today: ${formatSessionDuration(seconds)} of ${formatSessionDuration(goal)}`;
+}
+
+/**
+ * Describe the timer duration earned for the next session
+ * @param {SessionSummary} summary
+ * @returns {string}
+ */
+export function formatTimerChange({ timer }) {
+    const next = `Next session: ${formatSessionDuration(timer.after)}`;
+    const earned = timer.after - timer.before;
+    return earned > 0 ? `${next} (+${formatSessionDuration(earned)} earned)` : next;
+}
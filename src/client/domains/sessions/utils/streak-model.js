@@ -0,0 +1,100 @@
+/**
+ * Streak and missed-day rules
+ *
+ * Pure functions over day keys (see ./dates.js), so they can be tested
+ * without a browser or the state manager.
+ *
+ * @typedef {import('../../../../shared/domains/sessions/types.js').StreakState} StreakState
+ * @typedef {import('../../../../shared/domains/sessions/types.js').MissedDayPenaltyConfig} MissedDayPenaltyConfig
+ */
+
+import { daysBetween, addDays } from './dates.js';
+
+/**
+ * Apply a completed session to the streak
+ * Only the first session of a day extends the streak
+ * @param {StreakState} streak - Streak before the session
+ * @param {string} todayKey - Day the session was completed (YYYY-MM-DD)
+ * @returns {StreakState & {isNewDay: boolean}}
+ */
+export function applyCompletedSession(streak, todayKey) {
+    const { currentStreak = 0, longestStreak = 0, lastSessionDate = null } = streak;
+
+    if (lastSessionDate === todayKey) {
+        return { currentStreak, longestStreak, lastSessionDate, isNewDay: false };
+    }
+
+    const continuesStreak = lastSessionDate !== null && daysBetween(lastSessionDate, todayKey) === 1;
+    const nextStreak = continuesStreak ? currentStreak + 1 : 1;
+
+    return {
+        currentStreak: nextStreak,
+        longestStreak: Math.max(longestStreak, nextStreak),
+        lastSessionDate: todayKey,
+        isNewDay: true
+    };
+}
+
+/**
+ * Count missed days that haven't been penalized yet
+ * A day is missed when it lies strictly between the last session and today.
+ * @param {string|null} lastSessionDate - Day of the last completed session
+ * @param {string|null} penalizedThrough - Last missed day already penalized
+ * @param {string} todayKey - Current day
+ * @returns {number}
+ */
+export function countMissedDays(lastSessionDate, penalizedThrough, todayKey) {
+    if (!lastSessionDate) return 0;
+
+    // Day keys sort chronologically as strings
+    const countFrom = penalizedThrough && penalizedThrough > lastSessionDate ? penalizedThrough : lastSessionDate;
+    const missed = daysBetween(countFrom, todayKey) - 1;
+    return Number.isFinite(missed) ? Math.max(0, missed) : 0;
+}
+
+/**
+ * Calculate the timer duration after missed-day penalties
+ * Never drops below the floor, and never raises a duration already under it.
+ * @param {number} duration - Current timer duration in seconds
+ * @param {number} missedDays
+ * @param {MissedDayPenaltyConfig} config
+ * @returns {number} New duration in seconds
+ */
+export function calculatePenalizedDuration(duration, missedDays, config) {
+    if (missedDays <= 0) return duration;
+
+    let penalized;
+    if (config.mode === 'decay') {
+        penalized = duration * Math.pow(config.decayFactor, missedDays);
+        // Keep durations in whole minutes
+        penalized = Math.round(penalized / 60) * 60;
+    } else {
+        penalized = duration - config.penaltySeconds * missedDays;
+    }
+
+    return Math.min(duration, Math.max(config.floorSeconds, penalized));
+}
+
+/**
+ * Evaluate missed days on startup
+ * @param {Object} input
+ * @param {string|null} input.lastSessionDate
+ * @param {string|null} input.penalizedThrough
+ * @param {number} input.timerDuration
+ * @param {string} todayKey
+ * @param {MissedDayPenaltyConfig} config
+ * @returns {{missedDays: number, timerDuration: number, penalizedThrough: string|null}}
+ */
+export function evaluateMissedDays({ lastSessionDate, penalizedThrough, timerDuration }, todayKey, config) {
+    const missedDays = countMissedDays(lastSessionDate, penalizedThrough, todayKey);
+    if (missedDays === 0) {
+        return { missedDays, timerDuration, penalizedThrough };
+    }
+
+    return {
+        missedDays,
+        timerDuration: calculatePenalizedDuration(timerDuration, missedDays, config),
+        // Everything up to yesterday is now settled
+        penalizedThrough: addDays(todayKey, -1)
+    };
+}
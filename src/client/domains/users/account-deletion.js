@@ -0,0 +1,89 @@
+/**
+ * Account deletion
+ *
+ * Erases the signed-in user's account: every row they own is deleted by the
+ * repository (the delete_my_account RPC on Supabase), then the app's data on
+ * this device is wiped, the encryption key is forgotten and the user is
+ * signed out. Local data is only wiped once the account is gone, so a failed
+ * deletion loses nothing.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ * @typedef {import('../../../shared/types/encryption.js').KeyVault} KeyVault
+ */
+
+import { getRepository } from '../../services/repository/index.js';
+import * as supabaseModule from '../../services/supabase-client.js';
+import { getKeyVault } from '../../services/encryption/index.js';
+import { signOutAndLock } from './sign-out.js';
+import { STORAGE_KEYS } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+
+/** Text the user types to confirm */
+export const DELETE_CONFIRMATION_TEXT = 'DELETE';
+
+/**
+ * Check the confirmation typed by the user
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isDeletionConfirmed(text) {
+    return typeof text === 'string' && text.trim() === DELETE_CONFIRMATION_TEXT;
+}
+
+/**
+ * Delete the account and its data, then wipe this device
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyValueStorage} [options.storage] - Defaults to localStorage
+ * @param {() => Promise<APIResponse<null>>} [options.signOut] - Ends the auth session
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @returns {Promise<APIResponse<null>>}
+ */
+export async function deleteAccountAndData({
+    repository = getRepository(),
+    storage = globalThis.localStorage,
+    signOut = supabaseModule.signOut,
+    vault = getKeyVault()
+} = {}) {
+    if (!repository.isReady()) {
+        return { success: false, error: 'Not authenticated' };
+    }
+
+    try {
+        const result = await repository.account.remove();
+        if (!result.success) {
+            return { success: false, error: result.error || 'Could not delete your account' };
+        }
+
+        // Includes the sync queue, so no queued write can bring rows back
+        wipeAppStorage(storage);
+
+        // The account no longer exists; signing out only clears the local auth session
+        const signedOut = await signOutAndLock({ signOut, vault });
+        if (!signedOut.success) {
+            handleError(`Sign-out after account deletion failed: ${signedOut.error}`, {
+                severity: ERROR_SEVERITY.WARNING,
+                context: { module: 'account-deletion.js', function: 'deleteAccountAndData' }
+            });
+        }
+
+        return { success: true, data: null, message: 'Your account and data have been deleted' };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'account-deletion.js', function: 'deleteAccountAndData' }
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Remove every localStorage key the app uses
+ * @param {KeyValueStorage} storage
+ * @returns {void}
+ */
+function wipeAppStorage(storage) {
+    Object.values(STORAGE_KEYS).forEach(key => storage.removeItem(key));
+}
@@ -0,0 +1,214 @@
+/**
+ * Data export
+ *
+ * Gathers everything the app stores for the user into one archive: the
+ * profile, sessions and responses (from the repository when signed in,
+ * otherwise from this device) plus the app's raw localStorage values. The
+ * archive is then downloaded as JSON, CSV or Markdown.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ * @typedef {import('../../../shared/domains/users/types.js').ExportArchive} ExportArchive
+ * @typedef {import('../../../shared/domains/users/types.js').ExportFile} ExportFile
+ * @typedef {import('../../../shared/types/encryption.js').KeyVault} KeyVault
+ */
+
+import { getRepository } from '../../services/repository/index.js';
+import { getEncryptionStatus } from '../../services/encryption/index.js';
+import { EXPORT, STORAGE_KEYS, TIMER } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { historyToReflections } from '../reflection/utils/reflection-archive.js';
+import { getQuestionByType } from '../reflection/question-catalog.js';
+import { buildJsonFile, buildCsvFiles, buildMarkdownJournal } from './utils/export-format.js';
+
+/** Error returned while this device can't read the account's encrypted text */
+export const LOCKED_EXPORT_ERROR = 'Unlock encryption in settings before exporting.';
+
+/**
+ * Gather the user's data into an export archive
+ * Refuses on a locked device, where encrypted text would be exported as a placeholder
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyValueStorage} [options.storage] - Defaults to localStorage
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @param {Date} [options.now] - Export time
+ * @returns {Promise<APIResponse<ExportArchive>>}
+ */
+export async function collectExportArchive({ repository = getRepository(), storage = globalThis.localStorage, vault, now = new Date() } = {}) {
+    try {
+        if (repository.isReady()) {
+            const encryption = await getEncryptionStatus({ repository, vault });
+            if (!encryption.success) return encryption;
+            if (encryption.data === 'locked') {
+                return { success: false, error: LOCKED_EXPORT_ERROR };
+            }
+        }
+
+        /** @type {ExportArchive} */
+        const archive = {
+            format: EXPORT.FORMAT,
+            version: EXPORT.VERSION,
+            exportedAt: now.toISOString(),
+            source: repository.isReady() ? 'account' : 'device',
+            profile: null,
+            sessions: [],
+            responses: [],
+            localStorage: readAppStorage(storage)
+        };
+
+        if (repository.isReady()) {
+            const profile = await repository.profiles.get();
+            if (!profile.success) return profile;
+            archive.profile = profile.data;
+
+            const sessions = await listAllSessions(repository);
+            if (!sessions.success) return sessions;
+            archive.sessions = sessions.data;
+
+            const responses = await repository.responses.list();
+            if (!responses.success) return responses;
+            archive.responses = responses.data;
+        } else {
+            archive.profile = readDeviceProfile(storage);
+            archive.sessions = parseList(storage.getItem(STORAGE_KEYS.PENDING_SESSIONS));
+            archive.responses = historyToReflections(parseList(storage.getItem(STORAGE_KEYS.RESPONSE_HISTORY)));
+        }
+
+        archive.sessions = oldestFirst(archive.sessions, 'completed_at');
+        archive.responses = oldestFirst(archive.responses, 'created_at');
+        return { success: true, data: archive };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'data-export.js', function: 'collectExportArchive' }
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Build the files of an export format
+ * @param {ExportArchive} archive
+ * @param {'json'|'csv'|'markdown'} format
+ * @returns {ExportFile[]}
+ */
+export function buildExportFiles(archive, format) {
+    switch (format) {
+        case 'csv':
+            return buildCsvFiles(archive);
+        case 'markdown':
+            return [buildMarkdownJournal(archive, {
+                labelFor: questionType => getQuestionByType(questionType)?.label || 'Reflection'
+            })];
+        case 'json':
+        default:
+            return [buildJsonFile(archive)];
+    }
+}
+
+/**
+ * Export the user's data and download it
+ * @param {'json'|'csv'|'markdown'} format
+ * @returns {Promise<APIResponse<{files: number}>>}
+ */
+export async function downloadExport(format) {
+    const result = await collectExportArchive();
+    if (!result.success) {
+        return { success: false, error: result.error };
+    }
+
+    const files = buildExportFiles(result.data, format);
+    files.forEach(downloadFile);
+    return { success: true, data: { files: files.length } };
+}
+
+/**
+ * Hand a file to the browser as a download
+ * @param {ExportFile} file
+ * @returns {void}
+ */
+function downloadFile(file) {
+    const url = URL.createObjectURL(new Blob([file.content], { type: `${file.mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke later; some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Page through every session in the repository
+ * @param {Repository} repository
+ * @returns {Promise<APIResponse<Object[]>>}
+ */
+async function listAllSessions(repository) {
+    const sessions = [];
+    for (let offset = 0; ; offset += EXPORT.PAGE_SIZE) {
+        const result = await repository.sessions.list({ limit: EXPORT.PAGE_SIZE, offset });
+        if (!result.success) return result;
+        sessions.push(...result.data);
+        if (result.data.length < EXPORT.PAGE_SIZE) {
+            return { success: true, data: sessions };
+        }
+    }
+}
+
+/**
+ * Raw values of the app's localStorage keys
+ * @param {KeyValueStorage} storage
+ * @returns {Record<string, string>}
+ */
+function readAppStorage(storage) {
+    /** @type {Record<string, string>} */
+    const values = {};
+    Object.values(STORAGE_KEYS).forEach(key => {
+        const value = storage.getItem(key);
+        if (value !== null) {
+            values[key] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Profile fields kept on this device by signed-out users
+ * @param {KeyValueStorage} storage
+ * @returns {Object}
+ */
+function readDeviceProfile(storage) {
+    const timerDuration = parseInt(storage.getItem(STORAGE_KEYS.TIMER_DURATION), 10);
+    return {
+        timer_duration: Number.isFinite(timerDuration) ? timerDuration : TIMER.DEFAULT_DURATION,
+        last_session_date: storage.getItem(STORAGE_KEYS.LAST_SESSION_DATE),
+        current_streak: parseInt(storage.getItem(STORAGE_KEYS.CURRENT_STREAK), 10) || 0,
+        longest_streak: parseInt(storage.getItem(STORAGE_KEYS.LONGEST_STREAK), 10) || 0
+    };
+}
+
+/**
+ * Parse a JSON list from storage
+ * @param {string|null} value
+ * @returns {Object[]}
+ */
+function parseList(value) {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Sort rows oldest first
+ * @param {Object[]} rows
+ * @param {string} field - ISO timestamp field
+ * @returns {Object[]} New array
+ */
+function oldestFirst(rows, field) {
+    return rows.slice().sort((a, b) => new Date(a[field]) - new Date(b[field]));
+}
@@ -0,0 +1,176 @@
+/**
+ * Data import
+ *
+ * Reads an export archive (see data-export.js), previews which sessions and
+ * reflections are new, and saves only those. Signed in, records go through
+ * the sync queue; signed out, they are kept on this device like any other
+ * session or reflection. Profile and settings in the archive are left out so
+ * an import never overwrites the current preferences.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ * @typedef {import('../../../shared/domains/users/types.js').ImportPlan} ImportPlan
+ * @typedef {import('../../../shared/domains/users/types.js').ImportRecord} ImportRecord
+ * @typedef {import('../../../shared/domains/users/types.js').ImportRecordResult} ImportRecordResult
+ */
+
+import { getRepository } from '../../services/repository/index.js';
+import { queueWrite } from '../../services/sync-queue.js';
+import { getEncryptionStatus } from '../../services/encryption/index.js';
+import { STORAGE_KEYS } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { addHistoryAnswer } from '../reflection/utils/reflection-archive.js';
+import { collectExportArchive } from './data-export.js';
+import { parseExportArchive, planImport, describeImportRecord } from './utils/import-plan.js';
+
+/**
+ * Read an archive and work out what importing it would add
+ * @param {string} text - Contents of the export file
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyValueStorage} [options.storage] - Defaults to localStorage
+ * @returns {Promise<APIResponse<ImportPlan>>}
+ */
+export async function previewImport(text, { repository = getRepository(), storage = globalThis.localStorage } = {}) {
+    const archive = parseExportArchive(text);
+    if (!archive.success) return archive;
+
+    // Locked text can't be compared, so duplicates would slip through
+    if (repository.isReady()) {
+        const encryption = await getEncryptionStatus({ repository });
+        if (encryption.success && encryption.data === 'locked') {
+            return { success: false, error: 'Unlock encryption in settings before importing.' };
+        }
+    }
+
+    // What is saved now, from the same place the import will write to
+    const saved = await collectExportArchive({ repository, storage });
+    if (!saved.success) {
+        return { success: false, error: 'Could not load your saved data. Please try again.' };
+    }
+
+    return { success: true, data: planImport(archive.data, saved.data) };
+}
+
+/**
+ * Save the new records of an import plan
+ * Records that can't be read are reported as failed alongside the writes
+ * @param {ImportPlan} plan
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyValueStorage} [options.storage] - Defaults to localStorage
+ * @param {typeof queueWrite} [options.write] - Sends writes when signed in
+ * @returns {Promise<ImportRecordResult[]>} One result per added or unreadable record
+ */
+export async function applyImport(plan, { repository = getRepository(), storage = globalThis.localStorage, write = queueWrite } = {}) {
+    /** @type {ImportRecordResult[]} */
+    const results = plan.invalid.map(item => toResult(item, { success: false, error: item.error }));
+
+    const saveRecord = repository.isReady()
+        ? (item) => saveToAccount(item, write)
+        : (item) => saveToDevice(item, storage);
+
+    for (const item of plan.add) {
+        try {
+            results.push(toResult(item, await saveRecord(item)));
+        } catch (error) {
+            handleError(error, {
+                severity: ERROR_SEVERITY.WARNING,
+                context: { module: 'data-import.js', function: 'applyImport', data: { kind: item.kind } }
+            });
+            results.push(toResult(item, { success: false, error: error.message }));
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Queue a record for the signed-in account
+ * The sync queue assigns a fresh id, so archived ids are dropped
+ * @param {ImportRecord} item
+ * @param {typeof queueWrite} write
+ * @returns {Promise<APIResponse<any>>}
+ */
+function saveToAccount({ kind, record }, write) {
+    if (kind === 'session') {
+        return write('saveSession', toSessionPayload(record));
+    }
+    return write('saveResponse', {
+        question_type: record.question_type,
+        response_text: record.response_text,
+        created_at: new Date(record.created_at).toISOString()
+    });
+}
+
+/**
+ * Keep a record on this device, as if it had been saved while signed out
+ * @param {ImportRecord} item
+ * @param {KeyValueStorage} storage
+ * @returns {APIResponse<void>}
+ */
+function saveToDevice({ kind, record }, storage) {
+    if (kind === 'session') {
+        const pending = parseList(storage.getItem(STORAGE_KEYS.PENDING_SESSIONS));
+        storage.setItem(STORAGE_KEYS.PENDING_SESSIONS, JSON.stringify([...pending, toSessionPayload(record)]));
+        return { success: true };
+    }
+
+    const history = addHistoryAnswer(parseList(storage.getItem(STORAGE_KEYS.RESPONSE_HISTORY)), {
+        question_type: record.question_type,
+        response_text: record.response_text,
+        created_at: new Date(record.created_at).toISOString()
+    });
+    if (!history) {
+        return { success: false, error: 'Sign in to import answers to this question' };
+    }
+    storage.setItem(STORAGE_KEYS.RESPONSE_HISTORY, JSON.stringify(history));
+    return { success: true };
+}
+
+/**
+ * Session fields to save from an archived row
+ * @param {Object} record
+ * @returns {Object}
+ */
+function toSessionPayload(record) {
+    return {
+        duration_seconds: record.duration_seconds,
+        journal_entry: record.journal_entry || null,
+        completed_at: new Date(record.completed_at).toISOString(),
+        timeline: Array.isArray(record.timeline) && record.timeline.length ? record.timeline : null,
+        intention: record.intention || null,
+        intention_met: record.intention ? record.intention_met ?? null : null,
+        timer_duration: typeof record.timer_duration === 'number' ? record.timer_duration : null
+    };
+}
+
+/**
+ * Report entry for a record
+ * @param {ImportRecord} item
+ * @param {{success: boolean, error?: string}} outcome
+ * @returns {ImportRecordResult}
+ */
+function toResult(item, { success, error }) {
+    return {
+        kind: item.kind,
+        label: describeImportRecord(item),
+        success,
+        ...(success ? {} : { error: error || 'Could not be saved' })
+    };
+}
+
+/**
+ * Parse a JSON list from storage
+ * @param {string|null} value
+ * @returns {Object[]}
+ */
+function parseList(value) {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
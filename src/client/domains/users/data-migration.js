@@ -1,22 +1,33 @@
 /**
  * Data migration from localStorage to Supabase
- * 
- * @typedef {import('../../../../shared/domains/reflection/types.js').HistoryEntry} HistoryEntry
+ *
+ * Answers kept on this device are read and cleared through the repository's
+ * device history. The timer duration and last session date are read from
+ * storage directly: whether they were ever stored, not the state manager's
+ * defaults, tells whether this device has data from before signing in.
+ *
  * @typedef {import('../../../../shared/domains/users/types.js').ProfileUpdate} ProfileUpdate
  */
 
-import * as supabaseModule from '../../services/supabase-client.js';
+import { getRepository } from '../../services/repository/index.js';
+import { queueWrite } from '../../services/sync-queue.js';
 import { STORAGE_KEYS, TIMER } from '../../../shared/constants.js';
 import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { historyToReflections } from '../reflection/utils/reflection-archive.js';
+import { collectExportArchive } from './data-export.js';
+import { applyImport } from './data-import.js';
+import { planImport, formatImportResults } from './utils/import-plan.js';
+import { rememberSyncedDuration } from './timer-duration-sync.js';
 
 /**
  * Check if local data exists and prompt for migration
- * @returns {void}
+ * @returns {Promise<void>}
  */
-export function checkAndMigrateLocalStorage() {
+export async function checkAndMigrateLocalStorage() {
+    const history = await getRepository().history.list();
     const hasLocalData = localStorage.getItem(STORAGE_KEYS.TIMER_DURATION) ||
-        localStorage.getItem('bl_lastDate') ||
-        localStorage.getItem('bl_history');
+        localStorage.getItem(STORAGE_KEYS.LAST_SESSION_DATE) ||
+        (history.success && history.data.length > 0);
 
     if (hasLocalData) {
         const migrate = confirm('We found existing data on this device. Would you like to import it to your account?');
@@ -35,10 +46,10 @@ export function checkAndMigrateLocalStorage() {
 export async function migrateToSupabase() {
     try {
         const timerDuration = parseInt(localStorage.getItem(STORAGE_KEYS.TIMER_DURATION) || String(TIMER.DEFAULT_DURATION), 10);
-        const lastDate = localStorage.getItem('bl_lastDate');
+        const lastDate = localStorage.getItem(STORAGE_KEYS.LAST_SESSION_DATE);
 
         // Update profile with timer duration and last session date
-        const profileResult = await supabaseModule.updateUserProfile({
+        const profileResult = await queueWrite('updateUserProfile', {
             timer_duration: timerDuration,
             last_session_date: lastDate
         });
@@ -46,37 +57,37 @@ export async function migrateToSupabase() {
         if (!profileResult.success) {
             throw new Error(profileResult.error || 'Failed to update profile');
         }
+        rememberSyncedDuration(timerDuration);
 
-        // Migrate question history if exists
-        /** @type {HistoryEntry[]} */
-        const history = JSON.parse(localStorage.getItem('bl_history') || '[]');
-        for (const entry of history) {
-            if (entry.betterToday) {
-                const result = await supabaseModule.saveResponse('better_today', entry.betterToday);
-                if (!result.success) {
-                    handleError(`Failed to migrate better_today response: ${result.error}`, {
-                        severity: ERROR_SEVERITY.WARNING,
-                        context: { module: 'data-migration.js', function: 'migrateToSupabase' }
-                    });
-                }
-            }
-            if (entry.meaning) {
-                const result = await supabaseModule.saveResponse('life_meaning', entry.meaning);
-                if (!result.success) {
-                    handleError(`Failed to migrate life_meaning response: ${result.error}`, {
-                        severity: ERROR_SEVERITY.WARNING,
-                        context: { module: 'data-migration.js', function: 'migrateToSupabase' }
-                    });
-                }
-            }
+        // Migrate question history, skipping answers the account already has
+        const repository = getRepository();
+        const history = await repository.history.list();
+        if (!history.success) {
+            throw new Error(history.error || 'Failed to read answers on this device');
+        }
+        const saved = await collectExportArchive();
+        if (!saved.success) {
+            throw new Error(saved.error || 'Failed to load saved responses');
         }
+        const plan = planImport({ sessions: [], responses: historyToReflections(history.data) }, saved.data);
+        const results = await applyImport(plan);
+        const failed = results.filter(result => !result.success);
+        failed.forEach(result => {
+            handleError(`Failed to migrate ${result.label}: ${result.error}`, {
+                severity: ERROR_SEVERITY.WARNING,
+                context: { module: 'data-migration.js', function: 'migrateToSupabase' }
+            });
+        });
 
-        alert('Data imported successfully!');
+        const skipped = plan.duplicates.length > 0 ? ` ${plan.duplicates.length} already in your account were skipped.` : '';
+        alert(`Data imported: ${formatImportResults(results)}${skipped}`);
 
-        // Clear localStorage after successful migration
+        // Keep local history until every answer made it, so nothing is lost
         localStorage.removeItem(STORAGE_KEYS.TIMER_DURATION);
-        localStorage.removeItem('bl_lastDate');
-        localStorage.removeItem('bl_history');
+        localStorage.removeItem(STORAGE_KEYS.LAST_SESSION_DATE);
+        if (failed.length === 0) {
+            await repository.history.clear();
+        }
     } catch (error) {
         handleError(error, {
             severity: ERROR_SEVERITY.ERROR,
@@ -2,8 +2,9 @@
  * Users Domain - Public API
  */
 
-export { loadUserData } from './data-persistence.js';
 export { checkAndMigrateLocalStorage } from './data-migration.js';
+export { initTimerDurationSync } from './timer-duration-sync.js';
 export { initSettings } from './preferences/settings-ui.js';
+export { initEncryptionPrompt } from './preferences/encryption-settings.js';
 export { applyFont, attachFontDropdown, availableFonts } from './preferences/fonts.js';
 
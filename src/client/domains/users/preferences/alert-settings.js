@@ -0,0 +1,114 @@
+/**
+ * Alerts section of the settings modal
+ *
+ * Switches for the completion chime, system notifications and vibration.
+ * Turning notifications on asks the browser for permission first.
+ */
+
+import { getDOMElements } from '../../../utils/dom-elements.js';
+import {
+    loadAlertSettings,
+    saveAlertSettings,
+    triggerAlert,
+    requestNotificationPermission,
+    getNotificationPermission
+} from '../../sessions/index.js';
+
+/** Alert channels in the order they are shown */
+const ALERT_CHANNELS = [
+    { key: 'sound', label: 'Chime', isSupported: () => Boolean(window.AudioContext || window.webkitAudioContext) },
+    { key: 'notification', label: 'Notification when the tab is in the background', isSupported: () => getNotificationPermission() !== 'unsupported' },
+    { key: 'vibration', label: 'Vibrate', isSupported: () => typeof navigator.vibrate === 'function' }
+];
+
+/**
+ * Render the alerts section markup
+ * @returns {string} HTML for the settings modal
+ */
+export function renderAlertSettingsSection() {
+    const settings = loadAlertSettings();
+
+    return `
+        <h3 class="fade-in-element" style="animation-delay: 0.9s">Alerts</h3>
+        <div id="alert-settings" class="alert-settings fade-in-element" style="animation-delay: 1s">
+            ${ALERT_CHANNELS.map(({ key, label, isSupported }) => {
+                const supported = isSupported();
+                return `
+                    <div class="alert-toggle">
+                        <label for="alert-${key}">
+                            <span>${label}${supported ? '' : ' (not supported on this device)'}</span>
+                            <input type="checkbox" id="alert-${key}" data-alert-channel="${key}" ${settings[key] && supported ? 'checked' : ''} ${supported ? '' : 'disabled'} />
+                            <span class="toggle-slider"></span>
+                        </label>
+                    </div>
+                `;
+            }).join('')}
+            <button type="button" id="alert-test" class="auth-btn secondary alert-test-btn">Test alerts</button>
+            <div id="alert-settings-message" class="auth-message hidden"></div>
+        </div>
+    `;
+}
+
+/**
+ * Attach listeners to the rendered alerts section
+ * @returns {void}
+ */
+export function attachAlertSettings() {
+    // Query elements directly from modal body as fallback
+    const dom = getDOMElements();
+    const section = dom.alertSettings || dom.display.modalBody?.querySelector('#alert-settings');
+    if (!section) return;
+
+    section.addEventListener('change', async (e) => {
+        const channel = e.target.dataset.alertChannel;
+        if (!channel) return;
+
+        if (channel === 'notification' && e.target.checked) {
+            const permission = await requestNotificationPermission();
+            if (permission !== 'granted') {
+                e.target.checked = false;
+                showAlertMessage(section, permission === 'denied'
+                    ? 'Notifications are blocked. Allow them for this site in your browser settings.'
+                    : 'Notifications were not allowed.', 'error');
+                saveAlertSettings({ notification: false });
+                return;
+            }
+        }
+
+        saveAlertSettings({ [channel]: e.target.checked });
+        hideAlertMessage(section);
+    });
+
+    section.querySelector('#alert-test')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        const fired = triggerAlert({ title: 'Better Life', body: 'This is how you will know a session is over.' });
+        if (loadAlertSettings().notification && !fired.notification) {
+            showAlertMessage(section, 'Notifications only appear while this tab is in the background.', 'success');
+        }
+    });
+}
+
+/**
+ * Show a status message under the alert switches
+ * @param {HTMLElement} section
+ * @param {string} message
+ * @param {'success' | 'error'} type
+ * @returns {void}
+ */
+function showAlertMessage(section, message, type) {
+    const messageEl = section.querySelector('#alert-settings-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.className = `auth-message ${type}`;
+}
+
+/**
+ * Hide the status message
+ * @param {HTMLElement} section
+ * @returns {void}
+ */
+function hideAlertMessage(section) {
+    const messageEl = section.querySelector('#alert-settings-message');
+    if (!messageEl) return;
+    messageEl.className = 'auth-message hidden';
+}
@@ -0,0 +1,192 @@
+/**
+ * Your data section of the settings modal
+ *
+ * Downloads everything the app stores for the user as a JSON archive, CSVs
+ * per table, or a Markdown journal. Works signed in (account data) and signed
+ * out (data kept on this device). A JSON archive can be imported back: the
+ * new records are previewed first and each one is reported once saved.
+ *
+ * @typedef {import('../../../../shared/domains/users/types.js').ImportPlan} ImportPlan
+ * @typedef {import('../../../../shared/domains/users/types.js').ImportRecordResult} ImportRecordResult
+ */
+
+import { getDOMElements } from '../../../utils/dom-elements.js';
+import { downloadExport, LOCKED_EXPORT_ERROR } from '../data-export.js';
+import { previewImport, applyImport } from '../data-import.js';
+import { formatImportPreview, formatImportResults } from '../utils/import-plan.js';
+
+/** Export formats in the order they are shown */
+const EXPORT_FORMATS = [
+    { key: 'json', label: 'JSON archive' },
+    { key: 'csv', label: 'CSV tables' },
+    { key: 'markdown', label: 'Markdown journal' }
+];
+
+/**
+ * Render the data section markup
+ * @returns {string} HTML for the settings modal
+ */
+export function renderDataSettingsSection() {
+    return `
+        <h3 class="fade-in-element" style="animation-delay: 1.1s">Your data</h3>
+        <div id="data-settings" class="data-settings fade-in-element" style="animation-delay: 1.2s">
+            <p class="data-settings-hint">Download everything you have saved: sessions, reflections and settings.</p>
+            <div class="data-export-buttons">
+                ${EXPORT_FORMATS.map(({ key, label }) => `
+                    <button type="button" class="auth-btn secondary" data-export-format="${key}">${label}</button>
+                `).join('')}
+            </div>
+            <p class="data-settings-hint">Import a JSON archive. Sessions and reflections you already have are skipped.</p>
+            <div class="data-export-buttons">
+                <label class="auth-btn secondary data-import-label">
+                    Import archive
+                    <input type="file" id="data-import-file" accept=".json,application/json" hidden>
+                </label>
+            </div>
+            <div id="data-import-preview" class="data-import-preview hidden">
+                <p id="data-import-summary"></p>
+                <div class="data-export-buttons">
+                    <button type="button" class="auth-btn" id="data-import-confirm">Import</button>
+                    <button type="button" class="auth-btn secondary" id="data-import-cancel">Cancel</button>
+                </div>
+            </div>
+            <div id="data-settings-message" class="auth-message hidden"></div>
+            <ul id="data-import-results" class="import-results hidden"></ul>
+        </div>
+    `;
+}
+
+/**
+ * Attach listeners to the rendered data section
+ * @returns {void}
+ */
+export function attachDataSettings() {
+    // Query elements directly from modal body as fallback
+    const dom = getDOMElements();
+    const section = dom.dataSettings || dom.display.modalBody?.querySelector('#data-settings');
+    if (!section) return;
+
+    let isExporting = false;
+    section.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-export-format]');
+        if (!button || isExporting) return;
+        e.preventDefault();
+
+        isExporting = true;
+        showDataMessage(section, 'Preparing your export...', 'success');
+        try {
+            const result = await downloadExport(button.dataset.exportFormat);
+            if (result.success) {
+                showDataMessage(section, result.data.files === 1 ? 'Your export has been downloaded.' : `${result.data.files} files have been downloaded.`, 'success');
+            } else {
+                const message = result.error === LOCKED_EXPORT_ERROR ? result.error : 'Could not export your data. Please try again.';
+                showDataMessage(section, message, 'error');
+            }
+        } finally {
+            isExporting = false;
+        }
+    });
+
+    attachImport(section);
+}
+
+/**
+ * Attach the import controls: pick a file, preview, then import
+ * @param {HTMLElement} section
+ * @returns {void}
+ */
+function attachImport(section) {
+    const fileInput = /** @type {HTMLInputElement|null} */ (section.querySelector('#data-import-file'));
+    const preview = section.querySelector('#data-import-preview');
+    const summary = section.querySelector('#data-import-summary');
+    const confirmBtn = /** @type {HTMLButtonElement|null} */ (section.querySelector('#data-import-confirm'));
+    const cancelBtn = section.querySelector('#data-import-cancel');
+    const resultsList = section.querySelector('#data-import-results');
+    if (!fileInput || !preview || !summary || !confirmBtn || !cancelBtn || !resultsList) return;
+
+    /** @type {ImportPlan|null} */
+    let plan = null;
+
+    const resetImport = () => {
+        plan = null;
+        fileInput.value = '';
+        preview.classList.add('hidden');
+    };
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+
+        resultsList.classList.add('hidden');
+        showDataMessage(section, 'Reading your archive...', 'success');
+        const result = await previewImport(await file.text());
+        if (!result.success) {
+            resetImport();
+            showDataMessage(section, result.error, 'error');
+            return;
+        }
+
+        plan = result.data;
+        summary.textContent = formatImportPreview(plan);
+        confirmBtn.disabled = plan.add.length === 0;
+        preview.classList.remove('hidden');
+        hideDataMessage(section);
+    });
+
+    cancelBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        resetImport();
+    });
+
+    confirmBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if (!plan) return;
+
+        const importing = plan;
+        resetImport();
+        showDataMessage(section, 'Importing...', 'success');
+        const results = await applyImport(importing);
+        renderImportResults(resultsList, results);
+        showDataMessage(section, formatImportResults(results), results.every(result => result.success) ? 'success' : 'error');
+    });
+}
+
+/**
+ * List the outcome of each imported record
+ * @param {Element} list
+ * @param {ImportRecordResult[]} results
+ * @returns {void}
+ */
+function renderImportResults(list, results) {
+    list.innerHTML = '';
+    results.forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.success ? 'import-result success' : 'import-result error';
+        item.textContent = result.success ? `${result.label}: added` : `${result.label}: ${result.error}`;
+        list.appendChild(item);
+    });
+    list.classList.toggle('hidden', results.length === 0);
+}
+
+/**
+ * Show a status message under the data buttons
+ * @param {HTMLElement} section
+ * @param {string} message
+ * @param {'success' | 'error'} type
+ * @returns {void}
+ */
+function showDataMessage(section, message, type) {
+    const messageEl = section.querySelector('#data-settings-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.className = `auth-message ${type}`;
+}
+
+/**
+ * Hide the status message
+ * @param {HTMLElement} section
+ * @returns {void}
+ */
+function hideDataMessage(section) {
+    section.querySelector('#data-settings-message')?.classList.add('hidden');
+}
@@ -0,0 +1,126 @@
+/**
+ * Delete account section of the settings modal (signed in only)
+ *
+ * The delete button first opens a confirmation step that offers a JSON export
+ * and asks the user to type DELETE before anything is erased.
+ */
+
+import { getDOMElements } from '../../../utils/dom-elements.js';
+import { closeModal } from '../../navigation/modal.js';
+import { downloadExport, LOCKED_EXPORT_ERROR } from '../data-export.js';
+import { deleteAccountAndData, isDeletionConfirmed, DELETE_CONFIRMATION_TEXT } from '../account-deletion.js';
+
+/**
+ * Render the delete account section markup
+ * @returns {string} HTML for the settings modal
+ */
+export function renderDeleteAccountSection() {
+    return `
+        <h3 class="fade-in-element" style="animation-delay: 1.5s">Delete account</h3>
+        <div id="delete-account-settings" class="delete-account-settings fade-in-element" style="animation-delay: 1.6s">
+            <p class="data-settings-hint">Permanently delete your account, sessions, reflections and feedback, and clear this device.</p>
+            <button type="button" class="auth-btn secondary danger" id="delete-account-start">Delete my account and data</button>
+            <div id="delete-account-confirm" class="delete-account-confirm hidden">
+                <p>This cannot be undone. Download your data first if you want to keep it.</p>
+                <button type="button" class="auth-btn secondary" id="delete-account-export">Download my data (JSON)</button>
+                <label for="delete-account-input">Type ${DELETE_CONFIRMATION_TEXT} to confirm</label>
+                <input type="text" id="delete-account-input" class="auth-input" autocomplete="off" spellcheck="false" />
+                <div class="data-export-buttons">
+                    <button type="button" class="auth-btn danger" id="delete-account-submit" disabled>Delete permanently</button>
+                    <button type="button" class="auth-btn secondary" id="delete-account-cancel">Cancel</button>
+                </div>
+            </div>
+            <div id="delete-account-message" class="auth-message hidden"></div>
+        </div>
+    `;
+}
+
+/**
+ * Attach listeners to the rendered delete account section
+ * @returns {void}
+ */
+export function attachDeleteAccount() {
+    // Query elements directly from modal body as fallback
+    const dom = getDOMElements();
+    const section = dom.deleteAccountSettings || dom.display.modalBody?.querySelector('#delete-account-settings');
+    if (!section) return;
+
+    const startBtn = section.querySelector('#delete-account-start');
+    const confirmStep = section.querySelector('#delete-account-confirm');
+    const exportBtn = section.querySelector('#delete-account-export');
+    const input = /** @type {HTMLInputElement|null} */ (section.querySelector('#delete-account-input'));
+    const submitBtn = /** @type {HTMLButtonElement|null} */ (section.querySelector('#delete-account-submit'));
+    const cancelBtn = section.querySelector('#delete-account-cancel');
+    if (!startBtn || !confirmStep || !exportBtn || !input || !submitBtn || !cancelBtn) return;
+
+    startBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        startBtn.classList.add('hidden');
+        confirmStep.classList.remove('hidden');
+        input.focus();
+    });
+
+    cancelBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        input.value = '';
+        submitBtn.disabled = true;
+        confirmStep.classList.add('hidden');
+        startBtn.classList.remove('hidden');
+        hideDeleteMessage(section);
+    });
+
+    exportBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const result = await downloadExport('json');
+        if (result.success) {
+            showDeleteMessage(section, 'Your export has been downloaded.', 'success');
+        } else {
+            const message = result.error === LOCKED_EXPORT_ERROR ? result.error : 'Could not export your data. Please try again.';
+            showDeleteMessage(section, message, 'error');
+        }
+    });
+
+    input.addEventListener('input', () => {
+        submitBtn.disabled = !isDeletionConfirmed(input.value);
+    });
+
+    submitBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if (!isDeletionConfirmed(input.value)) return;
+
+        submitBtn.disabled = true;
+        showDeleteMessage(section, 'Deleting your account...', 'success');
+        const result = await deleteAccountAndData();
+        if (result.success) {
+            closeModal();
+            // Reload to reset state
+            location.reload();
+        } else {
+            submitBtn.disabled = false;
+            showDeleteMessage(section, 'Could not delete your account. Nothing was removed; please try again.', 'error');
+        }
+    });
+}
+
+/**
+ * Show a status message in the delete account section
+ * @param {Element} section
+ * @param {string} message
+ * @param {'success' | 'error'} type
+ * @returns {void}
+ */
+function showDeleteMessage(section, message, type) {
+    const messageEl = section.querySelector('#delete-account-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.className = `auth-message ${type}`;
+}
+
+/**
+ * Hide the status message
+ * @param {Element} section
+ * @returns {void}
+ */
+function hideDeleteMessage(section) {
+    section.querySelector('#delete-account-message')?.classList.add('hidden');
+}
@@ -0,0 +1,207 @@
+/**
+ * Encryption section of the settings modal (signed in only)
+ *
+ * Turns on passphrase encryption of journal entries and reflections, unlocks
+ * a device that hasn't seen the passphrase yet, or locks this one again.
+ * Signing in on a locked device also opens the unlock prompt on its own.
+ *
+ * @typedef {import('../../../../shared/types/encryption.js').EncryptionStatus} EncryptionStatus
+ */
+
+import { getDOMElements } from '../../../utils/dom-elements.js';
+import { openModal, closeModal } from '../../navigation/modal.js';
+import { getEncryptionStatus, enableEncryption, unlockEncryption, lockEncryption } from '../../../services/encryption/index.js';
+import { flushSyncQueue } from '../../../services/sync-queue.js';
+import { ENCRYPTION } from '../../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../../shared/utils/error-handler.js';
+
+/**
+ * Render the encryption section markup (filled in once the status is known)
+ * @returns {string} HTML for the settings modal
+ */
+export function renderEncryptionSettingsSection() {
+    return `
+        <h3 class="fade-in-element" style="animation-delay: 1.3s">Encryption</h3>
+        <div id="encryption-settings" class="encryption-settings fade-in-element" style="animation-delay: 1.4s">
+            <p class="data-settings-hint">Checking encryption...</p>
+        </div>
+    `;
+}
+
+/**
+ * Unlock form, shared by the settings section and the prompt
+ * @returns {string}
+ */
+function renderUnlockForm() {
+    return `
+        <p class="data-settings-hint">Your journal and reflections are encrypted. Enter your passphrase to read and write them on this device.</p>
+        <form class="encryption-form" data-encryption-action="unlock">
+            <input type="password" name="passphrase" class="auth-input" placeholder="Passphrase" autocomplete="current-password" required />
+            <button type="submit" class="auth-btn primary">Unlock</button>
+        </form>
+        <div class="auth-message hidden" data-encryption-message></div>
+    `;
+}
+
+/**
+ * Markup of the section for a status
+ * @param {EncryptionStatus} status
+ * @returns {string}
+ */
+function renderStatus(status) {
+    if (status === 'locked') {
+        return renderUnlockForm();
+    }
+    if (status === 'unlocked') {
+        return `
+            <p class="data-settings-hint">On. Journal entries and reflections are encrypted on this device before they are saved.</p>
+            <button type="button" class="auth-btn secondary" data-encryption-action="lock">Lock this device</button>
+            <div class="auth-message hidden" data-encryption-message></div>
+        `;
+    }
+    return `
+        <p class="data-settings-hint">Encrypt journal entries and reflections with a passphrase before they are saved. Entries saved before stay as they are. Without the passphrase encrypted text can't be read, and it can't be recovered.</p>
+        <form class="encryption-form" data-encryption-action="enable">
+            <input type="password" name="passphrase" class="auth-input" placeholder="Passphrase (at least ${ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password" required />
+            <input type="password" name="confirm" class="auth-input" placeholder="Repeat passphrase" autocomplete="new-password" required />
+            <button type="submit" class="auth-btn secondary">Turn on encryption</button>
+        </form>
+        <div class="auth-message hidden" data-encryption-message></div>
+    `;
+}
+
+/**
+ * Attach listeners to the rendered encryption section and show its status
+ * @returns {Promise<void>}
+ */
+export async function attachEncryptionSettings() {
+    // Query elements directly from modal body as fallback
+    const dom = getDOMElements();
+    const section = dom.encryptionSettings || dom.display.modalBody?.querySelector('#encryption-settings');
+    if (!section) return;
+
+    attachEncryptionForms(section, async () => {
+        await refreshSection(section);
+    });
+    await refreshSection(section);
+}
+
+/**
+ * Show the current status in the section
+ * @param {HTMLElement} section
+ * @returns {Promise<void>}
+ */
+async function refreshSection(section) {
+    const status = await getEncryptionStatus();
+    section.innerHTML = status.success
+        ? renderStatus(status.data)
+        : '<p class="data-settings-hint">Encryption settings are unavailable right now.</p>';
+}
+
+/**
+ * Open the unlock prompt if this account encrypts and this device is locked
+ * Does nothing while another modal is open
+ * @returns {Promise<void>}
+ */
+export async function promptUnlockIfNeeded() {
+    try {
+        const dom = getDOMElements();
+        if (!dom.display.modalOverlay?.classList.contains('hidden')) return;
+
+        const status = await getEncryptionStatus();
+        if (!status.success || status.data !== 'locked') return;
+
+        openModal(`
+            <h2>Unlock your journal</h2>
+            <div id="encryption-unlock-prompt" class="encryption-settings">
+                ${renderUnlockForm()}
+            </div>
+        `);
+        const prompt = getDOMElements().display.modalBody?.querySelector('#encryption-unlock-prompt');
+        if (prompt) {
+            attachEncryptionForms(prompt, async () => closeModal());
+        }
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'encryption-settings.js', function: 'promptUnlockIfNeeded' }
+        });
+    }
+}
+
+/**
+ * Open the unlock prompt after signing in on a locked device,
+ * and lock the device when the auth session ends
+ * @returns {void}
+ */
+export function initEncryptionPrompt() {
+    window.addEventListener('auth-state-changed', (event) => {
+        if (event.detail?.authenticated) {
+            promptUnlockIfNeeded();
+        } else {
+            // Also covers sessions that expire or end in another tab
+            lockEncryption();
+        }
+    });
+    promptUnlockIfNeeded();
+}
+
+/**
+ * Handle the enable, unlock and lock actions inside a container
+ * @param {Element} container
+ * @param {() => Promise<void>} onChange - Called after the status changed
+ * @returns {void}
+ */
+function attachEncryptionForms(container, onChange) {
+    container.addEventListener('submit', async (e) => {
+        const form = /** @type {HTMLFormElement} */ (e.target);
+        const action = form.dataset?.encryptionAction;
+        if (!action) return;
+        e.preventDefault();
+
+        const passphrase = form.elements.namedItem('passphrase')?.value || '';
+        if (action === 'enable' && passphrase !== (form.elements.namedItem('confirm')?.value || '')) {
+            showEncryptionMessage(container, 'The passphrases do not match.', 'error');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        showEncryptionMessage(container, action === 'enable' ? 'Turning on encryption...' : 'Unlocking...', 'success');
+
+        const result = action === 'enable'
+            ? await enableEncryption(passphrase)
+            : await unlockEncryption(passphrase);
+        if (submitBtn) submitBtn.disabled = false;
+
+        if (!result.success) {
+            showEncryptionMessage(container, result.error, 'error');
+            return;
+        }
+        // Send writes that waited for the key
+        flushSyncQueue({ force: true });
+        await onChange();
+    });
+
+    container.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-encryption-action="lock"]');
+        if (!button) return;
+        e.preventDefault();
+        await lockEncryption();
+        await onChange();
+    });
+}
+
+/**
+ * Show a status message in an encryption container
+ * @param {Element} container
+ * @param {string} message
+ * @param {'success' | 'error'} type
+ * @returns {void}
+ */
+function showEncryptionMessage(container, message, type) {
+    const messageEl = container.querySelector('[data-encryption-message]');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.className = `auth-message ${type}`;
+}
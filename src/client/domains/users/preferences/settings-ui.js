@@ -7,7 +7,13 @@
 import { getDOMElements, clearDOMElementsCache } from '../../../utils/dom-elements.js';
 import { openModal, closeModal } from '../../navigation/modal.js';
 import { availableFonts, attachFontDropdown } from './fonts.js';
+import { renderTimerSettingsSection, attachTimerSettings } from './timer-settings.js';
+import { renderAlertSettingsSection, attachAlertSettings } from './alert-settings.js';
+import { renderDataSettingsSection, attachDataSettings } from './data-settings.js';
+import { renderEncryptionSettingsSection, attachEncryptionSettings } from './encryption-settings.js';
+import { renderDeleteAccountSection, attachDeleteAccount } from './delete-account-settings.js';
 import { showAuthForm, attachAuthListeners } from '../../auth/auth-ui.js';
+import { signOutAndLock } from '../sign-out.js';
 import * as supabaseModule from '../../../services/supabase-client.js';
 import { STORAGE_KEYS, CSS_CLASSES } from '../../../../shared/constants.js';
 import { moduleRegistry } from '../../../utils/module-registry.js';
@@ -159,8 +165,9 @@ function renderAnonymousSettings() {
             </div>
         </div>
         
-        <h3 class="fade-in-element" style="animation-delay: 0.7s">Timer</h3>
-        <p class="fade-in-element" style="animation-delay: 0.8s">Customize Journal, Timer Style (Coming soon)</p>
+        ${renderTimerSettingsSection()}
+        ${renderAlertSettingsSection()}
+        ${renderDataSettingsSection()}
     `, true); // Hide close button
 
     // Attach event listeners after modal is created
@@ -171,6 +178,9 @@ function renderAnonymousSettings() {
         attachAnonymousSettingsListeners();
         attachDarkModeToggle();
         attachFontDropdown();
+        attachTimerSettings();
+        attachAlertSettings();
+        attachDataSettings();
 
         // Trigger fade-in - query elements directly from modal body since they're newly rendered
         const dom = getDOMElements();
@@ -191,11 +201,11 @@ async function renderAuthenticatedSettings() {
     // Check current dark mode state from body class
     const isCurrentlyDarkMode = document.body.classList.contains(CSS_CLASSES.DARK_MODE);
 
-    const profileResult = await supabaseModule.getUserProfile();
     const user = supabaseModule.currentUser;
 
     const email = user?.email || 'Unknown';
-    const timerMins = profileResult.success ? Math.floor(profileResult.data.timer_duration / 60) : 10;
+    // The duration this device runs, including growth since it was last picked
+    const timerMins = Math.floor(getState('timerDuration') / 60);
 
     openModal(`
         <h2 class="fade-in-element">Settings</h2>
@@ -232,8 +242,11 @@ async function renderAuthenticatedSettings() {
             </div>
         </div>
         
-        <h3 class="fade-in-element" style="animation-delay: 0.7s">Timer</h3>
-        <p class="fade-in-element" style="animation-delay: 0.8s">Customize Journal, Timer Style (Coming soon)</p>
+        ${renderTimerSettingsSection()}
+        ${renderAlertSettingsSection()}
+        ${renderDataSettingsSection()}
+        ${renderEncryptionSettingsSection()}
+        ${renderDeleteAccountSection()}
     `, true); // Hide close button
 
     // Attach event listeners
@@ -244,6 +257,11 @@ async function renderAuthenticatedSettings() {
         attachAuthenticatedSettingsListeners();
         attachDarkModeToggle();
         attachFontDropdown();
+        attachTimerSettings();
+        attachAlertSettings();
+        attachDataSettings();
+        attachEncryptionSettings();
+        attachDeleteAccount();
 
         // Trigger fade-in - query elements directly from modal body since they're newly rendered
         const dom = getDOMElements();
@@ -303,7 +321,7 @@ function attachAnonymousSettingsListeners() {
 function attachAuthenticatedSettingsListeners() {
     const dom = getDOMElements();
     dom.buttons.authSignout?.addEventListener('click', async () => {
-        const result = await supabaseModule.signOut();
+        const result = await signOutAndLock();
         if (result.success) {
             closeModal();
             // Reload to reset state
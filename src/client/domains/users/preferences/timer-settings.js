@@ -0,0 +1,238 @@
+/**
+ * Timer section of the settings modal
+ *
+ * Duration presets, a custom duration editor, the choice between daily
+ * growth and a fixed duration, overtime, the daily goal, and interval
+ * (Pomodoro) settings. Durations
+ * are kept in state and, when signed in, synced to `profiles.timer_duration`
+ * (see ../timer-duration-sync.js).
+ */
+
+import { getDOMElements } from '../../../utils/dom-elements.js';
+import { getState, setState } from '../../../state/app-state.js';
+import { saveTimerDuration } from '../timer-duration-sync.js';
+import { loadIntervalSettings, saveIntervalSettings } from '../../sessions/index.js';
+import { TIMER, TIMER_MODES, INTERVAL } from '../../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../../shared/utils/error-handler.js';
+import { parseDurationMinutes, findDurationPreset, isTimerMode, formatDurationLabel } from '../utils/timer-duration.js';
+
+/**
+ * Render the timer section markup
+ * @returns {string} HTML for the settings modal
+ */
+export function renderTimerSettingsSection() {
+    const duration = getState('timerDuration');
+    const mode = getState('timerMode');
+    const activePreset = findDurationPreset(duration);
+    const intervals = loadIntervalSettings();
+
+    return `
+        <h3 class="fade-in-element" style="animation-delay: 0.7s">Timer</h3>
+        <div id="timer-settings" class="timer-settings fade-in-element" style="animation-delay: 0.8s">
+            <div class="timer-presets" role="group" aria-label="Timer duration presets">
+                ${TIMER.PRESETS.map(seconds =>
+                    `<button type="button" class="timer-preset${seconds === activePreset ? ' active' : ''}" data-seconds="${seconds}">${formatDurationLabel(seconds)}</button>`
+                ).join('')}
+            </div>
+            <div class="timer-custom">
+                <label for="timer-custom-minutes">Custom duration (minutes)</label>
+                <div class="timer-custom-row">
+                    <input type="number" id="timer-custom-minutes" class="auth-input" min="${TIMER.MIN_DURATION / 60}" max="${TIMER.MAX_DURATION / 60}" step="1" value="${Math.round(duration / 60)}" />
+                    <button type="button" id="timer-custom-save" class="auth-btn secondary">Set</button>
+                </div>
+            </div>
+            <div class="timer-mode" role="radiogroup" aria-label="Timer mode">
+                <label>
+                    <input type="radio" name="timer-mode" value="${TIMER_MODES.GROWTH}" ${mode === TIMER_MODES.GROWTH ? 'checked' : ''} />
+                    <span>Grow by ${formatDurationLabel(TIMER.INCREMENT)} each new day</span>
+                </label>
+                <label>
+                    <input type="radio" name="timer-mode" value="${TIMER_MODES.FIXED}" ${mode === TIMER_MODES.FIXED ? 'checked' : ''} />
+                    <span>Keep the duration I choose</span>
+                </label>
+            </div>
+            <label class="interval-toggle overtime-toggle">
+                <input type="checkbox" id="overtime-enabled" ${getState('overtimeEnabled') ? 'checked' : ''} />
+                <span>Keep counting after the timer ends (overtime)</span>
+            </label>
+            <label class="interval-toggle overtime-toggle">
+                <input type="checkbox" id="daily-goal-enabled" ${getState('dailyGoalEnabled') ? 'checked' : ''} />
+                <span>Make the duration a daily goal that shorter sessions add up to</span>
+            </label>
+            <div class="interval-settings">
+                <label class="interval-toggle">
+                    <input type="checkbox" id="interval-enabled" ${intervals.enabled ? 'checked' : ''} />
+                    <span>Work in intervals (Pomodoro)</span>
+                </label>
+                <div class="interval-fields">
+                    ${renderIntervalField('workSeconds', 'Work (min)', intervals.workSeconds / 60, TIMER.MIN_DURATION / 60, TIMER.MAX_DURATION / 60)}
+                    ${renderIntervalField('breakSeconds', 'Break (min)', intervals.breakSeconds / 60, INTERVAL.MIN_BREAK_SECONDS / 60, TIMER.MAX_DURATION / 60)}
+                    ${renderIntervalField('longBreakSeconds', 'Long break (min)', intervals.longBreakSeconds / 60, INTERVAL.MIN_BREAK_SECONDS / 60, TIMER.MAX_DURATION / 60)}
+                    ${renderIntervalField('rounds', 'Rounds', intervals.rounds, 1, INTERVAL.MAX_ROUNDS)}
+                    ${renderIntervalField('longBreakEvery', 'Long break every', intervals.longBreakEvery, 0, INTERVAL.MAX_ROUNDS)}
+                </div>
+            </div>
+            <div id="timer-settings-message" class="auth-message hidden"></div>
+        </div>
+    `;
+}
+
+/**
+ * Render one numeric interval setting
+ * @param {string} field - IntervalSettings property
+ * @param {string} label
+ * @param {number} value - Shown value (minutes for lengths)
+ * @param {number} min
+ * @param {number} max
+ * @returns {string}
+ */
+function renderIntervalField(field, label, value, min, max) {
+    return `
+        <label class="interval-field">
+            <span>${label}</span>
+            <input type="number" class="auth-input" data-interval-field="${field}" min="${min}" max="${max}" step="1" value="${Math.round(value)}" />
+        </label>
+    `;
+}
+
+/**
+ * Attach listeners to the rendered timer section
+ * @returns {void}
+ */
+export function attachTimerSettings() {
+    // Query elements directly from modal body as fallback
+    const dom = getDOMElements();
+    const section = dom.timerSettings || dom.display.modalBody?.querySelector('#timer-settings');
+    if (!section) return;
+
+    section.addEventListener('click', (e) => {
+        const preset = e.target.closest('[data-seconds]');
+        if (preset) {
+            e.preventDefault();
+            applyDuration(section, Number(preset.dataset.seconds));
+            return;
+        }
+
+        if (e.target.closest('#timer-custom-save')) {
+            e.preventDefault();
+            applyCustomDuration(section);
+        }
+    });
+
+    section.querySelector('#timer-custom-minutes')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyCustomDuration(section);
+        }
+    });
+
+    section.addEventListener('change', (e) => {
+        if (e.target.id === 'interval-enabled' || e.target.dataset.intervalField) {
+            applyIntervalSettings(section);
+            return;
+        }
+
+        if (e.target.id === 'overtime-enabled') {
+            setState('overtimeEnabled', e.target.checked);
+            showTimerMessage(section, e.target.checked
+                ? 'New sessions keep counting past zero until you tap the timer.'
+                : 'New sessions end when the timer reaches zero.', 'success');
+            return;
+        }
+
+        if (e.target.id === 'daily-goal-enabled') {
+            setState('dailyGoalEnabled', e.target.checked);
+            showTimerMessage(section, e.target.checked
+                ? 'Sessions add up over the day. Your streak counts once you reach the goal.'
+                : 'Each session runs the full duration.', 'success');
+            return;
+        }
+
+        if (e.target.name === 'timer-mode' && isTimerMode(e.target.value)) {
+            setState('timerMode', e.target.value);
+            showTimerMessage(section, e.target.value === TIMER_MODES.FIXED
+                ? 'Your timer will stay at this duration.'
+                : 'Your timer will grow each new day.', 'success');
+        }
+    });
+}
+
+/**
+ * Save the interval inputs and show the values as saved
+ * Lengths are entered in minutes; out-of-range values are clamped.
+ * @param {HTMLElement} section
+ * @returns {void}
+ */
+function applyIntervalSettings(section) {
+    const changes = { enabled: section.querySelector('#interval-enabled')?.checked === true };
+    section.querySelectorAll('[data-interval-field]').forEach(input => {
+        const field = input.dataset.intervalField;
+        const value = Number(input.value);
+        changes[field] = field.endsWith('Seconds') ? value * 60 : value;
+    });
+
+    const saved = saveIntervalSettings(changes);
+    section.querySelectorAll('[data-interval-field]').forEach(input => {
+        const field = input.dataset.intervalField;
+        input.value = String(field.endsWith('Seconds') ? Math.round(saved[field] / 60) : saved[field]);
+    });
+    showTimerMessage(section, saved.enabled
+        ? `New sessions run ${saved.rounds} × ${formatDurationLabel(saved.workSeconds)} of work with breaks.`
+        : 'New sessions run as a single countdown.', 'success');
+}
+
+/**
+ * Validate and apply the custom duration input
+ * @param {HTMLElement} section
+ * @returns {void}
+ */
+function applyCustomDuration(section) {
+    const input = section.querySelector('#timer-custom-minutes');
+    const parsed = parseDurationMinutes(input?.value ?? '');
+    if (!parsed.success) {
+        showTimerMessage(section, parsed.error, 'error');
+        return;
+    }
+    applyDuration(section, parsed.data);
+}
+
+/**
+ * Set the timer duration, update the section and sync it to the profile
+ * @param {HTMLElement} section
+ * @param {number} seconds
+ * @returns {Promise<void>}
+ */
+async function applyDuration(section, seconds) {
+    const pending = saveTimerDuration(seconds);
+
+    section.querySelectorAll('[data-seconds]').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.seconds) === seconds);
+    });
+    const input = section.querySelector('#timer-custom-minutes');
+    if (input) {
+        input.value = String(Math.round(seconds / 60));
+    }
+    showTimerMessage(section, `Timer set to ${formatDurationLabel(seconds)}.`, 'success');
+
+    const result = await pending;
+    if (!result.success) {
+        handleError(`Failed to sync timer duration: ${result.error}`, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'timer-settings.js', function: 'applyDuration' }
+        });
+    }
+}
+
+/**
+ * Show a status message under the timer controls
+ * @param {HTMLElement} section
+ * @param {string} message
+ * @param {'success' | 'error'} type
+ * @returns {void}
+ */
+function showTimerMessage(section, message, type) {
+    const messageEl = section.querySelector('#timer-settings-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.className = `auth-message ${type}`;
+}
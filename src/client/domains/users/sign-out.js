@@ -0,0 +1,28 @@
+/**
+ * Sign-out
+ *
+ * Every way out of an account goes through here, so the encryption key of
+ * that account never stays unlocked on this device once the user has left.
+ * Sessions that end without the user asking (expired, or signed out in
+ * another tab) are locked by the auth-state-changed listener in
+ * preferences/encryption-settings.js.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/encryption.js').KeyVault} KeyVault
+ */
+
+import * as supabaseModule from '../../services/supabase-client.js';
+import { getKeyVault, lockEncryption } from '../../services/encryption/index.js';
+
+/**
+ * Lock encryption on this device, then end the auth session
+ * The device is locked even if signing out fails
+ * @param {Object} [options]
+ * @param {() => Promise<APIResponse<null>>} [options.signOut] - Ends the auth session
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @returns {Promise<APIResponse<null>>}
+ */
+export async function signOutAndLock({ signOut = supabaseModule.signOut, vault = getKeyVault() } = {}) {
+    await lockEncryption({ vault });
+    return signOut();
+}
@@ -0,0 +1,127 @@
+/**
+ * Timer duration sync
+ *
+ * The duration picked in settings is saved to `profiles.timer_duration` and
+ * loaded back after sign-in, so it follows the account to other devices.
+ *
+ * Growth mode and the missed-day penalty change the duration on this device
+ * only. Streaks are kept per device, so syncing those steps would grow the
+ * account's duration once for every device used that day. To keep them, the
+ * profile value is only applied when it differs from the one this device last
+ * saved or loaded (STORAGE_KEYS.SYNCED_TIMER_DURATION), i.e. when a duration
+ * was picked on another device since, and no change from this device is
+ * still waiting in the sync queue.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ */
+
+import { getState, setTimerDuration } from '../../state/app-state.js';
+import { getRepository } from '../../services/repository/index.js';
+import { queueWrite, getQueuedWrites } from '../../services/sync-queue.js';
+import { STORAGE_KEYS, TIMER } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+
+let isInitialized = false;
+
+/**
+ * Initialize timer duration sync
+ * Loads the account's duration now (if signed in) and whenever the user signs in
+ * @returns {void}
+ */
+export function initTimerDurationSync() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    window.addEventListener('auth-state-changed', (event) => {
+        if (event.detail?.authenticated) {
+            loadTimerDuration();
+        }
+    });
+
+    if (getRepository().isReady()) {
+        loadTimerDuration();
+    }
+}
+
+/**
+ * Set the timer duration picked by the user and save it to the profile
+ * @param {number} seconds
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyValueStorage} [options.storage] - Defaults to localStorage
+ * @returns {Promise<APIResponse<{id: string, queued: boolean}|null>>}
+ */
+export async function saveTimerDuration(seconds, { repository = getRepository(), storage = globalThis.localStorage } = {}) {
+    setTimerDuration(seconds);
+    if (!repository.isReady()) {
+        return { success: true, data: null, message: 'Saved on this device' };
+    }
+
+    // Queued so the new duration reaches the profile even when offline
+    const result = await queueWrite('updateUserProfile', { timer_duration: seconds });
+    if (result.success) {
+        rememberSyncedDuration(seconds, storage);
+    }
+    return result;
+}
+
+/**
+ * Apply the account's timer duration when it was changed on another device
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyValueStorage} [options.storage] - Defaults to localStorage
+ * @returns {Promise<APIResponse<{duration: number, applied: boolean}>>}
+ */
+export async function loadTimerDuration({ repository = getRepository(), storage = globalThis.localStorage } = {}) {
+    if (!repository.isReady()) {
+        return { success: false, error: 'Not authenticated' };
+    }
+
+    try {
+        const profile = await repository.profiles.get();
+        if (!profile.success) {
+            return { success: false, error: profile.error || 'Could not load the profile' };
+        }
+
+        const duration = profile.data?.timer_duration;
+        if (typeof duration !== 'number' || duration < TIMER.MIN_DURATION || duration > TIMER.MAX_DURATION) {
+            return { success: false, error: 'The profile has no valid timer duration' };
+        }
+
+        // This device's own change hasn't reached the profile yet
+        const userId = repository.getUserId();
+        const hasQueuedChange = getQueuedWrites().some(write =>
+            write.type === 'updateUserProfile' && write.userId === userId && 'timer_duration' in write.payload);
+        if (hasQueuedChange) {
+            return { success: true, data: { duration: getState('timerDuration'), applied: false } };
+        }
+
+        const synced = parseInt(storage.getItem(STORAGE_KEYS.SYNCED_TIMER_DURATION) || '', 10);
+        // First sign-in on a device that already has its own duration: keep it (the migration prompt offers to save it)
+        const keepDeviceDuration = isNaN(synced) && storage.getItem(STORAGE_KEYS.TIMER_DURATION) !== null;
+        const applied = duration !== synced && !keepDeviceDuration && duration !== getState('timerDuration');
+        if (applied) {
+            setTimerDuration(duration);
+        }
+        rememberSyncedDuration(duration, storage);
+        return { success: true, data: { duration: getState('timerDuration'), applied } };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'timer-duration-sync.js', function: 'loadTimerDuration' }
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Remember the duration the profile holds, as last saved or loaded by this device
+ * @param {number} seconds
+ * @param {KeyValueStorage} [storage] - Defaults to localStorage
+ * @returns {void}
+ */
+export function rememberSyncedDuration(seconds, storage = globalThis.localStorage) {
+    storage.setItem(STORAGE_KEYS.SYNCED_TIMER_DURATION, String(seconds));
+}
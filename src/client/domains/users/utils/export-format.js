@@ -0,0 +1,174 @@
+/**
+ * Data export formats
+ *
+ * Pure functions that turn an export archive into downloadable files: the
+ * complete JSON archive, one CSV per table, and a Markdown journal that reads
+ * day by day.
+ *
+ * @typedef {import('../../../../shared/domains/users/types.js').ExportArchive} ExportArchive
+ * @typedef {import('../../../../shared/domains/users/types.js').ExportFile} ExportFile
+ */
+
+import { EXPORT } from '../../../../shared/constants.js';
+import { toDayKey } from '../../sessions/utils/dates.js';
+
+/** Columns of each exported table (streaks are only set for profiles kept on this device) */
+const CSV_COLUMNS = {
+    profile: ['id', 'email', 'display_name', 'created_at', 'updated_at', 'timer_duration', 'last_session_date', 'current_streak', 'longest_streak'],
+    sessions: ['id', 'completed_at', 'duration_seconds', 'timer_duration', 'intention', 'intention_met', 'journal_entry', 'timeline'],
+    responses: ['id', 'created_at', 'question_type', 'response_text']
+};
+
+/**
+ * File name for an export
+ * @param {string} name - What the file holds (e.g. "sessions")
+ * @param {string} extension - Without the dot
+ * @param {Date} [date] - Export date
+ * @returns {string} e.g. "better-life-sessions-2025-03-10.csv"
+ */
+export function getExportFileName(name, extension, date = new Date()) {
+    return `${EXPORT.FILE_PREFIX}-${name}-${toDayKey(date)}.${extension}`;
+}
+
+/**
+ * Quote a value for CSV
+ * Objects and arrays are written as JSON; null and undefined become empty cells
+ * @param {*} value
+ * @returns {string}
+ */
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV with a header line
+ * @param {Object[]} rows
+ * @param {string[]} columns - Fields to write, in order
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * The complete archive as a JSON file
+ * @param {ExportArchive} archive
+ * @returns {ExportFile}
+ */
+export function buildJsonFile(archive) {
+    return {
+        filename: getExportFileName('export', 'json', new Date(archive.exportedAt)),
+        mimeType: 'application/json',
+        content: JSON.stringify(archive, null, 2)
+    };
+}
+
+/**
+ * One CSV file per table
+ * @param {ExportArchive} archive
+ * @returns {ExportFile[]}
+ */
+export function buildCsvFiles(archive) {
+    const date = new Date(archive.exportedAt);
+    const tables = {
+        profile: archive.profile ? [archive.profile] : [],
+        sessions: archive.sessions,
+        responses: archive.responses
+    };
+
+    return Object.entries(tables).map(([name, rows]) => ({
+        filename: getExportFileName(name, 'csv', date),
+        mimeType: 'text/csv',
+        content: toCsv(rows, CSV_COLUMNS[name])
+    }));
+}
+
+/**
+ * A readable journal: one heading per day with its sessions and reflections
+ * @param {ExportArchive} archive
+ * @param {Object} [options]
+ * @param {(questionType: string) => string} [options.labelFor] - Heading for a reflection's question
+ * @returns {ExportFile}
+ */
+export function buildMarkdownJournal(archive, { labelFor = questionType => questionType } = {}) {
+    /** @type {Map<string, {sessions: Object[], responses: Object[]}>} */
+    const days = new Map();
+    const dayFor = (timestamp) => {
+        const dayKey = toDayKey(timestamp);
+        if (!days.has(dayKey)) {
+            days.set(dayKey, { sessions: [], responses: [] });
+        }
+        return days.get(dayKey);
+    };
+    archive.sessions.forEach(session => dayFor(session.completed_at).sessions.push(session));
+    archive.responses.forEach(response => dayFor(response.created_at).responses.push(response));
+
+    const lines = ['# Better Life journal', '', `Exported ${formatLongDate(archive.exportedAt)}.`];
+    if (days.size === 0) {
+        lines.push('', 'Nothing recorded yet.');
+    }
+
+    Array.from(days.keys()).sort().forEach(dayKey => {
+        const { sessions, responses } = days.get(dayKey);
+        lines.push('', `## ${formatLongDate(dayKey)}`);
+
+        sessions.forEach(session => {
+            const details = [formatClockTime(session.completed_at), `${Math.round((session.duration_seconds || 0) / 60)} min`];
+            if (session.intention) {
+                const outcome = session.intention_met === true ? ' (done)'
+                    : session.intention_met === false ? ' (not this time)'
+                        : '';
+                details.push(`intended: ${session.intention}${outcome}`);
+            }
+            lines.push('', `**Session** · ${details.join(' · ')}`);
+            if (session.journal_entry) {
+                lines.push('', quoteMarkdown(session.journal_entry));
+            }
+        });
+
+        responses.forEach(response => {
+            lines.push('', `**${labelFor(response.question_type)}**`, '', quoteMarkdown(response.response_text));
+        });
+    });
+
+    return {
+        filename: getExportFileName('journal', 'md', new Date(archive.exportedAt)),
+        mimeType: 'text/markdown',
+        content: lines.join('\n') + '\n'
+    };
+}
+
+/**
+ * Quote text as a Markdown block quote, keeping its line breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteMarkdown(text) {
+    return text.trim().split(/\r?\n/).map(line => line ? `> ${line}` : '>').join('\n');
+}
+
+/**
+ * Format a day key or timestamp as a long date ("Monday, March 10, 2025")
+ * @param {string} value - YYYY-MM-DD or ISO timestamp
+ * @returns {string}
+ */
+function formatLongDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Format the time of day of a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatClockTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
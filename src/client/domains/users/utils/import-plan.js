@@ -0,0 +1,204 @@
+/**
+ * Import planning
+ *
+ * Pure functions that read an export archive and work out which of its
+ * sessions and reflections are new. Records are matched by timestamp and
+ * content, so importing the same archive twice (or an archive of data that
+ * is already saved) adds nothing.
+ *
+ * @typedef {import('../../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../../shared/domains/users/types.js').ExportArchive} ExportArchive
+ * @typedef {import('../../../../shared/domains/users/types.js').ImportPlan} ImportPlan
+ * @typedef {import('../../../../shared/domains/users/types.js').ImportRecord} ImportRecord
+ * @typedef {import('../../../../shared/domains/users/types.js').ImportRecordResult} ImportRecordResult
+ */
+
+import { EXPORT } from '../../../../shared/constants.js';
+
+/**
+ * Read an export archive from file text
+ * @param {string} text - Contents of the JSON file
+ * @returns {APIResponse<ExportArchive>}
+ */
+export function parseExportArchive(text) {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch {
+        return { success: false, error: 'This file is not a Better Life export.' };
+    }
+
+    if (!archive || typeof archive !== 'object' || archive.format !== EXPORT.FORMAT) {
+        return { success: false, error: 'This file is not a Better Life export.' };
+    }
+    if (typeof archive.version !== 'number' || archive.version > EXPORT.VERSION) {
+        return { success: false, error: 'This export was made by a newer version of the app. Update the app and try again.' };
+    }
+
+    return {
+        success: true,
+        data: {
+            ...archive,
+            sessions: Array.isArray(archive.sessions) ? archive.sessions : [],
+            responses: Array.isArray(archive.responses) ? archive.responses : []
+        }
+    };
+}
+
+/**
+ * Key that identifies a session by when it finished and what it contained
+ * @param {Object} session
+ * @returns {string}
+ */
+export function getSessionKey(session) {
+    return [
+        new Date(session.completed_at).getTime(),
+        session.duration_seconds,
+        (session.journal_entry || '').trim()
+    ].join('|');
+}
+
+/**
+ * Key that identifies a reflection by when it was written and what it says
+ * @param {Object} response
+ * @returns {string}
+ */
+export function getResponseKey(response) {
+    return [
+        new Date(response.created_at).getTime(),
+        response.question_type,
+        (response.response_text || '').trim()
+    ].join('|');
+}
+
+/**
+ * Check that an archived session can be saved
+ * @param {*} session
+ * @returns {string|null} Why it can't, or null if it can
+ */
+function validateSession(session) {
+    if (!session || typeof session !== 'object') return 'Not a session';
+    if (isNaN(new Date(session.completed_at).getTime())) return 'Missing or invalid completion time';
+    if (typeof session.duration_seconds !== 'number' || !(session.duration_seconds > 0)) return 'Missing or invalid duration';
+    return null;
+}
+
+/**
+ * Check that an archived reflection can be saved
+ * @param {*} response
+ * @returns {string|null} Why it can't, or null if it can
+ */
+function validateResponse(response) {
+    if (!response || typeof response !== 'object') return 'Not a reflection';
+    if (isNaN(new Date(response.created_at).getTime())) return 'Missing or invalid date';
+    if (typeof response.question_type !== 'string' || !response.question_type) return 'Missing question';
+    if (typeof response.response_text !== 'string' || !response.response_text.trim()) return 'Empty answer';
+    return null;
+}
+
+/**
+ * Sort an archive's records into new, already saved and unreadable
+ * @param {ExportArchive} archive
+ * @param {{sessions: Object[], responses: Object[]}} existing - Records already saved
+ * @returns {ImportPlan}
+ */
+export function planImport(archive, existing) {
+    /** @type {ImportPlan} */
+    const plan = { add: [], duplicates: [], invalid: [] };
+
+    const kinds = [
+        { kind: 'session', records: archive.sessions, saved: existing.sessions, getKey: getSessionKey, validate: validateSession },
+        { kind: 'response', records: archive.responses, saved: existing.responses, getKey: getResponseKey, validate: validateResponse }
+    ];
+
+    kinds.forEach(({ kind, records, saved, getKey, validate }) => {
+        const seen = new Set(saved.filter(record => !validate(record)).map(getKey));
+        const savedIds = new Set(saved.map(record => record?.id).filter(Boolean));
+        records.forEach((record, index) => {
+            const error = validate(record);
+            if (error) {
+                plan.invalid.push({ kind, index, record, error });
+                return;
+            }
+            const key = getKey(record);
+            // Also catches records repeated within the archive itself
+            if (seen.has(key) || (record.id && savedIds.has(record.id))) {
+                plan.duplicates.push({ kind, index, record });
+                return;
+            }
+            seen.add(key);
+            plan.add.push({ kind, index, record });
+        });
+    });
+
+    return plan;
+}
+
+/**
+ * Count the records of a kind
+ * @param {ImportRecord[]} records
+ * @param {'session'|'response'} kind
+ * @returns {number}
+ */
+function countKind(records, kind) {
+    return records.filter(record => record.kind === kind).length;
+}
+
+/**
+ * Pluralize a record count
+ * @param {number} count
+ * @param {'session'|'response'} kind
+ * @returns {string}
+ */
+function describeCount(count, kind) {
+    const noun = kind === 'session' ? 'session' : 'reflection';
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describe what an import will do
+ * @param {ImportPlan} plan
+ * @returns {string} e.g. "3 sessions and 1 reflection will be added. 2 already saved will be skipped."
+ */
+export function formatImportPreview(plan) {
+    const parts = [];
+    if (plan.add.length === 0) {
+        parts.push('Nothing new to add.');
+    } else {
+        parts.push(`${describeCount(countKind(plan.add, 'session'), 'session')} and ${describeCount(countKind(plan.add, 'response'), 'response')} will be added.`);
+    }
+    if (plan.duplicates.length > 0) {
+        parts.push(`${plan.duplicates.length} already saved will be skipped.`);
+    }
+    if (plan.invalid.length > 0) {
+        parts.push(`${plan.invalid.length} could not be read.`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Describe how an import went
+ * @param {ImportRecordResult[]} results
+ * @returns {string} e.g. "4 added. 1 failed."
+ */
+export function formatImportResults(results) {
+    const added = results.filter(result => result.success).length;
+    const failed = results.length - added;
+    if (results.length === 0) return 'Nothing was added.';
+    return failed > 0 ? `${added} added. ${failed} failed.` : `${added} added.`;
+}
+
+/**
+ * Short description of a record for the import report
+ * @param {ImportRecord} item
+ * @returns {string} e.g. "Session, 10 min on 3/8/2025"
+ */
+export function describeImportRecord({ kind, record }) {
+    if (kind === 'session') {
+        const date = new Date(record?.completed_at);
+        const minutes = Math.round((record?.duration_seconds || 0) / 60);
+        return isNaN(date.getTime()) ? 'Session' : `Session, ${minutes} min on ${date.toLocaleDateString()}`;
+    }
+    const date = new Date(record?.created_at);
+    return isNaN(date.getTime()) ? 'Reflection' : `Reflection on ${date.toLocaleDateString()}`;
+}
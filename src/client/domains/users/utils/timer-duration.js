@@ -0,0 +1,62 @@
+/**
+ * Timer duration settings helpers
+ *
+ * Pure functions, so the bounds and preset matching can be tested without
+ * the settings modal.
+ *
+ * @typedef {import('../../../../shared/types/api.js').APIResponse} APIResponse
+ */
+
+import { TIMER, TIMER_MODES } from '../../../../shared/constants.js';
+
+/**
+ * Parse a custom duration entered in minutes
+ * @param {string|number} minutes - Value of the custom duration input
+ * @returns {APIResponse<number>} Duration in seconds
+ */
+export function parseDurationMinutes(minutes) {
+    const value = typeof minutes === 'number' ? minutes : Number(String(minutes).trim());
+    if (String(minutes).trim() === '' || !Number.isFinite(value)) {
+        return { success: false, error: 'Enter a number of minutes' };
+    }
+
+    const seconds = Math.round(value * 60);
+    if (seconds < TIMER.MIN_DURATION) {
+        return { success: false, error: `The timer must be at least ${formatDurationLabel(TIMER.MIN_DURATION)}` };
+    }
+    if (seconds > TIMER.MAX_DURATION) {
+        return { success: false, error: `The timer can be at most ${formatDurationLabel(TIMER.MAX_DURATION)}` };
+    }
+    return { success: true, data: seconds };
+}
+
+/**
+ * Find the preset matching a duration
+ * @param {number} seconds
+ * @returns {number|null} The preset, or null for a custom duration
+ */
+export function findDurationPreset(seconds) {
+    return TIMER.PRESETS.includes(seconds) ? seconds : null;
+}
+
+/**
+ * Check whether a value is a known timer mode
+ * @param {*} mode
+ * @returns {boolean}
+ */
+export function isTimerMode(mode) {
+    return Object.values(TIMER_MODES).includes(mode);
+}
+
+/**
+ * Format a duration for the settings labels
+ * @param {number} seconds
+ * @returns {string} e.g. "25 min" or "1 h 30 min"
+ */
+export function formatDurationLabel(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
@@ -0,0 +1,101 @@
+/**
+ * WebCrypto primitives for client-side encryption
+ *
+ * A passphrase is stretched into an AES-GCM key with PBKDF2-SHA256 and a
+ * per-account salt. Every value gets a fresh random IV and is stored as
+ * `ENCRYPTION.PREFIX + base64(iv) + ':' + base64(ciphertext)`, so encrypted
+ * and plaintext rows can live side by side.
+ */
+
+import { ENCRYPTION } from '../../../shared/constants.js';
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Check whether a stored value was encrypted by this module
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEncryptedText(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTION.PREFIX);
+}
+
+/**
+ * Random salt for a new passphrase
+ * @param {Crypto} [cryptoApi]
+ * @returns {string} Base64
+ */
+export function createSalt(cryptoApi = globalThis.crypto) {
+    return toBase64(cryptoApi.getRandomValues(new Uint8Array(ENCRYPTION.SALT_BYTES)));
+}
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase
+ * @param {string} salt - Base64
+ * @param {Object} [options]
+ * @param {number} [options.iterations]
+ * @param {Crypto} [options.cryptoApi]
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export async function deriveKey(passphrase, salt, { iterations = ENCRYPTION.KDF_ITERATIONS, cryptoApi = globalThis.crypto } = {}) {
+    const material = await cryptoApi.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return cryptoApi.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        // The raw key can't be read back out, only used to encrypt and decrypt
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt text
+ * @param {string} text
+ * @param {CryptoKey} key
+ * @param {Crypto} [cryptoApi]
+ * @returns {Promise<string>} Prefixed value
+ */
+export async function encryptText(text, key, cryptoApi = globalThis.crypto) {
+    const iv = cryptoApi.getRandomValues(new Uint8Array(ENCRYPTION.IV_BYTES));
+    const ciphertext = await cryptoApi.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return `${ENCRYPTION.PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Decrypt a value written by encryptText
+ * Throws if the key is wrong or the value was tampered with
+ * @param {string} value - Prefixed value
+ * @param {CryptoKey} key
+ * @param {Crypto} [cryptoApi]
+ * @returns {Promise<string>}
+ */
+export async function decryptText(value, key, cryptoApi = globalThis.crypto) {
+    if (!isEncryptedText(value)) {
+        throw new Error('Value is not encrypted');
+    }
+    const [iv, ciphertext] = value.slice(ENCRYPTION.PREFIX.length).split(':');
+    const plaintext = await cryptoApi.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext || ''));
+    return new TextDecoder().decode(plaintext);
+}
@@ -0,0 +1,143 @@
+/**
+ * Client-side encryption - Public API
+ *
+ * Optional passphrase encryption of journal entries and reflection answers.
+ * Turning it on stores a random salt and an encrypted check value in the
+ * profile; the passphrase and key never leave the device. Other devices ask
+ * for the passphrase once and keep the derived key (see key-vault.js). The
+ * encrypting itself happens in repository/encrypted-repository.js.
+ *
+ * There is no recovery: a forgotten passphrase means encrypted text can't be read.
+ *
+ * @typedef {import('../../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/encryption.js').EncryptionStatus} EncryptionStatus
+ * @typedef {import('../../../shared/types/encryption.js').KeyVault} KeyVault
+ */
+
+import { getRepository } from '../repository/index.js';
+import { ENCRYPTION } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+import { createSalt, deriveKey, encryptText, decryptText } from './cipher.js';
+import { getKeyVault } from './key-vault.js';
+
+export { createKeyVault, createIndexedDbKeyStore, createMemoryKeyStore, getKeyVault, setKeyVault } from './key-vault.js';
+export { isEncryptedText } from './cipher.js';
+
+/**
+ * Whether the account encrypts, and whether this device is unlocked
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @returns {Promise<APIResponse<EncryptionStatus>>}
+ */
+export async function getEncryptionStatus({ repository = getRepository(), vault = getKeyVault() } = {}) {
+    if (!repository.isReady()) {
+        return { success: false, error: 'Not authenticated' };
+    }
+
+    const profile = await repository.profiles.get();
+    if (!profile.success) return profile;
+    if (!profile.data?.encryption_salt) {
+        return { success: true, data: 'off' };
+    }
+
+    const key = await vault.getKey(repository.getUserId());
+    return { success: true, data: key ? 'unlocked' : 'locked' };
+}
+
+/**
+ * Turn encryption on with a new passphrase and unlock this device
+ * Applies to text saved from now on; earlier entries stay as they are
+ * @param {string} passphrase
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @returns {Promise<APIResponse<null>>}
+ */
+export async function enableEncryption(passphrase, { repository = getRepository(), vault = getKeyVault() } = {}) {
+    if (typeof passphrase !== 'string' || passphrase.length < ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+        return { success: false, error: `Use a passphrase of at least ${ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters` };
+    }
+
+    const status = await getEncryptionStatus({ repository, vault });
+    if (!status.success) return status;
+    if (status.data !== 'off') {
+        return { success: false, error: 'Encryption is already on' };
+    }
+
+    try {
+        const salt = createSalt();
+        const key = await deriveKey(passphrase, salt);
+        const check = await encryptText(ENCRYPTION.CHECK_TEXT, key);
+
+        // Keep the key first, so nothing written right after is refused as locked
+        await vault.setKey(repository.getUserId(), key);
+        const result = await repository.profiles.update({ encryption_salt: salt, encryption_check: check });
+        if (!result.success) {
+            await vault.clear();
+            return { success: false, error: result.error || 'Could not turn on encryption' };
+        }
+        return { success: true, data: null, message: 'Encryption is on' };
+    } catch (error) {
+        await vault.clear();
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'encryption/index.js', function: 'enableEncryption' }
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Unlock this device with the account's passphrase
+ * @param {string} passphrase
+ * @param {Object} [options]
+ * @param {Repository} [options.repository] - Defaults to the active repository
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @returns {Promise<APIResponse<null>>}
+ */
+export async function unlockEncryption(passphrase, { repository = getRepository(), vault = getKeyVault() } = {}) {
+    if (!repository.isReady()) {
+        return { success: false, error: 'Not authenticated' };
+    }
+
+    const profile = await repository.profiles.get();
+    if (!profile.success) return profile;
+    const { encryption_salt: salt, encryption_check: check } = profile.data || {};
+    if (!salt || !check) {
+        return { success: false, error: 'Encryption is not on for this account' };
+    }
+
+    try {
+        const key = await deriveKey(passphrase || '', salt);
+        let matches = false;
+        try {
+            matches = await decryptText(check, key) === ENCRYPTION.CHECK_TEXT;
+        } catch {
+            // AES-GCM refuses to decrypt with the wrong key
+        }
+        if (!matches) {
+            return { success: false, error: 'Wrong passphrase' };
+        }
+
+        await vault.setKey(repository.getUserId(), key);
+        return { success: true, data: null, message: 'Unlocked' };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'encryption/index.js', function: 'unlockEncryption' }
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Forget the key on this device; the passphrase is needed again to read
+ * @param {Object} [options]
+ * @param {KeyVault} [options.vault] - Defaults to this device's vault
+ * @returns {Promise<void>}
+ */
+export async function lockEncryption({ vault = getKeyVault() } = {}) {
+    await vault.clear();
+}
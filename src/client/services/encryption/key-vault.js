@@ -0,0 +1,153 @@
+/**
+ * Key vault
+ *
+ * Keeps the unlocked encryption key on this device so the passphrase is only
+ * asked for once per device. The key is a non-extractable CryptoKey: it is
+ * kept in IndexedDB, which stores CryptoKey objects as they are, so its raw
+ * bytes are never written anywhere a script could read them. It is stored
+ * with the id of the account it belongs to and is never handed out for
+ * another account.
+ *
+ * @typedef {import('../../../shared/types/encryption.js').KeyVault} KeyVault
+ * @typedef {import('../../../shared/types/encryption.js').KeyStore} KeyStore
+ * @typedef {import('../../../shared/types/encryption.js').StoredKey} StoredKey
+ */
+
+import { ENCRYPTION } from '../../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../../shared/utils/error-handler.js';
+
+/** Id of the one record in the key store */
+const RECORD_ID = 'unlocked';
+
+/**
+ * Create a vault over a key store
+ * @param {KeyStore} [store] - Defaults to IndexedDB, or to memory where IndexedDB is missing
+ * @returns {KeyVault}
+ */
+export function createKeyVault(store = globalThis.indexedDB ? createIndexedDbKeyStore() : createMemoryKeyStore()) {
+    return {
+        async getKey(userId) {
+            if (!userId) return null;
+
+            let stored = null;
+            try {
+                // Read every time, so a lock in another tab is seen here too
+                stored = await store.get();
+            } catch (error) {
+                handleError(error, {
+                    severity: ERROR_SEVERITY.WARNING,
+                    context: { module: 'key-vault.js', function: 'getKey' }
+                });
+                return null;
+            }
+            if (!stored || stored.userId !== userId || !stored.key) {
+                return null;
+            }
+            return stored.key;
+        },
+
+        async setKey(userId, key) {
+            await store.set({ userId, key });
+        },
+
+        async clear() {
+            await store.remove();
+        }
+    };
+}
+
+/**
+ * Key store in IndexedDB
+ * @param {IDBFactory} [indexedDb]
+ * @returns {KeyStore}
+ */
+export function createIndexedDbKeyStore(indexedDb = globalThis.indexedDB) {
+    return {
+        async get() {
+            const stored = await runKeyStoreRequest(indexedDb, 'readonly', objectStore => objectStore.get(RECORD_ID));
+            return stored ?? null;
+        },
+
+        async set(stored) {
+            await runKeyStoreRequest(indexedDb, 'readwrite', objectStore => objectStore.put(stored, RECORD_ID));
+        },
+
+        async remove() {
+            await runKeyStoreRequest(indexedDb, 'readwrite', objectStore => objectStore.delete(RECORD_ID));
+        }
+    };
+}
+
+/**
+ * Key store that lasts as long as the page (e.g. in tests)
+ * @returns {KeyStore}
+ */
+export function createMemoryKeyStore() {
+    /** @type {StoredKey|null} */
+    let stored = null;
+
+    return {
+        async get() {
+            return stored;
+        },
+
+        async set(value) {
+            stored = value;
+        },
+
+        async remove() {
+            stored = null;
+        }
+    };
+}
+
+/**
+ * Run one request against the key store and wait for its transaction
+ * @param {IDBFactory} indexedDb
+ * @param {IDBTransactionMode} mode
+ * @param {(objectStore: IDBObjectStore) => IDBRequest} operate
+ * @returns {Promise<*>} Result of the request
+ */
+async function runKeyStoreRequest(indexedDb, mode, operate) {
+    const database = await new Promise((resolve, reject) => {
+        const request = indexedDb.open(ENCRYPTION.KEY_DATABASE, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(ENCRYPTION.KEY_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(ENCRYPTION.KEY_STORE, mode);
+            const request = operate(transaction.objectStore(ENCRYPTION.KEY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        database.close();
+    }
+}
+
+/** @type {KeyVault|null} */
+let activeVault = null;
+
+/**
+ * Get the vault of this device
+ * @returns {KeyVault}
+ */
+export function getKeyVault() {
+    if (!activeVault) {
+        activeVault = createKeyVault();
+    }
+    return activeVault;
+}
+
+/**
+ * Replace the vault (e.g. with one over an in-memory store in tests)
+ * @param {KeyVault|null} vault - Pass null to go back to IndexedDB
+ * @returns {void}
+ */
+export function setKeyVault(vault) {
+    activeVault = vault;
+}
@@ -0,0 +1,175 @@
+/**
+ * Encrypting repository wrapper
+ *
+ * Wraps a backend so journal entries and reflection answers are encrypted
+ * before they are sent and decrypted when read back, for accounts that turned
+ * encryption on (their profile has an `encryption_salt`). Every other field
+ * and every other account passes through unchanged.
+ *
+ * While this device is locked, writes of text fail (the sync queue keeps them
+ * until it is unlocked) and reads show ENCRYPTION.LOCKED_TEXT in place of the
+ * text, so nothing is ever sent in plaintext by mistake.
+ *
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/encryption.js').KeyVault} KeyVault
+ * @typedef {import('../../../shared/domains/users/types.js').Profile} Profile
+ */
+
+import { ENCRYPTION } from '../../../shared/constants.js';
+import { encryptText, decryptText, isEncryptedText } from '../encryption/cipher.js';
+import { getKeyVault } from '../encryption/key-vault.js';
+
+/** Error returned for writes while this device is locked */
+export const LOCKED_ERROR = 'Encryption is locked on this device';
+
+/**
+ * Wrap a repository with encryption of text fields
+ * @param {Repository} repository
+ * @param {KeyVault} [vault] - Defaults to this device's vault
+ * @returns {Repository}
+ */
+export function createEncryptedRepository(repository, vault = getKeyVault()) {
+    /** @type {{userId: string|null, enabled: boolean}|null} */
+    let settings = null;
+
+    /**
+     * Remember whether the current account encrypts, from its profile row
+     * @param {Profile|null} profile
+     */
+    function rememberProfile(profile) {
+        if (profile) {
+            settings = { userId: repository.getUserId(), enabled: Boolean(profile.encryption_salt) };
+        }
+    }
+
+    /** @returns {Promise<boolean>} */
+    async function isEnabled() {
+        if (settings && settings.userId === repository.getUserId()) {
+            return settings.enabled;
+        }
+        const profile = await repository.profiles.get();
+        if (!profile.success) {
+            throw new Error(profile.error || 'Could not load encryption settings');
+        }
+        rememberProfile(profile.data);
+        return settings.enabled;
+    }
+
+    /**
+     * Key to encrypt writes with: null when the account doesn't encrypt
+     * @returns {Promise<CryptoKey|null>}
+     */
+    async function getWriteKey() {
+        if (!(await isEnabled())) return null;
+        const key = await vault.getKey(repository.getUserId());
+        if (!key) {
+            throw new Error(LOCKED_ERROR);
+        }
+        return key;
+    }
+
+    /**
+     * Encrypt a field of a row
+     * @param {Object} row
+     * @param {string} field
+     * @param {CryptoKey|null} key
+     * @returns {Promise<Object>} New row
+     */
+    async function seal(row, field, key) {
+        if (!key || typeof row[field] !== 'string' || !row[field] || isEncryptedText(row[field])) {
+            return row;
+        }
+        return { ...row, [field]: await encryptText(row[field], key) };
+    }
+
+    /**
+     * Decrypt a field of a row, or hide it if this device can't
+     * @param {Object|null} row
+     * @param {string} field
+     * @returns {Promise<Object|null>} New row
+     */
+    async function open(row, field) {
+        if (!row || !isEncryptedText(row[field])) return row;
+        const key = await vault.getKey(repository.getUserId());
+        if (!key) {
+            return { ...row, [field]: ENCRYPTION.LOCKED_TEXT };
+        }
+        try {
+            return { ...row, [field]: await decryptText(row[field], key) };
+        } catch {
+            // Wrong key (e.g. the passphrase was reset elsewhere) or a damaged value
+            return { ...row, [field]: ENCRYPTION.LOCKED_TEXT };
+        }
+    }
+
+    /**
+     * Decrypt the rows of a list result
+     * @param {Promise<import('../../../shared/types/api.js').APIResponse<Object[]>>} pending
+     * @param {string} field
+     */
+    async function openList(pending, field) {
+        const result = await pending;
+        if (!result.success || !Array.isArray(result.data)) return result;
+        return { ...result, data: await Promise.all(result.data.map(row => open(row, field))) };
+    }
+
+    /**
+     * Decrypt the row of a single-row result
+     * @param {Promise<import('../../../shared/types/api.js').APIResponse<Object>>} pending
+     * @param {string} field
+     */
+    async function openOne(pending, field) {
+        const result = await pending;
+        if (!result.success || !result.data) return result;
+        return { ...result, data: await open(result.data, field) };
+    }
+
+    /**
+     * Run a write, converting exceptions (such as a locked device) into error responses
+     * @param {Function} fn
+     */
+    async function run(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    return {
+        ...repository,
+        profiles: {
+            get: async () => {
+                const result = await repository.profiles.get();
+                if (result.success) rememberProfile(result.data);
+                return result;
+            },
+            update: async (updates) => {
+                const result = await repository.profiles.update(updates);
+                if (result.success) rememberProfile(result.data);
+                return result;
+            }
+        },
+        sessions: {
+            create: (session) => run(async () => {
+                const sealed = await seal(session, 'journal_entry', await getWriteKey());
+                return openOne(repository.sessions.create(sealed), 'journal_entry');
+            }),
+            list: (options) => openList(repository.sessions.list(options), 'journal_entry'),
+            // Updates carry no text, so only the returned row needs decrypting
+            update: (id, updates) => openOne(repository.sessions.update(id, updates), 'journal_entry')
+        },
+        responses: {
+            create: (response) => run(async () => {
+                const sealed = await seal(response, 'response_text', await getWriteKey());
+                return openOne(repository.responses.create(sealed), 'response_text');
+            }),
+            list: (options) => openList(repository.responses.list(options), 'response_text'),
+            update: (id, responseText) => run(async () => {
+                const sealed = await seal({ response_text: responseText }, 'response_text', await getWriteKey());
+                return openOne(repository.responses.update(id, sealed.response_text), 'response_text');
+            }),
+            remove: (id) => repository.responses.remove(id)
+        }
+    };
+}
@@ -0,0 +1,45 @@
+/**
+ * Device answer history
+ *
+ * Answers kept on this device as HistoryEntry objects: the only copy while
+ * signed out, and a backup of what was sent while signed in. Every backend
+ * exposes it as `repository.history`, over its own storage, so callers never
+ * read the history key themselves. Entries are built with the pure helpers in
+ * domains/reflection/utils/reflection-archive.js.
+ *
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ * @typedef {import('../../../shared/types/repository.js').HistoryStore} HistoryStore
+ */
+
+import { STORAGE_KEYS } from '../../../shared/constants.js';
+
+/**
+ * Create a history store over a Storage-like object
+ * @param {KeyValueStorage} [storage] - Defaults to localStorage
+ * @returns {HistoryStore}
+ */
+export function createHistoryStore(storage = globalThis.localStorage) {
+    return {
+        list: async () => {
+            try {
+                const history = JSON.parse(storage.getItem(STORAGE_KEYS.RESPONSE_HISTORY) || '[]');
+                return { success: true, data: Array.isArray(history) ? history : [] };
+            } catch {
+                // Unreadable history reads as empty, like unreadable rows
+                return { success: true, data: [] };
+            }
+        },
+        save: async (entries) => {
+            try {
+                storage.setItem(STORAGE_KEYS.RESPONSE_HISTORY, JSON.stringify(entries));
+                return { success: true, data: null };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        clear: async () => {
+            storage.removeItem(STORAGE_KEYS.RESPONSE_HISTORY);
+            return { success: true, data: null };
+        }
+    };
+}
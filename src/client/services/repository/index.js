@@ -0,0 +1,61 @@
+/**
+ * Data repository - Public API
+ *
+ * Domains read and write profiles, sessions, responses and feedback through
+ * `getRepository()` instead of calling Supabase directly. The backend is
+ * chosen with `window.BETTER_LIFE_CONFIG.storageBackend` ('supabase' by
+ * default, 'local' or 'memory'), or replaced outright with `setRepository()`.
+ *
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ */
+
+import { STORAGE_BACKENDS } from '../../../shared/constants.js';
+import { createSupabaseRepository } from './supabase-repository.js';
+import { createLocalRepository } from './local-repository.js';
+import { createMemoryRepository } from './memory-repository.js';
+import { createEncryptedRepository } from './encrypted-repository.js';
+
+export { createSupabaseRepository, createLocalRepository, createMemoryRepository, createEncryptedRepository };
+export { createMemoryStorage } from './memory-repository.js';
+
+/** @type {Repository|null} */
+let activeRepository = null;
+
+/**
+ * Create a repository for a backend name
+ * @param {string} backend - One of STORAGE_BACKENDS
+ * @returns {Repository}
+ */
+export function createRepository(backend) {
+    switch (backend) {
+        case STORAGE_BACKENDS.LOCAL:
+            return createLocalRepository();
+        case STORAGE_BACKENDS.MEMORY:
+            return createMemoryRepository();
+        case STORAGE_BACKENDS.SUPABASE:
+        default:
+            // Text leaves the device here, so it is encrypted for accounts that opted in
+            return createEncryptedRepository(createSupabaseRepository());
+    }
+}
+
+/**
+ * Get the active repository, creating it from the page config on first use
+ * @returns {Repository}
+ */
+export function getRepository() {
+    if (!activeRepository) {
+        const backend = (typeof window !== 'undefined' && window.BETTER_LIFE_CONFIG?.storageBackend) || STORAGE_BACKENDS.SUPABASE;
+        activeRepository = createRepository(backend);
+    }
+    return activeRepository;
+}
+
+/**
+ * Replace the active repository (e.g. with an in-memory one in tests)
+ * @param {Repository|null} repository - Pass null to go back to the configured backend
+ * @returns {void}
+ */
+export function setRepository(repository) {
+    activeRepository = repository;
+}
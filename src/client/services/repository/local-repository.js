@@ -0,0 +1,197 @@
+/**
+ * Key-value repository backend
+ *
+ * Stores profiles, sessions, responses and feedback as JSON in a Storage-like
+ * object. With `localStorage` it keeps everything on this device; with the
+ * in-memory storage from memory-repository.js it backs tests.
+ *
+ * Rows have the same shape as the Supabase tables, and creates with an id that
+ * already exists succeed without writing, like the Supabase backend.
+ *
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ * @typedef {import('../../../shared/domains/users/types.js').Profile} Profile
+ */
+
+import { STORAGE_BACKENDS, STORAGE_KEYS, TIMER } from '../../../shared/constants.js';
+import { createId } from '../../../shared/utils/index.js';
+import { createHistoryStore } from './history-store.js';
+
+/** User id for rows stored without an account */
+export const LOCAL_USER_ID = 'local-user';
+
+/**
+ * Create a repository over a Storage-like object
+ * @param {KeyValueStorage} [storage] - Defaults to localStorage
+ * @param {string} [name] - Backend name reported by the repository
+ * @returns {Repository}
+ */
+export function createLocalRepository(storage = globalThis.localStorage, name = STORAGE_BACKENDS.LOCAL) {
+    /**
+     * @param {string} key
+     * @returns {Object[]}
+     */
+    function readRows(key) {
+        try {
+            const rows = JSON.parse(storage.getItem(key) || '[]');
+            return Array.isArray(rows) ? rows : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {Object[]} rows
+     */
+    function writeRows(key, rows) {
+        storage.setItem(key, JSON.stringify(rows));
+    }
+
+    /**
+     * Insert a row unless one with the same id exists
+     * @param {string} key
+     * @param {Object} row
+     * @param {string} duplicateMessage
+     */
+    function insertRow(key, row, duplicateMessage) {
+        const rows = readRows(key);
+        if (rows.some(existing => existing.id === row.id)) {
+            return { success: true, data: null, message: duplicateMessage };
+        }
+        writeRows(key, [...rows, row]);
+        return { success: true, data: row };
+    }
+
+    /**
+     * Run a storage operation, converting exceptions into error responses
+     * @param {Function} fn
+     */
+    async function run(fn) {
+        try {
+            return fn();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @param {Object[]} rows
+     * @param {string} field - ISO timestamp field
+     */
+    function newestFirst(rows, field) {
+        return rows.slice().sort((a, b) => new Date(b[field]) - new Date(a[field]));
+    }
+
+    /** @returns {Profile} */
+    function readProfile() {
+        const stored = JSON.parse(storage.getItem(STORAGE_KEYS.LOCAL_PROFILE) || 'null');
+        const now = new Date().toISOString();
+        return stored || {
+            id: LOCAL_USER_ID,
+            email: null,
+            display_name: null,
+            created_at: now,
+            timer_duration: TIMER.DEFAULT_DURATION,
+            last_session_date: null,
+            updated_at: now
+        };
+    }
+
+    return {
+        name,
+        isReady: () => true,
+        getUserId: () => LOCAL_USER_ID,
+        profiles: {
+            get: () => run(() => ({ success: true, data: readProfile() })),
+            update: (updates) => run(() => {
+                const profile = { ...readProfile(), ...updates, id: LOCAL_USER_ID, updated_at: new Date().toISOString() };
+                storage.setItem(STORAGE_KEYS.LOCAL_PROFILE, JSON.stringify(profile));
+                return { success: true, data: profile };
+            })
+        },
+        sessions: {
+            create: (session) => run(() => {
+                const now = new Date().toISOString();
+                return insertRow(STORAGE_KEYS.LOCAL_SESSIONS, {
+                    id: session.id || createId(),
+                    user_id: LOCAL_USER_ID,
+                    completed_at: session.completed_at || now,
+                    duration_seconds: session.duration_seconds,
+                    journal_entry: session.journal_entry ?? null,
+                    timeline: session.timeline ?? null,
+                    intention: session.intention ?? null,
+                    intention_met: session.intention_met ?? null,
+                    timer_duration: session.timer_duration ?? null,
+                    created_at: now
+                }, 'Session already saved');
+            }),
+            list: ({ limit = 20, offset = 0 } = {}) => run(() => ({
+                success: true,
+                data: newestFirst(readRows(STORAGE_KEYS.LOCAL_SESSIONS), 'completed_at').slice(offset, offset + limit)
+            })),
+            update: (id, updates) => run(() => {
+                const rows = readRows(STORAGE_KEYS.LOCAL_SESSIONS);
+                const index = rows.findIndex(row => row.id === id);
+                if (index === -1) {
+                    return { success: false, error: 'Session not found' };
+                }
+                rows[index] = { ...rows[index], intention_met: updates.intention_met ?? null };
+                writeRows(STORAGE_KEYS.LOCAL_SESSIONS, rows);
+                return { success: true, data: rows[index] };
+            })
+        },
+        responses: {
+            create: (response) => run(() => insertRow(STORAGE_KEYS.LOCAL_RESPONSES, {
+                id: response.id || createId(),
+                user_id: LOCAL_USER_ID,
+                question_type: response.question_type,
+                response_text: response.response_text,
+                created_at: response.created_at || new Date().toISOString()
+            }, 'Response already saved')),
+            list: ({ questionType = null } = {}) => run(() => ({
+                success: true,
+                data: newestFirst(
+                    readRows(STORAGE_KEYS.LOCAL_RESPONSES).filter(row => !questionType || row.question_type === questionType),
+                    'created_at'
+                )
+            })),
+            update: (id, responseText) => run(() => {
+                const rows = readRows(STORAGE_KEYS.LOCAL_RESPONSES);
+                const index = rows.findIndex(row => row.id === id);
+                if (index === -1) {
+                    return { success: false, error: 'Response not found' };
+                }
+                rows[index] = { ...rows[index], response_text: responseText };
+                writeRows(STORAGE_KEYS.LOCAL_RESPONSES, rows);
+                return { success: true, data: rows[index] };
+            }),
+            remove: (id) => run(() => {
+                writeRows(STORAGE_KEYS.LOCAL_RESPONSES, readRows(STORAGE_KEYS.LOCAL_RESPONSES).filter(row => row.id !== id));
+                return { success: true, data: null };
+            })
+        },
+        feedback: {
+            create: (feedback) => run(() => {
+                const result = insertRow(STORAGE_KEYS.LOCAL_FEEDBACK, {
+                    id: feedback.id || createId(),
+                    user_id: LOCAL_USER_ID,
+                    message: feedback.message,
+                    created_at: new Date().toISOString()
+                }, 'Feedback already saved');
+                return { ...result, data: null, message: 'Feedback sent! Thank you.' };
+            })
+        },
+        account: {
+            // Same effect as the delete_my_account RPC: every row of the user goes, profile included
+            remove: () => run(() => {
+                [STORAGE_KEYS.LOCAL_SESSIONS, STORAGE_KEYS.LOCAL_RESPONSES, STORAGE_KEYS.LOCAL_FEEDBACK].forEach(key => {
+                    writeRows(key, readRows(key).filter(row => row.user_id !== LOCAL_USER_ID));
+                });
+                storage.removeItem(STORAGE_KEYS.LOCAL_PROFILE);
+                return { success: true, data: null };
+            })
+        },
+        history: createHistoryStore(storage)
+    };
+}
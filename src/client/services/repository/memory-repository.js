@@ -0,0 +1,37 @@
+/**
+ * In-memory repository backend
+ *
+ * Same behaviour as the local backend, but nothing outlives the page (or the
+ * test). Used by the test suite and available via the `memory` backend setting.
+ *
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ * @typedef {import('../../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ */
+
+import { STORAGE_BACKENDS } from '../../../shared/constants.js';
+import { createLocalRepository } from './local-repository.js';
+
+/**
+ * Create a Storage-like object backed by a Map
+ * @returns {KeyValueStorage}
+ */
+export function createMemoryStorage() {
+    const values = new Map();
+    return {
+        getItem: (key) => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => {
+            values.set(key, String(value));
+        },
+        removeItem: (key) => {
+            values.delete(key);
+        }
+    };
+}
+
+/**
+ * Create an empty in-memory repository
+ * @returns {Repository}
+ */
+export function createMemoryRepository() {
+    return createLocalRepository(createMemoryStorage(), STORAGE_BACKENDS.MEMORY);
+}
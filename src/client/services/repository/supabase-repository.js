@@ -0,0 +1,51 @@
+/**
+ * Supabase repository backend
+ *
+ * Thin adapter from the repository interface to the Supabase client's API
+ * methods. Requires a signed-in user, except for the device history.
+ *
+ * @typedef {import('../../../shared/types/repository.js').Repository} Repository
+ */
+
+import * as supabaseModule from '../supabase-client.js';
+import { STORAGE_BACKENDS } from '../../../shared/constants.js';
+import { createHistoryStore } from './history-store.js';
+
+/**
+ * Create the Supabase-backed repository
+ * @returns {Repository}
+ */
+export function createSupabaseRepository() {
+    return {
+        name: STORAGE_BACKENDS.SUPABASE,
+        isReady: () => supabaseModule.isAuthenticated,
+        getUserId: () => supabaseModule.currentUser?.id ?? null,
+        profiles: {
+            get: () => supabaseModule.getUserProfile(),
+            update: (updates) => supabaseModule.updateUserProfile(updates)
+        },
+        sessions: {
+            create: (session) => supabaseModule.saveSession(session),
+            list: (options) => supabaseModule.getSessions(options),
+            update: (id, updates) => supabaseModule.updateSession(id, updates)
+        },
+        responses: {
+            create: (response) => supabaseModule.saveResponse(
+                response.question_type,
+                response.response_text,
+                response.id ?? null,
+                response.created_at ?? null
+            ),
+            list: (options) => supabaseModule.getResponses(options),
+            update: (id, responseText) => supabaseModule.updateResponse(id, responseText),
+            remove: (id) => supabaseModule.deleteResponse(id)
+        },
+        feedback: {
+            create: (feedback) => supabaseModule.submitFeedback(feedback.message, feedback.id ?? null)
+        },
+        account: {
+            remove: () => supabaseModule.deleteAccount()
+        },
+        history: createHistoryStore()
+    };
+}
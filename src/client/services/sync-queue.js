@@ -0,0 +1,435 @@
+/**
+ * Offline-first write queue for the data repository
+ *
+ * Writes go into a queue persisted in localStorage before they are sent, so
+ * a dropped connection or an unavailable backend never loses them. Each write
+ * carries a client-generated UUID that becomes the row id, which makes
+ * replays idempotent: a retry of a write that already reached the server is
+ * reported as a duplicate and treated as saved.
+ *
+ * Failed writes are retried with exponential backoff, and the whole queue is
+ * replayed immediately when the browser comes back online or the user signs in.
+ * Writes the server refuses for good (row-level security, invalid data, a
+ * missing table) would fail the same way on every retry, so they are moved to
+ * a list of failed writes instead (STORAGE_KEYS.SYNC_FAILED) and reported.
+ *
+ * @typedef {import('../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../shared/types/api.js').QueuedWrite} QueuedWrite
+ * @typedef {import('../../shared/types/api.js').QueuedWriteType} QueuedWriteType
+ * @typedef {import('../../shared/types/api.js').FailedWrite} FailedWrite
+ */
+
+import { getRepository } from './repository/index.js';
+import { STORAGE_KEYS, SYNC } from '../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../shared/utils/error-handler.js';
+import { getBackoffDelay, createId } from '../../shared/utils/index.js';
+
+/**
+ * How each write type is sent, and whether it needs a signed-in user
+ * @type {Record<QueuedWriteType, {requiresAuth: boolean, send: (write: QueuedWrite) => Promise<APIResponse<any>>}>}
+ */
+const WRITE_HANDLERS = {
+    saveSession: {
+        requiresAuth: true,
+        send: ({ id, payload }) => getRepository().sessions.create({ ...payload, id })
+    },
+    updateSession: {
+        requiresAuth: true,
+        send: ({ payload }) => getRepository().sessions.update(payload.id, payload.updates)
+    },
+    saveResponse: {
+        requiresAuth: true,
+        send: ({ id, payload, createdAt }) => getRepository().responses.create({ ...payload, id, created_at: payload.created_at ?? createdAt })
+    },
+    updateUserProfile: {
+        requiresAuth: true,
+        send: ({ payload }) => getRepository().profiles.update(payload)
+    },
+    submitFeedback: {
+        requiresAuth: false,
+        send: ({ id, payload }) => getRepository().feedback.create({ ...payload, id })
+    }
+};
+
+/**
+ * Error codes that fail the same way on every retry
+ * Postgres: insufficient privilege (includes row-level security), undefined
+ * table or column. PostgREST: table or column missing from the schema cache.
+ */
+const PERMANENT_ERROR_CODES = new Set(['42501', '42P01', '42703', 'PGRST204', 'PGRST205']);
+
+/**
+ * Postgres error classes that fail the same way on every retry
+ * 22: invalid data, 23: integrity constraint (23505 duplicates count as saved upstream)
+ */
+const PERMANENT_ERROR_CLASSES = ['22', '23'];
+
+/** Messages of permanent errors that arrive without a code */
+const PERMANENT_ERROR_PATTERN = /row-level security|relation .* does not exist/i;
+
+let isInitialized = false;
+let isFlushing = false;
+let retryTimeout = null;
+
+/** Ids of writes being sent right now */
+const sendingIds = new Set();
+
+/** Profile updates are sent one at a time, so they reach the server in the order they were made */
+let profileUpdates = Promise.resolve();
+
+/**
+ * Initialize sync queue
+ * Replays queued writes now and whenever connectivity or auth returns
+ * @returns {void}
+ */
+export function initSyncQueue() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    window.addEventListener('online', () => {
+        flushSyncQueue({ force: true });
+    });
+
+    window.addEventListener('auth-state-changed', (event) => {
+        if (event.detail?.authenticated) {
+            flushSyncQueue({ force: true });
+        }
+    });
+
+    if (getQueuedWrites().length > 0) {
+        flushSyncQueue({ force: true });
+    }
+}
+
+/**
+ * Read queued writes from localStorage
+ * @returns {QueuedWrite[]}
+ */
+export function getQueuedWrites() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.SYNC_QUEUE) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'sync-queue.js', function: 'getQueuedWrites' }
+        });
+        return [];
+    }
+}
+
+/**
+ * Write the queue to localStorage
+ * @param {QueuedWrite[]} writes
+ * @returns {void}
+ */
+function setQueuedWrites(writes) {
+    if (writes.length === 0) {
+        localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+    } else {
+        localStorage.setItem(STORAGE_KEYS.SYNC_QUEUE, JSON.stringify(writes));
+    }
+}
+
+/**
+ * Update a queued write in place (re-reads storage so concurrent changes are kept)
+ * @param {string} id
+ * @param {Partial<QueuedWrite>|null} changes - Fields to merge, or null to remove the write
+ * @returns {void}
+ */
+function updateQueuedWrite(id, changes) {
+    const writes = getQueuedWrites();
+    setQueuedWrites(changes === null
+        ? writes.filter(write => write.id !== id)
+        : writes.map(write => write.id === id ? { ...write, ...changes } : write));
+}
+
+/**
+ * Read the writes the server refused for good
+ * @returns {FailedWrite[]}
+ */
+export function getFailedWrites() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.SYNC_FAILED) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.WARNING,
+            context: { module: 'sync-queue.js', function: 'getFailedWrites' }
+        });
+        return [];
+    }
+}
+
+/**
+ * Move a write from the queue to the failed writes and report it
+ * @param {QueuedWrite} write
+ * @param {{error?: string, code?: string}} result - Failed send
+ * @returns {void}
+ */
+function failWrite(write, result) {
+    /** @type {FailedWrite} */
+    const failed = {
+        ...write,
+        attempts: write.attempts + 1,
+        lastError: result.error || null,
+        errorCode: result.code ?? null,
+        failedAt: new Date().toISOString()
+    };
+    // A write handed to the queue again (e.g. a pending session on every sign-in) is listed once
+    localStorage.setItem(STORAGE_KEYS.SYNC_FAILED, JSON.stringify([
+        ...getFailedWrites().filter(item => item.id !== write.id),
+        failed
+    ]));
+    updateQueuedWrite(write.id, null);
+
+    handleError(`Write refused by the server and removed from the queue: ${result.error || 'unknown error'}`, {
+        severity: ERROR_SEVERITY.ERROR,
+        context: { module: 'sync-queue.js', function: 'failWrite', data: { id: write.id, type: write.type, code: failed.errorCode } }
+    });
+}
+
+/**
+ * Check whether a failed send would fail the same way on every retry
+ * Offline, signed-out and locked-device errors are not, nor is an update of
+ * a row that isn't there yet
+ * @param {{error?: string, code?: string}} result - Failed send
+ * @returns {boolean}
+ */
+function isPermanentFailure(result) {
+    const code = typeof result.code === 'string' ? result.code : '';
+    if (code) {
+        return PERMANENT_ERROR_CODES.has(code)
+            || (code.length === 5 && PERMANENT_ERROR_CLASSES.includes(code.slice(0, 2)) && code !== '23505');
+    }
+    return PERMANENT_ERROR_PATTERN.test(result.error || '');
+}
+
+/**
+ * Queue a write and try to send it right away
+ *
+ * Resolves successfully once the write is either saved or safely queued;
+ * `data.queued` tells the two apart. Fails if the server refuses the write
+ * for good (see getFailedWrites).
+ * @param {QueuedWriteType} type
+ * @param {Object} payload - Arguments for the write (see WRITE_HANDLERS)
+ * @param {Object} [options]
+ * @param {string} [options.id] - Id the caller already handed out for the row; a new one by default
+ * @returns {Promise<APIResponse<{id: string, queued: boolean, result?: any}>>}
+ */
+export async function queueWrite(type, payload, { id = createId() } = {}) {
+    const handler = WRITE_HANDLERS[type];
+    if (!handler) {
+        return { success: false, error: `Unknown write type: ${type}` };
+    }
+    const repository = getRepository();
+    if (handler.requiresAuth && !repository.isReady()) {
+        return { success: false, error: 'Not authenticated' };
+    }
+
+    const userId = repository.getUserId();
+    let queued = getQueuedWrites();
+
+    // Profile updates are last-write-wins: fold older queued ones into this one
+    // so a replay can't overwrite newer values. A write being sent stays queued
+    // (it is removed once it is sent or fails), and this one goes after it.
+    if (type === 'updateUserProfile') {
+        const older = queued.filter(write => write.type === type && write.userId === userId);
+        payload = Object.assign({}, ...older.map(write => write.payload), payload);
+        queued = queued.filter(write => !older.includes(write) || sendingIds.has(write.id));
+    }
+
+    // A session still waiting to be saved takes the update with it, so the
+    // update can't reach the server before the row exists
+    if (type === 'updateSession') {
+        const save = queued.find(write => write.type === 'saveSession' && write.id === payload.id && !sendingIds.has(write.id));
+        if (save) {
+            try {
+                updateQueuedWrite(save.id, { payload: { ...save.payload, ...payload.updates } });
+            } catch (error) {
+                handleError(error, {
+                    severity: ERROR_SEVERITY.ERROR,
+                    context: { module: 'sync-queue.js', function: 'queueWrite', data: { type } }
+                });
+                return { success: false, error: error.message };
+            }
+            return { success: true, data: { id: save.id, queued: true }, message: 'Saved on this device. It will sync when you are back online.' };
+        }
+    }
+
+    /** @type {QueuedWrite} */
+    const write = {
+        id,
+        type,
+        payload,
+        userId,
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null
+    };
+
+    try {
+        setQueuedWrites([...queued, write]);
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'sync-queue.js', function: 'queueWrite', data: { type } }
+        });
+        return { success: false, error: error.message };
+    }
+
+    const result = await sendWrite(write);
+    if (result.success) {
+        return { success: true, data: { id: write.id, queued: false, result: result.data }, message: result.message };
+    }
+
+    if (isPermanentFailure(result)) {
+        return { success: false, error: result.error || 'The server refused this change' };
+    }
+
+    scheduleRetry();
+    return { success: true, data: { id: write.id, queued: true }, message: 'Saved on this device. It will sync when you are back online.' };
+}
+
+/**
+ * Send one queued write and record the outcome
+ * @param {QueuedWrite} write
+ * @returns {Promise<APIResponse<any>>}
+ */
+function sendWrite(write) {
+    // Marked right away, so a profile update waiting its turn counts as being sent
+    sendingIds.add(write.id);
+    if (write.type !== 'updateUserProfile') {
+        return sendWriteNow(write);
+    }
+    const sent = profileUpdates.then(() => sendWriteNow(write));
+    profileUpdates = sent.catch(() => {});
+    return sent;
+}
+
+/**
+ * Send one queued write right away and record the outcome
+ * @param {QueuedWrite} write - Already marked as being sent
+ * @returns {Promise<APIResponse<any>>}
+ */
+async function sendWriteNow(write) {
+    let result;
+    try {
+        result = await WRITE_HANDLERS[write.type].send(write);
+    } catch (error) {
+        result = { success: false, error: error.message };
+    } finally {
+        sendingIds.delete(write.id);
+    }
+
+    if (result.success) {
+        removeSentWrite(write);
+    } else if (isPermanentFailure(result)) {
+        failWrite(write, result);
+    } else {
+        const attempts = write.attempts + 1;
+        updateQueuedWrite(write.id, {
+            attempts,
+            nextAttemptAt: Date.now() + getBackoffDelay(attempts, SYNC.RETRY_BASE_DELAY, SYNC.RETRY_MAX_DELAY),
+            lastError: result.error || null
+        });
+    }
+    return result;
+}
+
+/**
+ * Remove a write that reached the server from the queue
+ * A profile update also takes the ones queued before it: their values were
+ * folded into it, so replaying them would only undo newer values
+ * @param {QueuedWrite} sent
+ * @returns {void}
+ */
+function removeSentWrite(sent) {
+    const writes = getQueuedWrites();
+    const position = writes.findIndex(write => write.id === sent.id);
+    setQueuedWrites(writes.filter((write, index) => write.id !== sent.id
+        && !(sent.type === 'updateUserProfile' && write.type === sent.type
+            && write.userId === sent.userId && index < position)));
+}
+
+/**
+ * Check whether a write can be sent by the current user
+ * Writes made while signed in wait until that same user is signed in again
+ * @param {QueuedWrite} write
+ * @returns {boolean}
+ */
+function canSendWrite(write) {
+    const handler = WRITE_HANDLERS[write.type];
+    if (!handler) return false;
+    if (!handler.requiresAuth) return true;
+    const repository = getRepository();
+    return repository.isReady() && repository.getUserId() === write.userId;
+}
+
+/**
+ * Send queued writes that are due
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore backoff and retry everything (connectivity or auth returned)
+ * @returns {Promise<APIResponse<{sent: number, remaining: number}>>}
+ */
+export async function flushSyncQueue({ force = false } = {}) {
+    if (isFlushing) {
+        return { success: false, error: 'Flush already in progress' };
+    }
+
+    isFlushing = true;
+    if (retryTimeout) {
+        clearTimeout(retryTimeout);
+        retryTimeout = null;
+    }
+
+    try {
+        const now = Date.now();
+        const due = getQueuedWrites().filter(write =>
+            canSendWrite(write) && (force || write.nextAttemptAt <= now));
+
+        let sent = 0;
+        // Oldest first, so a profile update never overtakes an earlier one
+        for (const { id } of due) {
+            // Re-read it: earlier sends may have removed it, and queueWrite may have changed it
+            const write = getQueuedWrites().find(item => item.id === id);
+            if (!write) continue;
+            const result = await sendWrite(write);
+            if (result.success) {
+                sent++;
+            }
+        }
+
+        return { success: true, data: { sent, remaining: getQueuedWrites().length } };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'sync-queue.js', function: 'flushSyncQueue' }
+        });
+        return { success: false, error: error.message };
+    } finally {
+        isFlushing = false;
+        scheduleRetry();
+    }
+}
+
+/**
+ * Schedule the next automatic retry for the earliest waiting write
+ * Writes that keep failing stop retrying on a timer after SYNC.MAX_SCHEDULED_ATTEMPTS,
+ * but stay queued and are replayed on the next online or sign-in event.
+ * @returns {void}
+ */
+function scheduleRetry() {
+    if (retryTimeout || isFlushing) return;
+
+    const waiting = getQueuedWrites().filter(write =>
+        canSendWrite(write) && write.attempts < SYNC.MAX_SCHEDULED_ATTEMPTS);
+    if (waiting.length === 0) return;
+
+    const nextAttemptAt = Math.min(...waiting.map(write => write.nextAttemptAt));
+    retryTimeout = setTimeout(() => {
+        retryTimeout = null;
+        flushSyncQueue();
+    }, Math.max(0, nextAttemptAt - Date.now()));
+}
@@ -10,19 +10,26 @@
  * @typedef {import('../../shared/types/state.js').AppState} AppState
  */
 
-import { STORAGE_KEYS, TIMER } from '../../shared/constants.js';
+import { STORAGE_KEYS, TIMER, TIMER_MODES } from '../../shared/constants.js';
 import { handleError, ERROR_SEVERITY } from '../../shared/utils/error-handler.js';
+import { runStorageMigrations } from './storage-migrations.js';
 
 /**
  * Application state - single source of truth
- * @type {AppState & {darkMode: boolean, fontFamily: string|null, lastSessionDate: string|null}}
+ * @type {AppState & {darkMode: boolean, fontFamily: string|null, lastSessionDate: string|null, currentStreak: number, longestStreak: number, penalizedThroughDate: string|null}}
  */
 const state = {
     // Timer state
     timerDuration: TIMER.DEFAULT_DURATION,
+    timerMode: TIMER_MODES.GROWTH,
+    overtimeEnabled: false,
+    dailyGoalEnabled: false,
     currentTimer: TIMER.DEFAULT_DURATION,
     timerInterval: null,
     isTimerRunning: false,
+    sessionElapsed: 0,
+    sessionTimeline: [],
+    sessionIntention: null,
     
     // Menu state
     menuTitleTimeout: null,
@@ -38,7 +45,10 @@ const state = {
     // User preferences (synced with localStorage)
     darkMode: false,
     fontFamily: null,
-    lastSessionDate: null
+    lastSessionDate: null,
+    currentStreak: 0,
+    longestStreak: 0,
+    penalizedThroughDate: null
 };
 
 /**
@@ -53,9 +63,15 @@ const observers = new Map();
  */
 const persistedProperties = new Set([
     'timerDuration',
+    'timerMode',
+    'overtimeEnabled',
+    'dailyGoalEnabled',
     'darkMode',
     'fontFamily',
-    'lastSessionDate'
+    'lastSessionDate',
+    'currentStreak',
+    'longestStreak',
+    'penalizedThroughDate'
 ]);
 
 /**
@@ -136,9 +152,15 @@ function persistToStorage(property, value) {
 function getStorageKey(property) {
     const keyMap = {
         'timerDuration': STORAGE_KEYS.TIMER_DURATION,
+        'timerMode': STORAGE_KEYS.TIMER_MODE,
+        'overtimeEnabled': STORAGE_KEYS.OVERTIME,
+        'dailyGoalEnabled': STORAGE_KEYS.DAILY_GOAL,
         'darkMode': STORAGE_KEYS.DARK_MODE,
         'fontFamily': STORAGE_KEYS.FONT_FAMILY,
-        'lastSessionDate': 'bl_lastDate'
+        'lastSessionDate': STORAGE_KEYS.LAST_SESSION_DATE,
+        'currentStreak': STORAGE_KEYS.CURRENT_STREAK,
+        'longestStreak': STORAGE_KEYS.LONGEST_STREAK,
+        'penalizedThroughDate': STORAGE_KEYS.PENALIZED_THROUGH
     };
     return keyMap[property] || null;
 }
@@ -158,6 +180,22 @@ export function loadPersistedState() {
         }
     }
     
+    // Load timer mode
+    const storedTimerMode = localStorage.getItem(STORAGE_KEYS.TIMER_MODE);
+    if (Object.values(TIMER_MODES).includes(storedTimerMode)) {
+        state.timerMode = storedTimerMode;
+    }
+    
+    // Load overtime preference
+    if (localStorage.getItem(STORAGE_KEYS.OVERTIME) === 'true') {
+        state.overtimeEnabled = true;
+    }
+    
+    // Load daily goal preference
+    if (localStorage.getItem(STORAGE_KEYS.DAILY_GOAL) === 'true') {
+        state.dailyGoalEnabled = true;
+    }
+    
     // Load dark mode
     const storedDarkMode = localStorage.getItem(STORAGE_KEYS.DARK_MODE);
     if (storedDarkMode === 'true') {
@@ -171,10 +209,26 @@ export function loadPersistedState() {
     }
     
     // Load last session date
-    const storedLastDate = localStorage.getItem('bl_lastDate');
+    const storedLastDate = localStorage.getItem(STORAGE_KEYS.LAST_SESSION_DATE);
     if (storedLastDate) {
         state.lastSessionDate = storedLastDate;
     }
+    
+    // Load streak counters
+    const storedCurrentStreak = parseInt(localStorage.getItem(STORAGE_KEYS.CURRENT_STREAK) || '', 10);
+    if (!isNaN(storedCurrentStreak) && storedCurrentStreak >= 0) {
+        state.currentStreak = storedCurrentStreak;
+    }
+    const storedLongestStreak = parseInt(localStorage.getItem(STORAGE_KEYS.LONGEST_STREAK) || '', 10);
+    if (!isNaN(storedLongestStreak) && storedLongestStreak >= 0) {
+        state.longestStreak = storedLongestStreak;
+    }
+    
+    // Load penalty marker
+    const storedPenalizedThrough = localStorage.getItem(STORAGE_KEYS.PENALIZED_THROUGH);
+    if (storedPenalizedThrough) {
+        state.penalizedThroughDate = storedPenalizedThrough;
+    }
 }
 
 /**
@@ -253,6 +307,9 @@ export function resetTimerState() {
     setState('currentTimer', state.timerDuration, { notify: true });
     setState('timerInterval', null, { persist: false, notify: false });
     setState('isTimerRunning', false, { persist: false, notify: true });
+    setState('sessionElapsed', 0, { persist: false, notify: false });
+    setState('sessionTimeline', [], { persist: false, notify: false });
+    setState('sessionIntention', null, { persist: false, notify: false });
 }
 
 /**
@@ -292,10 +349,11 @@ export function setCurrentTimer(seconds) {
 
 /**
  * Initialize state manager
- * Loads persisted state from localStorage
+ * Migrates stored values to the current layout, then loads persisted state
  * @returns {void}
  */
 export function initStateManager() {
+    runStorageMigrations(localStorage);
     loadPersistedState();
     console.log('State manager initialized');
 }
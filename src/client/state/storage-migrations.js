@@ -0,0 +1,254 @@
+/**
+ * Client storage migrations
+ *
+ * localStorage carries a layout version (STORAGE_KEYS.STORAGE_VERSION). At
+ * startup, before persisted state is loaded, every migration newer than that
+ * version runs in order and the version is bumped after each step. The values
+ * the pending migrations touch are copied to a backup first; if a step throws,
+ * the backup is restored so the app starts on the old layout and retries next
+ * time.
+ *
+ * Migrations name their keys literally: STORAGE_KEYS describes the current
+ * layout, while a migration must keep working on the layout it was written for.
+ * Append new migrations to the end of STORAGE_MIGRATIONS; never edit or reorder
+ * ones that have shipped.
+ *
+ * @typedef {import('../../shared/types/api.js').APIResponse} APIResponse
+ * @typedef {import('../../shared/types/repository.js').KeyValueStorage} KeyValueStorage
+ */
+
+import { STORAGE_KEYS } from '../../shared/constants.js';
+import { handleError, ERROR_SEVERITY } from '../../shared/utils/error-handler.js';
+
+/**
+ * @typedef {Object} StorageMigration
+ * @property {number} version - Layout version after this step
+ * @property {string} description
+ * @property {string[]} keys - Keys the step reads or writes (backed up before migrating)
+ * @property {boolean} [skipBackup] - Don't copy the keys into the backup (e.g. secrets); the step must be safe to run again
+ * @property {(storage: KeyValueStorage) => void} migrate
+ */
+
+/**
+ * @typedef {Object} StorageBackup
+ * @property {number} version - Layout version the values belong to
+ * @property {string} createdAt - ISO timestamp
+ * @property {Object<string, string|null>} values - Stored value per key (null when unset)
+ */
+
+/**
+ * @typedef {Object} StorageMigrationResult
+ * @property {number} from - Layout version found
+ * @property {number} to - Layout version now stored
+ * @property {number[]} applied - Versions of the steps that ran
+ */
+
+/**
+ * Migrations in the order they run
+ * @type {StorageMigration[]}
+ */
+export const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Store the last session date as a YYYY-MM-DD day key',
+        keys: ['bl_lastDate'],
+        migrate(storage) {
+            // Older versions stored Date.toDateString() ("Mon Oct 19 2026")
+            const lastDate = storage.getItem('bl_lastDate');
+            if (!lastDate || /^\d{4}-\d{2}-\d{2}$/.test(lastDate)) return;
+
+            const parsed = new Date(lastDate);
+            if (isNaN(parsed.getTime())) {
+                storage.removeItem('bl_lastDate');
+                return;
+            }
+            const month = String(parsed.getMonth() + 1).padStart(2, '0');
+            const day = String(parsed.getDate()).padStart(2, '0');
+            storage.setItem('bl_lastDate', `${parsed.getFullYear()}-${month}-${day}`);
+        }
+    },
+    {
+        version: 2,
+        description: 'Rename bl_lastDate and bl_history to descriptive keys',
+        keys: ['bl_lastDate', 'bl_lastSessionDate', 'bl_history', 'bl_responseHistory'],
+        migrate(storage) {
+            renameKey(storage, 'bl_lastDate', 'bl_lastSessionDate');
+            renameKey(storage, 'bl_history', 'bl_responseHistory');
+        }
+    },
+    {
+        version: 3,
+        description: 'Drop unreadable reflection history entries',
+        keys: ['bl_responseHistory'],
+        migrate(storage) {
+            const stored = storage.getItem('bl_responseHistory');
+            if (stored === null) return;
+
+            let history;
+            try {
+                history = JSON.parse(stored);
+            } catch {
+                history = null;
+            }
+            if (!Array.isArray(history)) {
+                storage.removeItem('bl_responseHistory');
+                return;
+            }
+
+            const readable = history.filter(entry =>
+                entry && typeof entry === 'object' && typeof entry.date === 'string' && !isNaN(new Date(entry.date).getTime())
+            );
+            if (readable.length !== history.length) {
+                storage.setItem('bl_responseHistory', JSON.stringify(readable));
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Remove the raw encryption key; the unlocked key now lives in IndexedDB',
+        keys: ['bl_encryptionKey'],
+        // A backup would keep the raw key in localStorage
+        skipBackup: true,
+        migrate(storage) {
+            storage.removeItem('bl_encryptionKey');
+        }
+    }
+];
+
+/**
+ * Latest layout version
+ * @type {number}
+ */
+export const STORAGE_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+/**
+ * Move a value to a new key, unless the new key is already set
+ * @param {KeyValueStorage} storage
+ * @param {string} from
+ * @param {string} to
+ * @returns {void}
+ */
+function renameKey(storage, from, to) {
+    const value = storage.getItem(from);
+    if (value === null) return;
+    if (storage.getItem(to) === null) {
+        storage.setItem(to, value);
+    }
+    storage.removeItem(from);
+}
+
+/**
+ * Layout version stored on this device (0 before versioning existed)
+ * @param {KeyValueStorage} storage
+ * @returns {number}
+ */
+export function getStorageVersion(storage) {
+    const version = parseInt(storage.getItem(STORAGE_KEYS.STORAGE_VERSION) || '', 10);
+    return isNaN(version) || version < 0 ? 0 : version;
+}
+
+/**
+ * Bring stored values up to the latest layout
+ * Leaves storage alone when it was written by a newer version of the app
+ * @param {KeyValueStorage} [storage] - Defaults to localStorage
+ * @param {Object} [options]
+ * @param {StorageMigration[]} [options.migrations] - Defaults to STORAGE_MIGRATIONS
+ * @returns {APIResponse<StorageMigrationResult>}
+ */
+export function runStorageMigrations(storage = globalThis.localStorage, { migrations = STORAGE_MIGRATIONS } = {}) {
+    if (!storage) {
+        return { success: false, error: 'Storage is not available' };
+    }
+
+    const from = getStorageVersion(storage);
+    const pending = migrations.filter(migration => migration.version > from);
+    if (pending.length === 0) {
+        return { success: true, data: { from, to: from, applied: [] } };
+    }
+
+    // Without a backup nothing could be undone, so don't start
+    try {
+        writeBackup(storage, from, pending);
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'storage-migrations.js', function: 'runStorageMigrations', data: { from } }
+        });
+        return { success: false, error: 'Could not back up storage; migrations were not run' };
+    }
+
+    /** @type {number[]} */
+    const applied = [];
+    try {
+        for (const migration of pending) {
+            migration.migrate(storage);
+            storage.setItem(STORAGE_KEYS.STORAGE_VERSION, String(migration.version));
+            applied.push(migration.version);
+        }
+        return { success: true, data: { from, to: getStorageVersion(storage), applied } };
+    } catch (error) {
+        const failed = pending[applied.length];
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'storage-migrations.js', function: 'runStorageMigrations', data: { from, version: failed?.version } }
+        });
+        const restored = restoreStorageBackup(storage);
+        return {
+            success: false,
+            error: restored.success
+                ? `Storage migration ${failed?.version} failed; restored the backup`
+                : `Storage migration ${failed?.version} failed and the backup could not be restored`
+        };
+    }
+}
+
+/**
+ * Copy the values the pending migrations touch, with the version they belong to
+ * @param {KeyValueStorage} storage
+ * @param {number} version
+ * @param {StorageMigration[]} pending
+ * @returns {void}
+ */
+function writeBackup(storage, version, pending) {
+    const keys = new Set(pending.filter(migration => !migration.skipBackup).flatMap(migration => migration.keys));
+    /** @type {StorageBackup} */
+    const backup = { version, createdAt: new Date().toISOString(), values: {} };
+    keys.forEach(key => {
+        backup.values[key] = storage.getItem(key);
+    });
+    storage.setItem(STORAGE_KEYS.STORAGE_BACKUP, JSON.stringify(backup));
+}
+
+/**
+ * Put back the values saved before the last migration run
+ * @param {KeyValueStorage} [storage] - Defaults to localStorage
+ * @returns {APIResponse<StorageBackup>}
+ */
+export function restoreStorageBackup(storage = globalThis.localStorage) {
+    try {
+        const backup = JSON.parse(storage.getItem(STORAGE_KEYS.STORAGE_BACKUP) || 'null');
+        if (!backup || typeof backup.values !== 'object' || typeof backup.version !== 'number') {
+            return { success: false, error: 'No storage backup' };
+        }
+
+        Object.entries(backup.values).forEach(([key, value]) => {
+            if (value === null) {
+                storage.removeItem(key);
+            } else {
+                storage.setItem(key, value);
+            }
+        });
+        if (backup.version > 0) {
+            storage.setItem(STORAGE_KEYS.STORAGE_VERSION, String(backup.version));
+        } else {
+            storage.removeItem(STORAGE_KEYS.STORAGE_VERSION);
+        }
+        return { success: true, data: backup };
+    } catch (error) {
+        handleError(error, {
+            severity: ERROR_SEVERITY.ERROR,
+            context: { module: 'storage-migrations.js', function: 'restoreStorageBackup' }
+        });
+        return { success: false, error: error.message };
+    }
+}
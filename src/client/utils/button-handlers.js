@@ -220,6 +220,78 @@ export function initButtonHandlers() {
             }
         },
         
+        // History button
+        'btn-history': async function(e) {
+            // Check if button was dragged - if so, don't trigger click action
+            if (getState('wasDragged')) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+            
+            e.preventDefault();
+            e.stopPropagation();
+            const dom = getDOMElements();
+            
+            // Fade out menu content
+            if (dom.menuContent) {
+                dom.menuContent.classList.add('fade-out');
+            }
+
+            // Wait for fade-out animation before switching pages
+            setTimeout(async () => {
+                const showPage = moduleRegistry.get('showPage');
+                try {
+                    if (showPage) {
+                        await showPage(PAGES.HISTORY);
+                    } else {
+                        navigateToPage(PAGES.HISTORY);
+                    }
+                } catch (error) {
+                    handleError(error, {
+                        severity: ERROR_SEVERITY.ERROR,
+                        context: { module: 'button-handlers.js', function: 'btn-history' }
+                    });
+                }
+            }, 1000); // Wait for fade-out animation to complete
+        },
+        
+        // Stats button
+        'btn-stats': async function(e) {
+            // Check if button was dragged - if so, don't trigger click action
+            if (getState('wasDragged')) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+            
+            e.preventDefault();
+            e.stopPropagation();
+            const dom = getDOMElements();
+            
+            // Fade out menu content
+            if (dom.menuContent) {
+                dom.menuContent.classList.add('fade-out');
+            }
+
+            // Wait for fade-out animation before switching pages
+            setTimeout(async () => {
+                const showPage = moduleRegistry.get('showPage');
+                try {
+                    if (showPage) {
+                        await showPage(PAGES.STATS);
+                    } else {
+                        navigateToPage(PAGES.STATS);
+                    }
+                } catch (error) {
+                    handleError(error, {
+                        severity: ERROR_SEVERITY.ERROR,
+                        context: { module: 'button-handlers.js', function: 'btn-stats' }
+                    });
+                }
+            }, 1000); // Wait for fade-out animation to complete
+        },
+        
         // Settings button
         'btn-settings': async function(e) {
             // Check if button was dragged - if so, don't trigger click action
@@ -277,7 +349,7 @@ export function initButtonHandlers() {
             setTimeout(async () => {
                 try {
                     const { openModal, closeModal } = await import('../domains/navigation/index.js');
-                    const { submitFeedback } = await import('../services/supabase-client.js');
+                    const { queueWrite } = await import('../services/sync-queue.js');
                     const { withAsyncErrorHandling } = await import('../../shared/utils/error-handler.js');
                     
                     openModal(`
@@ -325,7 +397,7 @@ export function initButtonHandlers() {
                             submitBtn.textContent = 'Sending...';
                             statusDiv.classList.add('hidden');
 
-                            const result = await submitFeedback(message);
+                            const result = await queueWrite('submitFeedback', { message });
 
                             if (result.success) {
                                 statusDiv.textContent = result.message;
@@ -59,7 +59,11 @@ export function getDOMElements(validate = false) {
         pages: {
             landing: safeGetElementById('landing-page', validate),
             timer: safeGetElementById('timer-page', validate),
-            menu: safeGetElementById('menu-page', validate)
+            menu: safeGetElementById('menu-page', validate),
+            history: safeGetElementById('history-page', validate),
+            reflections: safeGetElementById('reflections-page', validate),
+            summary: safeGetElementById('summary-page', validate),
+            stats: safeGetElementById('stats-page', validate)
         },
         buttons: {
             yes: safeGetElementById('btn-yes', validate),
@@ -71,6 +75,20 @@ export function getDOMElements(validate = false) {
             questions: safeGetElementById('btn-questions', validate),
             feedback: safeGetElementById('btn-feedback', validate),
             settings: safeGetElementById('btn-settings', validate),
+            history: safeGetElementById('btn-history', validate),
+            historyMore: safeGetElementById('btn-history-more', validate),
+            historyBack: safeGetElementById('btn-history-back', validate),
+            reflectionsBack: safeGetElementById('btn-reflections-back', validate),
+            stats: safeGetElementById('btn-stats', validate),
+            statsBack: safeGetElementById('btn-stats-back', validate),
+            skipPhase: safeGetElementById('btn-skip-phase', validate),
+            finishEarly: safeGetElementById('btn-finish-early', validate),
+            intentionBegin: safeGetElementById('btn-intention-begin', validate),
+            intentionSkip: safeGetElementById('btn-intention-skip', validate),
+            intentionMet: safeGetElementById('btn-intention-met', validate),
+            intentionMissed: safeGetElementById('btn-intention-missed', validate),
+            summarySave: safeGetElementById('btn-summary-save', validate),
+            summaryContinue: safeGetElementById('btn-summary-continue', validate),
             submitFeedback: safeGetElementById('btn-submit-feedback', false),
             authShowSignup: safeGetElementById('auth-show-signup', false),
             authShowSignin: safeGetElementById('auth-show-signin', false),
@@ -89,15 +107,37 @@ export function getDOMElements(validate = false) {
         display: {
             timer: safeGetElementById('timer-display', validate),
             timerIntro: safeGetElementById('timer-intro', validate),
+            timerControls: safeGetElementById('timer-controls', validate),
+            dailyGoalProgress: safeGetElementById('daily-goal-progress', validate),
+            intentionStep: safeGetElementById('intention-step', validate),
+            intentionInput: safeGetElementById('intention-input', validate),
+            intentionCheck: safeGetElementById('intention-check', validate),
+            intentionCheckText: safeGetElementById('intention-check-text', validate),
             circleTimer: safeGetElementById('circle-timer', validate),
             circleWrapper: safeQuerySelector('.circle-wrapper', validate),
+            pauseReason: safeGetElementById('pause-reason', validate),
+            phaseLabel: safeGetElementById('phase-label', validate),
             circleTime: safeGetElementById('circle-time', validate),
             progressRing: safeQuerySelector('.progress-ring-circle', validate),
             helpContent: safeGetElementById('help-content', validate),
             journalTab: safeGetElementById('journal-tab', validate),
+            journalEntry: safeGetElementById('journal-entry', validate),
             modalOverlay: safeGetElementById('modal-overlay', validate),
             modalBody: safeGetElementById('modal-body', validate),
-            closeModal: safeGetElementById('close-modal', validate)
+            closeModal: safeGetElementById('close-modal', validate),
+            historyList: safeGetElementById('history-list', validate),
+            historyStatus: safeGetElementById('history-status', validate),
+            reflectionsList: safeGetElementById('reflections-list', validate),
+            reflectionsStatus: safeGetElementById('reflections-status', validate),
+            reflectionsQuestion: safeGetElementById('reflections-question', validate),
+            summaryDetails: safeGetElementById('summary-details', validate),
+            summaryReflection: safeGetElementById('summary-reflection', validate),
+            summaryStatus: safeGetElementById('summary-status', validate),
+            statsTotals: safeGetElementById('stats-totals', validate),
+            statsCharts: safeGetElementById('stats-charts', validate),
+            statsHeatmap: safeGetElementById('stats-heatmap', validate),
+            statsDay: safeGetElementById('stats-day', validate),
+            statsStatus: safeGetElementById('stats-status', validate)
         },
         // Menu and navigation elements
         menuContent: safeGetElementById('menu-content', validate),
@@ -105,20 +145,11 @@ export function getDOMElements(validate = false) {
         menuTriangle: safeGetElementById('menu-triangle', validate),
         // Question flows
         questionsFlow: safeGetElementById('questions-flow', validate),
-        questionItems: document.querySelectorAll('.question-item'),
-        qHowItWorks: safeGetElementById('q-how-it-works', validate),
-        qBetterToday: safeGetElementById('q-better-today', validate),
-        betterTodayFlow: safeGetElementById('better-today-flow', validate),
-        betterTodayInput: safeGetElementById('better-today-input', validate),
-        qBetterLifeMeaning: safeGetElementById('q-better-life-meaning', validate),
-        betterLifeMeaningFlow: safeGetElementById('better-life-meaning-flow', validate),
-        betterLifeMeaningInput: safeGetElementById('better-life-meaning-input', validate),
-        qAdvice: safeGetElementById('q-advice', validate),
-        adviceFlow: safeGetElementById('advice-flow', validate),
-        adviceItems: document.querySelectorAll('.advice-item'),
-        // How it works flow
-        howItWorksFlow: safeGetElementById('how-it-works-flow', validate),
-        explainItems: document.querySelectorAll('.explain-item'),
+        // Reflection archive
+        reflectionsFilters: safeGetElementById('reflections-filters', validate),
+        reflectionsSearch: safeGetElementById('reflections-search', validate),
+        // Stats page
+        statsRanges: safeGetElementById('stats-ranges', validate),
         // Other UI elements
         floatButtons: document.querySelectorAll('.float-btn'),
         debugControls: safeGetElementById('debug-controls', false),
@@ -144,6 +175,11 @@ export function getDOMElements(validate = false) {
         // Settings elements
         darkModeSwitch: safeGetElementById('dark-mode-switch', false),
         fontSelect: safeGetElementById('font-select', false),
+        timerSettings: safeGetElementById('timer-settings', false),
+        alertSettings: safeGetElementById('alert-settings', false),
+        dataSettings: safeGetElementById('data-settings', false),
+        encryptionSettings: safeGetElementById('encryption-settings', false),
+        deleteAccountSettings: safeGetElementById('delete-account-settings', false),
         // Feedback elements
         feedbackMessage: safeGetElementById('feedback-message', false),
         feedbackStatus: safeGetElementById('feedback-status', false),
@@ -89,7 +89,11 @@ export function getPageElement(pageName) {
     const pageIdMap = {
         [PAGES.LANDING]: 'landing-page',
         [PAGES.TIMER]: 'timer-page',
-        [PAGES.MENU]: 'menu-page'
+        [PAGES.MENU]: 'menu-page',
+        [PAGES.HISTORY]: 'history-page',
+        [PAGES.REFLECTIONS]: 'reflections-page',
+        [PAGES.SUMMARY]: 'summary-page',
+        [PAGES.STATS]: 'stats-page'
     };
     
     const pageId = pageIdMap[pageName];
@@ -117,6 +121,22 @@ export function navigateToPage(pageName) {
         removeClass(dom.pages.menu, CSS_CLASSES.ACTIVE_PAGE);
         addClass(dom.pages.menu, CSS_CLASSES.HIDDEN);
     }
+    if (dom.pages.history) {
+        removeClass(dom.pages.history, CSS_CLASSES.ACTIVE_PAGE);
+        addClass(dom.pages.history, CSS_CLASSES.HIDDEN);
+    }
+    if (dom.pages.reflections) {
+        removeClass(dom.pages.reflections, CSS_CLASSES.ACTIVE_PAGE);
+        addClass(dom.pages.reflections, CSS_CLASSES.HIDDEN);
+    }
+    if (dom.pages.summary) {
+        removeClass(dom.pages.summary, CSS_CLASSES.ACTIVE_PAGE);
+        addClass(dom.pages.summary, CSS_CLASSES.HIDDEN);
+    }
+    if (dom.pages.stats) {
+        removeClass(dom.pages.stats, CSS_CLASSES.ACTIVE_PAGE);
+        addClass(dom.pages.stats, CSS_CLASSES.HIDDEN);
+    }
     
     // Show target page
     const targetPage = getPageElement(pageName);
@@ -16,6 +16,11 @@ CREATE TABLE IF NOT EXISTS profiles (
   updated_at timestamp with time zone DEFAULT now()
 );
 
+-- Client-side encryption of journal and reflection text (null when off).
+-- Only the salt and an encrypted check value are stored; the passphrase never is.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS encryption_salt text;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS encryption_check text;
+
 -- Enable Row Level Security
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 
@@ -36,9 +41,23 @@ CREATE TABLE IF NOT EXISTS sessions (
   completed_at timestamp with time zone DEFAULT now(),
   duration_seconds integer NOT NULL,
   journal_entry text,
+  timeline jsonb, -- [{type: 'start'|'pause'|'resume'|'finish', at, reason?}]
+  intention text, -- What the user set out to do
+  intention_met boolean, -- Whether they did it (null when not answered)
+  timer_duration integer, -- Timer duration in seconds when the session was started
   created_at timestamp with time zone DEFAULT now()
 );
 
+-- Add the timeline to tables created before it existed
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS timeline jsonb;
+
+-- Add the session intention and its outcome to tables created before they existed
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS intention text;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS intention_met boolean;
+
+-- Add the timer duration to tables created before it was recorded
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS timer_duration integer;
+
 -- Enable Row Level Security
 ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
 
@@ -49,6 +68,10 @@ CREATE POLICY "Users can view own sessions" ON sessions
 CREATE POLICY "Users can create own sessions" ON sessions
   FOR INSERT WITH CHECK (auth.uid() = user_id);
 
+-- The intention check-in answer is written after the session is saved
+CREATE POLICY "Users can update own sessions" ON sessions
+  FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
 -- Index for faster queries
 CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS sessions_completed_at_idx ON sessions(completed_at DESC);
@@ -75,9 +98,16 @@ CREATE POLICY "Users can view own responses" ON responses
 CREATE POLICY "Users can create own responses" ON responses
   FOR INSERT WITH CHECK (auth.uid() = user_id);
 
+CREATE POLICY "Users can update own responses" ON responses
+  FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own responses" ON responses
+  FOR DELETE USING (auth.uid() = user_id);
+
 -- Index for faster queries
 CREATE INDEX IF NOT EXISTS responses_user_id_idx ON responses(user_id);
 CREATE INDEX IF NOT EXISTS responses_created_at_idx ON responses(created_at DESC);
+CREATE INDEX IF NOT EXISTS responses_question_type_idx ON responses(user_id, question_type);
 
 -- ============================================================================
 -- TRIGGER: AUTO-CREATE PROFILE ON USER SIGN-UP
@@ -150,3 +180,31 @@ CREATE POLICY "Users can view own feedback" ON feedback
 -- Index for faster queries
 CREATE INDEX IF NOT EXISTS feedback_user_id_idx ON feedback(user_id);
 CREATE INDEX IF NOT EXISTS feedback_created_at_idx ON feedback(created_at DESC);
+
+-- ============================================================================
+-- ACCOUNT DELETION
+-- ============================================================================
+-- Deletes the calling user's rows and auth account ("delete my account" in settings).
+-- SECURITY DEFINER lets it remove the auth.users row; auth.uid() keeps it scoped
+-- to the caller, so there are no delete policies on sessions or feedback to abuse.
+CREATE OR REPLACE FUNCTION public.delete_my_account()
+RETURNS void AS $$
+DECLARE
+  uid uuid := auth.uid();
+BEGIN
+  IF uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '28000';
+  END IF;
+
+  -- Feedback would otherwise only be unlinked (ON DELETE SET NULL)
+  DELETE FROM public.feedback WHERE user_id = uid;
+  DELETE FROM public.responses WHERE user_id = uid;
+  DELETE FROM public.sessions WHERE user_id = uid;
+  DELETE FROM public.profiles WHERE id = uid;
+  DELETE FROM auth.users WHERE id = uid;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only signed-in users may call it
+REVOKE ALL ON FUNCTION public.delete_my_account() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.delete_my_account() TO authenticated;
@@ -13,12 +13,74 @@ export const TIMER = {
     DEFAULT_DURATION: 600,
     /** Minimum timer duration in seconds (1 minute) */
     MIN_DURATION: 60,
+    /** Longest duration the settings editor accepts (3 hours) */
+    MAX_DURATION: 10800,
+    /** Duration presets offered in settings (seconds) */
+    PRESETS: [300, 600, 900, 1500, 2700, 3600],
     /** Timer increment/decrement in seconds (10 minutes) */
     INCREMENT: 600,
     /** Progress ring radius in pixels */
     PROGRESS_RING_RADIUS: 130,
     /** Update interval in milliseconds */
-    UPDATE_INTERVAL: 1000
+    UPDATE_INTERVAL: 1000,
+    /** Longest overtime counted past zero (3 hours); the session then finishes on its own */
+    MAX_OVERTIME: 10800
+};
+
+/**
+ * How the timer duration changes over time
+ */
+export const TIMER_MODES = {
+    /** Grows by TIMER.INCREMENT on each new day and shrinks on missed days */
+    GROWTH: 'growth',
+    /** Stays at the duration chosen in settings */
+    FIXED: 'fixed'
+};
+
+/**
+ * Interval (Pomodoro) mode defaults and bounds
+ */
+export const INTERVAL = {
+    /** Work phase length (25 minutes) */
+    WORK_SECONDS: 1500,
+    /** Short break length (5 minutes) */
+    BREAK_SECONDS: 300,
+    /** Long break length (15 minutes) */
+    LONG_BREAK_SECONDS: 900,
+    /** Work phases per session */
+    ROUNDS: 4,
+    /** A long break follows every this many rounds */
+    LONG_BREAK_EVERY: 4,
+    /** Shortest break (1 minute) */
+    MIN_BREAK_SECONDS: 60,
+    /** Most rounds in one session */
+    MAX_ROUNDS: 12
+};
+
+/**
+ * Completion alert settings
+ */
+export const ALERTS = {
+    /** Peak gain of the chime (0-1) */
+    CHIME_VOLUME: 0.25,
+    /** Vibration pattern in ms (vibrate, pause, vibrate, ...) */
+    VIBRATION_PATTERN: [200, 100, 200, 100, 400],
+    /** Notification tag, so a new alert replaces the previous one */
+    NOTIFICATION_TAG: 'better-life-session'
+};
+
+/**
+ * Streak and missed-day penalty settings
+ */
+export const STREAK = {
+    /** 'fixed' subtracts PENALTY_SECONDS per missed day, 'decay' multiplies by DECAY_FACTOR */
+    PENALTY_MODE: 'fixed',
+    /** Seconds removed per missed day in 'fixed' mode (10 minutes) */
+    PENALTY_SECONDS: 600,
+    /** Duration multiplier per missed day in 'decay' mode */
+    DECAY_FACTOR: 0.9,
+    /** Penalties never take the timer below this (10 minutes) */
+    PENALTY_FLOOR: 600
 };
 
 /**
@@ -49,10 +111,106 @@ export const CSS_CLASSES = {
 export const STORAGE_KEYS = {
     /** Timer duration preference */
     TIMER_DURATION: 'bl_timerDuration',
+    /** Profile timer duration this device last saved or loaded (see users/timer-duration-sync.js) */
+    SYNCED_TIMER_DURATION: 'bl_syncedTimerDuration',
+    /** Timer mode preference (growth or fixed) */
+    TIMER_MODE: 'bl_timerMode',
+    /** Keep counting past zero until the session is stopped */
+    OVERTIME: 'bl_overtime',
+    /** Treat the timer duration as a daily total across sessions */
+    DAILY_GOAL: 'bl_dailyGoal',
+    /** Session time completed today towards the daily goal */
+    DAILY_PROGRESS: 'bl_dailyProgress',
+    /** Interval (Pomodoro) mode settings */
+    INTERVAL_SETTINGS: 'bl_intervalSettings',
+    /** Completion alert channels (sound, notification, vibration) */
+    ALERT_SETTINGS: 'bl_alertSettings',
     /** Dark mode preference */
     DARK_MODE: 'bl_darkMode',
     /** Font family preference */
-    FONT_FAMILY: 'bl_fontFamily'
+    FONT_FAMILY: 'bl_fontFamily',
+    /** Completed sessions waiting to be saved to Supabase */
+    PENDING_SESSIONS: 'bl_pendingSessions',
+    /** Unsaved journal text from the timer page */
+    JOURNAL_DRAFT: 'bl_journalDraft',
+    /** Clock of the session currently running or paused */
+    ACTIVE_SESSION: 'bl_activeSession',
+    /** Day of the last completed session */
+    LAST_SESSION_DATE: 'bl_lastSessionDate',
+    /** Consecutive days with a completed session */
+    CURRENT_STREAK: 'bl_currentStreak',
+    /** Longest streak reached */
+    LONGEST_STREAK: 'bl_longestStreak',
+    /** Last missed day that has already been penalized */
+    PENALIZED_THROUGH: 'bl_penalizedThrough',
+    /** Reflection answers saved on this device */
+    RESPONSE_HISTORY: 'bl_responseHistory',
+    /** Supabase writes waiting to be sent */
+    SYNC_QUEUE: 'bl_syncQueue',
+    /** Queued writes the server refused for good (RLS, validation, missing table) */
+    SYNC_FAILED: 'bl_syncFailed',
+    /** Profile row of the local storage backend */
+    LOCAL_PROFILE: 'bl_localProfile',
+    /** Session rows of the local storage backend */
+    LOCAL_SESSIONS: 'bl_localSessions',
+    /** Response rows of the local storage backend */
+    LOCAL_RESPONSES: 'bl_localResponses',
+    /** Feedback rows of the local storage backend */
+    LOCAL_FEEDBACK: 'bl_localFeedback',
+    /** Layout version of the values above (see state/storage-migrations.js) */
+    STORAGE_VERSION: 'bl_storageVersion',
+    /** Values as they were before the last storage migration */
+    STORAGE_BACKUP: 'bl_storageBackup'
+};
+
+/**
+ * Data export archive
+ */
+export const EXPORT = {
+    /** Marks a JSON file as a Better Life export */
+    FORMAT: 'better-life-export',
+    /** Archive layout version, bumped when the layout changes */
+    VERSION: 1,
+    /** Start of every exported file name */
+    FILE_PREFIX: 'better-life',
+    /** Sessions fetched per request while exporting */
+    PAGE_SIZE: 500
+};
+
+/**
+ * Client-side encryption of journal and reflection text
+ */
+export const ENCRYPTION = {
+    /** Start of every encrypted value, followed by base64 IV and ciphertext */
+    PREFIX: 'blenc:v1:',
+    /** PBKDF2-SHA256 iterations for deriving the key from the passphrase */
+    KDF_ITERATIONS: 310000,
+    /** Random salt stored with the profile */
+    SALT_BYTES: 16,
+    /** AES-GCM nonce per value */
+    IV_BYTES: 12,
+    /** Known text encrypted with the key, to check a passphrase */
+    CHECK_TEXT: 'better-life-encryption-check',
+    /** Shortest passphrase accepted when turning encryption on */
+    MIN_PASSPHRASE_LENGTH: 8,
+    /** Shown instead of encrypted text until this device is unlocked */
+    LOCKED_TEXT: 'Encrypted. Unlock in settings to read this.',
+    /** IndexedDB database that holds the key unlocked on this device */
+    KEY_DATABASE: 'better-life-keys',
+    /** Object store in KEY_DATABASE */
+    KEY_STORE: 'keys'
+};
+
+/**
+ * Data repository backends (see services/repository)
+ */
+export const STORAGE_BACKENDS = {
+    /** Supabase tables (default, requires sign-in) */
+    SUPABASE: 'supabase',
+    /** localStorage on this device */
+    LOCAL: 'local',
+    /** In memory, cleared on reload */
+    MEMORY: 'memory'
 };
 
 /**
@@ -61,7 +219,11 @@ export const STORAGE_KEYS = {
 export const PAGES = {
     LANDING: 'landing',
     TIMER: 'timer',
-    MENU: 'menu'
+    MENU: 'menu',
+    HISTORY: 'history',
+    REFLECTIONS: 'reflections',
+    SUMMARY: 'summary',
+    STATS: 'stats'
 };
 
 /**
@@ -76,6 +238,51 @@ export const ANIMATION_DELAYS = {
     TITLE_FADE_OUT: 5000,
 };
 
+/**
+ * Session history page constants
+ */
+export const HISTORY = {
+    /** Sessions loaded per page */
+    PAGE_SIZE: 20
+};
+
+/**
+ * Stats page constants
+ */
+export const STATS = {
+    /** Days covered by each range */
+    RANGES: {
+        week: 7,
+        month: 30
+    },
+    /** Sessions fetched per request while loading a range */
+    PAGE_SIZE: 100,
+    /** Week columns in the calendar heatmap (a year, plus the current week) */
+    HEATMAP_WEEKS: 53,
+    /** Colour levels above "no practice" in the heatmap */
+    HEAT_LEVELS: 4
+};
+
+/**
+ * Offline write queue settings
+ */
+export const SYNC = {
+    /** Delay before the first retry of a failed write (ms) */
+    RETRY_BASE_DELAY: 2000,
+    /** Longest delay between retries (5 minutes) */
+    RETRY_MAX_DELAY: 300000,
+    /** Failed attempts after which a write only retries on online/sign-in events */
+    MAX_SCHEDULED_ATTEMPTS: 10
+};
+
+/**
+ * Journal constants
+ */
+export const JOURNAL = {
+    /** Delay after the last keystroke before the draft is saved (ms) */
+    AUTOSAVE_DELAY: 1000
+};
+
 /**
  * Transition duration constants (in milliseconds)
  */
@@ -3,8 +3,26 @@
  */
 
 /**
- * Reflection question type identifiers
- * @typedef {'better_today' | 'life_meaning'} QuestionType
+ * Reflection question type identifier
+ * Stored in responses.question_type; one per answerable entry in the question catalog
+ * (e.g. 'better_today', 'life_meaning')
+ * @typedef {string} QuestionType
+ */
+
+/**
+ * Question catalog entry
+ * @typedef {Object} QuestionDefinition
+ * @property {string} id - Unique id, used for element ids (q-<id>, <id>-flow, <id>-input)
+ * @property {string} prompt - Text shown in the questions flow
+ * @property {'text'|'textarea'|'sequence'|'list'|'page'} input - How the question is answered or shown
+ * @property {'slide-to-top'|'fade-out'} animation - Transition from the questions flow
+ * @property {string} [label] - Short name used by the reflection archive
+ * @property {QuestionType} [questionType] - Response type for answerable questions
+ * @property {string} [storageKey] - Field that holds the answer in localStorage history entries
+ * @property {string} [placeholder] - Placeholder for text inputs
+ * @property {string[]} [lines] - Lines shown by 'sequence' and 'list' questions
+ * @property {number} [stagger] - Delay between revealed lines in ms
+ * @property {string} [page] - Page opened by 'page' questions
  */
 
 /**
@@ -27,9 +45,27 @@
 
 /**
  * LocalStorage history entry format
+ * Answers are stored under the catalog entry's storageKey
  * @typedef {Object} HistoryEntry
  * @property {string} date - ISO timestamp
  * @property {string} [betterToday] - Response to "better today" question
  * @property {string} [meaning] - Response to "life meaning" question
+ * @property {string} [sessionReflection] - Reflection saved from the session summary page
  */
 
+/**
+ * Reflection answer shown in the archive
+ * Normalized from Supabase responses or from localStorage history entries
+ * @typedef {Object} ReflectionEntry
+ * @property {string} id - Response UUID, or "local:<type>:<date>" for entries stored on this device
+ * @property {QuestionType} question_type
+ * @property {string} response_text
+ * @property {string} created_at - ISO timestamp
+ */
+
+/**
+ * Journal draft persisted in localStorage
+ * @typedef {Object} JournalDraft
+ * @property {string} text - Draft text as typed
+ * @property {string} updatedAt - ISO timestamp of the last save
+ */
@@ -10,6 +10,10 @@
  * @property {string} completed_at - ISO timestamp
  * @property {number} duration_seconds
  * @property {string|null} journal_entry
+ * @property {SessionEvent[]|null} timeline - Start, pause, resume and finish events
+ * @property {string|null} intention - What the user set out to do
+ * @property {boolean|null} intention_met - Whether they did it (null when not answered)
+ * @property {number|null} timer_duration - Timer duration in seconds when the session was started
  * @property {string} created_at - ISO timestamp
  */
 
@@ -19,5 +23,211 @@
  * @property {string} user_id - UUID
  * @property {number} duration_seconds
  * @property {string|null} [journal_entry]
+ * @property {SessionEvent[]|null} [timeline]
+ * @property {string|null} [intention]
+ * @property {boolean|null} [intention_met]
+ * @property {number|null} [timer_duration]
  */
 
+
+/**
+ * Completed session waiting to be saved to Supabase (localStorage queue entry)
+ * @typedef {Object} PendingSession
+ * @property {string} [id] - Client-generated UUID, kept as the row id (missing on sessions stored by older versions)
+ * @property {number} duration_seconds
+ * @property {string|null} journal_entry
+ * @property {string} completed_at - ISO timestamp
+ * @property {SessionEvent[]|null} [timeline] - Start, pause, resume and finish events
+ * @property {string|null} [intention] - What the user set out to do
+ * @property {boolean|null} [intention_met] - Whether they did it (null when not answered)
+ * @property {number|null} [timer_duration] - Timer duration in seconds when the session was started
+ */
+
+/**
+ * What the user set out to do in a session, and whether they did it
+ * @typedef {Object} SessionIntention
+ * @property {string} text
+ * @property {boolean|null} met - null until answered (or when skipped)
+ */
+
+/**
+ * Wall-clock timing of the session in progress (persisted in localStorage)
+ * @typedef {Object} SessionClock
+ * @property {number} startedAt - Epoch ms when the session started
+ * @property {number} duration - Session length in seconds
+ * @property {number|null} endsAt - Epoch ms when the countdown reaches zero (null while paused)
+ * @property {number|null} pausedRemaining - Seconds left when paused (null while running)
+ * @property {SessionEvent[]} [timeline] - Start, pause and resume events so far
+ * @property {IntervalProgress} [interval] - Set for interval sessions; `duration` is then the current phase's length
+ * @property {string|null} [intention] - What the user set out to do in this session
+ * @property {boolean} [overtime] - Keeps counting past zero until stopped (set when the session starts)
+ */
+
+/**
+ * Interval (Pomodoro) settings
+ * @typedef {Object} IntervalSettings
+ * @property {boolean} enabled - Start new sessions as work/break cycles
+ * @property {number} workSeconds
+ * @property {number} breakSeconds
+ * @property {number} longBreakSeconds
+ * @property {number} rounds - Work phases per session
+ * @property {number} longBreakEvery - Rounds between long breaks (0 for none)
+ */
+
+/**
+ * Completion alert channels
+ * @typedef {Object} AlertSettings
+ * @property {boolean} sound - Play the synthesized chime
+ * @property {boolean} notification - Show a system notification while the tab is in the background
+ * @property {boolean} vibration - Vibrate on supporting devices
+ */
+
+/**
+ * One note of the completion chime
+ * @typedef {Object} ChimeNote
+ * @property {number} frequency - Hz
+ * @property {number} start - Offset from the start of the chime in seconds
+ * @property {number} duration - Seconds until the note has faded out
+ */
+
+/**
+ * Kind of interval phase
+ * @typedef {'work' | 'break' | 'long-break'} IntervalPhaseType
+ */
+
+/**
+ * One phase of an interval session
+ * @typedef {Object} IntervalPhase
+ * @property {IntervalPhaseType} type
+ * @property {number} seconds - Phase length
+ * @property {number} round - Round the phase belongs to (1-based)
+ */
+
+/**
+ * Where an interval session is in its plan
+ * @typedef {Object} IntervalProgress
+ * @property {IntervalPhase[]} plan
+ * @property {number} phaseIndex - Index of the current phase
+ * @property {number} workElapsed - Work seconds counted in earlier phases
+ */
+
+/**
+ * Kind of session timeline event
+ * @typedef {'start' | 'pause' | 'resume' | 'finish'} SessionEventType
+ */
+
+/**
+ * Point in a session's timeline
+ * @typedef {Object} SessionEvent
+ * @property {SessionEventType} type
+ * @property {string} at - ISO timestamp
+ * @property {string|null} [reason] - Why the session was interrupted (pause events only)
+ */
+
+/**
+ * Session time completed on a day towards the daily goal (persisted in localStorage)
+ * @typedef {Object} DailyProgress
+ * @property {string} day - Local date as YYYY-MM-DD
+ * @property {number} seconds - Session time completed that day
+ * @property {boolean} credited - Whether the goal was reached and the day counted for the streak
+ */
+
+/**
+ * What a finished session achieved, shown on the summary page
+ * @typedef {Object} SessionSummary
+ * @property {number} durationSeconds - Seconds counted in the session
+ * @property {{before: number, after: number}} streak - Current streak before and after the session
+ * @property {{before: number, after: number}} timer - Timer duration in seconds before and after the session
+ * @property {SessionIntention|null} intention
+ * @property {string|null} journalEntry - Journal text written during the session
+ * @property {{seconds: number, goal: number}|null} dailyGoal - Today's total and goal, when the daily goal is on
+ */
+
+/**
+ * Totals for one day on the stats page
+ * @typedef {Object} DayStats
+ * @property {string} dayKey - Local date as YYYY-MM-DD
+ * @property {number} seconds - Focused seconds that day
+ * @property {number} count - Sessions completed that day
+ * @property {number|null} timerDuration - Timer duration at the day's last session (null when unknown)
+ */
+
+/**
+ * Session statistics over a range of days
+ * @typedef {Object} SessionStats
+ * @property {DayStats[]} days - One entry per day, oldest first
+ * @property {number} totalSeconds
+ * @property {number} sessionCount
+ * @property {number} averageSeconds - Average session length (0 without sessions)
+ */
+
+/**
+ * One day of the calendar heatmap
+ * @typedef {Object} HeatmapDay
+ * @property {string} dayKey - Local date as YYYY-MM-DD
+ * @property {number} seconds - Focused seconds that day
+ * @property {number} count - Sessions completed that day
+ * @property {number} level - Colour level (0 for no practice)
+ */
+
+/**
+ * Calendar heatmap of practice days
+ * @typedef {Object} Heatmap
+ * @property {(HeatmapDay|null)[][]} weeks - Week columns, oldest first, each Sunday to Saturday (null after today)
+ * @property {{week: number, label: string}[]} months - Month labels and the column they start at
+ * @property {number} maxSeconds - Busiest day
+ */
+
+/**
+ * Drawing area of a chart, in SVG user units
+ * @typedef {Object} ChartBox
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * How often a session was interrupted
+ * @typedef {Object} TimelineSummary
+ * @property {number} pauseCount
+ * @property {number} pausedSeconds - Time spent paused
+ * @property {string[]} reasons - Interruption reasons that were given
+ */
+
+/**
+ * Session as listed on the history page (database row or local queue entry)
+ * @typedef {Object} SessionHistoryItem
+ * @property {string} [id] - UUID (missing for sessions only stored on this device)
+ * @property {string} completed_at - ISO timestamp
+ * @property {number} duration_seconds
+ * @property {string|null} journal_entry
+ * @property {SessionEvent[]|null} [timeline] - Start, pause, resume and finish events
+ * @property {string|null} [intention]
+ * @property {boolean|null} [intention_met]
+ * @property {number|null} [timer_duration] - Timer duration when the session was started (missing on older sessions)
+ * @property {boolean} [pending] - Still waiting in the sync queue, not saved to the account yet
+ */
+
+/**
+ * Sessions completed on the same local day
+ * @typedef {Object} SessionDayGroup
+ * @property {string} dayKey - Local date as YYYY-MM-DD
+ * @property {SessionHistoryItem[]} sessions
+ * @property {number} totalSeconds - Sum of session durations
+ */
+
+/**
+ * Streak tracking state (day keys are local YYYY-MM-DD dates)
+ * @typedef {Object} StreakState
+ * @property {number} currentStreak - Consecutive days with a completed session
+ * @property {number} longestStreak - Best streak so far
+ * @property {string|null} lastSessionDate - Day of the last completed session
+ */
+
+/**
+ * How missed days reduce the timer duration
+ * @typedef {Object} MissedDayPenaltyConfig
+ * @property {'fixed' | 'decay'} mode - Subtract a fixed amount, or multiply by a decay factor, per missed day
+ * @property {number} penaltySeconds - Seconds removed per missed day ('fixed' mode)
+ * @property {number} decayFactor - Multiplier per missed day ('decay' mode)
+ * @property {number} floorSeconds - Duration never drops below this
+ */
@@ -12,6 +12,8 @@
  * @property {number} timer_duration - Duration in seconds (default: 600)
  * @property {string|null} last_session_date - Date string
  * @property {string} updated_at - ISO timestamp
+ * @property {string|null} [encryption_salt] - Base64 salt of the encryption passphrase (null when encryption is off)
+ * @property {string|null} [encryption_check] - Known text encrypted with the key, to check a passphrase
  */
 
 /**
@@ -21,6 +23,55 @@
  * @property {string} [display_name]
  * @property {number} [timer_duration]
  * @property {string} [last_session_date]
+ * @property {string} [encryption_salt]
+ * @property {string} [encryption_check]
+ */
+
+/**
+ * Everything the app stores for a user, as written by the data export
+ * @typedef {Object} ExportArchive
+ * @property {string} format - Always EXPORT.FORMAT
+ * @property {number} version - EXPORT.VERSION at the time of export
+ * @property {string} exportedAt - ISO timestamp
+ * @property {'account'|'device'} source - Signed-in repository data, or data kept on this device
+ * @property {Object|null} profile - Profile row (settings from this device when signed out)
+ * @property {import('../sessions/types.js').SessionHistoryItem[]} sessions - Oldest first
+ * @property {import('../reflection/types.js').ReflectionEntry[]} responses - Oldest first
+ * @property {Record<string, string>} localStorage - Raw values of the app's localStorage keys on this device
+ */
+
+/**
+ * File produced by the data export
+ * @typedef {Object} ExportFile
+ * @property {string} filename
+ * @property {string} mimeType
+ * @property {string} content
+ */
+
+/**
+ * Archived record considered by an import
+ * @typedef {Object} ImportRecord
+ * @property {'session'|'response'} kind
+ * @property {number} index - Position in the archive's list
+ * @property {Object} record - The archived row
+ * @property {string} [error] - Why the record can't be imported
+ */
+
+/**
+ * What an import will do, worked out before anything is written
+ * @typedef {Object} ImportPlan
+ * @property {ImportRecord[]} add - New records
+ * @property {ImportRecord[]} duplicates - Records already saved (matched by timestamp and content)
+ * @property {ImportRecord[]} invalid - Records that can't be read
+ */
+
+/**
+ * Outcome of importing one record
+ * @typedef {Object} ImportRecordResult
+ * @property {'session'|'response'} kind
+ * @property {string} label - Short description for the report
+ * @property {boolean} success
+ * @property {string} [error]
  */
 
 /**
@@ -16,6 +16,7 @@
  * @typedef {Object} ErrorResponse
  * @property {false} success
  * @property {string} error - Error message
+ * @property {string} [code] - Backend error code (Postgres SQLSTATE or PostgREST code), when there is one
  */
 
 /**
@@ -24,3 +25,42 @@
  * @typedef {SuccessResponse<T> | ErrorResponse} APIResponse
  */
 
+/**
+ * Write types handled by the offline sync queue
+ * @typedef {'saveSession' | 'updateSession' | 'saveResponse' | 'updateUserProfile' | 'submitFeedback'} QueuedWriteType
+ */
+
+/**
+ * Supabase write waiting in the offline sync queue (persisted in localStorage)
+ * @typedef {Object} QueuedWrite
+ * @property {string} id - Client-generated UUID, used as the row id for idempotent inserts
+ * @property {QueuedWriteType} type
+ * @property {Object} payload - Write arguments
+ * @property {string|null} userId - User who made the write (only that user can send it)
+ * @property {string} createdAt - ISO timestamp when the write was queued
+ * @property {number} attempts - Failed send attempts so far
+ * @property {number} nextAttemptAt - Epoch ms of the next scheduled retry
+ * @property {string|null} lastError - Error from the last failed attempt
+ */
+
+/**
+ * Queued write the server refused for good (kept so its data isn't lost)
+ * @typedef {QueuedWrite & {failedAt: string, errorCode: string|null}} FailedWrite
+ */
+
+/**
+ * Where to load the Supabase client library from
+ * @typedef {Object} SupabaseClientSource
+ * @property {'script'|'module'} type - UMD bundle loaded with a script tag, or ES module loaded with import()
+ * @property {string} url
+ * @property {string} [global] - Global defined by a 'script' bundle (defaults to 'supabase')
+ */
+
+/**
+ * Supabase connection settings
+ * @typedef {Object} SupabaseConfig
+ * @property {string} url - Project URL (or a local Supabase stand-in)
+ * @property {string} anonKey - anon/public API key
+ * @property {SupabaseClientSource[]} clientSources - Library sources tried first, in order
+ * @property {boolean} allowCdnFallback - Try public CDNs when every configured source fails
+ */
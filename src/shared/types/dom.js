@@ -4,7 +4,7 @@
 
 /**
  * Navigation page identifiers
- * @typedef {'landing' | 'timer' | 'menu'} PageName
+ * @typedef {'landing' | 'timer' | 'menu' | 'history' | 'reflections' | 'summary' | 'stats'} PageName
  */
 
 /**
@@ -14,6 +14,10 @@
  * @property {HTMLElement|null} pages.landing
  * @property {HTMLElement|null} pages.timer
  * @property {HTMLElement|null} pages.menu
+ * @property {HTMLElement|null} pages.history
+ * @property {HTMLElement|null} pages.reflections
+ * @property {HTMLElement|null} pages.summary - Shown when a session finishes
+ * @property {HTMLElement|null} pages.stats
  * @property {Object} buttons
  * @property {HTMLElement|null} buttons.yes
  * @property {HTMLElement|null} buttons.no
@@ -24,33 +28,64 @@
  * @property {HTMLElement|null} buttons.questions
  * @property {HTMLElement|null} buttons.feedback
  * @property {HTMLElement|null} buttons.settings
+ * @property {HTMLElement|null} buttons.history
+ * @property {HTMLElement|null} buttons.historyMore
+ * @property {HTMLElement|null} buttons.historyBack
+ * @property {HTMLElement|null} buttons.reflectionsBack
+ * @property {HTMLElement|null} buttons.stats
+ * @property {HTMLElement|null} buttons.statsBack
+ * @property {HTMLElement|null} buttons.skipPhase - Skips the current interval phase
+ * @property {HTMLElement|null} buttons.finishEarly - Ends the session early (daily goal)
+ * @property {HTMLElement|null} buttons.intentionBegin - Starts the session with the entered intention
+ * @property {HTMLElement|null} buttons.intentionSkip - Starts the session without an intention
+ * @property {HTMLElement|null} buttons.intentionMet
+ * @property {HTMLElement|null} buttons.intentionMissed
+ * @property {HTMLElement|null} buttons.summarySave - Saves the reflection and continues to the menu
+ * @property {HTMLElement|null} buttons.summaryContinue
  * @property {Object} display
  * @property {HTMLElement|null} display.timer
  * @property {HTMLElement|null} display.timerIntro
+ * @property {HTMLElement|null} display.timerControls
+ * @property {HTMLElement|null} display.dailyGoalProgress - Today's progress towards the daily goal
+ * @property {HTMLElement|null} display.intentionStep - Intention prompt shown before the countdown
+ * @property {HTMLInputElement|null} display.intentionInput
+ * @property {HTMLElement|null} display.intentionCheck - Intention check-in shown when the session ends
+ * @property {HTMLElement|null} display.intentionCheckText
  * @property {HTMLElement|null} display.circleTimer
  * @property {HTMLElement|null} display.circleWrapper
+ * @property {HTMLInputElement|null} display.pauseReason
+ * @property {HTMLElement|null} display.phaseLabel - Current interval phase
  * @property {HTMLElement|null} display.circleTime
  * @property {SVGElement|null} display.progressRing
  * @property {HTMLElement|null} display.helpContent
  * @property {HTMLElement|null} display.journalTab
+ * @property {HTMLTextAreaElement|null} display.journalEntry
  * @property {HTMLElement|null} display.modalOverlay
  * @property {HTMLElement|null} display.modalBody
  * @property {HTMLElement|null} display.closeModal
+ * @property {HTMLElement|null} display.historyList
+ * @property {HTMLElement|null} display.historyStatus
+ * @property {HTMLElement|null} display.reflectionsList
+ * @property {HTMLElement|null} display.reflectionsStatus
+ * @property {HTMLElement|null} display.reflectionsQuestion
+ * @property {HTMLElement|null} display.summaryDetails
+ * @property {HTMLTextAreaElement|null} display.summaryReflection
+ * @property {HTMLElement|null} display.summaryStatus
+ * @property {HTMLElement|null} display.statsTotals - Total minutes, session count and average length
+ * @property {HTMLElement|null} display.statsCharts
+ * @property {HTMLElement|null} display.statsHeatmap - Calendar heatmap of the past year
+ * @property {HTMLElement|null} display.statsDay - Sessions and reflections of the selected heatmap day
+ * @property {HTMLElement|null} display.statsStatus
  * @property {HTMLElement|null} menuContent
  * @property {HTMLElement|null} questionsFlow
- * @property {NodeList} questionItems
- * @property {HTMLElement|null} howItWorksFlow
- * @property {NodeList} explainItems
- * @property {HTMLElement|null} qHowItWorks
- * @property {HTMLElement|null} qBetterToday
- * @property {HTMLElement|null} betterTodayFlow
- * @property {HTMLInputElement|null} betterTodayInput
- * @property {HTMLElement|null} qBetterLifeMeaning
- * @property {HTMLElement|null} betterLifeMeaningFlow
- * @property {HTMLInputElement|null} betterLifeMeaningInput
- * @property {HTMLElement|null} qAdvice
- * @property {HTMLElement|null} adviceFlow
- * @property {NodeList} adviceItems
+ * @property {HTMLElement|null} reflectionsFilters
+ * @property {HTMLInputElement|null} reflectionsSearch
+ * @property {HTMLElement|null} statsRanges - Week/month range buttons
+ * @property {HTMLElement|null} timerSettings - Timer section of the settings modal
+ * @property {HTMLElement|null} alertSettings - Alerts section of the settings modal
+ * @property {HTMLElement|null} dataSettings - Data export section of the settings modal
+ * @property {HTMLElement|null} encryptionSettings - Encryption section of the settings modal
+ * @property {HTMLElement|null} deleteAccountSettings - Delete account section of the settings modal
  * @property {NodeList} floatButtons
  * @property {HTMLElement|null} menuTitle
  * @property {HTMLElement|null} debugControls
@@ -0,0 +1,38 @@
+/**
+ * Client-side encryption types
+ *
+ * See src/client/services/encryption.
+ */
+
+/**
+ * Whether journal and reflection text is encrypted, and whether this device can read it
+ * - off: the account doesn't use encryption
+ * - locked: the account does, but this device hasn't been unlocked with the passphrase
+ * - unlocked: text is encrypted before it is saved and decrypted when read
+ * @typedef {'off'|'locked'|'unlocked'} EncryptionStatus
+ */
+
+/**
+ * Unlocked key kept on this device, and the account it belongs to
+ * @typedef {Object} KeyVault
+ * @property {(userId: string|null) => Promise<CryptoKey|null>} getKey - Key of this account, or null when locked
+ * @property {(userId: string, key: CryptoKey) => Promise<void>} setKey
+ * @property {() => Promise<void>} clear - Lock this device
+ */
+
+/**
+ * Unlocked key as the key store holds it
+ * @typedef {Object} StoredKey
+ * @property {string} userId - Account the key belongs to
+ * @property {CryptoKey} key - Non-extractable AES-GCM key
+ */
+
+/**
+ * Where the vault keeps the unlocked key (IndexedDB in the browser)
+ * @typedef {Object} KeyStore
+ * @property {() => Promise<StoredKey|null>} get
+ * @property {(stored: StoredKey) => Promise<void>} set
+ * @property {() => Promise<void>} remove
+ */
+
+export {};
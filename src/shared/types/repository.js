@@ -0,0 +1,78 @@
+/**
+ * Data repository types
+ *
+ * Every backend in src/client/services/repository implements this interface,
+ * and every method resolves to an APIResponse.
+ */
+
+/**
+ * @typedef {import('./api.js').APIResponse} APIResponse
+ * @typedef {import('../domains/users/types.js').Profile} Profile
+ */
+
+/**
+ * Minimal Storage interface (localStorage or the in-memory storage)
+ * @typedef {Object} KeyValueStorage
+ * @property {(key: string) => string|null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ * @property {(key: string) => void} removeItem
+ */
+
+/**
+ * Session to save. `id` makes the insert idempotent.
+ * @typedef {Object} SessionInput
+ * @property {string} [id]
+ * @property {number} duration_seconds
+ * @property {string|null} [journal_entry]
+ * @property {string|null} [completed_at] - ISO timestamp, defaults to now
+ * @property {import('../domains/sessions/types.js').SessionEvent[]|null} [timeline]
+ * @property {string|null} [intention] - What the user set out to do
+ * @property {boolean|null} [intention_met] - Whether they did it
+ * @property {number|null} [timer_duration] - Timer duration in seconds when the session was started
+ */
+
+/**
+ * Fields of a saved session that can change afterwards
+ * @typedef {Object} SessionUpdate
+ * @property {boolean|null} [intention_met] - Whether the user did what they set out to do
+ */
+
+/**
+ * Response to save. `id` makes the insert idempotent.
+ * @typedef {Object} ResponseInput
+ * @property {string} [id]
+ * @property {string} question_type
+ * @property {string} response_text
+ * @property {string|null} [created_at] - ISO timestamp, defaults to now
+ */
+
+/**
+ * Feedback to send. `id` makes the insert idempotent.
+ * @typedef {Object} FeedbackInput
+ * @property {string} [id]
+ * @property {string} message
+ */
+
+/**
+ * Answers kept on this device (see repository/history-store.js)
+ * @typedef {Object} HistoryStore
+ * @property {() => Promise<APIResponse<import('../domains/reflection/types.js').HistoryEntry[]>>} list
+ * @property {(entries: import('../domains/reflection/types.js').HistoryEntry[]) => Promise<APIResponse<null>>} save - Replaces the whole history
+ * @property {() => Promise<APIResponse<null>>} clear
+ */
+
+/**
+ * Storage backend for profiles, sessions, responses and feedback
+ * @typedef {Object} Repository
+ * @property {string} name - One of STORAGE_BACKENDS
+ * @property {() => boolean} isReady - Whether reads and user-scoped writes can be made (e.g. signed in)
+ * @property {() => string|null} getUserId - Owner of the rows written now
+ * @property {{get: () => Promise<APIResponse<Profile>>, update: (updates: Object) => Promise<APIResponse<Profile>>}} profiles
+ * @property {{create: (session: SessionInput) => Promise<APIResponse<Object>>, list: (options?: {limit?: number, offset?: number}) => Promise<APIResponse<Object[]>>, update: (id: string, updates: SessionUpdate) => Promise<APIResponse<Object>>}} sessions
+ * @property {{create: (response: ResponseInput) => Promise<APIResponse<Object>>, list: (options?: {questionType?: string|null}) => Promise<APIResponse<Object[]>>, update: (id: string, responseText: string) => Promise<APIResponse<Object>>, remove: (id: string) => Promise<APIResponse<null>>}} responses
+ * @property {{create: (feedback: FeedbackInput) => Promise<APIResponse<null>>}} feedback
+ * @property {{remove: () => Promise<APIResponse<null>>}} account - Deletes the user's account and every row they own
+ * @property {HistoryStore} history - Answers kept on this device, signed in or not
+ */
+
+export {};
@@ -6,9 +6,15 @@
  * Application-wide state object
  * @typedef {Object} AppState
  * @property {number} timerDuration - Timer duration in seconds
+ * @property {'growth' | 'fixed'} timerMode - Whether the duration grows daily or stays fixed
+ * @property {boolean} overtimeEnabled - Keep counting past zero until the session is stopped
+ * @property {boolean} dailyGoalEnabled - Treat timerDuration as a daily total that several sessions add up to
  * @property {number} currentTimer - Current timer value in seconds
  * @property {number|null} timerInterval - Timer interval ID
  * @property {boolean} isTimerRunning - Whether timer is currently running
+ * @property {number} sessionElapsed - Seconds counted down in the current session
+ * @property {import('../domains/sessions/types.js').SessionEvent[]} sessionTimeline - Start, pause and resume events of the current session
+ * @property {string|null} sessionIntention - What the user set out to do in the current session
  * @property {number|null} menuTitleTimeout - Menu title fade timeout ID
  * @property {boolean} menuTitleHasBeenDismissed - Whether menu title was dismissed
  * @property {HTMLElement|null} draggedBtn - Currently dragged button element
@@ -49,3 +49,34 @@ export function calculateProgressRingOffset(currentTimer, totalDuration, radius
     return circumference * (1 - progress);
 }
 
+
+/**
+ * Calculate an exponential backoff delay
+ * @param {number} attempt - Number of failed attempts so far (1 for the first retry)
+ * @param {number} [baseDelay=2000] - Delay after the first failure in ms
+ * @param {number} [maxDelay=300000] - Upper bound in ms
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseDelay = 2000, maxDelay = 300000) {
+    const exponent = Math.max(0, attempt - 1);
+    return Math.min(maxDelay, baseDelay * Math.pow(2, exponent));
+}
+
+/**
+ * Create a random UUID (v4)
+ * Falls back to getRandomValues where crypto.randomUUID is unavailable (non-secure contexts)
+ * @returns {string}
+ */
+export function createId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    // Set version (4) and variant (10xx) bits
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Account Deletion Guards
+ *
+ * Tests the delete-my-account flow against the local repository standing in
+ * for Supabase: every row of the user is erased, the app's storage on this
+ * device is wiped, and a failed deletion leaves everything in place
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { createLocalRepository } from '../src/client/services/repository/local-repository.js';
+import { deleteAccountAndData, isDeletionConfirmed } from '../src/client/domains/users/account-deletion.js';
+import { createKeyVault, createMemoryKeyStore } from '../src/client/services/encryption/index.js';
+import { STORAGE_KEYS, TIMER } from '../src/shared/constants.js';
+
+/**
+ * Device with an account's rows, app settings and a key from another app
+ * @returns {Promise<{storage: import('../src/shared/types/repository.js').KeyValueStorage, repository: import('../src/shared/types/repository.js').Repository}>}
+ */
+async function createDevice() {
+    const storage = createMemoryStorage();
+    const repository = createLocalRepository(storage);
+    await repository.profiles.update({ timer_duration: 900 });
+    await repository.sessions.create({ id: 's1', duration_seconds: 600 });
+    await repository.responses.create({ id: 'r1', question_type: 'better_today', response_text: 'Walk' });
+    await repository.feedback.create({ id: 'f1', message: 'Nice' });
+    storage.setItem(STORAGE_KEYS.DARK_MODE, 'true');
+    storage.setItem(STORAGE_KEYS.SYNC_QUEUE, JSON.stringify([{ id: 'q1', type: 'saveSession', payload: {} }]));
+    storage.setItem(STORAGE_KEYS.RESPONSE_HISTORY, JSON.stringify([{ date: '2025-03-08T20:00:00.000Z', betterToday: 'Walk' }]));
+    storage.setItem('other-app', 'keep');
+    return { storage, repository };
+}
+
+await describe('Account Deletion Guards', async () => {
+    await it('asks for the confirmation text', () => {
+        assert(isDeletionConfirmed('DELETE'), 'Exact text confirms');
+        assert(isDeletionConfirmed(' DELETE '), 'Surrounding spaces are ignored');
+        assert(!isDeletionConfirmed('delete'), 'Case matters');
+        assert(!isDeletionConfirmed(''), 'Empty does not confirm');
+    });
+
+    await it('deletes every row of the user, wipes the app storage on this device and signs out', async () => {
+        const device = await createDevice();
+        const vault = createKeyVault(createMemoryKeyStore());
+        await vault.setKey(device.repository.getUserId(), /** @type {CryptoKey} */ ({}));
+        let signOutCalls = 0;
+        const deleted = await deleteAccountAndData({
+            ...device,
+            vault,
+            signOut: async () => {
+                signOutCalls++;
+                return { success: true, data: null };
+            }
+        });
+        const sessionsAfter = await device.repository.sessions.list();
+        const responsesAfter = await device.repository.responses.list();
+        const profileAfter = await device.repository.profiles.get();
+
+        assert(deleted.success, 'Deletion succeeds');
+        assert(sessionsAfter.data.length === 0, 'Sessions deleted');
+        assert(responsesAfter.data.length === 0, 'Responses deleted');
+        assert(JSON.parse(device.storage.getItem(STORAGE_KEYS.LOCAL_FEEDBACK) || '[]').length === 0, 'Feedback deleted');
+        assert(profileAfter.data.timer_duration === TIMER.DEFAULT_DURATION, 'Profile deleted');
+
+        const appKeys = Object.values(STORAGE_KEYS).filter(key => device.storage.getItem(key) !== null);
+        assert(appKeys.length === 0, 'No app keys left');
+        assert(device.storage.getItem('other-app') === 'keep', 'Other apps\' keys are kept');
+        assert(signOutCalls === 1, 'Signed out once');
+        assert(await vault.getKey(device.repository.getUserId()) === null, 'Encryption key forgotten');
+    });
+
+    await it('keeps everything when the deletion fails', async () => {
+        const device = await createDevice();
+        let signOutCalls = 0;
+        const failed = await deleteAccountAndData({
+            repository: { ...device.repository, account: { remove: async () => ({ success: false, error: 'permission denied' }) } },
+            storage: device.storage,
+            signOut: async () => {
+                signOutCalls++;
+                return { success: true, data: null };
+            }
+        });
+        const sessionsAfter = await device.repository.sessions.list();
+
+        assert(!failed.success && failed.error === 'permission denied', 'Error is returned');
+        assert(sessionsAfter.data.length === 1, 'Rows are kept');
+        assert(device.storage.getItem(STORAGE_KEYS.SYNC_QUEUE) !== null, 'Local data is kept');
+        assert(signOutCalls === 0, 'Still signed in');
+    });
+
+    await it('treats a failed sign-out after deletion as deleted', async () => {
+        const device = await createDevice();
+        const deleted = await deleteAccountAndData({
+            ...device,
+            signOut: async () => ({ success: false, error: 'User not found' })
+        });
+        assert(deleted.success, 'Deletion still succeeds');
+        assert(device.storage.getItem(STORAGE_KEYS.DARK_MODE) === null, 'Storage still wiped');
+    });
+
+    await it('requires a signed-in user', async () => {
+        const signedOut = await deleteAccountAndData({
+            repository: { isReady: () => false },
+            storage: createMemoryStorage(),
+            signOut: async () => ({ success: true, data: null })
+        });
+        assert(!signedOut.success, 'Signed-out deletion fails');
+    });
+});
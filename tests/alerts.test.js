@@ -0,0 +1,110 @@
+/**
+ * Completion Alert Guards
+ * 
+ * Tests that alert settings fall back to safe defaults, the chime is
+ * well-formed, and only enabled channels fire
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import {
+    DEFAULT_ALERT_SETTINGS,
+    normalizeAlertSettings,
+    getChimeNotes,
+    getNotificationPermission,
+    triggerAlert
+} from '../src/client/domains/sessions/completion-alerts.js';
+import { ALERTS } from '../src/shared/constants.js';
+
+/**
+ * Run a callback with stubbed browser globals, then restore them
+ * @param {Object} stubs
+ * @param {Function} callback
+ * @returns {any}
+ */
+function withGlobals(stubs, callback) {
+    const saved = Object.keys(stubs).map(key => [key, Object.getOwnPropertyDescriptor(globalThis, key)]);
+    Object.entries(stubs).forEach(([key, value]) => {
+        Object.defineProperty(globalThis, key, { value, configurable: true, writable: true });
+    });
+    try {
+        return callback();
+    } finally {
+        saved.forEach(([key, descriptor]) => {
+            if (descriptor) {
+                Object.defineProperty(globalThis, key, descriptor);
+            } else {
+                delete globalThis[key];
+            }
+        });
+    }
+}
+
+describe('Completion Alert Guards', () => {
+    it('fills in defaults for missing or invalid settings', () => {
+        const fromNothing = normalizeAlertSettings(null);
+        assert(JSON.stringify(fromNothing) === JSON.stringify(DEFAULT_ALERT_SETTINGS), 'Defaults when nothing is stored');
+        assert(DEFAULT_ALERT_SETTINGS.notification === false, 'Notifications are opt-in');
+
+        const mixed = normalizeAlertSettings({ sound: false, notification: 'yes', extra: true });
+        assert(mixed.sound === false, 'Keeps a valid choice');
+        assert(mixed.notification === false, 'Ignores non-boolean values');
+        assert(!('extra' in mixed), 'Drops unknown channels');
+    });
+
+    it('plays a rising chime with audible notes', () => {
+        const notes = getChimeNotes();
+        assert(notes.length > 0, 'Chime has notes');
+        notes.forEach((note, index) => {
+            assert(note.duration > 0 && note.start >= 0, `Note ${index} has a valid time span`);
+            if (index > 0) {
+                assert(note.frequency > notes[index - 1].frequency, `Note ${index} is higher than the one before`);
+                assert(note.start > notes[index - 1].start, `Note ${index} starts later than the one before`);
+            }
+        });
+    });
+
+    it('reports notifications as unsupported without the API', () => {
+        withGlobals({ Notification: undefined }, () => {
+            assert(getNotificationPermission() === 'unsupported', 'No Notification API');
+        });
+    });
+
+    it('only fires enabled channels', () => {
+        const vibrations = [];
+        const shown = [];
+        class FakeNotification {
+            static permission = 'granted';
+            constructor(title, options) {
+                shown.push({ title, ...options });
+            }
+        }
+        const stubs = {
+            navigator: { vibrate: (pattern) => vibrations.push(pattern) > 0 },
+            Notification: FakeNotification,
+            document: { visibilityState: 'hidden' }
+        };
+
+        withGlobals(stubs, () => {
+            const message = { title: 'Session complete', body: 'Done' };
+            const fired = triggerAlert(message, { sound: false, notification: true, vibration: true });
+            assert(fired.sound === false, 'Sound is off');
+            assert(fired.vibration === true && vibrations[0] === ALERTS.VIBRATION_PATTERN, 'Vibrates with the pattern');
+            assert(fired.notification === true && shown[0].title === 'Session complete', 'Shows the notification');
+            assert(shown[0].tag === ALERTS.NOTIFICATION_TAG, 'Notifications replace each other');
+
+            const quiet = triggerAlert(message, { sound: false, notification: false, vibration: false });
+            assert(!quiet.sound && !quiet.notification && !quiet.vibration, 'Nothing fires when all channels are off');
+            assert(vibrations.length === 1 && shown.length === 1, 'No extra alerts');
+        });
+    });
+
+    it('skips the notification while the page is visible', () => {
+        class FakeNotification {
+            static permission = 'granted';
+        }
+        withGlobals({ Notification: FakeNotification, document: { visibilityState: 'visible' } }, () => {
+            const fired = triggerAlert({ title: 'Session complete', body: 'Done' }, { sound: false, notification: true, vibration: false });
+            assert(fired.notification === false, 'Visible page shows its own result');
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Calendar Heatmap Guards
+ * 
+ * Tests the year-view heatmap layout: week columns, colour levels and
+ * the days after today
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { buildHeatmap, getHeatmapStart, getHeatLevel } from '../src/client/domains/sessions/utils/calendar-heatmap.js';
+
+// Wednesday, 12 March 2025
+const NOW = new Date(2025, 2, 12, 18, 0);
+
+/**
+ * Session completed on a local date
+ */
+function session(month, day, seconds) {
+    return {
+        completed_at: new Date(2025, month - 1, day, 12, 0).toISOString(),
+        duration_seconds: seconds,
+        journal_entry: null
+    };
+}
+
+describe('Calendar Heatmap Guards', () => {
+    it('starts on a Sunday so each column is a week', () => {
+        assert(getHeatmapStart(1, NOW) === '2025-03-09', 'Current week starts on Sunday');
+        assert(getHeatmapStart(3, NOW) === '2025-02-23', 'Earlier weeks go back in steps of seven days');
+    });
+
+    it('lays out full weeks and leaves the days after today empty', () => {
+        const heatmap = buildHeatmap([], { weeks: 2, levels: 4, now: NOW });
+        assert(heatmap.weeks.length === 2, 'One column per week');
+        assert(heatmap.weeks.every(column => column.length === 7), 'Seven days per column');
+        assert(heatmap.weeks[0][0].dayKey === '2025-03-02', 'First cell is the first Sunday');
+        assert(heatmap.weeks[1][3].dayKey === '2025-03-12', 'Today is in the last column');
+        assert(heatmap.weeks[1][4] === null, 'Tomorrow is empty');
+    });
+
+    it('totals sessions per day and ignores ones outside the heatmap', () => {
+        const heatmap = buildHeatmap([
+            session(3, 10, 600),
+            session(3, 10, 1200),
+            session(3, 3, 300),
+            session(1, 15, 900)
+        ], { weeks: 2, levels: 4, now: NOW });
+
+        const monday = heatmap.weeks[1][1];
+        assert(monday.dayKey === '2025-03-10' && monday.seconds === 1800 && monday.count === 2, 'Two sessions on the 10th');
+        assert(heatmap.maxSeconds === 1800, 'Busiest day');
+        assert(monday.level === 4, 'Busiest day gets the top level');
+        assert(heatmap.weeks[0][1].level === 1, 'Light day gets a low level');
+        assert(heatmap.weeks[0][2].level === 0, 'Day without practice is level zero');
+    });
+
+    it('scales levels to the busiest day', () => {
+        assert(getHeatLevel(0, 1000, 4) === 0, 'No practice');
+        assert(getHeatLevel(1, 1000, 4) === 1, 'Any practice is at least level 1');
+        assert(getHeatLevel(500, 1000, 4) === 2, 'Half the busiest day');
+        assert(getHeatLevel(1000, 1000, 4) === 4, 'Busiest day');
+        assert(getHeatLevel(100, 0, 4) === 0, 'No busiest day');
+    });
+
+    it('labels the first column of each month', () => {
+        const heatmap = buildHeatmap([], { weeks: 10, levels: 4, now: NOW });
+        const weeks = heatmap.months.map(month => month.week);
+        assert(weeks.length >= 2, 'Months are labelled');
+        assert(weeks.every((week, i) => i === 0 || week > weeks[i - 1]), 'Labels are in column order');
+        heatmap.months.forEach(({ week }) => {
+            const sunday = heatmap.weeks[week][0].dayKey;
+            const previous = week > 0 ? heatmap.weeks[week - 1][0].dayKey : null;
+            assert(!previous || previous.slice(0, 7) !== sunday.slice(0, 7), 'Label starts a new month');
+        });
+    });
+});
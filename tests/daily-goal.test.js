@@ -0,0 +1,53 @@
+/**
+ * Daily Goal Guards
+ * 
+ * Tests that shorter sessions add up to the daily goal,
+ * and the day is credited exactly once when the goal is reached
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { getDayProgress, addDailyProgress, getRemainingGoalSeconds } from '../src/client/domains/sessions/utils/daily-goal-model.js';
+import { formatDailyGoal } from '../src/client/domains/sessions/utils/session-summary.js';
+
+const GOAL = 1200;
+
+describe('Daily Goal Guards', () => {
+    it('starts each day from zero', () => {
+        const yesterday = { day: '2025-01-01', seconds: 900, credited: false };
+        const today = getDayProgress(yesterday, '2025-01-02');
+        assert(today.seconds === 0 && today.credited === false, 'Yesterday does not carry over');
+        assert(getRemainingGoalSeconds(yesterday, '2025-01-02', GOAL) === GOAL, 'Full goal remaining');
+    });
+
+    it('adds sessions up until the goal is reached', () => {
+        const first = addDailyProgress(null, '2025-01-02', 500, GOAL);
+        assert(!first.isNewlyReached && first.progress.seconds === 500, 'First session is not enough');
+        assert(getRemainingGoalSeconds(first.progress, '2025-01-02', GOAL) === 700, 'Remaining goal');
+
+        const second = addDailyProgress(first.progress, '2025-01-02', 700, GOAL);
+        assert(second.isNewlyReached && second.progress.credited, 'Goal reached by the second session');
+        assert(getRemainingGoalSeconds(second.progress, '2025-01-02', GOAL) === 0, 'Nothing remaining');
+    });
+
+    it('credits the day only once', () => {
+        const reached = addDailyProgress(null, '2025-01-02', GOAL, GOAL).progress;
+        const extra = addDailyProgress(reached, '2025-01-02', 300, GOAL);
+        assert(!extra.isNewlyReached, 'Extra sessions do not credit the day again');
+        assert(extra.progress.seconds === GOAL + 300, 'Extra time is still added');
+
+        const grown = addDailyProgress(reached, '2025-01-02', 0, GOAL * 2);
+        assert(grown.progress.credited && !grown.isNewlyReached, 'A goal that grew later stays met');
+    });
+
+    it('ignores negative or missing durations', () => {
+        const result = addDailyProgress(null, '2025-01-02', -50, GOAL);
+        assert(result.progress.seconds === 0, 'Negative duration counts as zero');
+        assert(addDailyProgress(null, '2025-01-02', undefined, GOAL).progress.seconds === 0, 'Missing duration counts as zero');
+    });
+
+    it('describes progress towards the goal', () => {
+        assert(formatDailyGoal(0, GOAL) === 'Daily goal: 20 min', 'Nothing done yet');
+        assert(formatDailyGoal(600, GOAL) === 'Today: 10 min of 20 min', 'Partway');
+        assert(formatDailyGoal(1500, GOAL) === 'Daily goal reached: 25 min today', 'Reached');
+    });
+});
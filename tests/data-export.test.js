@@ -0,0 +1,136 @@
+/**
+ * Data Export Guards
+ *
+ * Tests that the export archive holds account data when signed in and
+ * device data when signed out, that a device which can't read the
+ * account's encrypted text refuses to export, and that the CSV and
+ * Markdown files are well-formed
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository, createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { createEncryptedRepository } from '../src/client/services/repository/encrypted-repository.js';
+import { createKeyVault, createMemoryKeyStore, enableEncryption } from '../src/client/services/encryption/index.js';
+import { collectExportArchive, buildExportFiles, LOCKED_EXPORT_ERROR } from '../src/client/domains/users/data-export.js';
+import { toCsv, toCsvCell, buildMarkdownJournal } from '../src/client/domains/users/utils/export-format.js';
+import { EXPORT, STORAGE_KEYS } from '../src/shared/constants.js';
+
+const NOW = new Date(2025, 2, 10, 18, 0);
+
+// Signed in: rows come from the repository
+const repository = createMemoryRepository();
+await repository.profiles.update({ timer_duration: 900 });
+await repository.sessions.create({ id: 's2', duration_seconds: 300, completed_at: new Date(2025, 2, 9, 9, 0).toISOString(), journal_entry: 'Second, "quoted"' });
+await repository.sessions.create({ id: 's1', duration_seconds: 600, completed_at: new Date(2025, 2, 8, 9, 0).toISOString(), intention: 'Stretch', intention_met: true });
+await repository.responses.create({ id: 'r1', question_type: 'better_today', response_text: 'Walk\nthen read', created_at: new Date(2025, 2, 8, 20, 0).toISOString() });
+
+const accountStorage = createMemoryStorage();
+accountStorage.setItem(STORAGE_KEYS.DARK_MODE, 'true');
+accountStorage.setItem('unrelated', 'skip me');
+// Raw key left by versions before the key moved to IndexedDB
+accountStorage.setItem('bl_encryptionKey', JSON.stringify({ userId: 'u1', key: 'c2VjcmV0' }));
+
+// Signed out: rows come from this device
+const deviceStorage = createMemoryStorage();
+deviceStorage.setItem(STORAGE_KEYS.TIMER_DURATION, '720');
+deviceStorage.setItem(STORAGE_KEYS.CURRENT_STREAK, '3');
+deviceStorage.setItem(STORAGE_KEYS.LAST_SESSION_DATE, '2025-03-09');
+deviceStorage.setItem(STORAGE_KEYS.PENDING_SESSIONS, JSON.stringify([
+    { duration_seconds: 480, journal_entry: null, completed_at: new Date(2025, 2, 9, 8, 0).toISOString() }
+]));
+deviceStorage.setItem(STORAGE_KEYS.RESPONSE_HISTORY, JSON.stringify([
+    { date: new Date(2025, 2, 9, 21, 0).toISOString(), betterToday: 'Cook', sessionReflection: 'Calm' }
+]));
+const signedOut = { isReady: () => false };
+
+/** Account archive, shared by the file format tests */
+let account = null;
+
+await describe('Data Export Guards', async () => {
+    await it('exports account data when signed in', async () => {
+        account = await collectExportArchive({ repository, storage: accountStorage, now: NOW });
+        assert(account.success, 'Export succeeds');
+        const archive = account.data;
+        assert(archive.format === EXPORT.FORMAT && archive.version === EXPORT.VERSION, 'Archive is marked and versioned');
+        assert(archive.source === 'account', 'Source is the account');
+        assert(archive.profile.timer_duration === 900, 'Profile row');
+        assert(archive.sessions.map(s => s.id).join() === 's1,s2', 'Sessions oldest first');
+        assert(archive.responses.length === 1, 'Responses');
+        assert(archive.localStorage[STORAGE_KEYS.DARK_MODE] === 'true', 'App settings from this device');
+        assert(!('unrelated' in archive.localStorage), 'Other sites\' keys are left out');
+        assert(!('bl_encryptionKey' in archive.localStorage), 'An encryption key is never exported');
+    });
+
+    await it('exports device data when signed out', async () => {
+        const device = await collectExportArchive({ repository: signedOut, storage: deviceStorage, now: NOW });
+        assert(device.success && device.data.source === 'device', 'Source is this device');
+        const { profile, sessions, responses } = device.data;
+        assert(profile.timer_duration === 720 && profile.current_streak === 3, 'Settings from this device');
+        assert(profile.last_session_date === '2025-03-09', 'Last session date');
+        assert(sessions.length === 1 && sessions[0].duration_seconds === 480, 'Sessions saved on this device');
+        assert(responses.length === 2, 'Answers and session reflections');
+        assert(responses.some(r => r.question_type === 'session_reflection' && r.response_text === 'Calm'), 'Session reflection included');
+    });
+
+    await it('refuses to export placeholders from a locked device', async () => {
+        const encryptedServer = createMemoryRepository();
+        const unlockedVault = createKeyVault(createMemoryKeyStore());
+        const unlockedDevice = createEncryptedRepository(encryptedServer, unlockedVault);
+        await enableEncryption('a better life', { repository: unlockedDevice, vault: unlockedVault });
+        await unlockedDevice.sessions.create({ id: 'e1', duration_seconds: 600, journal_entry: 'Private', completed_at: new Date(2025, 2, 9, 9, 0).toISOString() });
+        const unlockedExport = await collectExportArchive({ repository: unlockedDevice, vault: unlockedVault, storage: createMemoryStorage(), now: NOW });
+
+        const lockedVault = createKeyVault(createMemoryKeyStore());
+        const lockedDevice = createEncryptedRepository(encryptedServer, lockedVault);
+        const lockedExport = await collectExportArchive({ repository: lockedDevice, vault: lockedVault, storage: createMemoryStorage(), now: NOW });
+
+        assert(unlockedExport.success && unlockedExport.data.sessions[0].journal_entry === 'Private', 'Unlocked devices export readable text');
+        assert(!lockedExport.success && lockedExport.error === LOCKED_EXPORT_ERROR, 'Locked devices are asked to unlock first');
+    });
+
+    await it('reports repository errors', async () => {
+        const failing = { ...repository, sessions: { ...repository.sessions, list: async () => ({ success: false, error: 'offline' }) } };
+        const failed = await collectExportArchive({ repository: failing, storage: createMemoryStorage(), now: NOW });
+        assert(!failed.success && failed.error === 'offline', 'Error is passed on');
+    });
+
+    await it('quotes CSV cells that need it', () => {
+        assert(toCsvCell('plain') === 'plain', 'Plain text');
+        assert(toCsvCell('a,b') === '"a,b"', 'Comma');
+        assert(toCsvCell('say "hi"') === '"say ""hi"""', 'Quotes are doubled');
+        assert(toCsvCell('two\nlines') === '"two\nlines"', 'Line break');
+        assert(toCsvCell(null) === '' && toCsvCell(undefined) === '', 'Missing values are empty');
+        assert(toCsvCell([{ type: 'start' }]) === '"[{""type"":""start""}]"', 'Objects become JSON');
+        assert(toCsv([{ a: 1, b: false }], ['a', 'b']) === 'a,b\r\n1,false\r\n', 'Header and rows');
+    });
+
+    await it('writes one CSV per table', () => {
+        const files = buildExportFiles(account.data, 'csv');
+        assert(files.length === 3, 'Profile, sessions and responses');
+        assert(files.every(file => file.filename.endsWith('-2025-03-10.csv')), 'Dated file names');
+        const sessions = files.find(file => file.filename.includes('sessions'));
+        const lines = sessions.content.trim().split('\r\n');
+        assert(lines[0].startsWith('id,completed_at,duration_seconds'), 'Header');
+        assert(lines.length === 3, 'One line per session');
+        assert(sessions.content.includes('"Second, ""quoted"""'), 'Journal text is quoted');
+    });
+
+    await it('writes a day-by-day Markdown journal', () => {
+        const journal = buildMarkdownJournal(account.data, { labelFor: type => `Label ${type}` });
+        const content = journal.content;
+        assert(journal.filename.endsWith('.md'), 'Markdown file');
+        assert(content.startsWith('# Better Life journal'), 'Title');
+        assert((content.match(/^## /gm) || []).length === 2, 'One heading per day');
+        assert(content.indexOf('intended: Stretch (done)') < content.indexOf('> Second'), 'Days are in order');
+        assert(content.includes('**Label better_today**\n\n> Walk\n> then read'), 'Reflections keep their line breaks');
+
+        const empty = buildMarkdownJournal({ ...account.data, sessions: [], responses: [] });
+        assert(empty.content.includes('Nothing recorded yet.'), 'Empty journal');
+    });
+
+    await it('writes the full archive as JSON', () => {
+        const [file] = buildExportFiles(account.data, 'json');
+        const parsed = JSON.parse(file.content);
+        assert(parsed.sessions.length === 2 && parsed.format === EXPORT.FORMAT, 'Archive round-trips');
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Data Import Guards
+ *
+ * Tests that an export archive is validated, that records already saved (or
+ * repeated in the archive) are skipped, and that each imported record is
+ * reported, whether it goes to the account or onto this device
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository, createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { collectExportArchive } from '../src/client/domains/users/data-export.js';
+import { previewImport, applyImport } from '../src/client/domains/users/data-import.js';
+import { parseExportArchive, planImport, formatImportPreview, formatImportResults } from '../src/client/domains/users/utils/import-plan.js';
+import { addHistoryAnswer } from '../src/client/domains/reflection/utils/reflection-archive.js';
+import { EXPORT, STORAGE_KEYS } from '../src/shared/constants.js';
+
+const at = (day, hour) => new Date(2025, 2, day, hour, 0).toISOString();
+
+/**
+ * Archive text as written by the export
+ * @param {Object[]} sessions
+ * @param {Object[]} responses
+ * @returns {string}
+ */
+function archiveText(sessions, responses) {
+    return JSON.stringify({ format: EXPORT.FORMAT, version: EXPORT.VERSION, exportedAt: at(10, 18), source: 'account', profile: null, sessions, responses, localStorage: {} });
+}
+
+const archivedSessions = [
+    { id: 's1', duration_seconds: 600, completed_at: at(8, 9), journal_entry: 'Calm' },
+    { id: 's2', duration_seconds: 300, completed_at: at(9, 9), journal_entry: null, timer_duration: 300 },
+    { id: 's2-copy', duration_seconds: 300, completed_at: at(9, 9), journal_entry: null },
+    { id: 's3', duration_seconds: 0, completed_at: at(9, 10) }
+];
+const archivedResponses = [
+    { id: 'r1', question_type: 'better_today', response_text: 'Walk', created_at: at(8, 20) },
+    { id: 'r2', question_type: 'session_reflection', response_text: 'Focused', created_at: at(9, 20) },
+    { id: 'r3', question_type: 'better_today', response_text: '   ', created_at: at(9, 21) }
+];
+const text = archiveText(archivedSessions, archivedResponses);
+
+// Signed in: one session and one answer are already in the account
+const repository = createMemoryRepository();
+await repository.sessions.create({ id: 'existing', duration_seconds: 600, completed_at: at(8, 9), journal_entry: 'Calm' });
+await repository.responses.create({ id: 'other', question_type: 'better_today', response_text: 'Walk', created_at: at(8, 20) });
+const write = (type, payload) => type === 'saveSession' ? repository.sessions.create(payload) : repository.responses.create(payload);
+
+// Signed out: records are kept on this device
+const signedOut = { isReady: () => false };
+const deviceStorage = createMemoryStorage();
+deviceStorage.setItem(STORAGE_KEYS.RESPONSE_HISTORY, JSON.stringify([{ date: at(9, 20), sessionReflection: 'Focused' }]));
+
+/** Account preview, imported once and then again with failing writes */
+let accountPreview = null;
+
+await describe('Data Import Guards', async () => {
+    await it('accepts only export archives the app can read', () => {
+        assert(parseExportArchive(text).success, 'Own archive is accepted');
+        assert(!parseExportArchive('not json').success, 'Not JSON');
+        assert(!parseExportArchive(JSON.stringify({ format: 'other', version: 1 })).success, 'Other format');
+        assert(!parseExportArchive(JSON.stringify({ format: EXPORT.FORMAT, version: EXPORT.VERSION + 1 })).success, 'Newer version');
+
+        const partial = parseExportArchive(JSON.stringify({ format: EXPORT.FORMAT, version: EXPORT.VERSION }));
+        assert(partial.success && partial.data.sessions.length === 0 && partial.data.responses.length === 0, 'Missing lists are empty');
+    });
+
+    await it('deduplicates by timestamp and content', () => {
+        const archive = parseExportArchive(text).data;
+        const plan = planImport(archive, { sessions: [], responses: [] });
+        assert(plan.add.map(item => item.record.id).join() === 's1,s2,r1,r2', 'New records once each');
+        assert(plan.duplicates.map(item => item.record.id).join() === 's2-copy', 'Repeats within the archive are skipped');
+        assert(plan.invalid.map(item => item.record.id).join() === 's3,r3', 'Unreadable records');
+        assert(plan.invalid.every(item => item.error), 'Unreadable records say why');
+
+        const edited = planImport(archive, { sessions: [{ duration_seconds: 600, completed_at: at(8, 9), journal_entry: 'Edited' }], responses: [] });
+        assert(edited.add.some(item => item.record.id === 's1'), 'Different content is not a duplicate');
+
+        const sameId = planImport(archive, { sessions: [{ id: 's1', duration_seconds: 60, completed_at: at(1, 9) }], responses: [] });
+        assert(sameId.duplicates.some(item => item.record.id === 's1'), 'Same id is a duplicate');
+    });
+
+    await it('previews what will be added', async () => {
+        accountPreview = await previewImport(text, { repository, storage: createMemoryStorage() });
+        assert(accountPreview.success, 'Preview succeeds');
+        const plan = accountPreview.data;
+        assert(plan.add.map(item => item.record.id).join() === 's2,r2', 'Only records missing from the account');
+        assert(plan.duplicates.length === 3, 'Saved and repeated records are skipped');
+        assert(formatImportPreview(plan) === '1 session and 1 reflection will be added. 3 already saved will be skipped. 2 could not be read.', 'Preview summary');
+        assert(formatImportPreview({ add: [], duplicates: [], invalid: [] }) === 'Nothing new to add.', 'Empty import');
+    });
+
+    await it('imports into the account and reports each record', async () => {
+        const accountResults = await applyImport(accountPreview.data, { repository, storage: createMemoryStorage(), write });
+        const accountAfter = await collectExportArchive({ repository, storage: createMemoryStorage() });
+        const accountAgain = await previewImport(text, { repository, storage: createMemoryStorage() });
+        assert(accountResults.length === 4, 'Added and unreadable records are reported');
+        assert(accountResults.filter(result => result.success).length === 2, 'Two records added');
+        assert(accountResults.filter(result => !result.success).every(result => result.error), 'Failures say why');
+        assert(accountResults.every(result => result.label), 'Each record is labelled');
+        assert(accountAfter.data.sessions.length === 2 && accountAfter.data.responses.length === 2, 'Rows were saved');
+        assert(!accountAfter.data.sessions.some(session => session.id === 's2'), 'Archived ids are not reused');
+        assert(accountAgain.data.add.length === 0, 'Importing again adds nothing');
+        assert(formatImportResults(accountResults) === '2 added. 2 failed.', 'Results summary');
+    });
+
+    await it('reports a failed write without stopping the import', async () => {
+        const failingResults = await applyImport(accountPreview.data, {
+            repository,
+            storage: createMemoryStorage(),
+            write: async (type) => type === 'saveSession' ? { success: false, error: 'offline' } : { success: true }
+        });
+        const session = failingResults.find(result => result.kind === 'session' && !result.error?.includes('duration'));
+        assert(session && !session.success && session.error === 'offline', 'Failed session is reported');
+        assert(failingResults.some(result => result.kind === 'response' && result.success), 'Later records still import');
+    });
+
+    await it('imports onto this device when signed out', async () => {
+        const devicePreview = await previewImport(text, { repository: signedOut, storage: deviceStorage });
+        const deviceResults = await applyImport(devicePreview.data, { repository: signedOut, storage: deviceStorage });
+        const deviceAgain = await previewImport(text, { repository: signedOut, storage: deviceStorage });
+        assert(devicePreview.data.add.map(item => item.record.id).join() === 's1,s2,r1', 'Device history counts as saved');
+        assert(deviceResults.filter(result => result.success).length === 3, 'All new records added');
+
+        const pending = JSON.parse(deviceStorage.getItem(STORAGE_KEYS.PENDING_SESSIONS));
+        assert(pending.length === 2 && pending[1].timer_duration === 300, 'Sessions wait to sync');
+        const history = JSON.parse(deviceStorage.getItem(STORAGE_KEYS.RESPONSE_HISTORY));
+        assert(history.some(entry => entry.betterToday === 'Walk'), 'Answers join the local history');
+        assert(deviceAgain.data.add.length === 0, 'Importing again adds nothing');
+    });
+
+    await it('adds answers to the local history', () => {
+        const history = [{ date: at(8, 20), meaning: 'Family' }];
+        const filled = addHistoryAnswer(history, { question_type: 'better_today', response_text: 'Walk', created_at: at(8, 20) });
+        assert(filled.length === 1 && filled[0].betterToday === 'Walk' && filled[0].meaning === 'Family', 'Fills an empty answer of the same entry');
+
+        const appended = addHistoryAnswer(filled, { question_type: 'better_today', response_text: 'Run', created_at: at(8, 20) });
+        assert(appended.length === 2 && appended[0].betterToday === 'Walk', 'Never overwrites an answer');
+        assert(history.length === 1 && !history[0].betterToday, 'Input is not modified');
+        assert(addHistoryAnswer(history, { question_type: 'unknown', response_text: 'x', created_at: at(8, 20) }) === null, 'Unsupported question');
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Encryption Guards
+ *
+ * Tests the WebCrypto helpers, the key vault, and the encrypting repository
+ * over an in-memory backend standing in for Supabase: text is stored
+ * encrypted once encryption is on, read back decrypted, and hidden on a
+ * device that hasn't been unlocked
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository } from '../src/client/services/repository/memory-repository.js';
+import { createEncryptedRepository, LOCKED_ERROR } from '../src/client/services/repository/encrypted-repository.js';
+import { createSalt, deriveKey, encryptText, decryptText, isEncryptedText } from '../src/client/services/encryption/cipher.js';
+import { createKeyVault, createMemoryKeyStore, getEncryptionStatus, enableEncryption, unlockEncryption, lockEncryption } from '../src/client/services/encryption/index.js';
+import { signOutAndLock } from '../src/client/domains/users/sign-out.js';
+import { ENCRYPTION } from '../src/shared/constants.js';
+
+const PASSPHRASE = 'a better life';
+const QUESTION = 'What does a better life mean to you?';
+
+// The "server": one backend shared by two devices
+const server = createMemoryRepository();
+const deviceVault = createKeyVault(createMemoryKeyStore());
+const device = createEncryptedRepository(server, deviceVault);
+const newVault = createKeyVault(createMemoryKeyStore());
+const newDevice = createEncryptedRepository(server, newVault);
+
+await describe('Encryption Guards', async () => {
+    const salt = createSalt();
+    const key = await deriveKey(PASSPHRASE, salt);
+    const sealed = await encryptText(QUESTION, key);
+
+    await it('encrypts text with AES-GCM and a derived key', async () => {
+        const otherKey = await deriveKey('something else', salt);
+        const sealedAgain = await encryptText(QUESTION, key);
+        let wrongKeyError = null;
+        try {
+            await decryptText(sealed, otherKey);
+        } catch (error) {
+            wrongKeyError = error;
+        }
+
+        assert(isEncryptedText(sealed) && sealed.startsWith(ENCRYPTION.PREFIX), 'Encrypted values are marked');
+        assert(!sealed.includes('better life'), 'Plaintext is not visible');
+        assert(sealed !== sealedAgain, 'Every value gets a fresh IV');
+        assert(await decryptText(sealed, key) === QUESTION, 'Decrypts with the same key');
+        assert(wrongKeyError !== null, 'Wrong key is refused');
+        assert(!isEncryptedText('Walk') && !isEncryptedText(null), 'Plain values are not marked');
+    });
+
+    await it('keeps the key per account on this device', async () => {
+        const store = createMemoryKeyStore();
+        const vault = createKeyVault(store);
+        await vault.setKey('user-1', key);
+        const reopenedKey = await createKeyVault(store).getKey('user-1');
+
+        assert(key.extractable === false, 'The derived key cannot be exported');
+        assert((await store.get()).key === key, 'The store holds the CryptoKey itself, not its bytes');
+        assert(await vault.getKey('user-1') !== null, 'Key of the account');
+        assert(await vault.getKey('user-2') === null, 'Never for another account');
+        assert(reopenedKey && await decryptText(sealed, reopenedKey) === QUESTION, 'Survives a reload');
+
+        await vault.clear();
+        assert(await vault.getKey('user-1') === null && await store.get() === null, 'Locking forgets it');
+    });
+
+    await it('turns encryption on with a passphrase', async () => {
+        const statusBefore = await getEncryptionStatus({ repository: device, vault: deviceVault });
+        // Written before encryption is on, so it stays plain
+        await device.responses.create({ id: 'plain', question_type: 'better_today', response_text: 'Walk', created_at: '2025-03-08T20:00:00.000Z' });
+        const tooShort = await enableEncryption('short', { repository: device, vault: deviceVault });
+        const enabled = await enableEncryption(PASSPHRASE, { repository: device, vault: deviceVault });
+        const enabledTwice = await enableEncryption(PASSPHRASE, { repository: device, vault: deviceVault });
+        const statusAfter = await getEncryptionStatus({ repository: device, vault: deviceVault });
+
+        assert(statusBefore.success && statusBefore.data === 'off', 'Off by default');
+        assert(!tooShort.success, 'Short passphrases are refused');
+        assert(enabled.success, 'Turns on');
+        assert(!enabledTwice.success, 'Cannot be turned on twice');
+        assert(statusAfter.data === 'unlocked', 'This device is unlocked');
+    });
+
+    await it('sends only encrypted text and reads it back decrypted', async () => {
+        const createdSession = await device.sessions.create({ id: 's1', duration_seconds: 600, journal_entry: 'Felt calm', completed_at: '2025-03-09T09:00:00.000Z' });
+        const createdResponse = await device.responses.create({ id: 'secret', question_type: 'better_life_meaning', response_text: 'Family', created_at: '2025-03-09T20:00:00.000Z' });
+        const updatedResponse = await device.responses.update('secret', 'Family and friends');
+        const rawSessions = (await server.sessions.list()).data;
+        const rawResponses = (await server.responses.list()).data;
+        const readSessions = (await device.sessions.list()).data;
+        const readResponses = (await device.responses.list()).data;
+
+        const rawSession = rawSessions.find(row => row.id === 's1');
+        const rawSecret = rawResponses.find(row => row.id === 'secret');
+        assert(isEncryptedText(rawSession.journal_entry), 'Journal entry is stored encrypted');
+        assert(isEncryptedText(rawSecret.response_text), 'Reflection is stored encrypted');
+        assert(rawResponses.find(row => row.id === 'plain').response_text === 'Walk', 'Earlier entries stay as they are');
+        assert(rawSession.duration_seconds === 600, 'Other fields are untouched');
+
+        assert(createdSession.data.journal_entry === 'Felt calm', 'Create returns plaintext');
+        assert(createdResponse.data.response_text === 'Family', 'Create returns plaintext');
+        assert(updatedResponse.data.response_text === 'Family and friends', 'Updates are encrypted too');
+        assert(readSessions[0].journal_entry === 'Felt calm', 'Sessions are decrypted');
+        assert(readResponses.find(row => row.id === 'secret').response_text === 'Family and friends', 'Responses are decrypted');
+    });
+
+    await it('asks a new device to unlock', async () => {
+        const newStatus = await getEncryptionStatus({ repository: newDevice, vault: newVault });
+        const lockedResponses = (await newDevice.responses.list()).data;
+        const lockedWrite = await newDevice.responses.create({ question_type: 'better_today', response_text: 'Leak?' });
+        assert(newStatus.data === 'locked', 'New device is locked');
+        assert(lockedResponses.find(row => row.id === 'secret').response_text === ENCRYPTION.LOCKED_TEXT, 'Encrypted text is hidden');
+        assert(lockedResponses.find(row => row.id === 'plain').response_text === 'Walk', 'Plain text still shows');
+        assert(!lockedWrite.success && lockedWrite.error === LOCKED_ERROR, 'Writes wait for the key');
+
+        const wrongUnlock = await unlockEncryption('not it', { repository: newDevice, vault: newVault });
+        const unlocked = await unlockEncryption(PASSPHRASE, { repository: newDevice, vault: newVault });
+        const unlockedResponses = (await newDevice.responses.list()).data;
+        assert(!wrongUnlock.success && wrongUnlock.error === 'Wrong passphrase', 'Wrong passphrase');
+        assert(unlocked.success, 'Right passphrase unlocks');
+        assert(unlockedResponses.find(row => row.id === 'secret').response_text === 'Family and friends', 'Text is readable after unlocking');
+
+        await lockEncryption({ vault: newVault });
+        const relockedStatus = await getEncryptionStatus({ repository: newDevice, vault: newVault });
+        assert(relockedStatus.data === 'locked', 'Locking asks again');
+    });
+
+    await it('locks the device on sign-out', async () => {
+        await unlockEncryption(PASSPHRASE, { repository: newDevice, vault: newVault });
+        let signOutCalls = 0;
+        const signedOut = await signOutAndLock({
+            vault: newVault,
+            signOut: async () => {
+                signOutCalls++;
+                return { success: true, data: null };
+            }
+        });
+        assert(signedOut.success && signOutCalls === 1, 'Signed out');
+        assert(await newVault.getKey(newDevice.getUserId()) === null, 'The key is forgotten');
+
+        await unlockEncryption(PASSPHRASE, { repository: newDevice, vault: newVault });
+        const failed = await signOutAndLock({
+            vault: newVault,
+            signOut: async () => ({ success: false, error: 'Network error' })
+        });
+        assert(!failed.success && failed.error === 'Network error', 'The sign-out error is returned');
+        assert(await newVault.getKey(newDevice.getUserId()) === null, 'Locked even when signing out fails');
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Interval Plan Guards
+ * 
+ * Tests that cycle sessions are built from the interval settings,
+ * move through their phases on the wall clock, and only count work phases
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createIntervalPlan, normalizeIntervalSettings, getPlanTotals, formatPhaseLabel } from '../src/client/domains/sessions/utils/interval-plan.js';
+import {
+    createIntervalClock,
+    createSessionClock,
+    getCurrentPhase,
+    getCountedSeconds,
+    getRemainingSeconds,
+    advancePhase,
+    settleClock,
+    pauseClock,
+    isClockRunning,
+    isInOvertime
+} from '../src/client/domains/sessions/session-clock.js';
+import { TIMER, INTERVAL } from '../src/shared/constants.js';
+
+const START = Date.UTC(2025, 0, 1, 12, 0, 0);
+const SETTINGS = { workSeconds: 1500, breakSeconds: 300, longBreakSeconds: 900, rounds: 4, longBreakEvery: 2 };
+
+describe('Interval Plan Guards', () => {
+    it('alternates work and breaks with no break after the last round', () => {
+        const plan = createIntervalPlan(SETTINGS);
+        assert(plan.map(p => p.type).join(',') === 'work,break,work,long-break,work,break,work', 'Phase order');
+        assert(plan[plan.length - 1].round === 4, 'Ends with the last work round');
+    });
+
+    it('long breaks can be turned off', () => {
+        const plan = createIntervalPlan({ ...SETTINGS, longBreakEvery: 0 });
+        assert(!plan.some(p => p.type === 'long-break'), 'No long breaks');
+    });
+
+    it('totals work and break time', () => {
+        const totals = getPlanTotals(createIntervalPlan(SETTINGS));
+        assert(totals.workSeconds === 6000, 'Four work phases');
+        assert(totals.breakSeconds === 300 + 900 + 300, 'Two short breaks and one long break');
+    });
+
+    it('normalizes missing and out-of-range settings', () => {
+        const defaults = normalizeIntervalSettings(null);
+        assert(defaults.enabled === false && defaults.workSeconds === INTERVAL.WORK_SECONDS, 'Defaults when nothing is stored');
+        const clamped = normalizeIntervalSettings({ workSeconds: 5, breakSeconds: 'x', rounds: 99, enabled: 'yes' });
+        assert(clamped.workSeconds === TIMER.MIN_DURATION, 'Work is at least MIN_DURATION');
+        assert(clamped.breakSeconds === INTERVAL.BREAK_SECONDS, 'Invalid break falls back to the default');
+        assert(clamped.rounds === INTERVAL.MAX_ROUNDS, 'Rounds are capped');
+        assert(clamped.enabled === false, 'Only true enables intervals');
+    });
+
+    it('labels phases', () => {
+        assert(formatPhaseLabel({ type: 'work', seconds: 1500, round: 2 }, 4) === 'Work · 2 of 4', 'Work label');
+        assert(formatPhaseLabel({ type: 'long-break', seconds: 900, round: 2 }, 4) === 'Long break', 'Long break label');
+    });
+});
+
+describe('Interval Clock Guards', () => {
+    const plan = createIntervalPlan({ ...SETTINGS, rounds: 2 });
+
+    it('starts with the first work phase', () => {
+        const clock = createIntervalClock(plan, START);
+        assert(getCurrentPhase(clock).type === 'work', 'First phase is work');
+        assert(getRemainingSeconds(clock, START) === 1500, 'Counts down the work phase');
+        assert(getCurrentPhase(createSessionClock(600, START)) === null, 'Regular sessions have no phase');
+    });
+
+    it('only counts work phases', () => {
+        let clock = createIntervalClock(plan, START);
+        clock = settleClock(clock, START + 1600 * 1000);
+        assert(getCurrentPhase(clock).type === 'break', 'Moved on to the break');
+        assert(getRemainingSeconds(clock, START + 1600 * 1000) === 200, 'Break started when work ended');
+        assert(getCountedSeconds(clock, START + 1600 * 1000) === 1500, 'Break time is not counted');
+    });
+
+    it('catches up through several phases and stops at the end', () => {
+        const clock = settleClock(createIntervalClock(plan, START), START + 24 * 60 * 60 * 1000);
+        assert(clock.interval.phaseIndex === plan.length - 1, 'On the last phase');
+        assert(getRemainingSeconds(clock, START + 24 * 60 * 60 * 1000) === 0, 'Nothing remaining');
+        assert(getCountedSeconds(clock, START + 24 * 60 * 60 * 1000) === 3000, 'Both work phases counted');
+    });
+
+    it('skipping keeps partial work and the paused state', () => {
+        const paused = pauseClock(createIntervalClock(plan, START), START + 600 * 1000);
+        const next = advancePhase(paused, START + 700 * 1000);
+        assert(getCurrentPhase(next).type === 'break', 'Skipped to the break');
+        assert(!isClockRunning(next) && getRemainingSeconds(next) === 300, 'Break waits, paused, with its full length');
+        assert(getCountedSeconds(next, START + 700 * 1000) === 600, 'Ten minutes of work kept');
+    });
+
+    it('there is no phase after the last one', () => {
+        const last = settleClock(createIntervalClock(plan, START), START + 24 * 60 * 60 * 1000);
+        assert(advancePhase(last, START) === null, 'Last phase has no next phase');
+        assert(advancePhase(createSessionClock(600, START), START) === null, 'Regular sessions have no phases');
+    });
+
+    it('only runs into overtime after the last phase', () => {
+        const clock = { ...createIntervalClock(plan, START), overtime: true };
+        assert(!isInOvertime(clock, START + 1600 * 1000), 'First work phase moves on to the break');
+        const last = settleClock(clock, START + 3900 * 1000);
+        assert(isInOvertime(last, START + 3900 * 1000), 'Last phase counts up past zero');
+        assert(getCountedSeconds(last, START + 3900 * 1000) === 3600, 'Overtime counts as work');
+    });
+});
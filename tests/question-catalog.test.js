@@ -0,0 +1,80 @@
+/**
+ * Question Catalog Guards
+ * 
+ * Tests that every catalog entry can be rendered and that answers
+ * have somewhere to be stored
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import {
+    QUESTION_CATALOG,
+    getQuestionById,
+    getQuestionByType,
+    getAnswerableQuestions,
+    getArchivedQuestions,
+    SESSION_REFLECTION_TYPE
+} from '../src/client/domains/reflection/question-catalog.js';
+
+const INPUT_TYPES = ['text', 'textarea', 'sequence', 'list', 'page'];
+const ANIMATIONS = ['slide-to-top', 'fade-out'];
+
+describe('Question Catalog Guards', () => {
+    it('entries have unique ids and a prompt', () => {
+        const ids = QUESTION_CATALOG.map(question => question.id);
+        assert(new Set(ids).size === ids.length, 'Ids are unique');
+        QUESTION_CATALOG.forEach(question => {
+            assert(typeof question.prompt === 'string' && question.prompt.length > 0, `${question.id} has a prompt`);
+        });
+    });
+
+    it('entries use known input types and animations', () => {
+        QUESTION_CATALOG.forEach(question => {
+            assert(INPUT_TYPES.includes(question.input), `${question.id} input type is known`);
+            assert(ANIMATIONS.includes(question.animation), `${question.id} animation is known`);
+        });
+    });
+
+    it('answerable questions define where answers are stored', () => {
+        const answerable = getAnswerableQuestions();
+        assert(answerable.length > 0, 'At least one answerable question');
+        answerable.forEach(question => {
+            assert(['text', 'textarea'].includes(question.input), `${question.id} takes text input`);
+            assert(typeof question.storageKey === 'string' && question.storageKey !== 'date', `${question.id} has a storage key`);
+        });
+
+        const types = answerable.map(question => question.questionType);
+        assert(new Set(types).size === types.length, 'Question types are unique');
+        const keys = answerable.map(question => question.storageKey);
+        assert(new Set(keys).size === keys.length, 'Storage keys are unique');
+    });
+
+    it('display-only questions have content to show', () => {
+        QUESTION_CATALOG
+            .filter(question => question.input === 'sequence' || question.input === 'list')
+            .forEach(question => {
+                assert(Array.isArray(question.lines) && question.lines.length > 0, `${question.id} has lines`);
+            });
+        QUESTION_CATALOG
+            .filter(question => question.input === 'page')
+            .forEach(question => {
+                assert(typeof question.page === 'string', `${question.id} names a page`);
+            });
+    });
+
+    it('keeps the question types already stored in Supabase', () => {
+        assert(getQuestionByType('better_today')?.storageKey === 'betterToday', 'better_today is stored as betterToday');
+        assert(getQuestionByType('life_meaning')?.storageKey === 'meaning', 'life_meaning is stored as meaning');
+        assert(getQuestionById('advice')?.questionType === undefined, 'Advice is not answerable');
+        assert(getQuestionById('missing') === null, 'Unknown id');
+    });
+
+    it('archives session reflections alongside the questions', () => {
+        const archived = getArchivedQuestions();
+        assert(archived.length === getAnswerableQuestions().length + 1, 'One archive filter per question, plus session reflections');
+        assert(archived[archived.length - 1].questionType === SESSION_REFLECTION_TYPE, 'Session reflections come last');
+        assert(getQuestionByType(SESSION_REFLECTION_TYPE)?.storageKey === 'sessionReflection', 'Kept on this device as sessionReflection');
+        assert(!QUESTION_CATALOG.some(question => question.questionType === SESSION_REFLECTION_TYPE), 'Not part of the questions flow');
+        const keys = archived.map(question => question.storageKey);
+        assert(new Set(keys).size === keys.length, 'Storage keys stay unique');
+    });
+});
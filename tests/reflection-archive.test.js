@@ -0,0 +1,86 @@
+/**
+ * Reflection Archive Guards
+ *
+ * Tests how device history entries become archive entries with
+ * `local:<type>:<date>` ids, how those ids find the answer again
+ * to edit or remove it, and how an account answer finds its device copy
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import {
+    historyToReflections,
+    filterReflections,
+    updateHistoryAnswer,
+    removeHistoryAnswer,
+    isLocalEntryId,
+    findDeviceCopyId
+} from '../src/client/domains/reflection/utils/reflection-archive.js';
+
+const MORNING = '2025-01-02T08:00:00.000Z';
+const EVENING = '2025-01-02T20:00:00.000Z';
+
+/** @type {import('../src/shared/domains/reflection/types.js').HistoryEntry[]} */
+const history = [
+    { date: MORNING, betterToday: 'Walk', meaning: 'Family' },
+    { date: EVENING, sessionReflection: 'Calm focus' },
+    { date: '2025-01-01T08:00:00.000Z', betterToday: '' },
+    null
+];
+
+describe('Reflection Archive Guards', () => {
+    it('turns each answer in the history into an archive entry', () => {
+        const entries = historyToReflections(history);
+        assert(entries.length === 3, 'One entry per non-empty answer');
+        assert(entries[0].id === `local:session_reflection:${EVENING}`, 'Session reflections are archived, newest first');
+        assert(entries.some(entry => entry.id === `local:better_today:${MORNING}` && entry.response_text === 'Walk'), 'Id is local:<type>:<date>');
+        assert(entries.every(entry => isLocalEntryId(entry.id)), 'Every id is marked local');
+        assert(historyToReflections(null).length === 0, 'Missing history is empty');
+    });
+
+    it('filters by question type and case-insensitive text', () => {
+        const entries = historyToReflections(history);
+        assert(filterReflections(entries, { questionType: 'life_meaning' }).map(entry => entry.response_text).join() === 'Family', 'Filters by type');
+        assert(filterReflections(entries, { query: '  CALM ' }).length === 1, 'Search ignores case and spaces');
+        assert(filterReflections(entries, { questionType: 'better_today', query: 'calm' }).length === 0, 'Both filters apply');
+        assert(filterReflections(entries).length === 3, 'No filters keeps everything');
+    });
+
+    it('edits the answer behind a local id', () => {
+        // The date contains ':' too, so the id is split on the first ':' only
+        const updated = updateHistoryAnswer(history, `local:better_today:${MORNING}`, 'Run');
+        assert(updated !== history && updated[0].betterToday === 'Run', 'Answer is replaced');
+        assert(updated[0].meaning === 'Family', 'Other answers in the entry are kept');
+        assert(history[0].betterToday === 'Walk', 'History is not changed in place');
+
+        assert(updateHistoryAnswer(history, `local:better_today:${EVENING}`, 'x') === history, 'No answer of that type at that date');
+        assert(updateHistoryAnswer(history, `local:unknown:${MORNING}`, 'x') === history, 'Unknown type');
+        assert(updateHistoryAnswer(history, 'response-uuid', 'x') === history, 'Not a local id');
+    });
+
+    it('removes an answer and drops the entry once it has none', () => {
+        const withoutWalk = removeHistoryAnswer(history, `local:better_today:${MORNING}`);
+        assert(withoutWalk.length === history.length, 'Entry with answers left is kept');
+        assert(!('betterToday' in withoutWalk[0]) && withoutWalk[0].meaning === 'Family', 'Only that answer is removed');
+
+        const withoutAny = removeHistoryAnswer(withoutWalk, `local:life_meaning:${MORNING}`);
+        assert(withoutAny.length === history.length - 1, 'Entry is dropped once empty');
+        assert(withoutAny[0].date === EVENING, 'Other entries keep their order');
+
+        const withoutReflection = removeHistoryAnswer(history, `local:session_reflection:${EVENING}`);
+        assert(withoutReflection.every(item => item?.date !== EVENING), 'Session reflections can be removed');
+        assert(removeHistoryAnswer(history, `local:life_meaning:${EVENING}`) === history, 'Missing answer leaves the history unchanged');
+    });
+
+    it('finds the device copy of an account answer', () => {
+        const accountWalk = { id: 'response-uuid', question_type: 'better_today', response_text: 'Walk', created_at: '2025-01-02T08:00:00+00:00' };
+        assert(findDeviceCopyId(history, accountWalk) === `local:better_today:${MORNING}`, 'Same question, text and time, whatever the timestamp format');
+        assert(findDeviceCopyId(history, { ...accountWalk, created_at: '2025-01-02T08:00:00.850Z' }) === `local:better_today:${MORNING}`, 'Copies saved a moment apart still match');
+
+        assert(findDeviceCopyId(history, { ...accountWalk, response_text: 'Run' }) === null, 'Different text');
+        assert(findDeviceCopyId(history, { ...accountWalk, question_type: 'life_meaning' }) === null, 'Different question');
+        assert(findDeviceCopyId(history, { ...accountWalk, created_at: '2025-01-03T08:00:00.000Z' }) === null, 'Saved on another day (e.g. on another device)');
+
+        const twice = [...history, { date: '2025-01-02T08:00:30.000Z', betterToday: 'Walk' }];
+        assert(findDeviceCopyId(twice, { ...accountWalk, created_at: '2025-01-02T08:00:25.000Z' }) === 'local:better_today:2025-01-02T08:00:30.000Z', 'The closest copy wins');
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Repository Contract Guards
+ *
+ * Tests that the local and in-memory backends behave the same way
+ * behind the repository interface, and that the local backend keeps
+ * its rows in the storage it is given
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository, createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { createLocalRepository, LOCAL_USER_ID } from '../src/client/services/repository/local-repository.js';
+import { keepAnswerOnDevice } from '../src/client/domains/reflection/answer-history.js';
+import { STORAGE_BACKENDS, STORAGE_KEYS, TIMER } from '../src/shared/constants.js';
+
+const memory = createMemoryRepository();
+const localStorage = createMemoryStorage();
+const local = createLocalRepository(localStorage);
+
+for (const [label, repository] of [['Memory', memory], ['Local', local]]) {
+    await describe(`Repository Contract Guards (${label})`, async () => {
+        await it('is always ready and writes as the local user', () => {
+            assert(repository.isReady() === true, 'isReady is true');
+            assert(repository.getUserId() === LOCAL_USER_ID, 'User id is the local user');
+        });
+
+        await it('starts with a default profile and merges updates', async () => {
+            const emptyProfile = await repository.profiles.get();
+            const updatedProfile = await repository.profiles.update({ timer_duration: 900 });
+            const profileAfterUpdate = await repository.profiles.get();
+            assert(emptyProfile.success && emptyProfile.data.timer_duration === TIMER.DEFAULT_DURATION, 'Default timer duration');
+            assert(updatedProfile.success && updatedProfile.data.timer_duration === 900, 'Update returns the new profile');
+            assert(profileAfterUpdate.data.timer_duration === 900, 'Update is persisted');
+        });
+
+        await it('lists sessions newest first with paging', async () => {
+            await repository.sessions.create({ id: 's1', duration_seconds: 600, completed_at: '2025-01-01T10:00:00.000Z' });
+            await repository.sessions.create({ id: 's2', duration_seconds: 300, completed_at: '2025-01-03T10:00:00.000Z' });
+            await repository.sessions.create({ id: 's3', duration_seconds: 120, completed_at: '2025-01-02T10:00:00.000Z' });
+            const firstPage = await repository.sessions.list({ limit: 2, offset: 0 });
+            const secondPage = await repository.sessions.list({ limit: 2, offset: 2 });
+            assert(firstPage.success, 'List succeeds');
+            assert(firstPage.data.map(s => s.id).join(',') === 's2,s3', 'First page is newest first');
+            assert(secondPage.data.map(s => s.id).join(',') === 's1', 'Second page has the rest');
+        });
+
+        await it('treats a repeated create with the same id as already saved', async () => {
+            const duplicateSession = await repository.sessions.create({ id: 's1', duration_seconds: 999 });
+            const sessions = await repository.sessions.list();
+            assert(duplicateSession.success === true, 'Duplicate create succeeds');
+            assert(sessions.data.find(s => s.id === 's1').duration_seconds === 600, 'Original row is kept');
+        });
+
+        await it('updates the intention outcome of a saved session', async () => {
+            const updated = await repository.sessions.update('s1', { intention_met: true });
+            const missing = await repository.sessions.update('nope', { intention_met: false });
+            const sessions = await repository.sessions.list();
+            assert(updated.success && updated.data.intention_met === true, 'Update returns the row');
+            assert(sessions.data.find(s => s.id === 's1').intention_met === true, 'Update is persisted');
+            assert(sessions.data.find(s => s.id === 's1').duration_seconds === 600, 'Other fields are kept');
+            assert(!missing.success && missing.error === 'Session not found', 'Unknown sessions are reported');
+        });
+
+        await it('filters, updates and removes responses', async () => {
+            await repository.responses.create({ id: 'r1', question_type: 'better_today', response_text: 'Walk', created_at: '2025-01-01T00:00:00.000Z' });
+            await repository.responses.create({ id: 'r2', question_type: 'better_life_meaning', response_text: 'Family', created_at: '2025-01-02T00:00:00.000Z' });
+            const allResponses = await repository.responses.list();
+            const filteredResponses = await repository.responses.list({ questionType: 'better_today' });
+            assert(allResponses.data.map(r => r.id).join(',') === 'r2,r1', 'Responses are newest first');
+            assert(filteredResponses.data.length === 1 && filteredResponses.data[0].id === 'r1', 'Filter by question type');
+
+            const updatedResponse = await repository.responses.update('r1', 'Run');
+            const missingUpdate = await repository.responses.update('nope', 'x');
+            const removed = await repository.responses.remove('r2');
+            const responsesAfterRemove = await repository.responses.list();
+            assert(updatedResponse.success && updatedResponse.data.response_text === 'Run', 'Update returns the row');
+            assert(missingUpdate.success === false && typeof missingUpdate.error === 'string', 'Updating a missing row fails');
+            assert(removed.success === true, 'Remove succeeds');
+            assert(responsesAfterRemove.data.length === 1 && responsesAfterRemove.data[0].response_text === 'Run', 'Removed row is gone');
+        });
+
+        await it('accepts feedback', async () => {
+            const feedback = await repository.feedback.create({ id: 'f1', message: 'Nice' });
+            assert(feedback.success === true && typeof feedback.message === 'string', 'Feedback succeeds with a message');
+        });
+
+        await it('keeps answers on the device in its history', async () => {
+            const emptyHistory = await repository.history.list();
+            assert(emptyHistory.success && emptyHistory.data.length === 0, 'History starts empty');
+
+            const keptAnswer = await keepAnswerOnDevice({ question_type: 'better_today', response_text: 'Walk', created_at: '2025-01-01T00:00:00.000Z' }, { repository });
+            const keptReflection = await keepAnswerOnDevice({ question_type: 'session_reflection', response_text: 'Calm', created_at: '2025-01-01T00:00:00.000Z' }, { repository });
+            const unknownAnswer = await keepAnswerOnDevice({ question_type: 'not_a_question', response_text: 'x' }, { repository });
+            const history = await repository.history.list();
+            assert(keptAnswer.success && keptReflection.success, 'Answers are kept');
+            assert(!unknownAnswer.success, 'Unknown question types are refused');
+            assert(history.data.length === 1, 'Answers from the same moment share an entry');
+            assert(history.data[0].betterToday === 'Walk' && history.data[0].sessionReflection === 'Calm', 'Both answers are in it');
+
+            await repository.history.clear();
+            const clearedHistory = await repository.history.list();
+            assert(clearedHistory.data.length === 0, 'Clearing empties it');
+        });
+    });
+}
+
+await describe('Repository Backend Guards', async () => {
+    await it('reports the backend name', () => {
+        assert(memory.name === STORAGE_BACKENDS.MEMORY, 'Memory backend name');
+        assert(local.name === STORAGE_BACKENDS.LOCAL, 'Local backend name');
+    });
+
+    await it('keeps local data in its storage', async () => {
+        // A second repository over the same storage sees the same data
+        const reopenedSessions = await createLocalRepository(localStorage).sessions.list();
+        assert(reopenedSessions.data.length === 3, 'Reopened repository sees saved sessions');
+    });
+
+    await it('keeps separate in-memory repositories apart', async () => {
+        const memoryResponses = await memory.responses.list();
+        const localResponses = await local.responses.list();
+        const freshResponses = await createMemoryRepository().responses.list();
+        assert(memoryResponses.data.length === 1 && localResponses.data.length === 1, 'Each backend only sees its own rows');
+        assert(freshResponses.data.length === 0, 'A new in-memory repository starts empty');
+    });
+
+    await it('treats unreadable stored rows as empty', async () => {
+        const corruptStorage = createMemoryStorage();
+        corruptStorage.setItem(STORAGE_KEYS.LOCAL_SESSIONS, '{not json');
+        corruptStorage.setItem(STORAGE_KEYS.RESPONSE_HISTORY, '[broken');
+        const corruptSessions = await createLocalRepository(corruptStorage).sessions.list();
+        const corruptHistory = await createLocalRepository(corruptStorage).history.list();
+        assert(corruptSessions.success === true && corruptSessions.data.length === 0, 'Corrupt JSON lists no sessions');
+        assert(corruptHistory.success === true && corruptHistory.data.length === 0, 'Corrupt history reads as empty');
+    });
+});
@@ -12,6 +12,28 @@ import { runTests } from './test-helpers.js';
 await import('./api-response-guards.test.js');
 await import('./utils-guards.test.js');
 await import('./guardrails.test.js');
+await import('./sync-queue.test.js');
+await import('./session-recorder.test.js');
+await import('./session-clock.test.js');
+await import('./session-history.test.js');
+await import('./streak.test.js');
+await import('./reflection-archive.test.js');
+await import('./question-catalog.test.js');
+await import('./supabase-config.test.js');
+await import('./repository.test.js');
+await import('./timer-settings.test.js');
+await import('./timer-duration-sync.test.js');
+await import('./interval-plan.test.js');
+await import('./alerts.test.js');
+await import('./session-summary.test.js');
+await import('./daily-goal.test.js');
+await import('./session-stats.test.js');
+await import('./calendar-heatmap.test.js');
+await import('./data-export.test.js');
+await import('./data-import.test.js');
+await import('./account-deletion.test.js');
+await import('./encryption.test.js');
+await import('./storage-migrations.test.js');
 
 // Run all tests
 runTests();
@@ -0,0 +1,151 @@
+/**
+ * Session Clock Guards
+ * 
+ * Tests that remaining time is derived from the wall clock,
+ * so throttled ticks and sleep can't stretch a session
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import {
+    createSessionClock,
+    isClockRunning,
+    getRemainingSeconds,
+    getElapsedSeconds,
+    pauseClock,
+    resumeClock,
+    getTimeline,
+    setPauseReason,
+    completeTimeline,
+    summarizeTimeline,
+    getCountedSeconds,
+    getOvertimeSeconds,
+    isInOvertime
+} from '../src/client/domains/sessions/session-clock.js';
+import { TIMER } from '../src/shared/constants.js';
+
+const START = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+describe('Session Clock Guards', () => {
+    it('new clock is running with the full duration remaining', () => {
+        const clock = createSessionClock(600, START);
+        assert(isClockRunning(clock), 'Clock is running');
+        assert(getRemainingSeconds(clock, START) === 600, 'Full duration remaining');
+        assert(getElapsedSeconds(clock, START) === 0, 'Nothing elapsed');
+    });
+
+    it('remaining time follows the wall clock regardless of ticks', () => {
+        const clock = createSessionClock(600, START);
+        assert(getRemainingSeconds(clock, START + 1000) === 599, 'One second later');
+        assert(getRemainingSeconds(clock, START + 1500) === 599, 'Partial seconds round up');
+        assert(getRemainingSeconds(clock, START + 5 * 60 * 1000) === 300, 'Five minutes later (e.g. after sleep)');
+        assert(getElapsedSeconds(clock, START + 5 * 60 * 1000) === 300, 'Elapsed matches wall clock');
+    });
+
+    it('remaining time never goes negative', () => {
+        const clock = createSessionClock(600, START);
+        assert(getRemainingSeconds(clock, START + 60 * 60 * 1000) === 0, 'Clamped at zero');
+        assert(getElapsedSeconds(clock, START + 60 * 60 * 1000) === 600, 'Elapsed capped at duration');
+    });
+
+    it('paused clock freezes remaining time', () => {
+        const clock = pauseClock(createSessionClock(600, START), START + 100 * 1000);
+        assert(!isClockRunning(clock), 'Clock is paused');
+        assert(getRemainingSeconds(clock, START + 100 * 1000) === 500, 'Remaining at pause');
+        assert(getRemainingSeconds(clock, START + 60 * 60 * 1000) === 500, 'Unchanged an hour later');
+    });
+
+    it('resumed clock continues from the paused value', () => {
+        const paused = pauseClock(createSessionClock(600, START), START + 100 * 1000);
+        const resumeTime = START + 60 * 60 * 1000;
+        const resumed = resumeClock(paused, resumeTime);
+        assert(isClockRunning(resumed), 'Clock is running again');
+        assert(resumed.startedAt === START, 'Start timestamp is kept');
+        assert(getRemainingSeconds(resumed, resumeTime + 10 * 1000) === 490, 'Counts down from paused value');
+    });
+
+    it('resume accepts an explicit remaining time', () => {
+        const paused = pauseClock(createSessionClock(600, START), START + 100 * 1000);
+        const resumed = resumeClock(paused, START + 200 * 1000, 60);
+        assert(getRemainingSeconds(resumed, START + 200 * 1000) === 60, 'Uses explicit remaining time');
+        assert(getElapsedSeconds(resumed, START + 200 * 1000) === 540, 'Elapsed is relative to duration');
+    });
+});
+
+describe('Session Timeline Guards', () => {
+    it('records start, pause and resume with timestamps', () => {
+        let clock = createSessionClock(600, START);
+        clock = pauseClock(clock, START + 60 * 1000, 'Phone call');
+        clock = resumeClock(clock, START + 180 * 1000);
+        const timeline = getTimeline(clock);
+        assert(timeline.map(e => e.type).join(',') === 'start,pause,resume', 'Events in order');
+        assert(timeline[0].at === new Date(START).toISOString(), 'Start timestamp is ISO');
+        assert(timeline[1].reason === 'Phone call', 'Pause keeps its reason');
+        assert(!('reason' in timeline[2]), 'Resume has no reason');
+    });
+
+    it('pausing an already paused clock adds no event', () => {
+        const paused = pauseClock(createSessionClock(600, START), START + 1000);
+        assert(getTimeline(pauseClock(paused, START + 2000)).length === 2, 'Still one pause');
+    });
+
+    it('sets the reason of the latest pause', () => {
+        let clock = pauseClock(createSessionClock(600, START), START + 1000);
+        clock = resumeClock(clock, START + 2000);
+        clock = pauseClock(clock, START + 3000);
+        clock = setPauseReason(clock, '  Doorbell  ');
+        const pauses = getTimeline(clock).filter(e => e.type === 'pause');
+        assert(pauses[0].reason === null && pauses[1].reason === 'Doorbell', 'Only the latest pause is updated, trimmed');
+        assert(getTimeline(setPauseReason(clock, '   ')).filter(e => e.type === 'pause')[1].reason === null, 'Blank reason is stored as null');
+    });
+
+    it('finishes a running clock when its countdown ended', () => {
+        const clock = createSessionClock(600, START);
+        const timeline = completeTimeline(clock, START + 60 * 60 * 1000);
+        assert(timeline[timeline.length - 1].type === 'finish', 'Ends with finish');
+        assert(timeline[timeline.length - 1].at === new Date(START + 600 * 1000).toISOString(), 'Finish is when the countdown ended');
+    });
+
+    it('summarizes pauses, paused time and reasons', () => {
+        let clock = createSessionClock(600, START);
+        clock = pauseClock(clock, START + 60 * 1000, 'Slack');
+        clock = resumeClock(clock, START + 180 * 1000);
+        clock = pauseClock(clock, START + 240 * 1000);
+        clock = resumeClock(clock, START + 300 * 1000);
+        const summary = summarizeTimeline(completeTimeline(clock, START + 900 * 1000));
+        assert(summary.pauseCount === 2, 'Two pauses');
+        assert(summary.pausedSeconds === 180, 'Three minutes paused');
+        assert(summary.reasons.length === 1 && summary.reasons[0] === 'Slack', 'Reasons given');
+    });
+
+    it('tolerates clocks and sessions without a timeline', () => {
+        const legacy = { startedAt: START, duration: 600, endsAt: START + 600 * 1000, pausedRemaining: null };
+        assert(getTimeline(legacy).length === 0, 'Legacy clock has an empty timeline');
+        assert(getTimeline(pauseClock(legacy, START + 1000)).length === 1, 'Pausing a legacy clock starts a timeline');
+        const summary = summarizeTimeline(null);
+        assert(summary.pauseCount === 0 && summary.pausedSeconds === 0, 'Missing timeline is uninterrupted');
+    });
+
+    it('counts up past zero in overtime until stopped', () => {
+        const clock = { ...createSessionClock(600, START), overtime: true };
+        const later = START + 750 * 1000;
+        assert(!isInOvertime(clock, START + 300 * 1000), 'Not in overtime before zero');
+        assert(isInOvertime(clock, later), 'In overtime after zero');
+        assert(getOvertimeSeconds(clock, later) === 150, 'Counts seconds past zero');
+        assert(getCountedSeconds(clock, later) === 750, 'Session duration includes overtime');
+
+        const finish = completeTimeline(clock, later).pop();
+        assert(Date.parse(finish.at) === later, 'Finishes when stopped, not at zero');
+
+        const regular = createSessionClock(600, START);
+        assert(!isInOvertime(regular, later) && getCountedSeconds(regular, later) === 600, 'Regular clocks stop at zero');
+    });
+
+    it('caps overtime so a forgotten session finishes', () => {
+        const clock = { ...createSessionClock(600, START), overtime: true };
+        const nextDay = START + 24 * 60 * 60 * 1000;
+        assert(!isInOvertime(clock, nextDay), 'Overtime ends at the limit');
+        assert(getCountedSeconds(clock, nextDay) === 600 + TIMER.MAX_OVERTIME, 'Counted overtime is capped');
+        const finish = completeTimeline(clock, nextDay).pop();
+        assert(Date.parse(finish.at) === START + (600 + TIMER.MAX_OVERTIME) * 1000, 'Finish event at the limit');
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Session History Guards
+ * 
+ * Tests that history entries describe durations, interruptions
+ * and intentions the same way everywhere, that sessions are grouped
+ * by local day, that paging walks every session exactly once, and
+ * that sessions still in the sync queue join the page they belong to
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import {
+    groupSessionsByDay,
+    pageSessions,
+    mergeQueuedSessions,
+    formatDayLabel,
+    formatSessionDuration,
+    formatInterruptions,
+    formatIntention
+} from '../src/client/domains/sessions/utils/session-history.js';
+import { createMemoryRepository } from '../src/client/services/repository/memory-repository.js';
+
+/**
+ * Session completed at a local time
+ * @param {string} id
+ * @param {number} day - Day of January 2025
+ * @param {number} hour - Local hour
+ * @param {number} [duration_seconds]
+ */
+function sessionAt(id, day, hour, duration_seconds = 600) {
+    return { id, completed_at: new Date(2025, 0, day, hour, 30).toISOString(), duration_seconds, journal_entry: null };
+}
+
+describe('Session History Guards', () => {
+    it('formats durations in minutes, or seconds under a minute', () => {
+        assert(formatSessionDuration(1500) === '25 min', 'Whole minutes');
+        assert(formatSessionDuration(45) === '45 sec', 'Short sessions in seconds');
+    });
+
+    it('leaves uninterrupted sessions unlabeled', () => {
+        assert(formatInterruptions({ pauseCount: 0, pausedSeconds: 0, reasons: [] }) === '', 'No pauses');
+        assert(formatInterruptions({ pauseCount: 2, pausedSeconds: 300, reasons: [] }) === '2 pauses (5 min paused)', 'Counts pauses');
+    });
+
+    it('shows the intention with its outcome', () => {
+        const session = { completed_at: '2025-01-01T12:00:00.000Z', duration_seconds: 600, journal_entry: null, intention: 'Tidy the desk' };
+        assert(formatIntention({ ...session, intention_met: true }) === 'Intended: Tidy the desk · Done', 'Met');
+        assert(formatIntention({ ...session, intention_met: false }) === 'Intended: Tidy the desk · Not this time', 'Not met');
+        assert(formatIntention({ ...session, intention_met: null }) === 'Intended: Tidy the desk', 'Not answered');
+        assert(formatIntention({ ...session, intention: null }) === '', 'No intention');
+    });
+});
+
+describe('Session History Grouping Guards', () => {
+    it('groups sessions by the local day they were completed on', () => {
+        const groups = groupSessionsByDay([
+            sessionAt('late', 3, 23),
+            sessionAt('early', 3, 0, 300),
+            sessionAt('before', 2, 23),
+            { ...sessionAt('unsized', 2, 9), duration_seconds: null }
+        ]);
+        assert(groups.map(group => group.dayKey).join() === '2025-01-03,2025-01-02', 'Local midnight splits the days');
+        assert(groups[0].sessions.map(session => session.id).join() === 'late,early', 'Sessions keep their order');
+        assert(groups[0].totalSeconds === 900 && groups[1].totalSeconds === 600, 'Totals per day, missing durations count as 0');
+        assert(groupSessionsByDay([]).length === 0, 'No sessions, no groups');
+    });
+
+    it('labels today and yesterday, and dates otherwise', () => {
+        const now = new Date(2025, 0, 3, 8, 0);
+        assert(formatDayLabel('2025-01-03', now) === 'Today', 'Today');
+        assert(formatDayLabel('2025-01-02', now) === 'Yesterday', 'Yesterday');
+        assert(formatDayLabel('2024-12-31', now).includes('2024'), 'Other years show the year');
+        assert(!formatDayLabel('2025-01-01', now).includes('2025'), 'This year leaves the year out');
+        assert(formatDayLabel('2024-12-31', new Date(2025, 0, 1, 8, 0)) === 'Yesterday', 'Yesterday across a year boundary');
+    });
+});
+
+await describe('Session History Paging Guards', async () => {
+    await it('takes one page and says whether more follow', () => {
+        const sessions = ['a', 'b', 'c', 'd', 'e'].map((id, index) => sessionAt(id, 10 - index, 9));
+        const first = pageSessions(sessions, 0, 2);
+        const last = pageSessions(sessions, 4, 2);
+        assert(first.sessions.map(session => session.id).join() === 'a,b' && first.hasMore, 'First page has more');
+        assert(last.sessions.map(session => session.id).join() === 'e' && !last.hasMore, 'Last page is short');
+        assert(!pageSessions(sessions, 3, 2).hasMore, 'An exactly full last page has no more');
+        assert(pageSessions(sessions, 8, 2).sessions.length === 0, 'Past the end is empty');
+    });
+
+    await it('walks every stored session once, newest first', async () => {
+        const repository = createMemoryRepository();
+        for (const day of [4, 1, 5, 2, 3]) {
+            await repository.sessions.create(sessionAt(`day-${day}`, day, 9));
+        }
+
+        // Same requests the history page makes: one extra row per page
+        const seen = [];
+        let hasMore = true;
+        while (hasMore) {
+            const rows = await repository.sessions.list({ limit: 3, offset: seen.length });
+            const page = pageSessions(rows.data, 0, 2);
+            seen.push(...page.sessions.map(session => session.id));
+            hasMore = page.hasMore;
+        }
+        assert(seen.join() === 'day-5,day-4,day-3,day-2,day-1', 'Every session once, newest first');
+    });
+
+    await it('adds queued sessions to the page they belong to', () => {
+        const page = [sessionAt('saved-9', 9, 9), sessionAt('saved-7', 7, 9)];
+        const queued = [sessionAt('queued-8', 8, 9), sessionAt('queued-10', 10, 9), sessionAt('queued-3', 3, 9), sessionAt('saved-9', 9, 9)];
+
+        const merged = mergeQueuedSessions(page, queued, true);
+        assert(merged.map(session => session.id).join() === 'queued-10,saved-9,queued-8,saved-7', 'Placed by completion time');
+        assert(!merged.some(session => session.id === 'queued-3'), 'Older ones wait for their page');
+        assert(merged.filter(session => session.id === 'saved-9').length === 1, 'A queued session already saved is shown once');
+
+        const lastPage = mergeQueuedSessions(page, queued, false);
+        assert(lastPage[lastPage.length - 1].id === 'queued-3', 'The last page takes the rest');
+        assert(mergeQueuedSessions([], [sessionAt('queued-8', 8, 9)], false).length === 1, 'Shown before anything is saved');
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Session Recorder Guards
+ *
+ * Tests where completed sessions go: the pending list on this device while
+ * signed out, the sync queue once signed in, that sessions recorded
+ * while a flush is running stay pending instead of being lost, that the
+ * intention check-in answer reaches the recorded session, and which queued
+ * sessions the history and stats pages add to the saved ones. Runs against
+ * the in-memory repository with retry timers recorded instead of scheduled.
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository, createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { setRepository } from '../src/client/services/repository/index.js';
+import { getQueuedWrites } from '../src/client/services/sync-queue.js';
+import { recordCompletedSession, recordIntentionOutcome, flushPendingSessions, getPendingSessions, getQueuedSessions } from '../src/client/domains/sessions/session-recorder.js';
+import { STORAGE_KEYS } from '../src/shared/constants.js';
+
+const server = createMemoryRepository();
+const network = { online: true, signedIn: false, pause: null };
+
+/** Backend that can be signed out, offline, or hold a save until released */
+const repository = {
+    ...server,
+    isReady: () => network.signedIn,
+    getUserId: () => 'user-1',
+    sessions: {
+        ...server.sessions,
+        create: async (session) => {
+            if (network.pause) await network.pause;
+            if (!network.online) return { success: false, error: 'offline' };
+            return server.sessions.create(session);
+        }
+    }
+};
+
+const realSetTimeout = globalThis.setTimeout;
+const realClearTimeout = globalThis.clearTimeout;
+const realLocalStorage = globalThis.localStorage;
+globalThis.setTimeout = () => 0;
+globalThis.clearTimeout = () => {};
+globalThis.localStorage = createMemoryStorage();
+setRepository(repository);
+
+/**
+ * Number of sessions saved on the server
+ * @returns {Promise<number>}
+ */
+async function countSaved() {
+    const sessions = await server.sessions.list();
+    return sessions.data.length;
+}
+
+/**
+ * Session saved on the server
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+async function findSaved(id) {
+    const sessions = await server.sessions.list({ limit: 100 });
+    return sessions.data.find(session => session.id === id);
+}
+
+await describe('Session Recorder Guards', async () => {
+    await it('refuses sessions without a duration', async () => {
+        const empty = await recordCompletedSession(0);
+        const missing = await recordCompletedSession(undefined);
+        assert(!empty.success && !missing.success, 'Nothing is recorded');
+        assert(getPendingSessions().length === 0, 'Pending list stays empty');
+    });
+
+    await it('treats an unreadable pending list as empty', () => {
+        globalThis.localStorage.setItem(STORAGE_KEYS.PENDING_SESSIONS, '{broken');
+        assert(getPendingSessions().length === 0, 'Corrupt JSON lists no sessions');
+        globalThis.localStorage.removeItem(STORAGE_KEYS.PENDING_SESSIONS);
+    });
+
+    await it('keeps sessions on this device while signed out', async () => {
+        const result = await recordCompletedSession(1500, 'Notes', [], { text: '', met: true });
+        await recordCompletedSession(600);
+        const pending = getPendingSessions();
+
+        assert(result.success && result.message === 'Session saved on this device', 'Reported as saved on this device');
+        assert(pending.length === 2 && pending[0].duration_seconds === 1500 && pending[1].duration_seconds === 600, 'Sessions are pending in order');
+        assert(pending[0].journal_entry === 'Notes' && pending[1].journal_entry === null, 'Journal entry is kept, or null');
+        assert(pending[0].timeline === null && pending[0].intention === null && pending[0].intention_met === null, 'Empty timeline and intention are stored as null');
+        assert(getQueuedWrites().length === 0, 'Nothing is queued for sync');
+
+        const flush = await flushPendingSessions();
+        assert(!flush.success && flush.error === 'Not authenticated', 'Flushing needs a signed-in user');
+        assert(getPendingSessions().length === 2, 'Pending sessions are kept');
+    });
+
+    await it('hands pending sessions to the sync queue on sign-in', async () => {
+        network.signedIn = true;
+        const flush = await flushPendingSessions();
+
+        assert(flush.success && flush.data.saved === 2 && flush.data.remaining === 0, 'Pending sessions are handed over');
+        assert(globalThis.localStorage.getItem(STORAGE_KEYS.PENDING_SESSIONS) === null, 'Pending list is removed');
+        assert(await countSaved() === 2, 'Sessions reached the server');
+    });
+
+    await it('queues sessions for sync while signed in but offline', async () => {
+        network.online = false;
+        const result = await recordCompletedSession(600);
+
+        assert(result.success && result.data.queued, 'Queued for sync');
+        assert(getPendingSessions().length === 0, 'Not kept in the pending list');
+        assert(getQueuedWrites().some(write => write.type === 'saveSession'), 'The sync queue retries it');
+        globalThis.localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+        network.online = true;
+    });
+
+    await it('keeps sessions recorded during a flush pending', async () => {
+        network.signedIn = false;
+        await recordCompletedSession(300);
+        await recordCompletedSession(420);
+
+        let release;
+        network.pause = new Promise(resolve => { release = resolve; });
+        network.signedIn = true;
+        const flushing = flushPendingSessions();
+
+        const overlapping = await flushPendingSessions();
+        assert(!overlapping.success && overlapping.error === 'Flush already in progress', 'Only one flush runs at a time');
+
+        // Signed out mid-flush: this one joins the pending list behind the flush
+        network.signedIn = false;
+        await recordCompletedSession(900);
+        network.signedIn = true;
+        network.pause = null;
+        release();
+
+        const flush = await flushing;
+        const pending = getPendingSessions();
+        assert(flush.success && flush.data.saved === 2 && flush.data.remaining === 0, 'Sessions present at the start are handed over');
+        assert(pending.length === 1 && pending[0].duration_seconds === 900, 'Session recorded during the flush stays pending');
+        assert(await countSaved() === 4, 'Handed-over sessions reached the server');
+
+        const next = await flushPendingSessions();
+        assert(next.data.saved === 1 && getPendingSessions().length === 0, 'The next flush sends it');
+    });
+
+    await it('records the intention outcome after the session', async () => {
+        const intention = { text: 'Stretch', met: null };
+
+        network.signedIn = false;
+        const offDevice = await recordCompletedSession(600, null, null, intention);
+        await recordIntentionOutcome(offDevice.data.id, true);
+        assert(getPendingSessions()[0].intention === 'Stretch' && getPendingSessions()[0].intention_met === true, 'Pending session gets the answer');
+        network.signedIn = true;
+        await flushPendingSessions();
+        assert((await findSaved(offDevice.data.id))?.intention_met === true, 'And keeps it when handed over');
+
+        const saved = await recordCompletedSession(600, null, null, intention);
+        assert((await findSaved(saved.data.id))?.intention_met === null, 'Saved before the check-in is answered');
+        const updated = await recordIntentionOutcome(saved.data.id, false);
+        assert(updated.success && !updated.data.queued, 'The answer is sent as an update');
+        assert((await findSaved(saved.data.id))?.intention_met === false, 'Saved session gets the answer');
+
+        network.online = false;
+        const queued = await recordCompletedSession(600, null, null, intention);
+        await recordIntentionOutcome(queued.data.id, true);
+        const writes = getQueuedWrites();
+        assert(writes.length === 1 && writes[0].payload.intention_met === true, 'A queued session takes the answer with it');
+        network.online = true;
+        globalThis.localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+    });
+
+    await it('lists the sessions of this user still in the sync queue', async () => {
+        network.online = false;
+        const queued = await recordCompletedSession(1200, 'Notes');
+        const writes = getQueuedWrites();
+        globalThis.localStorage.setItem(STORAGE_KEYS.SYNC_QUEUE, JSON.stringify([
+            ...writes,
+            { ...writes[0], id: 'other-user', userId: 'user-2' },
+            { ...writes[0], id: 'answer', type: 'saveResponse' }
+        ]));
+
+        const sessions = getQueuedSessions();
+        assert(sessions.length === 1 && sessions[0].id === queued.data.id, 'Only saveSession writes of the signed-in user');
+        assert(sessions[0].pending === true && sessions[0].duration_seconds === 1200 && sessions[0].journal_entry === 'Notes', 'Marked pending, with the session fields');
+        network.online = true;
+        globalThis.localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+    });
+});
+
+setRepository(null);
+globalThis.localStorage = realLocalStorage;
+globalThis.setTimeout = realSetTimeout;
+globalThis.clearTimeout = realClearTimeout;
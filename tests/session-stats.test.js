@@ -0,0 +1,78 @@
+/**
+ * Session Stats Guards
+ * 
+ * Tests the per-day totals behind the stats page and the geometry of its
+ * SVG charts
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { buildSessionStats, layoutBars, layoutLine } from '../src/client/domains/sessions/utils/session-stats.js';
+
+const NOW = new Date(2025, 2, 10, 18, 0);
+
+/**
+ * Session completed on a local day of March 2025
+ */
+function session(day, hour, seconds, timerDuration = null) {
+    return {
+        completed_at: new Date(2025, 2, day, hour, 0).toISOString(),
+        duration_seconds: seconds,
+        journal_entry: null,
+        timer_duration: timerDuration
+    };
+}
+
+describe('Session Stats Guards', () => {
+    it('covers every day of the range, oldest first', () => {
+        const stats = buildSessionStats([], { days: 7, now: NOW });
+        assert(stats.days.length === 7, 'One entry per day');
+        assert(stats.days[0].dayKey === '2025-03-04', 'Starts six days ago');
+        assert(stats.days[6].dayKey === '2025-03-10', 'Ends today');
+        assert(stats.totalSeconds === 0 && stats.sessionCount === 0 && stats.averageSeconds === 0, 'Empty range');
+    });
+
+    it('adds up sessions per day and ignores ones outside the range', () => {
+        const stats = buildSessionStats([
+            session(10, 9, 600),
+            session(10, 15, 1200),
+            session(8, 12, 300),
+            session(1, 12, 900)
+        ], { days: 7, now: NOW });
+
+        const today = stats.days[6];
+        assert(today.seconds === 1800 && today.count === 2, 'Two sessions today');
+        assert(stats.days[4].seconds === 300 && stats.days[4].count === 1, 'One session on the 8th');
+        assert(stats.sessionCount === 3, 'Session from the 1st is outside the week');
+        assert(stats.totalSeconds === 2100, 'Total focused time');
+        assert(stats.averageSeconds === 700, 'Average session length');
+    });
+
+    it('uses the timer duration of each day\'s last session', () => {
+        const stats = buildSessionStats([
+            session(9, 20, 660, 660),
+            session(9, 8, 600, 600),
+            session(8, 12, 300)
+        ], { days: 7, now: NOW, currentDuration: 720 });
+
+        assert(stats.days[5].timerDuration === 660, 'Last session of the 9th');
+        assert(stats.days[4].timerDuration === null, 'Older sessions without a timer duration are unknown');
+        assert(stats.days[6].timerDuration === 720, 'Today ends at the current duration');
+    });
+
+    it('scales bars to the largest value', () => {
+        const bars = layoutBars([0, 5, 10], { width: 300, height: 100 });
+        assert(bars.length === 3, 'One bar per value');
+        assert(bars[0].height === 0 && bars[0].y === 100, 'Empty day has no bar');
+        assert(bars[1].height === 50 && bars[2].height === 100, 'Heights are relative to the largest');
+        assert(bars[1].x > bars[0].x && bars[1].x + bars[1].width <= 200, 'Bars stay in their slot');
+        assert(layoutBars([0, 0], { width: 300, height: 100 }).every(bar => bar.height === 0), 'All-zero data draws flat');
+    });
+
+    it('skips unknown values in the line', () => {
+        const points = layoutLine([null, 10, null, 20], { width: 400, height: 100 });
+        assert(points.length === 2, 'Only known values are plotted');
+        assert(points[0].x === 150 && points[0].y === 50, 'Point is centred in its slot');
+        assert(points[1].x === 350 && points[1].y === 0, 'Largest value reaches the top');
+        assert(layoutLine([null, null], { width: 400, height: 100 }).length === 0, 'No line without data');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Session Summary Guards
+ * 
+ * Tests that the completion summary reports the time spent,
+ * the streak change and the timer duration earned
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import {
+    buildSessionSummary,
+    formatSummaryHeadline,
+    formatStreakChange,
+    formatTimerChange
+} from '../src/client/domains/sessions/utils/session-summary.js';
+import { TIMER } from '../src/shared/constants.js';
+
+const BASE = { durationSeconds: 600, streakBefore: 3, streakAfter: 4, timerBefore: 600, timerAfter: 600 + TIMER.INCREMENT };
+
+describe('Session Summary Guards', () => {
+    it('reports the minutes completed', () => {
+        assert(formatSummaryHeadline(buildSessionSummary(BASE)) === '10 min making your life better', 'Minutes');
+        assert(buildSessionSummary({ ...BASE, durationSeconds: undefined }).durationSeconds === 0, 'Missing duration counts as zero');
+    });
+
+    it('describes the streak change', () => {
+        assert(formatStreakChange(buildSessionSummary(BASE)) === 'Streak: 3 → 4 days', 'Extended streak');
+        assert(formatStreakChange(buildSessionSummary({ ...BASE, streakBefore: 0, streakAfter: 1 })) === 'Streak: a new one starts today', 'New streak');
+        assert(formatStreakChange(buildSessionSummary({ ...BASE, streakBefore: 4 })).includes('already counted'), 'Second session of the day');
+    });
+
+    it('waits for the daily goal before counting the streak', () => {
+        const notMet = buildSessionSummary({ ...BASE, streakBefore: 3, streakAfter: 3, dailyGoal: { seconds: 600, goal: 1800 } });
+        assert(formatStreakChange(notMet) === 'Streak: 3 days (counts once today\'s goal is reached)', 'Goal not reached yet');
+        assert(!formatStreakChange(notMet).includes('already counted'), 'Not claimed as counted');
+        const met = buildSessionSummary({ ...BASE, dailyGoal: { seconds: 1800, goal: 1800 } });
+        assert(formatStreakChange(met) === 'Streak: 3 → 4 days', 'Counted when the goal is reached');
+        const metEarlier = buildSessionSummary({ ...BASE, streakBefore: 4, dailyGoal: { seconds: 2400, goal: 1800 } });
+        assert(formatStreakChange(metEarlier).includes('already counted'), 'Goal reached earlier today');
+    });
+
+    it('shows the duration earned for the next session', () => {
+        const earned = formatTimerChange(buildSessionSummary(BASE));
+        assert(earned === `Next session: ${(600 + TIMER.INCREMENT) / 60} min (+${TIMER.INCREMENT / 60} min earned)`, 'Growth');
+        assert(formatTimerChange(buildSessionSummary({ ...BASE, timerAfter: 600 })) === 'Next session: 10 min', 'Nothing earned');
+    });
+
+    it('keeps intention and journal text only when given', () => {
+        const empty = buildSessionSummary({ ...BASE, intention: { text: '', met: null }, journalEntry: '   ' });
+        assert(empty.intention === null && empty.journalEntry === null, 'Blank values are dropped');
+
+        const full = buildSessionSummary({ ...BASE, intention: { text: 'Call mum', met: true }, journalEntry: ' Felt good \n' });
+        assert(full.intention.text === 'Call mum' && full.intention.met === true, 'Intention kept');
+        assert(full.journalEntry === 'Felt good', 'Journal trimmed');
+    });
+});
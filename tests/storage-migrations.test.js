@@ -0,0 +1,137 @@
+/**
+ * Storage Migration Guards
+ *
+ * Tests each storage migration step on its own, and that a migration run goes
+ * in order, backs up what it touches, is a no-op once up to date, and restores
+ * the backup when a step fails
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { STORAGE_MIGRATIONS, STORAGE_VERSION, getStorageVersion, runStorageMigrations, restoreStorageBackup } from '../src/client/state/storage-migrations.js';
+import { STORAGE_KEYS } from '../src/shared/constants.js';
+
+/**
+ * Storage seeded with values
+ * @param {Object<string, string>} values
+ * @returns {ReturnType<typeof createMemoryStorage>}
+ */
+function seededStorage(values) {
+    const storage = createMemoryStorage();
+    Object.entries(values).forEach(([key, value]) => storage.setItem(key, value));
+    return storage;
+}
+
+/**
+ * Run a single step on seeded storage
+ * @param {number} version
+ * @param {Object<string, string>} values
+ * @returns {ReturnType<typeof createMemoryStorage>}
+ */
+function runStep(version, values) {
+    const storage = seededStorage(values);
+    STORAGE_MIGRATIONS.find(migration => migration.version === version).migrate(storage);
+    return storage;
+}
+
+describe('Storage Migration Guards', () => {
+    it('lists steps in order, ending at the current version', () => {
+        const versions = STORAGE_MIGRATIONS.map(migration => migration.version);
+        assert(versions.every((version, i) => version === i + 1), 'Versions count up from 1');
+        assert(STORAGE_VERSION === versions[versions.length - 1], 'Latest version is the last step');
+        assert(STORAGE_MIGRATIONS.every(migration => migration.keys.length > 0), 'Every step names the keys it touches');
+    });
+
+    it('step 1 stores the last session date as a day key', () => {
+        assert(runStep(1, { bl_lastDate: 'Sat Mar 08 2025' }).getItem('bl_lastDate') === '2025-03-08', 'toDateString is converted');
+        assert(runStep(1, { bl_lastDate: '2025-03-08' }).getItem('bl_lastDate') === '2025-03-08', 'Day keys are kept');
+        assert(runStep(1, { bl_lastDate: 'yesterday-ish' }).getItem('bl_lastDate') === null, 'Unreadable dates are dropped');
+        assert(runStep(1, {}).getItem('bl_lastDate') === null, 'Nothing stored, nothing written');
+    });
+
+    it('step 2 renames the legacy keys', () => {
+        const history = JSON.stringify([{ date: '2025-03-08T20:00:00.000Z', betterToday: 'Walk' }]);
+        const storage = runStep(2, { bl_lastDate: '2025-03-08', bl_history: history });
+        assert(storage.getItem('bl_lastSessionDate') === '2025-03-08', 'Last session date moved');
+        assert(storage.getItem('bl_responseHistory') === history, 'History moved');
+        assert(storage.getItem('bl_lastDate') === null && storage.getItem('bl_history') === null, 'Old keys removed');
+
+        const both = runStep(2, { bl_lastDate: '2025-03-01', bl_lastSessionDate: '2025-03-08' });
+        assert(both.getItem('bl_lastSessionDate') === '2025-03-08', 'A value under the new key wins');
+        assert(both.getItem('bl_lastDate') === null, 'Old key removed anyway');
+    });
+
+    it('step 3 drops unreadable history entries', () => {
+        const kept = { date: '2025-03-08T20:00:00.000Z', betterToday: 'Walk' };
+        const cleaned = runStep(3, { bl_responseHistory: JSON.stringify([kept, null, 'text', { betterToday: 'No date' }, { date: 'someday' }]) });
+        assert(cleaned.getItem('bl_responseHistory') === JSON.stringify([kept]), 'Only dated entries remain');
+        assert(runStep(3, { bl_responseHistory: '{"not":"a list"}' }).getItem('bl_responseHistory') === null, 'Non-lists are dropped');
+        assert(runStep(3, { bl_responseHistory: '[broken' }).getItem('bl_responseHistory') === null, 'Broken JSON is dropped');
+        assert(runStep(3, {}).getItem('bl_responseHistory') === null, 'Nothing stored, nothing written');
+    });
+
+    it('step 4 removes the raw encryption key without backing it up', () => {
+        assert(runStep(4, { bl_encryptionKey: '{"userId":"u1","key":"c2VjcmV0"}' }).getItem('bl_encryptionKey') === null, 'Raw key removed');
+
+        const storage = seededStorage({ [STORAGE_KEYS.STORAGE_VERSION]: '3', bl_encryptionKey: '{"userId":"u1","key":"c2VjcmV0"}' });
+        const result = runStorageMigrations(storage);
+        const backup = JSON.parse(storage.getItem(STORAGE_KEYS.STORAGE_BACKUP));
+        assert(result.success && storage.getItem('bl_encryptionKey') === null, 'Removed when migrating');
+        assert(!('bl_encryptionKey' in backup.values), 'The backup never holds the key');
+    });
+
+    it('runs pending steps in order and backs up what they touch', () => {
+        const history = JSON.stringify([{ date: '2025-03-08T20:00:00.000Z', betterToday: 'Walk' }, null]);
+        const storage = seededStorage({ bl_lastDate: 'Sat Mar 08 2025', bl_history: history, bl_darkMode: 'true' });
+        const result = runStorageMigrations(storage);
+
+        assert(result.success && result.data.from === 0 && result.data.to === STORAGE_VERSION, 'Migrated from unversioned');
+        assert(result.data.applied.join() === '1,2,3,4', 'Every step ran in order');
+        assert(getStorageVersion(storage) === STORAGE_VERSION, 'Version stored');
+        assert(storage.getItem(STORAGE_KEYS.LAST_SESSION_DATE) === '2025-03-08', 'Date converted, then renamed');
+        assert(JSON.parse(storage.getItem(STORAGE_KEYS.RESPONSE_HISTORY)).length === 1, 'History renamed, then cleaned');
+        assert(storage.getItem('bl_darkMode') === 'true', 'Other keys untouched');
+
+        const backup = JSON.parse(storage.getItem(STORAGE_KEYS.STORAGE_BACKUP));
+        assert(backup.version === 0, 'Backup records the version it belongs to');
+        assert(backup.values.bl_lastDate === 'Sat Mar 08 2025' && backup.values.bl_history === history, 'Backup holds the old values');
+        assert(backup.values.bl_responseHistory === null, 'Unset keys are backed up as unset');
+        assert(!('bl_darkMode' in backup.values), 'Untouched keys are not copied');
+
+        const again = runStorageMigrations(storage);
+        assert(again.success && again.data.applied.length === 0, 'Nothing runs once up to date');
+    });
+
+    it('runs only the steps newer than the stored version', () => {
+        const storage = seededStorage({ [STORAGE_KEYS.STORAGE_VERSION]: '2', bl_responseHistory: '"oops"' });
+        const result = runStorageMigrations(storage);
+        assert(result.success && result.data.applied.join() === '3,4', 'Only steps 3 and 4 ran');
+        assert(storage.getItem('bl_responseHistory') === null, 'Step 3 applied');
+
+        const newer = seededStorage({ [STORAGE_KEYS.STORAGE_VERSION]: String(STORAGE_VERSION + 1), bl_lastDate: 'Sat Mar 08 2025' });
+        const skipped = runStorageMigrations(newer);
+        assert(skipped.success && skipped.data.applied.length === 0, 'Newer layouts are left alone');
+        assert(newer.getItem('bl_lastDate') === 'Sat Mar 08 2025', 'Values untouched');
+    });
+
+    it('restores the backup when a step fails', () => {
+        const storage = seededStorage({ bl_lastDate: 'Sat Mar 08 2025' });
+        const migrations = [
+            STORAGE_MIGRATIONS[0],
+            { version: 2, description: 'Fails halfway', keys: ['bl_lastDate', 'bl_other'], migrate(s) {
+                s.setItem('bl_other', 'partial');
+                throw new Error('Step failed');
+            } }
+        ];
+        const result = runStorageMigrations(storage, { migrations });
+
+        assert(!result.success, 'Reports the failure');
+        assert(storage.getItem('bl_lastDate') === 'Sat Mar 08 2025', 'Earlier steps are undone');
+        assert(storage.getItem('bl_other') === null, 'Partial writes are undone');
+        assert(getStorageVersion(storage) === 0, 'Version goes back too');
+
+        const restoredAgain = restoreStorageBackup(storage);
+        assert(restoredAgain.success && restoredAgain.data.version === 0, 'The backup stays available');
+        assert(!restoreStorageBackup(createMemoryStorage()).success, 'No backup, nothing restored');
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Streak Model Guards
+ * 
+ * Tests day boundaries (midnight, DST) and that missed-day
+ * penalties are applied exactly once
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { toDayKey, daysBetween, addDays, normalizeDayKey } from '../src/client/domains/sessions/utils/dates.js';
+import {
+    applyCompletedSession,
+    countMissedDays,
+    calculatePenalizedDuration,
+    evaluateMissedDays
+} from '../src/client/domains/sessions/utils/streak-model.js';
+
+const FIXED = { mode: 'fixed', penaltySeconds: 600, decayFactor: 0.9, floorSeconds: 600 };
+const DECAY = { mode: 'decay', penaltySeconds: 600, decayFactor: 0.5, floorSeconds: 600 };
+
+/**
+ * Run a check with the process timezone set to a DST-observing zone
+ * @param {Function} fn
+ */
+function inNewYork(fn) {
+    const previous = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    try {
+        fn();
+    } finally {
+        if (previous === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = previous;
+        }
+    }
+}
+
+describe('Streak Model Guards', () => {
+    it('day keys change at local midnight', () => {
+        inNewYork(() => {
+            assert(toDayKey(new Date(2025, 5, 10, 23, 59, 59)) === '2025-06-10', 'Last second of the day');
+            assert(toDayKey(new Date(2025, 5, 11, 0, 0, 0)) === '2025-06-11', 'Midnight starts the next day');
+            // 02:00 UTC is still the previous evening in New York
+            assert(toDayKey('2025-06-11T02:00:00Z') === '2025-06-10', 'Uses local, not UTC, day');
+        });
+    });
+
+    it('DST transitions are still one calendar day', () => {
+        inNewYork(() => {
+            // Spring forward: 2025-03-09 is 23 hours long
+            const beforeSpring = toDayKey(new Date(2025, 2, 8, 23, 30));
+            const afterSpring = toDayKey(new Date(2025, 2, 9, 23, 30));
+            assert(daysBetween(beforeSpring, afterSpring) === 1, 'Spring forward is one day');
+
+            // Fall back: 2025-11-02 is 25 hours long
+            const beforeFall = toDayKey(new Date(2025, 10, 2, 0, 30));
+            const afterFall = toDayKey(new Date(2025, 10, 3, 0, 30));
+            assert(daysBetween(beforeFall, afterFall) === 1, 'Fall back is one day');
+            assert(addDays('2025-11-02', 1) === '2025-11-03', 'Adding a day across fall back');
+            assert(addDays('2025-03-10', -1) === '2025-03-09', 'Subtracting a day across spring forward');
+        });
+    });
+
+    it('normalizes legacy toDateString values', () => {
+        assert(normalizeDayKey('2025-06-10') === '2025-06-10', 'Day keys pass through');
+        assert(normalizeDayKey('Tue Jun 10 2025') === '2025-06-10', 'Legacy format is converted');
+        assert(normalizeDayKey(null) === null, 'Missing value');
+        assert(normalizeDayKey('not a date') === null, 'Unreadable value');
+    });
+
+    it('consecutive days extend the streak and keep the longest', () => {
+        let streak = { currentStreak: 0, longestStreak: 0, lastSessionDate: null };
+        streak = applyCompletedSession(streak, '2025-03-08');
+        streak = applyCompletedSession(streak, '2025-03-09');
+        streak = applyCompletedSession(streak, '2025-03-10');
+        assert(streak.currentStreak === 3, 'Three day streak');
+        assert(streak.longestStreak === 3, 'Longest matches current');
+
+        streak = applyCompletedSession(streak, '2025-03-12');
+        assert(streak.currentStreak === 1, 'Gap restarts the streak');
+        assert(streak.longestStreak === 3, 'Longest streak is kept');
+    });
+
+    it('second session on the same day is not a new day', () => {
+        const streak = { currentStreak: 2, longestStreak: 4, lastSessionDate: '2025-06-10' };
+        const result = applyCompletedSession(streak, '2025-06-10');
+        assert(result.isNewDay === false, 'Same day');
+        assert(result.currentStreak === 2, 'Streak unchanged');
+    });
+
+    it('counts only days strictly between the last session and today', () => {
+        assert(countMissedDays('2025-06-10', null, '2025-06-11') === 0, 'Yesterday is not missed');
+        assert(countMissedDays('2025-06-10', null, '2025-06-10') === 0, 'Today is not missed');
+        assert(countMissedDays('2025-06-10', null, '2025-06-13') === 2, 'Two days missed');
+        assert(countMissedDays(null, null, '2025-06-13') === 0, 'No sessions yet');
+        assert(countMissedDays('2025-03-08', null, '2025-03-10') === 1, 'Across spring forward');
+    });
+
+    it('penalty is applied once per missed day', () => {
+        const first = evaluateMissedDays(
+            { lastSessionDate: '2025-06-10', penalizedThrough: null, timerDuration: 3000 },
+            '2025-06-13',
+            FIXED
+        );
+        assert(first.missedDays === 2, 'Two missed days');
+        assert(first.timerDuration === 1800, 'Fixed penalty per day');
+        assert(first.penalizedThrough === '2025-06-12', 'Settled through yesterday');
+
+        const reload = evaluateMissedDays(
+            { lastSessionDate: '2025-06-10', penalizedThrough: first.penalizedThrough, timerDuration: first.timerDuration },
+            '2025-06-13',
+            FIXED
+        );
+        assert(reload.missedDays === 0, 'Reload does not penalize again');
+        assert(reload.timerDuration === 1800, 'Duration unchanged on reload');
+
+        const nextDay = evaluateMissedDays(
+            { lastSessionDate: '2025-06-10', penalizedThrough: first.penalizedThrough, timerDuration: first.timerDuration },
+            '2025-06-14',
+            FIXED
+        );
+        assert(nextDay.missedDays === 1, 'Only the newly missed day');
+    });
+
+    it('penalties respect the floor and decay mode', () => {
+        assert(calculatePenalizedDuration(1200, 5, FIXED) === 600, 'Fixed penalty stops at the floor');
+        assert(calculatePenalizedDuration(300, 2, FIXED) === 300, 'Never raises a duration under the floor');
+        assert(calculatePenalizedDuration(2400, 1, DECAY) === 1200, 'Decay halves once');
+        assert(calculatePenalizedDuration(2400, 3, DECAY) === 600, 'Decay stops at the floor');
+        assert(calculatePenalizedDuration(2400, 0, DECAY) === 2400, 'No missed days, no change');
+    });
+});
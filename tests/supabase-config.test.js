@@ -0,0 +1,63 @@
+/**
+ * Supabase Config Guards
+ * 
+ * Tests that the client library loads from the vendored copy first
+ * and that page-level overrides (e.g. a local stand-in) are respected
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { getSupabaseConfig, getClientSources } from '../src/client/services/supabase-config.js';
+
+/**
+ * Run a check with window.BETTER_LIFE_CONFIG set
+ * @param {Object} config
+ * @param {Function} fn
+ */
+function withPageConfig(config, fn) {
+    globalThis.window = { BETTER_LIFE_CONFIG: config };
+    try {
+        fn();
+    } finally {
+        delete globalThis.window;
+    }
+}
+
+describe('Supabase Config Guards', () => {
+    it('defaults to the hosted project with the vendored client first', () => {
+        const config = getSupabaseConfig();
+        assert(config.url.startsWith('https://'), 'Has a project URL');
+        assert(typeof config.anonKey === 'string' && config.anonKey.length > 0, 'Has an anon key');
+
+        const sources = getClientSources(config);
+        assert(sources[0].type === 'script', 'Vendored UMD bundle is tried first');
+        assert(sources[0].url.endsWith('/vendor/supabase.js'), 'Points at vendor/supabase.js');
+    });
+
+    it('only uses public CDNs as a fallback', () => {
+        const config = getSupabaseConfig();
+        const withFallback = getClientSources(config);
+        const cdnIndex = withFallback.findIndex(source => source.url.startsWith('https://'));
+        assert(cdnIndex > 0, 'CDNs come after local sources');
+
+        const withoutFallback = getClientSources({ ...config, allowCdnFallback: false });
+        assert(withoutFallback.every(source => !source.url.startsWith('https://')), 'No CDN when fallback is disabled');
+    });
+
+    it('page config overrides the defaults', () => {
+        withPageConfig({
+            supabase: {
+                url: 'http://127.0.0.1:54321',
+                anonKey: 'local-key',
+                clientSources: [{ type: 'module', url: '/tests/stubs/supabase.js' }],
+                allowCdnFallback: false
+            }
+        }, () => {
+            const config = getSupabaseConfig();
+            assert(config.url === 'http://127.0.0.1:54321', 'Uses the local stand-in URL');
+            assert(config.anonKey === 'local-key', 'Uses the override key');
+
+            const sources = getClientSources(config);
+            assert(sources.length === 1 && sources[0].url === '/tests/stubs/supabase.js', 'Only the configured source');
+        });
+    });
+});
@@ -0,0 +1,332 @@
+/**
+ * Sync Queue Guards
+ *
+ * Tests the offline write queue against an in-memory backend that can be
+ * signed out, go offline or lose replies: writes that need a user are
+ * refused or held, failed sends stay queued with their backoff, replays with
+ * the same id are saved once, writes wait for the user who made them,
+ * retries stop being scheduled after SYNC.MAX_SCHEDULED_ATTEMPTS, writes the
+ * server refuses for good move to the failed writes, and profile updates being
+ * sent are not folded away. Timers are recorded instead of scheduled, so
+ * nothing runs after the tests.
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository, createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { setRepository } from '../src/client/services/repository/index.js';
+import { queueWrite, flushSyncQueue, getQueuedWrites, getFailedWrites } from '../src/client/services/sync-queue.js';
+import { getBackoffDelay } from '../src/shared/utils/index.js';
+import { STORAGE_KEYS, SYNC } from '../src/shared/constants.js';
+
+const server = createMemoryRepository();
+const network = { online: false, loseReplies: false, signedIn: false, userId: 'user-1', refusal: null, profileGate: null };
+
+/** Backend as seen through a flaky connection */
+const repository = {
+    ...server,
+    isReady: () => network.signedIn,
+    getUserId: () => network.userId,
+    responses: {
+        ...server.responses,
+        create: async (response) => {
+            if (!network.online) return { success: false, error: 'offline' };
+            if (network.refusal) return { success: false, ...network.refusal };
+            const result = await server.responses.create(response);
+            // Saved on the server, but the reply never arrives
+            return network.loseReplies ? { success: false, error: 'timeout' } : result;
+        }
+    },
+    profiles: {
+        ...server.profiles,
+        update: async (updates) => {
+            // A held update answers once the test lets it through, online or not
+            const online = network.profileGate ? await network.profileGate : network.online;
+            network.profileGate = null;
+            if (!online) return { success: false, error: 'offline' };
+            return server.profiles.update(updates);
+        }
+    }
+};
+
+/**
+ * Hold the next profile update until the returned function is called
+ * @returns {(online: boolean) => void} Lets it through, as sent online or offline
+ */
+function holdProfileUpdate() {
+    let open;
+    network.profileGate = new Promise(resolve => {
+        open = resolve;
+    });
+    return open;
+}
+
+/** Delays of the retry timers the queue asked for */
+const timers = [];
+const realSetTimeout = globalThis.setTimeout;
+const realClearTimeout = globalThis.clearTimeout;
+const realLocalStorage = globalThis.localStorage;
+globalThis.setTimeout = (fn, delay) => {
+    timers.push(delay);
+    return timers.length;
+};
+globalThis.clearTimeout = () => {};
+globalThis.localStorage = createMemoryStorage();
+setRepository(repository);
+
+/**
+ * Queued write as stored in localStorage
+ * @param {Object} changes
+ */
+function queuedWrite(changes) {
+    return {
+        id: `write-${Math.random()}`,
+        type: 'submitFeedback',
+        payload: { message: 'Nice' },
+        userId: null,
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        ...changes
+    };
+}
+
+/**
+ * Replace the stored queue
+ * @param {Object[]} writes
+ */
+function storeQueue(writes) {
+    globalThis.localStorage.setItem(STORAGE_KEYS.SYNC_QUEUE, JSON.stringify(writes));
+}
+
+await describe('Sync Queue Guards (signed out)', async () => {
+    await it('refuses unknown writes and writes that need a signed-in user', async () => {
+        const unknown = await queueWrite('dropTable', {});
+        const session = await queueWrite('saveSession', { duration_seconds: 600 });
+        assert(!unknown.success && unknown.error === 'Unknown write type: dropTable', 'Unknown type');
+        assert(!session.success && session.error === 'Not authenticated', 'Session needs a user');
+        assert(getQueuedWrites().length === 0, 'Nothing is queued');
+    });
+
+    await it('holds writes made by a user while signed out', async () => {
+        storeQueue([queuedWrite({ type: 'saveResponse', payload: { question_type: 'better_today', response_text: 'Walk' }, userId: 'user-1' })]);
+        const flushed = await flushSyncQueue({ force: true });
+        assert(flushed.success && flushed.data.sent === 0 && flushed.data.remaining === 1, 'Not sent without that user');
+        assert(timers.length === 0, 'No retry is scheduled for it');
+    });
+
+    await it('waits for the backoff unless forced', async () => {
+        const later = Date.now() + 60000;
+        storeQueue([queuedWrite({ attempts: 1, nextAttemptAt: later, lastError: 'offline' })]);
+
+        const early = await flushSyncQueue();
+        assert(early.data.sent === 0 && getQueuedWrites()[0].attempts === 1, 'Not retried before it is due');
+        assert(timers.length === 1 && timers[0] > 55000, 'A retry is scheduled for when it is due');
+
+        const forced = await flushSyncQueue({ force: true });
+        assert(forced.data.sent === 1 && forced.data.remaining === 0, 'Forced flush sends it');
+        assert(globalThis.localStorage.getItem(STORAGE_KEYS.SYNC_QUEUE) === null, 'Empty queue is removed from storage');
+    });
+
+    await it('stops scheduling retries after the last scheduled attempt', async () => {
+        const later = Date.now() + 60000;
+        storeQueue([queuedWrite({ attempts: SYNC.MAX_SCHEDULED_ATTEMPTS - 1, nextAttemptAt: later })]);
+        timers.length = 0;
+        await flushSyncQueue();
+        assert(timers.length === 1, 'Retried on a timer below the limit');
+
+        storeQueue([queuedWrite({ attempts: SYNC.MAX_SCHEDULED_ATTEMPTS, nextAttemptAt: later })]);
+        timers.length = 0;
+        await flushSyncQueue();
+        assert(timers.length === 0, 'No timer at the limit');
+        assert(getQueuedWrites().length === 1, 'The write stays queued for the next online or sign-in event');
+    });
+
+    await it('treats an unreadable queue as empty', () => {
+        globalThis.localStorage.setItem(STORAGE_KEYS.SYNC_QUEUE, '{broken');
+        assert(getQueuedWrites().length === 0, 'Corrupt JSON lists no writes');
+        globalThis.localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+    });
+});
+
+/**
+ * Queue an answer
+ * @param {string} text
+ */
+function queueAnswer(text) {
+    return queueWrite('saveResponse', { question_type: 'better_today', response_text: text });
+}
+
+/**
+ * Rows the server holds for an id
+ * @param {string} id
+ * @returns {Promise<number>}
+ */
+async function countRows(id) {
+    const rows = await server.responses.list();
+    return rows.data.filter(row => row.id === id).length;
+}
+
+await describe('Sync Queue Guards (signed in)', async () => {
+    await it('keeps a failed send queued with its backoff', async () => {
+        network.signedIn = true;
+        timers.length = 0;
+        const before = Date.now();
+        const result = await queueAnswer('Walk');
+        const [write] = getQueuedWrites();
+
+        assert(result.success && result.data.queued, 'Reported as saved on this device');
+        assert(write.id === result.data.id && write.attempts === 1, 'Queued after one attempt');
+        assert(write.lastError === 'offline', 'Last error is kept');
+        const firstDelay = getBackoffDelay(1, SYNC.RETRY_BASE_DELAY, SYNC.RETRY_MAX_DELAY);
+        assert(write.nextAttemptAt >= before + firstDelay, 'Next attempt waits for the backoff');
+        assert(timers.length === 1 && timers[0] <= firstDelay, 'A retry is scheduled');
+
+        const early = await flushSyncQueue();
+        assert(early.success && early.data.sent === 0, 'Not retried before it is due');
+        assert(getQueuedWrites()[0].attempts === 1, 'Attempts unchanged');
+
+        await flushSyncQueue({ force: true });
+        const [retried] = getQueuedWrites();
+        const secondDelay = getBackoffDelay(2, SYNC.RETRY_BASE_DELAY, SYNC.RETRY_MAX_DELAY);
+        assert(retried.attempts === 2 && secondDelay > firstDelay, 'A forced retry counts as an attempt');
+        assert(retried.nextAttemptAt >= Date.now() + secondDelay - 1000, 'The backoff grows');
+    });
+
+    await it('sends queued writes once the backend is back', async () => {
+        const [write] = getQueuedWrites();
+        network.online = true;
+        const flushed = await flushSyncQueue({ force: true });
+
+        assert(flushed.success && flushed.data.sent === 1 && flushed.data.remaining === 0, 'Sent and removed from the queue');
+        assert(await countRows(write.id) === 1, 'The queue id is the row id');
+        assert(globalThis.localStorage.getItem(STORAGE_KEYS.SYNC_QUEUE) === null, 'Empty queue is removed from storage');
+    });
+
+    await it('saves a replayed write once', async () => {
+        network.loseReplies = true;
+        const result = await queueAnswer('Read');
+        assert(result.data.queued, 'A lost reply keeps the write queued');
+        assert(await countRows(result.data.id) === 1, 'Even though the server saved it');
+
+        network.loseReplies = false;
+        const replay = await flushSyncQueue({ force: true });
+        assert(replay.data.sent === 1 && replay.data.remaining === 0, 'The replay counts as saved');
+        assert(await countRows(result.data.id) === 1, 'No duplicate row');
+    });
+
+    await it('holds writes for the user who made them', async () => {
+        network.online = false;
+        const result = await queueAnswer('Cook');
+
+        network.online = true;
+        network.userId = 'user-2';
+        const otherUser = await flushSyncQueue({ force: true });
+        assert(otherUser.data.sent === 0 && otherUser.data.remaining === 1, 'Not sent for another user');
+        assert(await countRows(result.data.id) === 0, 'Nothing reached the server');
+
+        network.signedIn = false;
+        const signedOut = await flushSyncQueue({ force: true });
+        assert(signedOut.data.sent === 0, 'Not sent while signed out');
+        const refused = await queueAnswer('Nap');
+        assert(!refused.success && refused.error === 'Not authenticated', 'New writes need a signed-in user');
+
+        network.signedIn = true;
+        network.userId = 'user-1';
+        const sameUser = await flushSyncQueue({ force: true });
+        assert(sameUser.data.sent === 1 && sameUser.data.remaining === 0, 'Sent once the same user is back');
+    });
+
+    await it('stops scheduling retries after the last scheduled attempt', async () => {
+        network.online = false;
+        await queueAnswer('Stretch');
+        const [write] = getQueuedWrites();
+        globalThis.localStorage.setItem(STORAGE_KEYS.SYNC_QUEUE, JSON.stringify([{ ...write, attempts: SYNC.MAX_SCHEDULED_ATTEMPTS - 2 }]));
+
+        timers.length = 0;
+        await flushSyncQueue({ force: true });
+        assert(timers.length === 1, 'Retried on a timer below the limit');
+
+        timers.length = 0;
+        await flushSyncQueue({ force: true });
+        assert(getQueuedWrites()[0].attempts === SYNC.MAX_SCHEDULED_ATTEMPTS, 'Reached the limit');
+        assert(timers.length === 0, 'No more timers');
+
+        network.online = true;
+        const replay = await flushSyncQueue({ force: true });
+        assert(replay.data.sent === 1, 'Still replayed on online or sign-in');
+    });
+});
+
+await describe('Sync Queue Guards (refused and folded writes)', async () => {
+    await it('moves writes the server refuses for good to the failed writes', async () => {
+        timers.length = 0;
+        network.refusal = { error: 'new row violates row-level security policy for table "responses"', code: '42501' };
+        const result = await queueAnswer('Secret');
+        const [failed] = getFailedWrites();
+
+        assert(!result.success && result.error.includes('row-level security'), 'Reported as not saved');
+        assert(getQueuedWrites().length === 0 && timers.length === 0, 'Not kept for retries');
+        assert(failed.type === 'saveResponse' && failed.payload.response_text === 'Secret', 'Its data is kept');
+        assert(failed.errorCode === '42501' && failed.attempts === 1 && failed.failedAt, 'With the reason it failed');
+
+        network.refusal = { error: 'null value in column "response_text" violates not-null constraint', code: '23502' };
+        storeQueue([queuedWrite({ id: failed.id, type: 'saveResponse', userId: 'user-1', payload: failed.payload })]);
+        const flushed = await flushSyncQueue({ force: true });
+        assert(flushed.data.sent === 0 && flushed.data.remaining === 0, 'Invalid data is dropped from the queue on replay');
+        assert(getFailedWrites().length === 1 && getFailedWrites()[0].errorCode === '23502', 'The same write is listed once');
+
+        network.refusal = { error: 'relation "public.responses" does not exist' };
+        await queueAnswer('Missing table');
+        assert(getFailedWrites().length === 2 && getQueuedWrites().length === 0, 'A missing table is final without a code too');
+        globalThis.localStorage.removeItem(STORAGE_KEYS.SYNC_FAILED);
+    });
+
+    await it('keeps retrying errors that can pass', async () => {
+        for (const refusal of [{ error: 'Encryption is locked on this device' }, { error: 'JWT expired', code: 'PGRST301' }, { error: 'Session not found' }]) {
+            network.refusal = refusal;
+            const result = await queueAnswer('Later');
+            assert(result.success && result.data.queued, `${refusal.error} stays queued`);
+        }
+        assert(getQueuedWrites().length === 3 && getFailedWrites().length === 0, 'Nothing failed for good');
+
+        network.refusal = null;
+        const flushed = await flushSyncQueue({ force: true });
+        assert(flushed.data.sent === 3 && flushed.data.remaining === 0, 'Sent once they pass');
+    });
+
+    await it('does not fold away a profile update being sent', async () => {
+        const open = holdProfileUpdate();
+        const first = queueWrite('updateUserProfile', { timer_duration: 600 });
+        const second = queueWrite('updateUserProfile', { timer_duration: 900, preferred_theme: 'dark' });
+
+        const queued = getQueuedWrites();
+        assert(queued.length === 2 && queued[0].payload.timer_duration === 600, 'The update being sent stays queued');
+        assert(queued[1].payload.timer_duration === 900, 'The newer one still carries its own values');
+
+        open(true);
+        const [sentFirst, sentSecond] = await Promise.all([first, second]);
+        const profile = await server.profiles.get();
+        assert(sentFirst.success && sentSecond.success && getQueuedWrites().length === 0, 'Both sent');
+        assert(profile.data.timer_duration === 900 && profile.data.preferred_theme === 'dark', 'The newer values win');
+    });
+
+    await it('drops older profile updates once a newer one is sent', async () => {
+        const open = holdProfileUpdate();
+        const first = queueWrite('updateUserProfile', { timer_duration: 1200 });
+        const second = queueWrite('updateUserProfile', { timer_duration: 1500 });
+        assert(getQueuedWrites()[1].payload.timer_duration === 1500, 'Folded over the one being sent');
+
+        open(false);
+        const [failedFirst] = await Promise.all([first, second]);
+        const profile = await server.profiles.get();
+        assert(failedFirst.success && failedFirst.data.queued, 'The first one failed and was queued');
+        assert(getQueuedWrites().length === 0, 'Dropped once the newer one reached the server');
+        assert(profile.data.timer_duration === 1500, 'So a replay cannot undo it');
+    });
+});
+
+setRepository(null);
+globalThis.localStorage = realLocalStorage;
+globalThis.setTimeout = realSetTimeout;
+globalThis.clearTimeout = realClearTimeout;
@@ -1,6 +1,13 @@
 /**
  * Minimal test helpers
  * Simple assertion-based testing without external dependencies
+ *
+ * `describe` and `it` also take async callbacks. Test files of async code
+ * await them, so steps run in order and can build on each other:
+ *
+ *     await describe('Repository', async () => {
+ *         await it('saves a session', async () => { ... });
+ *     });
  */
 
 let testCount = 0;
@@ -21,20 +28,20 @@ export function assert(condition, message) {
     }
 }
 
-export function describe(name, fn) {
+export async function describe(name, fn) {
     console.log(`\n${name}`);
     console.log('─'.repeat(name.length));
     try {
-        fn();
+        await fn();
     } catch (error) {
         console.error(`Error in ${name}:`, error);
         failures.push(`Error in ${name}: ${error.message}`);
     }
 }
 
-export function it(name, fn) {
+export async function it(name, fn) {
     try {
-        fn();
+        await fn();
     } catch (error) {
         console.error(`  Error in test "${name}":`, error);
         failures.push(`  Error in test "${name}": ${error.message}`);
@@ -0,0 +1,123 @@
+/**
+ * Timer Duration Sync Guards
+ *
+ * Tests that a duration picked in settings round-trips through the profile:
+ * it is saved to `timer_duration`, loaded on a new device, and a duration
+ * picked on another device replaces this one, while growth on this device,
+ * a change still in the sync queue and a first sign-in with a duration of
+ * its own are kept. Runs against the in-memory repository with retry timers
+ * recorded instead of scheduled.
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { createMemoryRepository, createMemoryStorage } from '../src/client/services/repository/memory-repository.js';
+import { setRepository } from '../src/client/services/repository/index.js';
+import { getQueuedWrites } from '../src/client/services/sync-queue.js';
+import { STORAGE_KEYS } from '../src/shared/constants.js';
+
+const server = createMemoryRepository();
+const network = { online: true, signedIn: true };
+
+/** Backend that can be signed out or offline */
+const repository = {
+    ...server,
+    isReady: () => network.signedIn,
+    getUserId: () => 'user-1',
+    profiles: {
+        ...server.profiles,
+        update: async (updates) => network.online
+            ? server.profiles.update(updates)
+            : { success: false, error: 'offline' }
+    }
+};
+
+const realSetTimeout = globalThis.setTimeout;
+const realClearTimeout = globalThis.clearTimeout;
+const realLocalStorage = globalThis.localStorage;
+globalThis.setTimeout = () => 0;
+globalThis.clearTimeout = () => {};
+globalThis.localStorage = createMemoryStorage();
+setRepository(repository);
+
+// The state manager reads localStorage when it loads
+const { getState, setTimerDuration } = await import('../src/client/state/app-state.js');
+const { saveTimerDuration, loadTimerDuration } = await import('../src/client/domains/users/timer-duration-sync.js');
+
+/**
+ * Duration stored in the profile
+ * @returns {Promise<number>}
+ */
+async function profileDuration() {
+    const profile = await server.profiles.get();
+    return profile.data.timer_duration;
+}
+
+await describe('Timer Duration Sync Guards', async () => {
+    await it('saves the picked duration to the profile', async () => {
+        const device = createMemoryStorage();
+        const saved = await saveTimerDuration(1500, { storage: device });
+
+        assert(saved.success && !saved.data.queued, 'Sent right away');
+        assert(getState('timerDuration') === 1500, 'Applied on this device');
+        assert(await profileDuration() === 1500, 'Stored as timer_duration');
+        assert(device.getItem(STORAGE_KEYS.SYNCED_TIMER_DURATION) === '1500', 'Remembered as synced');
+    });
+
+    await it('loads it on a new device', async () => {
+        const newDevice = createMemoryStorage();
+        setTimerDuration(600);
+        const loaded = await loadTimerDuration({ storage: newDevice });
+
+        assert(loaded.success && loaded.data.applied && loaded.data.duration === 1500, 'Profile duration applied');
+        assert(getState('timerDuration') === 1500, 'Timer uses it');
+
+        // Growth mode adds time on this device only
+        setTimerDuration(1560);
+        const reloaded = await loadTimerDuration({ storage: newDevice });
+        assert(reloaded.success && !reloaded.data.applied && getState('timerDuration') === 1560, 'Growth since the last load is kept');
+
+        await server.profiles.update({ timer_duration: 1800 });
+        const changedElsewhere = await loadTimerDuration({ storage: newDevice });
+        assert(changedElsewhere.data.applied && getState('timerDuration') === 1800, 'A duration picked on another device replaces it');
+    });
+
+    await it('keeps a change that is still queued', async () => {
+        const device = createMemoryStorage();
+        network.online = false;
+        const saved = await saveTimerDuration(900, { storage: device });
+        const loaded = await loadTimerDuration({ storage: device });
+
+        assert(saved.success && saved.data.queued, 'Queued while offline');
+        assert(await profileDuration() === 1800, 'Profile not updated yet');
+        assert(loaded.success && !loaded.data.applied && getState('timerDuration') === 900, 'The queued duration is kept');
+
+        network.online = true;
+        globalThis.localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+    });
+
+    await it('keeps the duration of a device signing in for the first time', async () => {
+        const usedSignedOut = createMemoryStorage();
+        usedSignedOut.setItem(STORAGE_KEYS.TIMER_DURATION, '1200');
+        setTimerDuration(1200);
+        const loaded = await loadTimerDuration({ storage: usedSignedOut });
+
+        assert(loaded.success && !loaded.data.applied && getState('timerDuration') === 1200, 'Left for the migration prompt');
+        assert(usedSignedOut.getItem(STORAGE_KEYS.SYNCED_TIMER_DURATION) === '1800', 'Later changes elsewhere are still noticed');
+    });
+
+    await it('stays on this device while signed out', async () => {
+        network.signedIn = false;
+        const saved = await saveTimerDuration(720, { storage: createMemoryStorage() });
+        const loaded = await loadTimerDuration({ storage: createMemoryStorage() });
+
+        assert(saved.success && saved.data === null && getState('timerDuration') === 720, 'Saved on this device');
+        assert(getQueuedWrites().length === 0, 'Nothing queued');
+        assert(!loaded.success && loaded.error === 'Not authenticated', 'Nothing to load');
+        network.signedIn = true;
+    });
+});
+
+setRepository(null);
+globalThis.localStorage = realLocalStorage;
+globalThis.setTimeout = realSetTimeout;
+globalThis.clearTimeout = realClearTimeout;
@@ -0,0 +1,52 @@
+/**
+ * Timer Settings Guards
+ * 
+ * Tests that custom durations are bounded by TIMER.MIN_DURATION and
+ * TIMER.MAX_DURATION, and that presets and modes are recognized
+ */
+
+import { describe, it, assert } from './test-helpers.js';
+import { parseDurationMinutes, findDurationPreset, isTimerMode, formatDurationLabel } from '../src/client/domains/users/utils/timer-duration.js';
+import { TIMER, TIMER_MODES } from '../src/shared/constants.js';
+
+describe('Timer Settings Guards', () => {
+    it('parses custom minutes into seconds', () => {
+        const result = parseDurationMinutes('25');
+        assert(result.success && result.data === 1500, '25 minutes is 1500 seconds');
+        assert(parseDurationMinutes(' 12 ').data === 720, 'Whitespace is ignored');
+        assert(parseDurationMinutes(1.5).data === 90, 'Fractional minutes round to whole seconds');
+    });
+
+    it('rejects durations outside the bounds', () => {
+        const tooShort = parseDurationMinutes(String(TIMER.MIN_DURATION / 60 - 0.5));
+        assert(!tooShort.success && typeof tooShort.error === 'string', 'Below MIN_DURATION is rejected');
+        assert(parseDurationMinutes(String(TIMER.MIN_DURATION / 60)).success, 'MIN_DURATION itself is accepted');
+        assert(parseDurationMinutes(String(TIMER.MAX_DURATION / 60)).success, 'MAX_DURATION itself is accepted');
+        assert(!parseDurationMinutes(String(TIMER.MAX_DURATION / 60 + 1)).success, 'Above MAX_DURATION is rejected');
+    });
+
+    it('rejects input that is not a number', () => {
+        assert(!parseDurationMinutes('').success, 'Empty input');
+        assert(!parseDurationMinutes('ten').success, 'Text');
+        assert(!parseDurationMinutes(NaN).success, 'NaN');
+    });
+
+    it('every preset is a valid duration', () => {
+        TIMER.PRESETS.forEach(seconds => {
+            assert(parseDurationMinutes(seconds / 60).data === seconds, `${seconds}s preset is within bounds`);
+        });
+    });
+
+    it('matches presets and recognizes modes', () => {
+        assert(findDurationPreset(TIMER.PRESETS[0]) === TIMER.PRESETS[0], 'Preset duration matches');
+        assert(findDurationPreset(601) === null, 'Custom duration has no preset');
+        assert(isTimerMode(TIMER_MODES.GROWTH) && isTimerMode(TIMER_MODES.FIXED), 'Known modes');
+        assert(!isTimerMode('weekly'), 'Unknown mode');
+    });
+
+    it('formats duration labels', () => {
+        assert(formatDurationLabel(300) === '5 min', 'Minutes');
+        assert(formatDurationLabel(3600) === '1 h', 'Whole hours');
+        assert(formatDurationLabel(5400) === '1 h 30 min', 'Hours and minutes');
+    });
+});
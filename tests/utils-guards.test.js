@@ -7,6 +7,7 @@
  */
 
 import { describe, it, assert } from './test-helpers.js';
+import { getBackoffDelay, createId } from '../src/shared/utils/index.js';
 
 // Inline implementations for testing (matching src/client/domains/sessions/utils/time-format.js)
 function formatTime(seconds) {
@@ -83,3 +84,22 @@ describe('Progress Ring Guards', () => {
     });
 });
 
+describe('Retry Utility Guards', () => {
+    it('getBackoffDelay doubles after each failure', () => {
+        assert(getBackoffDelay(1, 1000, 60000) === 1000, 'First retry uses the base delay');
+        assert(getBackoffDelay(2, 1000, 60000) === 2000, 'Second retry doubles');
+        assert(getBackoffDelay(4, 1000, 60000) === 8000, 'Fourth retry');
+    });
+
+    it('getBackoffDelay never exceeds the maximum', () => {
+        assert(getBackoffDelay(50, 1000, 60000) === 60000, 'Capped at max delay');
+        assert(getBackoffDelay(0, 1000, 60000) === 1000, 'Zero attempts uses the base delay');
+    });
+
+    it('createId returns unique v4 UUIDs', () => {
+        const first = createId();
+        const second = createId();
+        assert(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(first), 'Matches UUID v4 format');
+        assert(first !== second, 'Ids are unique');
+    });
+});